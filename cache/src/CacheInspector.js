@@ -0,0 +1,281 @@
+/**
+ * Cache Inspector
+ *
+ * Read-mostly admin access to cache contents for operators: what is cached
+ * for a customer, how long it lives, how big it is, and removing single keys.
+ *
+ * - Everything is SCAN-based and paginated by the SCAN cursor (never KEYS)
+ * - Keys are listed by MATCH pattern or by key schema (see patternFor())
+ * - Values are decoded like cache reads (gzip, soft-TTL envelope) and
+ *   pretty-printed; non-JSON strings (lock values, counters) are shown raw
+ * - Deletes take explicit keys only (no pattern deletes) and are logged
+ * - Sizes are value byte lengths (STRLEN), an estimate of memory use that
+ *   ignores Redis' per-key overhead
+ *
+ * Usage:
+ * ```javascript
+ * const page = await cacheManager.listKeys({
+ *   schema: 'keikka.list',
+ *   params: { asiakasId: 8 },
+ * });
+ * // -> { pattern, cursor, done, keys: [{ key, entityType, type, ttlSeconds, sizeBytes }] }
+ *
+ * const entry = await cacheManager.inspectKey(page.keys[0].key);
+ * console.log(entry.pretty);
+ * ```
+ */
+
+const MAX_PAGE_SIZE = 1000;
+const MAX_DELETE_KEYS = 1000;
+const MAX_SCANS_PER_PAGE = 20;
+
+class CacheInspector {
+  /**
+   * @param {Object} options - Configuration options
+   * @param {Function} options.getClient - Async function returning the Redis client (or null)
+   * @param {Function} options.readValue - Async (raw) => { value, stale, absent? } for a stored string
+   * @param {Function} options.evictKeys - Async (keys) => void, evicts deleted keys from L1 tiers
+   * @param {Function} options.entityTypeOf - (key) => entity type (default: first key segment)
+   * @param {Object} options.logger - Logger instance
+   * @param {number} options.scanCount - SCAN COUNT hint (default: 1000)
+   */
+  constructor(options = {}) {
+    this.getClient = options.getClient;
+    this.readValue = options.readValue;
+    this.evictKeys = options.evictKeys;
+    this.entityTypeOf = options.entityTypeOf || ((key) => key.split(":")[0]);
+    this.logger = options.logger;
+    this.scanCount = options.scanCount || 1000;
+  }
+
+  /**
+   * List one page of keys with type, TTL and size
+   *
+   * A page holds at least `count` keys unless the scan finished, and may
+   * hold a few more (SCAN batches are never split). Pass the returned cursor
+   * to get the next page; done is true when the scan is complete.
+   *
+   * @param {Object} options - List options
+   * @param {string} options.pattern - MATCH pattern (default: '*')
+   * @param {string} options.cursor - Cursor from the previous page (default: '0')
+   * @param {number} options.count - Page size (default: 100, max: 1000)
+   * @returns {Promise<Object>} { pattern, cursor, done,
+   *   keys: [{ key, entityType, type, ttlSeconds, sizeBytes }] }
+   */
+  async listKeys(options = {}) {
+    const pattern = options.pattern || "*";
+    const count = Math.min(options.count || 100, MAX_PAGE_SIZE);
+    const redis = await this._requireClient();
+
+    const page = await this._scanPage(redis, pattern, options.cursor, count);
+    const details = await this._describeKeys(redis, page.keys);
+
+    return {
+      pattern,
+      cursor: page.cursor,
+      done: page.cursor === "0",
+      keys: details.filter((detail) => detail.type !== "none"),
+    };
+  }
+
+  /**
+   * Fetch and decode a single key
+   *
+   * @param {string} key - Cache key (exact, no wildcards)
+   * @returns {Promise<Object>} { key, exists, entityType, type, ttlSeconds, sizeBytes,
+   *   compressed, stale, absent, json, value, pretty } (absent: cached not-found entry)
+   */
+  async inspectKey(key) {
+    if (!key || typeof key !== "string") {
+      throw new Error("Key must be a non-empty string");
+    }
+    const redis = await this._requireClient();
+
+    const [[, type], [, pttl]] = await redis.pipeline().type(key).pttl(key).exec();
+    if (type === "none") {
+      return { key, exists: false };
+    }
+
+    const entry = {
+      key,
+      exists: true,
+      entityType: this.entityTypeOf(key),
+      type,
+      ttlSeconds: this._ttlSeconds(pttl),
+      sizeBytes: null,
+      compressed: false,
+      stale: false,
+      absent: false,
+      json: false,
+      value: null,
+    };
+
+    if (type === "string") {
+      const raw = await redis.get(key);
+      entry.sizeBytes = Buffer.byteLength(raw);
+      entry.compressed = raw.startsWith("gz:");
+      try {
+        const { value, stale, absent = false } = await this.readValue(raw);
+        Object.assign(entry, { value, stale, absent, json: true });
+      } catch (error) {
+        entry.value = raw; // Not a cache value (lock, counter, ...)
+      }
+    } else if (type === "set") {
+      entry.value = await redis.smembers(key);
+    } else if (type === "hash") {
+      entry.value = await redis.hgetall(key);
+    }
+
+    entry.pretty =
+      typeof entry.value === "string" && !entry.json
+        ? entry.value
+        : JSON.stringify(entry.value, null, 2);
+    return entry;
+  }
+
+  /**
+   * Delete selected keys
+   *
+   * @param {Array<string>} keys - Exact keys (max 1000 per call)
+   * @param {Object} options - Delete options
+   * @param {string} options.actor - Who asked for the delete (logged)
+   * @returns {Promise<Object>} { requested, deleted }
+   */
+  async deleteKeys(keys, options = {}) {
+    if (!Array.isArray(keys) || keys.some((key) => !key || typeof key !== "string")) {
+      throw new Error("Keys must be an array of non-empty strings");
+    }
+    if (keys.length > MAX_DELETE_KEYS) {
+      throw new Error(`At most ${MAX_DELETE_KEYS} keys can be deleted per call`);
+    }
+    const uniqueKeys = Array.from(new Set(keys));
+    if (uniqueKeys.length === 0) {
+      return { requested: 0, deleted: 0 };
+    }
+
+    const redis = await this._requireClient();
+    const deleted = await redis.del(...uniqueKeys);
+    await this.evictKeys(uniqueKeys);
+
+    this.logger.info("Cache keys deleted by admin", {
+      actor: options.actor,
+      requested: uniqueKeys.length,
+      deleted,
+      keys: uniqueKeys.slice(0, 20),
+    });
+    return { requested: uniqueKeys.length, deleted };
+  }
+
+  /**
+   * Count keys and value bytes per entity type
+   *
+   * Scans up to maxKeys keys per call; continue with the returned cursor
+   * and add up the pages for a full keyspace report.
+   *
+   * @param {Object} options - Stats options
+   * @param {string} options.pattern - MATCH pattern (default: '*')
+   * @param {string} options.cursor - Cursor from the previous call (default: '0')
+   * @param {number} options.maxKeys - Keys to scan per call (default: 10000)
+   * @returns {Promise<Object>} { pattern, cursor, done, scannedKeys, totals: { keys, bytes },
+   *   byEntityType: { [entityType]: { keys, bytes, withoutTtl } } }
+   */
+  async getKeyStats(options = {}) {
+    const pattern = options.pattern || "*";
+    const maxKeys = options.maxKeys || 10000;
+    const redis = await this._requireClient();
+
+    let cursor = options.cursor || "0";
+    let scannedKeys = 0;
+    const totals = { keys: 0, bytes: 0 };
+    const byEntityType = {};
+
+    do {
+      const page = await this._scanPage(redis, pattern, cursor, Math.min(maxKeys, MAX_PAGE_SIZE));
+      cursor = page.cursor;
+      scannedKeys += page.keys.length;
+
+      const details = await this._describeKeys(redis, page.keys);
+      for (const detail of details) {
+        if (detail.type === "none") continue;
+
+        const stats = (byEntityType[detail.entityType] ||= { keys: 0, bytes: 0, withoutTtl: 0 });
+        const bytes = Buffer.byteLength(detail.key) + (detail.sizeBytes || 0);
+        stats.keys++;
+        stats.bytes += bytes;
+        if (detail.ttlSeconds === null) stats.withoutTtl++;
+        totals.keys++;
+        totals.bytes += bytes;
+      }
+    } while (cursor !== "0" && scannedKeys < maxKeys);
+
+    return { pattern, cursor, done: cursor === "0", scannedKeys, totals, byEntityType };
+  }
+
+  /**
+   * SCAN until at least `count` keys were found or the scan is complete
+   * @private
+   */
+  async _scanPage(redis, pattern, cursor = "0", count) {
+    const keys = [];
+    let scans = 0;
+
+    do {
+      const [nextCursor, batch] = await redis.scan(
+        cursor,
+        "MATCH",
+        pattern,
+        "COUNT",
+        this.scanCount
+      );
+      cursor = nextCursor;
+      keys.push(...batch);
+      scans++;
+    } while (cursor !== "0" && keys.length < count && scans < MAX_SCANS_PER_PAGE);
+
+    return { cursor, keys };
+  }
+
+  /**
+   * Type, TTL and value size for a list of keys (one pipeline)
+   * @private
+   */
+  async _describeKeys(redis, keys) {
+    if (keys.length === 0) return [];
+
+    const pipeline = redis.pipeline();
+    keys.forEach((key) => pipeline.type(key).pttl(key).strlen(key));
+    const results = await pipeline.exec();
+
+    return keys.map((key, index) => {
+      const [[, type], [, pttl], [strlenError, strlen]] = results.slice(index * 3, index * 3 + 3);
+      return {
+        key,
+        entityType: this.entityTypeOf(key),
+        type,
+        ttlSeconds: this._ttlSeconds(pttl),
+        sizeBytes: type === "string" && !strlenError ? strlen : null,
+      };
+    });
+  }
+
+  /**
+   * PTTL -> whole seconds (null = no expiry)
+   * @private
+   */
+  _ttlSeconds(pttl) {
+    return pttl < 0 ? null : Math.ceil(pttl / 1000);
+  }
+
+  /**
+   * @private
+   */
+  async _requireClient() {
+    const redis = await this.getClient();
+    if (!redis) {
+      throw new Error("Redis unavailable");
+    }
+    return redis;
+  }
+}
+
+module.exports = CacheInspector;
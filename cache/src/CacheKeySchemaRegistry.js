@@ -0,0 +1,319 @@
+/**
+ * Cache Key Schema Registry
+ *
+ * Named key layouts with typed segments, so the code that writes cache keys
+ * and the code that invalidates them share one definition.
+ *
+ * Schema shape:
+ * ```javascript
+ * {
+ *   name: 'keikka.list',
+ *   template: 'keikka:list:{asiakasId:id}:{personId:id}:{yyyymmdd:date}:{deleted?:flag}',
+ *   description: 'Delivery order list per customer, person and day',
+ * }
+ * ```
+ *
+ * Template segments are separated by ':' and are either literals or
+ * placeholders `{name:type}`. A `?` after the name marks the placeholder
+ * optional; optional placeholders must come last.
+ *
+ * Segment types:
+ * - id:     non-negative integer (number or digit string)
+ * - string: non-empty string without ':' or glob characters (* ? [ ])
+ * - date:   day as yyyymmdd - accepts 'yyyymmdd', 'YYYY-MM-DD...' strings and Date objects
+ * - flag:   boolean - when true the placeholder name itself is written (e.g. ':deleted')
+ *
+ * Usage:
+ * ```javascript
+ * registry.buildKey('keikka.list', { asiakasId: 8, personId: 42, yyyymmdd: '2026-10-19' });
+ * // -> 'keikka:list:8:42:20261019'
+ * registry.patternFor('keikka.list', { yyyymmdd: '20261019' });
+ * // -> 'keikka:list:*:*:20261019*'   (also matches the ':deleted' variant)
+ * ```
+ */
+
+const GLOB_CHARS = /[:*?[\]]/;
+
+/**
+ * Format a date-like value as yyyymmdd
+ * @param {string|Date} value - 'yyyymmdd', ISO date string or Date
+ * @returns {string|null} yyyymmdd or null if the value is not a date
+ */
+function formatDateSegment(value) {
+  if (value instanceof Date) {
+    if (isNaN(value.getTime())) return null;
+    const year = value.getFullYear();
+    const month = String(value.getMonth() + 1).padStart(2, "0");
+    const day = String(value.getDate()).padStart(2, "0");
+    return `${year}${month}${day}`;
+  }
+  if (typeof value !== "string") return null;
+  if (/^\d{8}$/.test(value)) return value;
+
+  const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(value);
+  return match ? `${match[1]}${match[2]}${match[3]}` : null;
+}
+
+/**
+ * Segment formatters - return the key segment or null if the value is invalid
+ */
+const SEGMENT_TYPES = {
+  id: (value) =>
+    (typeof value === "number" && Number.isInteger(value) && value >= 0) ||
+    (typeof value === "string" && /^\d+$/.test(value))
+      ? String(value)
+      : null,
+  string: (value) =>
+    (typeof value === "string" || typeof value === "number") &&
+    String(value) !== "" &&
+    !GLOB_CHARS.test(String(value))
+      ? String(value)
+      : null,
+  date: formatDateSegment,
+  flag: (value) => (typeof value === "boolean" ? value : null),
+};
+
+class CacheKeySchemaRegistry {
+  /**
+   * @param {Object} options - Configuration options
+   * @param {Array<Object>} options.schemas - Initial schemas to register (e.g. DEFAULT_KEY_SCHEMAS)
+   */
+  constructor(options = {}) {
+    this.schemas = new Map(); // name -> compiled schema
+
+    this.registerSchemas(options.schemas || []);
+  }
+
+  /**
+   * Register a key schema
+   * @param {Object} schema - { name, template, description }
+   * @param {Object} options - Registration options
+   * @param {boolean} options.replace - Replace an existing schema with the same name
+   * @returns {Object} The compiled schema
+   */
+  registerSchema(schema, options = {}) {
+    if (!schema || typeof schema !== "object") {
+      throw new Error("Key schema must be an object");
+    }
+    if (!schema.name || typeof schema.name !== "string") {
+      throw new Error("Key schema requires a name");
+    }
+    if (this.schemas.has(schema.name) && !options.replace) {
+      throw new Error(`Key schema already registered: ${schema.name}`);
+    }
+
+    const compiled = Object.freeze({
+      name: schema.name,
+      template: schema.template,
+      description: schema.description || "",
+      segments: Object.freeze(this._parseTemplate(schema)),
+    });
+
+    this.schemas.set(compiled.name, compiled);
+    return compiled;
+  }
+
+  /**
+   * Register several schemas at once
+   * @param {Array<Object>} schemas - Schema definitions
+   * @param {Object} options - Registration options passed to registerSchema()
+   */
+  registerSchemas(schemas, options = {}) {
+    for (const schema of schemas) {
+      this.registerSchema(schema, options);
+    }
+  }
+
+  /**
+   * Get a schema by name
+   * @param {string} name - Schema name
+   * @returns {Object|undefined}
+   */
+  getSchema(name) {
+    return this.schemas.get(name);
+  }
+
+  /**
+   * Build a concrete cache key
+   *
+   * Every required placeholder must be present and valid for its type;
+   * optional placeholders may be omitted.
+   *
+   * @param {string} name - Schema name
+   * @param {Object} params - Placeholder values
+   * @returns {string} Cache key
+   * @throws {Error} If the schema is unknown or a param is missing/invalid
+   */
+  buildKey(name, params = {}) {
+    const schema = this._requireSchema(name);
+    const parts = [];
+
+    for (const segment of schema.segments) {
+      if (segment.literal !== undefined) {
+        parts.push(segment.literal);
+        continue;
+      }
+
+      const value = params[segment.name];
+      if (value == null) {
+        if (segment.optional) continue;
+        throw new Error(`Key schema ${name}: missing param ${segment.name}`);
+      }
+
+      const formatted = this._formatSegment(schema, segment, value);
+      if (formatted === false) continue;
+      parts.push(formatted === true ? segment.name : formatted);
+    }
+
+    return parts.join(":");
+  }
+
+  /**
+   * Derive a SCAN pattern matching every key the schema produces for the given params
+   *
+   * Missing placeholders become `*`. Unknown trailing placeholders collapse
+   * into a single `*`, and omitted optional placeholders add a trailing `*`
+   * so both the plain and the suffixed variants match.
+   *
+   * @param {string} name - Schema name
+   * @param {Object} partialParams - Known placeholder values
+   * @returns {string} Redis MATCH pattern
+   * @throws {Error} If the schema is unknown or a given param is invalid
+   */
+  patternFor(name, partialParams = {}) {
+    const schema = this._requireSchema(name);
+    const parts = [];
+    let openSuffix = false;
+
+    for (const segment of schema.segments) {
+      if (segment.literal !== undefined) {
+        parts.push(segment.literal);
+        continue;
+      }
+
+      const value = partialParams[segment.name];
+      if (segment.optional) {
+        if (value == null) {
+          openSuffix = true;
+          continue;
+        }
+        const formatted = this._formatSegment(schema, segment, value);
+        if (formatted !== false) {
+          parts.push(formatted === true ? segment.name : formatted);
+        }
+        continue;
+      }
+
+      parts.push(value == null ? "*" : this._formatSegment(schema, segment, value));
+    }
+
+    // Collapse trailing wildcard placeholders: keikka:list:*:*:* -> keikka:list:*
+    // (literals never contain '*', so only placeholders are collapsed)
+    while (
+      parts.length > 1 &&
+      parts[parts.length - 1] === "*" &&
+      parts[parts.length - 2] === "*"
+    ) {
+      parts.pop();
+    }
+
+    let pattern = parts.join(":");
+    if (openSuffix && !pattern.endsWith("*")) {
+      pattern += "*";
+    }
+    return pattern;
+  }
+
+  /**
+   * List schema names
+   * @returns {Array<string>} Sorted schema names
+   */
+  getSchemaNames() {
+    return Array.from(this.schemas.keys()).sort();
+  }
+
+  /**
+   * Get a serializable summary of all schemas (for monitoring/debugging)
+   * @returns {Array<Object>} Schema summaries
+   */
+  describe() {
+    return Array.from(this.schemas.values()).map((schema) => ({
+      name: schema.name,
+      template: schema.template,
+      description: schema.description,
+      params: schema.segments
+        .filter((segment) => segment.literal === undefined)
+        .map(({ name, type, optional }) => ({ name, type, optional })),
+    }));
+  }
+
+  /**
+   * @private
+   */
+  _requireSchema(name) {
+    const schema = this.schemas.get(name);
+    if (!schema) {
+      throw new Error(`Unknown key schema: ${name}`);
+    }
+    return schema;
+  }
+
+  /**
+   * Format a placeholder value, throwing if it does not fit the type
+   * @private
+   */
+  _formatSegment(schema, segment, value) {
+    const formatted = SEGMENT_TYPES[segment.type](value);
+    if (formatted === null) {
+      throw new Error(
+        `Key schema ${schema.name}: invalid ${segment.type} for ${segment.name}: ${value}`
+      );
+    }
+    return formatted;
+  }
+
+  /**
+   * Parse and validate a template into segments
+   * @private
+   */
+  _parseTemplate(schema) {
+    if (!schema.template || typeof schema.template !== "string") {
+      throw new Error(`Key schema ${schema.name} requires a template`);
+    }
+
+    const names = new Set();
+    let seenOptional = false;
+
+    // Split on ':' outside of {placeholder:type} braces
+    return schema.template.split(/:(?![^{]*\})/).map((part) => {
+      const match = /^\{(\w+)(\?)?:(\w+)\}$/.exec(part);
+      if (!match) {
+        if (!part || /[{}]/.test(part) || GLOB_CHARS.test(part)) {
+          throw new Error(`Key schema ${schema.name}: invalid template segment "${part}"`);
+        }
+        if (seenOptional) {
+          throw new Error(`Key schema ${schema.name}: optional placeholders must come last`);
+        }
+        return Object.freeze({ literal: part });
+      }
+
+      const [, name, optionalMark, type] = match;
+      if (!SEGMENT_TYPES[type]) {
+        throw new Error(`Key schema ${schema.name}: unknown segment type ${type}`);
+      }
+      if (names.has(name)) {
+        throw new Error(`Key schema ${schema.name}: duplicate placeholder ${name}`);
+      }
+      if (seenOptional && !optionalMark) {
+        throw new Error(`Key schema ${schema.name}: optional placeholders must come last`);
+      }
+      names.add(name);
+      seenOptional = seenOptional || !!optionalMark;
+
+      return Object.freeze({ name, type, optional: !!optionalMark });
+    });
+  }
+}
+
+module.exports = CacheKeySchemaRegistry;
+module.exports.formatDateSegment = formatDateSegment;
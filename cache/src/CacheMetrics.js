@@ -6,11 +6,23 @@
  *
  * Tracks cache performance metrics including:
  * - Hit/miss ratios per entity type
- * - Response time improvements
+ * - Response time histograms for hits and misses
  * - Cache operation counts
  * - Invalidation frequency
+ * - Stored value sizes per entity type
+ * - Cache warm-up progress and coverage
  */
 
+/**
+ * Upper bounds (bytes) of the stored value size histogram buckets
+ */
+const SIZE_BUCKETS = [1024, 4096, 16384, 65536, 262144, 1048576];
+
+/**
+ * Upper bounds (ms) of the hit/miss response time histogram buckets
+ */
+const RESPONSE_TIME_BUCKETS = [1, 2, 5, 10, 25, 50, 100, 250, 500, 1000];
+
 class CacheMetrics {
   constructor() {
     this.metrics = {
@@ -32,6 +44,9 @@ class CacheMetrics {
         releaseFailures: 0,
         totalHoldDuration: 0,
         maxHoldDuration: 0,
+        renewals: 0,
+        renewalFailures: 0,
+        lost: 0,
         byResource: {},
       },
       invalidations: {
@@ -42,6 +57,39 @@ class CacheMetrics {
         byEntityType: {},
         byPattern: {},
       },
+      loads: {
+        total: 0,
+        byOutcome: {},
+        totalDuration: 0,
+        byEntityType: {},
+      },
+      staleness: {
+        staleHits: 0,
+        refreshes: 0,
+        refreshFailures: 0,
+        totalRefreshDuration: 0,
+      },
+      negative: {
+        hits: 0,
+        sets: 0,
+      },
+      tiers: {
+        l1: { hits: 0, misses: 0, byEntity: {} },
+        l2: { hits: 0, misses: 0, byEntity: {} },
+      },
+      sizes: {
+        byEntityType: {},
+      },
+      responseTimes: {
+        byEntityType: {},
+      },
+      warmups: {
+        runs: 0,
+        skippedRuns: 0,
+        lastRun: null,
+        progress: null,
+        byName: {},
+      },
     };
   }
 
@@ -54,6 +102,7 @@ class CacheMetrics {
       this.metrics.byEntity[entityType] = { hits: 0, misses: 0, sets: 0, invalidations: 0 };
     }
     this.metrics.byEntity[entityType].hits++;
+    this._recordResponseTime(entityType, "hit", responseTime);
   }
 
   /**
@@ -65,6 +114,175 @@ class CacheMetrics {
       this.metrics.byEntity[entityType] = { hits: 0, misses: 0, sets: 0, invalidations: 0 };
     }
     this.metrics.byEntity[entityType].misses++;
+    this._recordResponseTime(entityType, "miss", responseTime);
+  }
+
+  /**
+   * Add a hit/miss response time to the entity type's histogram
+   * @private
+   */
+  _recordResponseTime(entityType, result, responseTime) {
+    if (typeof responseTime !== "number" || !Number.isFinite(responseTime)) return;
+
+    const byEntityType = this.metrics.responseTimes.byEntityType;
+    if (!byEntityType[entityType]) {
+      byEntityType[entityType] = {};
+    }
+    if (!byEntityType[entityType][result]) {
+      byEntityType[entityType][result] = {
+        count: 0,
+        totalMs: 0,
+        maxMs: 0,
+        // last bucket: slower than all bounds
+        buckets: new Array(RESPONSE_TIME_BUCKETS.length + 1).fill(0),
+      };
+    }
+    const histogram = byEntityType[entityType][result];
+    histogram.count++;
+    histogram.totalMs += responseTime;
+    histogram.maxMs = Math.max(histogram.maxMs, responseTime);
+
+    const bucket = RESPONSE_TIME_BUCKETS.findIndex((bound) => responseTime <= bound);
+    histogram.buckets[bucket === -1 ? RESPONSE_TIME_BUCKETS.length : bucket]++;
+  }
+
+  /**
+   * Get hit/miss response time metrics per entity type
+   * @returns {Object} { byEntityType: { [entityType]: { hit: {...}, miss: {...} } } }
+   */
+  getResponseTimeMetrics() {
+    const summarize = (data) => {
+      const histogram = {};
+      RESPONSE_TIME_BUCKETS.forEach((bound, index) => {
+        histogram[`<=${bound}ms`] = data.buckets[index];
+      });
+      histogram[`>${RESPONSE_TIME_BUCKETS[RESPONSE_TIME_BUCKETS.length - 1]}ms`] =
+        data.buckets[RESPONSE_TIME_BUCKETS.length];
+
+      return {
+        count: data.count,
+        avgMs: (data.totalMs / data.count).toFixed(2),
+        maxMs: data.maxMs,
+        histogram,
+      };
+    };
+
+    const byEntityType = {};
+    Object.entries(this.metrics.responseTimes.byEntityType).forEach(([entityType, results]) => {
+      byEntityType[entityType] = {};
+      Object.entries(results).forEach(([result, data]) => {
+        byEntityType[entityType][result] = summarize(data);
+      });
+    });
+
+    return { byEntityType };
+  }
+
+  /**
+   * Record a hit in a specific cache tier
+   * Overall hits are recorded separately via recordHit().
+   * @param {string} tier - 'l1' (in-process) or 'l2' (Redis)
+   * @param {string} entityType - Entity type
+   */
+  recordTierHit(tier, entityType) {
+    this._recordTier(tier, entityType, "hits");
+  }
+
+  /**
+   * Record a miss in a specific cache tier
+   * @param {string} tier - 'l1' (in-process) or 'l2' (Redis)
+   * @param {string} entityType - Entity type
+   */
+  recordTierMiss(tier, entityType) {
+    this._recordTier(tier, entityType, "misses");
+  }
+
+  /**
+   * @private
+   */
+  _recordTier(tier, entityType, field) {
+    const tierMetrics = this.metrics.tiers[tier];
+    if (!tierMetrics) return;
+
+    tierMetrics[field]++;
+    if (!tierMetrics.byEntity[entityType]) {
+      tierMetrics.byEntity[entityType] = { hits: 0, misses: 0 };
+    }
+    tierMetrics.byEntity[entityType][field]++;
+  }
+
+  /**
+   * Get per-tier (L1 memory / L2 Redis) hit and miss metrics
+   * @returns {Object} { l1: {...}, l2: {...} }
+   */
+  getTierMetrics() {
+    const summarize = ({ hits, misses, byEntity }) => {
+      const total = hits + misses;
+      return {
+        hits,
+        misses,
+        hitRate: `${total > 0 ? ((hits / total) * 100).toFixed(2) : 0}%`,
+        byEntity,
+      };
+    };
+
+    return {
+      l1: summarize(this.metrics.tiers.l1),
+      l2: summarize(this.metrics.tiers.l2),
+    };
+  }
+
+  /**
+   * Record a stale cache hit (served past its soft TTL)
+   * Stale hits are also counted as regular hits via recordHit().
+   */
+  recordStaleHit(entityType) {
+    this.metrics.staleness.staleHits++;
+    if (!this.metrics.byEntity[entityType]) {
+      this.metrics.byEntity[entityType] = { hits: 0, misses: 0, sets: 0, invalidations: 0 };
+    }
+    this.metrics.byEntity[entityType].staleHits =
+      (this.metrics.byEntity[entityType].staleHits || 0) + 1;
+  }
+
+  /**
+   * Record a hit on a cached not-found entry (see cacheNotFound())
+   * Negative hits are also counted as regular hits via recordHit().
+   */
+  recordNegativeHit(entityType) {
+    this.metrics.negative.hits++;
+    if (!this.metrics.byEntity[entityType]) {
+      this.metrics.byEntity[entityType] = { hits: 0, misses: 0, sets: 0, invalidations: 0 };
+    }
+    this.metrics.byEntity[entityType].negativeHits =
+      (this.metrics.byEntity[entityType].negativeHits || 0) + 1;
+  }
+
+  /**
+   * Record a not-found entry write
+   */
+  recordNegativeSet(entityType) {
+    this.metrics.negative.sets++;
+    if (!this.metrics.byEntity[entityType]) {
+      this.metrics.byEntity[entityType] = { hits: 0, misses: 0, sets: 0, invalidations: 0 };
+    }
+    this.metrics.byEntity[entityType].negativeSets =
+      (this.metrics.byEntity[entityType].negativeSets || 0) + 1;
+  }
+
+  /**
+   * Record a stale-while-revalidate background refresh
+   * @param {string} entityType - Entity type refreshed
+   * @param {boolean} success - Whether the refresh succeeded
+   * @param {number} durationMs - Loader duration
+   */
+  recordRefresh(entityType, success, durationMs = 0) {
+    if (success) {
+      this.metrics.staleness.refreshes++;
+      this.metrics.staleness.totalRefreshDuration += durationMs;
+    } else {
+      this.metrics.staleness.refreshFailures++;
+    }
   }
 
   /**
@@ -78,6 +296,171 @@ class CacheMetrics {
     this.metrics.byEntity[entityType].sets++;
   }
 
+  /**
+   * Record the size of a value written to the cache
+   * @param {string} entityType - Entity type
+   * @param {number} rawBytes - Serialized JSON size
+   * @param {number} storedBytes - Size actually stored in Redis (after compression)
+   */
+  recordSize(entityType, rawBytes, storedBytes) {
+    const sizes = this.metrics.sizes.byEntityType;
+    if (!sizes[entityType]) {
+      sizes[entityType] = {
+        count: 0,
+        compressedCount: 0,
+        totalRawBytes: 0,
+        totalStoredBytes: 0,
+        maxStoredBytes: 0,
+        buckets: new Array(SIZE_BUCKETS.length + 1).fill(0), // last bucket: larger than all bounds
+      };
+    }
+    const entitySizes = sizes[entityType];
+    entitySizes.count++;
+    if (storedBytes !== rawBytes) {
+      entitySizes.compressedCount++;
+    }
+    entitySizes.totalRawBytes += rawBytes;
+    entitySizes.totalStoredBytes += storedBytes;
+    entitySizes.maxStoredBytes = Math.max(entitySizes.maxStoredBytes, storedBytes);
+
+    const bucket = SIZE_BUCKETS.findIndex((bound) => storedBytes <= bound);
+    entitySizes.buckets[bucket === -1 ? SIZE_BUCKETS.length : bucket]++;
+  }
+
+  /**
+   * Record one warm-up job (one warm-up and date)
+   * @param {string} name - Warm-up name
+   * @param {Object} result - { date, entries, written, durationMs, error }
+   */
+  recordWarmup(name, result) {
+    const byName = this.metrics.warmups.byName;
+    if (!byName[name]) {
+      byName[name] = {
+        jobs: 0,
+        failedJobs: 0,
+        entries: 0,
+        written: 0,
+        totalDuration: 0,
+        lastDate: null,
+        lastError: null,
+      };
+    }
+    const warmup = byName[name];
+    warmup.jobs++;
+    warmup.entries += result.entries;
+    warmup.written += result.written;
+    warmup.totalDuration += result.durationMs;
+    warmup.lastDate = result.date;
+    if (result.error) {
+      warmup.failedJobs++;
+      warmup.lastError = result.error;
+    }
+  }
+
+  /**
+   * Record a completed or skipped warm-up run
+   * @param {Object} report - Run report from CacheWarmer.run()
+   */
+  recordWarmupRun(report) {
+    if (report.skipped) {
+      this.metrics.warmups.skippedRuns++;
+      return;
+    }
+    this.metrics.warmups.runs++;
+    this.metrics.warmups.lastRun = {
+      finishedAt: Date.now(),
+      durationMs: report.durationMs,
+      ...report.totals,
+    };
+  }
+
+  /**
+   * Record warm-up run progress
+   * @param {number|null} completed - Completed jobs, or null when the run has ended
+   * @param {number} total - Total jobs in the run
+   */
+  recordWarmupProgress(completed, total) {
+    this.metrics.warmups.progress = completed === null ? null : { completed, total };
+  }
+
+  /**
+   * Get warm-up metrics
+   *
+   * Coverage is the share of loaded entries that were written to the cache.
+   *
+   * @returns {Object} { runs, skippedRuns, running, progress, lastRun, byName }
+   */
+  getWarmupMetrics() {
+    const { runs, skippedRuns, progress, lastRun } = this.metrics.warmups;
+    const coverage = (written, entries) =>
+      `${entries > 0 ? ((written / entries) * 100).toFixed(2) : 0}%`;
+
+    const byName = {};
+    Object.entries(this.metrics.warmups.byName).forEach(([name, data]) => {
+      byName[name] = {
+        ...data,
+        avgDuration: data.jobs > 0 ? Math.round(data.totalDuration / data.jobs) : 0,
+        coverage: coverage(data.written, data.entries),
+      };
+    });
+
+    return {
+      runs,
+      skippedRuns,
+      running: progress !== null,
+      progress: progress
+        ? {
+            ...progress,
+            percent:
+              progress.total > 0 ? Math.round((progress.completed / progress.total) * 100) : 100,
+          }
+        : null,
+      lastRun: lastRun ? { ...lastRun, coverage: coverage(lastRun.written, lastRun.entries) } : null,
+      byName,
+    };
+  }
+
+  /**
+   * Get stored value size metrics per entity type, largest total first
+   *
+   * Sizes are per write, so totals show write volume; avgStoredBytes x live
+   * keys approximates the entity type's share of Redis memory.
+   *
+   * @returns {Object} { byEntityType: { [entityType]: { count, avgStoredBytes, histogram, ... } } }
+   */
+  getSizeMetrics() {
+    const formatBound = (bytes) =>
+      bytes >= 1048576 ? `${bytes / 1048576}MB` : `${bytes / 1024}KB`;
+
+    const byEntityType = {};
+    Object.entries(this.metrics.sizes.byEntityType)
+      .sort((a, b) => b[1].totalStoredBytes - a[1].totalStoredBytes)
+      .forEach(([entityType, data]) => {
+        const histogram = {};
+        SIZE_BUCKETS.forEach((bound, index) => {
+          histogram[`<=${formatBound(bound)}`] = data.buckets[index];
+        });
+        histogram[`>${formatBound(SIZE_BUCKETS[SIZE_BUCKETS.length - 1])}`] =
+          data.buckets[SIZE_BUCKETS.length];
+
+        byEntityType[entityType] = {
+          count: data.count,
+          compressedCount: data.compressedCount,
+          totalRawBytes: data.totalRawBytes,
+          totalStoredBytes: data.totalStoredBytes,
+          avgStoredBytes: Math.round(data.totalStoredBytes / data.count),
+          maxStoredBytes: data.maxStoredBytes,
+          compressionRatio:
+            data.totalStoredBytes > 0
+              ? (data.totalRawBytes / data.totalStoredBytes).toFixed(2)
+              : "1.00",
+          histogram,
+        };
+      });
+
+    return { byEntityType };
+  }
+
   /**
    * Record a cache invalidation with performance metrics
    * @param {string} entityType - Entity type being invalidated
@@ -137,6 +520,45 @@ class CacheMetrics {
     }
   }
 
+  /**
+   * Record a read-through load (getOrSet)
+   * @param {string} entityType - Entity type being loaded
+   * @param {string} outcome - 'loaded' | 'coalesced' | 'waited' | 'lockTimeout' | 'error'
+   * @param {number} durationMs - Loader (or wait) duration
+   */
+  recordLoad(entityType, outcome, durationMs = 0) {
+    const loads = this.metrics.loads;
+    loads.total++;
+    loads.byOutcome[outcome] = (loads.byOutcome[outcome] || 0) + 1;
+    loads.totalDuration += durationMs;
+
+    if (!loads.byEntityType[entityType]) {
+      loads.byEntityType[entityType] = { total: 0, byOutcome: {} };
+    }
+    const entityLoads = loads.byEntityType[entityType];
+    entityLoads.total++;
+    entityLoads.byOutcome[outcome] = (entityLoads.byOutcome[outcome] || 0) + 1;
+  }
+
+  /**
+   * Get read-through load metrics summary
+   * @returns {Object} Load metrics including coalescing rate
+   */
+  getLoadMetrics() {
+    const loads = this.metrics.loads;
+    const loaderCalls = (loads.byOutcome.loaded || 0) + (loads.byOutcome.lockTimeout || 0);
+    const saved = (loads.byOutcome.coalesced || 0) + (loads.byOutcome.waited || 0);
+
+    return {
+      total: loads.total,
+      loaderCalls,
+      byOutcome: loads.byOutcome,
+      avgDurationMs: loads.total > 0 ? (loads.totalDuration / loads.total).toFixed(2) : 0,
+      stampedeProtectionRate: loads.total > 0 ? `${((saved / loads.total) * 100).toFixed(2)}%` : "0%",
+      byEntityType: loads.byEntityType,
+    };
+  }
+
   /**
    * Record an operation
    */
@@ -162,6 +584,8 @@ class CacheMetrics {
     const runtime = Date.now() - this.metrics.global.startTime;
     const totalRequests = this.metrics.global.hits + this.metrics.global.misses;
     const hitRate = totalRequests > 0 ? (this.metrics.global.hits / totalRequests * 100).toFixed(2) : 0;
+    const staleHits = this.metrics.staleness.staleHits;
+    const staleHitRate = this.metrics.global.hits > 0 ? (staleHits / this.metrics.global.hits * 100).toFixed(2) : 0;
 
     return {
       hits: this.metrics.global.hits,
@@ -170,6 +594,12 @@ class CacheMetrics {
       invalidations: this.metrics.global.invalidations,
       errors: this.metrics.global.errors,
       hitRate: `${hitRate}%`,
+      staleHits,
+      staleHitRate: `${staleHitRate}%`,
+      refreshes: this.metrics.staleness.refreshes,
+      refreshFailures: this.metrics.staleness.refreshFailures,
+      negativeHits: this.metrics.negative.hits,
+      negativeSets: this.metrics.negative.sets,
       totalRequests,
       runtime: `${Math.floor(runtime / 1000)}s`,
     };
@@ -270,10 +700,35 @@ class CacheMetrics {
       releaseFailures: this.metrics.locks.releaseFailures,
       avgHoldDurationMs: avgHoldDuration,
       maxHoldDurationMs: this.metrics.locks.maxHoldDuration,
+      renewals: this.metrics.locks.renewals,
+      renewalFailures: this.metrics.locks.renewalFailures,
+      lost: this.metrics.locks.lost,
       byResource: this.metrics.locks.byResource,
     };
   }
 
+  /**
+   * Record a lock extension (lock.extend() or the auto-renew watchdog)
+   * @param {string} lockKey - Lock key
+   * @param {boolean} success - Whether the lock was extended
+   */
+  recordLockRenewal(lockKey, success) {
+    if (success) {
+      this.metrics.locks.renewals++;
+    } else {
+      this.metrics.locks.renewalFailures++;
+    }
+  }
+
+  /**
+   * Record a lock lost while held (expired and taken over, or not renewable)
+   * @param {string} lockKey - Lock key
+   * @param {number} holdDurationMs - How long the lock had been held
+   */
+  recordLockLost(lockKey, holdDurationMs) {
+    this.metrics.locks.lost++;
+  }
+
   /**
    * Get invalidation performance metrics
    * @returns {Object} Invalidation metrics summary
@@ -348,6 +803,9 @@ class CacheMetrics {
         releaseFailures: 0,
         totalHoldDuration: 0,
         maxHoldDuration: 0,
+        renewals: 0,
+        renewalFailures: 0,
+        lost: 0,
         byResource: {},
       },
       invalidations: {
@@ -358,8 +816,43 @@ class CacheMetrics {
         byEntityType: {},
         byPattern: {},
       },
+      loads: {
+        total: 0,
+        byOutcome: {},
+        totalDuration: 0,
+        byEntityType: {},
+      },
+      staleness: {
+        staleHits: 0,
+        refreshes: 0,
+        refreshFailures: 0,
+        totalRefreshDuration: 0,
+      },
+      negative: {
+        hits: 0,
+        sets: 0,
+      },
+      tiers: {
+        l1: { hits: 0, misses: 0, byEntity: {} },
+        l2: { hits: 0, misses: 0, byEntity: {} },
+      },
+      sizes: {
+        byEntityType: {},
+      },
+      responseTimes: {
+        byEntityType: {},
+      },
+      warmups: {
+        runs: 0,
+        skippedRuns: 0,
+        lastRun: null,
+        progress: null,
+        byName: {},
+      },
     };
   }
 }
 
 module.exports = CacheMetrics;
+module.exports.SIZE_BUCKETS = SIZE_BUCKETS;
+module.exports.RESPONSE_TIME_BUCKETS = RESPONSE_TIME_BUCKETS;
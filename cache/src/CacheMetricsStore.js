@@ -0,0 +1,410 @@
+/**
+ * Cache Metrics Store
+ *
+ * Persists CacheMetrics counters in Redis so hit rates can be compared
+ * between deployment slots and over days, across restarts and resetMetrics().
+ *
+ * - A flusher periodically pushes counter deltas (since the last flush) into
+ *   per-hour hashes: cache:metrics:{yyyymmddhh UTC}:{source}
+ * - source identifies the slot/app (default: CACHE_METRICS_SOURCE,
+ *   WEBSITE_SLOT_NAME or the hostname); instances with the same source add
+ *   into the same hash with HINCRBY
+ * - A reset of the in-process metrics (new startTime) is detected and the
+ *   full counters are flushed as the delta, like Prometheus counter resets;
+ *   checkpoint() before a reset keeps the deltas not yet flushed
+ * - aggregate() sums a time range into fleet-wide hit rates, top
+ *   invalidation patterns and lock contention
+ *
+ * Hash fields are 'counter|label' (e.g. 'hits|keikka', 'patternKeys|keikka:list:8:*').
+ * Only lock resources with contention in the interval are stored per resource,
+ * because read-through lock resources contain cache keys.
+ */
+
+const os = require("os");
+
+const METRICS_KEY_PREFIX = "cache:metrics:";
+const HOUR_MS = 3600000;
+
+class CacheMetricsStore {
+  /**
+   * @param {Object} options - Configuration options
+   * @param {Object} options.cacheMetrics - CacheMetrics instance (or compatible) to flush
+   * @param {Function} options.getClient - Async function returning the Redis client (or null)
+   * @param {Object} options.logger - Logger instance
+   * @param {string} options.source - Source name stored with the counters (default: slot or hostname)
+   * @param {number} options.intervalMs - Flush interval (default: 60000)
+   * @param {number} options.retentionDays - How long hourly buckets are kept (default: 14)
+   */
+  constructor(options = {}) {
+    this.cacheMetrics = options.cacheMetrics;
+    this.getClient = options.getClient;
+    this.logger = options.logger;
+    this.source =
+      options.source ||
+      process.env.CACHE_METRICS_SOURCE ||
+      process.env.WEBSITE_SLOT_NAME ||
+      os.hostname();
+    this.intervalMs = options.intervalMs || 60000;
+    this.retentionDays = options.retentionDays || 14;
+
+    this.lastSnapshot = null; // { startTime, counters } at the last successful flush
+    this.pending = {}; // deltas carried over a metrics reset, written by the next flush
+    this.timer = null;
+    this.flushing = null;
+  }
+
+  /**
+   * Start periodic flushing
+   */
+  start() {
+    if (this.timer) return;
+
+    this.timer = setInterval(() => {
+      this.flush().catch(() => {}); // flush() logs its own errors
+    }, this.intervalMs);
+    // Do not keep the process alive just for metrics
+    if (typeof this.timer.unref === "function") {
+      this.timer.unref();
+    }
+  }
+
+  /**
+   * Stop periodic flushing
+   * @param {Object} options - Options
+   * @param {boolean} options.flush - Flush pending deltas before returning (default: true)
+   */
+  async stop(options = {}) {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+    if (options.flush !== false) {
+      await this.flush();
+    }
+  }
+
+  /**
+   * Keep unflushed deltas before the in-process metrics are reset
+   *
+   * Synchronous, so it can run right before cacheMetrics.reset().
+   */
+  checkpoint() {
+    if (!this.cacheMetrics.metrics) return;
+
+    const snapshot = {
+      startTime: this.cacheMetrics.metrics.global.startTime,
+      counters: this._collectCounters(this.cacheMetrics.metrics),
+    };
+    this.pending = this._merge(this.pending, this._diff(snapshot));
+    this.lastSnapshot = null;
+  }
+
+  /**
+   * Push counter deltas since the last flush into the current hour bucket
+   *
+   * On failure the snapshot is kept, so the deltas are included in the next
+   * flush.
+   *
+   * @returns {Promise<number>} Number of hash fields incremented
+   */
+  async flush() {
+    if (this.flushing) return await this.flushing;
+
+    this.flushing = (async () => {
+      try {
+        if (!this.cacheMetrics.metrics) return 0;
+
+        const client = await this.getClient();
+        if (!client) return 0;
+
+        const snapshot = {
+          startTime: this.cacheMetrics.metrics.global.startTime,
+          counters: this._collectCounters(this.cacheMetrics.metrics),
+        };
+        const pending = this.pending;
+        const fields = Object.entries(this._merge(pending, this._diff(snapshot)));
+        if (fields.length === 0) {
+          this.lastSnapshot = snapshot;
+          return 0;
+        }
+
+        const hour = this._hourBucket(Date.now());
+        const key = `${METRICS_KEY_PREFIX}${hour}:${this.source}`;
+        const sourcesKey = `${METRICS_KEY_PREFIX}${hour}:sources`;
+        const retentionSeconds = this.retentionDays * 86400;
+
+        const pipeline = client.pipeline();
+        for (const [field, delta] of fields) {
+          pipeline.hincrby(key, field, delta);
+        }
+        pipeline.expire(key, retentionSeconds);
+        pipeline.sadd(sourcesKey, this.source);
+        pipeline.expire(sourcesKey, retentionSeconds);
+        const results = await pipeline.exec();
+
+        const failed = results.find(([error]) => error);
+        if (failed) {
+          throw failed[0];
+        }
+
+        this.lastSnapshot = snapshot;
+        // checkpoint() during the flush replaces this.pending; keep what it added
+        this.pending = this.pending === pending ? {} : this._subtract(this.pending, pending);
+        this.logger.debug("Cache metrics flushed", { key, fields: fields.length });
+        return fields.length;
+      } catch (error) {
+        this.logger.warn("Cache metrics flush failed", { error: error.message });
+        return 0;
+      } finally {
+        this.flushing = null;
+      }
+    })();
+
+    return await this.flushing;
+  }
+
+  /**
+   * Aggregate persisted counters over a time range
+   *
+   * @param {Object} options - Query options
+   * @param {Date|number} options.from - Range start (default: 24 hours ago)
+   * @param {Date|number} options.to - Range end (default: now)
+   * @param {Array<string>} options.sources - Only include these sources (default: all)
+   * @param {number} options.top - Entries in the top lists (default: 10)
+   * @returns {Promise<Object>} { from, to, hours, sources, global, byEntityType, bySource,
+   *   topInvalidationPatterns, locks }
+   */
+  async aggregate(options = {}) {
+    const to = new Date(options.to ?? Date.now()).getTime();
+    const from = new Date(options.from ?? to - 24 * HOUR_MS).getTime();
+    const top = options.top || 10;
+    if (!Number.isFinite(from) || !Number.isFinite(to) || from > to) {
+      throw new Error("Invalid metrics range: from must be a date before to");
+    }
+    if (to - from > this.retentionDays * 24 * HOUR_MS) {
+      throw new Error(`Metrics range exceeds retention (${this.retentionDays} days)`);
+    }
+
+    const client = await this.getClient();
+    if (!client) {
+      throw new Error("Redis unavailable");
+    }
+
+    const hours = [];
+    for (let time = Math.floor(from / HOUR_MS) * HOUR_MS; time <= to; time += HOUR_MS) {
+      hours.push(this._hourBucket(time));
+    }
+
+    const sourceLists = await Promise.all(
+      hours.map((hour) => client.smembers(`${METRICS_KEY_PREFIX}${hour}:sources`))
+    );
+    const reads = [];
+    hours.forEach((hour, index) => {
+      for (const source of sourceLists[index]) {
+        if (!options.sources || options.sources.includes(source)) {
+          reads.push({ source, key: `${METRICS_KEY_PREFIX}${hour}:${source}` });
+        }
+      }
+    });
+    const hashes = await Promise.all(reads.map(({ key }) => client.hgetall(key)));
+
+    const totals = {};
+    const bySourceTotals = {};
+    reads.forEach(({ source }, index) => {
+      bySourceTotals[source] = bySourceTotals[source] || {};
+      for (const [field, value] of Object.entries(hashes[index] || {})) {
+        const count = Number(value) || 0;
+        totals[field] = (totals[field] || 0) + count;
+        bySourceTotals[source][field] = (bySourceTotals[source][field] || 0) + count;
+      }
+    });
+
+    return {
+      from: new Date(from).toISOString(),
+      to: new Date(to).toISOString(),
+      hours: hours.length,
+      sources: Object.keys(bySourceTotals).sort(),
+      ...this._summarize(totals, top),
+      bySource: Object.fromEntries(
+        Object.entries(bySourceTotals).map(([source, fields]) => [
+          source,
+          this._summarize(fields, top).global,
+        ])
+      ),
+    };
+  }
+
+  /**
+   * Flatten CacheMetrics counters into { 'counter|label': number }
+   * @private
+   */
+  _collectCounters(metrics) {
+    const counters = {};
+    const add = (field, value) => {
+      if (value) counters[field] = Math.round(value);
+    };
+
+    Object.entries(metrics.byEntity || {}).forEach(([entityType, data]) => {
+      add(`hits|${entityType}`, data.hits);
+      add(`misses|${entityType}`, data.misses);
+      add(`sets|${entityType}`, data.sets);
+      add(`staleHits|${entityType}`, data.staleHits);
+      add(`negativeHits|${entityType}`, data.negativeHits);
+    });
+    add("errors|", metrics.global?.errors);
+
+    if (metrics.invalidations) {
+      Object.entries(metrics.invalidations.byEntityType).forEach(([entityType, data]) => {
+        add(`invalidations|${entityType}`, data.count);
+        add(`invalidatedKeys|${entityType}`, data.totalKeys);
+      });
+      Object.entries(metrics.invalidations.byPattern).forEach(([pattern, data]) => {
+        add(`patternCount|${pattern}`, data.count);
+        add(`patternKeys|${pattern}`, data.totalKeys);
+      });
+    }
+
+    if (metrics.locks) {
+      add("lockAttempts|", metrics.locks.acquisitionAttempts);
+      add("lockFailures|", metrics.locks.acquisitionFailures);
+      add("lockReleases|", metrics.locks.releases);
+      add("lockHoldMs|", metrics.locks.totalHoldDuration);
+      Object.entries(metrics.locks.byResource).forEach(([resource, data]) => {
+        if (data.failures > 0) {
+          add(`lockResourceAttempts|${resource}`, data.attempts);
+          add(`lockResourceFailures|${resource}`, data.failures);
+        }
+      });
+    }
+
+    return counters;
+  }
+
+  /**
+   * Counter deltas since the last snapshot (full values after a metrics reset)
+   * @private
+   */
+  _diff(snapshot) {
+    const previous =
+      this.lastSnapshot && this.lastSnapshot.startTime === snapshot.startTime
+        ? this.lastSnapshot.counters
+        : {};
+
+    const deltas = {};
+    for (const [field, value] of Object.entries(snapshot.counters)) {
+      const delta = value - (previous[field] || 0);
+      if (delta > 0) deltas[field] = delta;
+    }
+    return deltas;
+  }
+
+  /**
+   * @private
+   */
+  _merge(a, b) {
+    const merged = { ...a };
+    for (const [field, value] of Object.entries(b)) {
+      merged[field] = (merged[field] || 0) + value;
+    }
+    return merged;
+  }
+
+  /**
+   * @private
+   */
+  _subtract(a, b) {
+    const result = {};
+    for (const [field, value] of Object.entries(a)) {
+      const remaining = value - (b[field] || 0);
+      if (remaining > 0) result[field] = remaining;
+    }
+    return result;
+  }
+
+  /**
+   * Turn summed fields into hit rates and top lists
+   * @private
+   */
+  _summarize(fields, top) {
+    const byCounter = {};
+    for (const [field, value] of Object.entries(fields)) {
+      const separator = field.indexOf("|");
+      const counter = field.slice(0, separator);
+      const label = field.slice(separator + 1);
+      byCounter[counter] = byCounter[counter] || {};
+      byCounter[counter][label] = value;
+    }
+
+    const sum = (counter) =>
+      Object.values(byCounter[counter] || {}).reduce((total, value) => total + value, 0);
+    const get = (counter, label) => (byCounter[counter] || {})[label] || 0;
+    const rate = (part, total) => `${total > 0 ? ((part / total) * 100).toFixed(2) : 0}%`;
+
+    const hits = sum("hits");
+    const misses = sum("misses");
+    const global = {
+      hits,
+      misses,
+      hitRate: rate(hits, hits + misses),
+      sets: sum("sets"),
+      staleHits: sum("staleHits"),
+      negativeHits: sum("negativeHits"),
+      invalidations: sum("invalidations"),
+      invalidatedKeys: sum("invalidatedKeys"),
+      errors: sum("errors"),
+    };
+
+    const entityTypes = new Set(
+      ["hits", "misses", "sets", "invalidations"].flatMap((counter) =>
+        Object.keys(byCounter[counter] || {})
+      )
+    );
+    const byEntityType = {};
+    for (const entityType of entityTypes) {
+      const entityHits = get("hits", entityType);
+      const entityMisses = get("misses", entityType);
+      byEntityType[entityType] = {
+        hits: entityHits,
+        misses: entityMisses,
+        hitRate: rate(entityHits, entityHits + entityMisses),
+        sets: get("sets", entityType),
+        invalidations: get("invalidations", entityType),
+        invalidatedKeys: get("invalidatedKeys", entityType),
+      };
+    }
+
+    const topInvalidationPatterns = Object.entries(byCounter.patternCount || {})
+      .map(([pattern, count]) => ({ pattern, count, keys: get("patternKeys", pattern) }))
+      .sort((a, b) => b.count - a.count)
+      .slice(0, top);
+
+    const lockAttempts = get("lockAttempts", "");
+    const lockFailures = get("lockFailures", "");
+    const lockReleases = get("lockReleases", "");
+    const locks = {
+      attempts: lockAttempts,
+      failures: lockFailures,
+      contentionRate: rate(lockFailures, lockAttempts),
+      avgHoldMs: lockReleases > 0 ? Math.round(get("lockHoldMs", "") / lockReleases) : 0,
+      topContended: Object.entries(byCounter.lockResourceFailures || {})
+        .map(([resource, failures]) => {
+          const attempts = get("lockResourceAttempts", resource);
+          return { resource, attempts, failures, contentionRate: rate(failures, attempts) };
+        })
+        .sort((a, b) => b.failures - a.failures)
+        .slice(0, top),
+    };
+
+    return { global, byEntityType, topInvalidationPatterns, locks };
+  }
+
+  /**
+   * UTC hour bucket yyyymmddhh
+   * @private
+   */
+  _hourBucket(time) {
+    return new Date(time).toISOString().slice(0, 13).replace(/[-T]/g, "");
+  }
+}
+
+module.exports = CacheMetricsStore;
@@ -0,0 +1,219 @@
+/**
+ * Cache Pub/Sub
+ *
+ * Thin wrapper around Redis pub/sub for cross-instance cache coordination
+ * (API server, functions app and deployment slots).
+ *
+ * - Publishes through the shared cache client
+ * - Subscribes through a lazily created duplicate connection
+ *   (a subscribed ioredis connection cannot run other commands)
+ * - Messages are JSON: { source: instanceId, payload }
+ * - Messages published by this instance are skipped unless includeOwn is set
+ */
+
+const crypto = require("crypto");
+
+class CachePubSub {
+  /**
+   * @param {Object} options - Configuration options
+   * @param {Function} options.getClient - Async function returning the Redis client (or null)
+   * @param {Object} options.logger - Logger instance
+   * @param {string} options.instanceId - Optional instance identifier (default: pid + random)
+   */
+  constructor(options = {}) {
+    this.getClient = options.getClient;
+    this.logger = options.logger;
+    this.instanceId =
+      options.instanceId || `${process.pid}:${crypto.randomBytes(4).toString("hex")}`;
+
+    this.subscriber = null;
+    this.subscriberPromise = null;
+    this.handlers = new Map(); // channel -> Set<{ handler, includeOwn }>
+    this.subscribedChannels = new Set();
+  }
+
+  /**
+   * Publish a message to a channel
+   * @param {string} channel - Channel name
+   * @param {Object} payload - JSON-serializable payload
+   * @returns {Promise<boolean>} True if published
+   */
+  async publish(channel, payload) {
+    try {
+      const client = await this.getClient();
+      if (!client) return false;
+
+      await client.publish(channel, JSON.stringify({ source: this.instanceId, payload }));
+      return true;
+    } catch (error) {
+      this.logger.warn("Pub/sub publish failed", { channel, error: error.message });
+      return false;
+    }
+  }
+
+  /**
+   * Subscribe a handler to a channel
+   *
+   * If Redis is unavailable the handler is still registered and the
+   * subscription is retried on the next subscribe()/ensureSubscribed() call.
+   *
+   * @param {string} channel - Channel name
+   * @param {Function} handler - Called with (payload, { source, channel })
+   * @param {Object} options - Options
+   * @param {boolean} options.includeOwn - Also deliver messages published by this instance
+   * @returns {Promise<Function>} Unsubscribe function
+   */
+  async subscribe(channel, handler, options = {}) {
+    const entry = { handler, includeOwn: !!options.includeOwn };
+    if (!this.handlers.has(channel)) {
+      this.handlers.set(channel, new Set());
+    }
+    this.handlers.get(channel).add(entry);
+
+    const subscriber = await this.ensureSubscribed();
+    if (subscriber && !this.subscribedChannels.has(channel)) {
+      await this._subscribeChannel(subscriber, channel);
+    }
+
+    return async () => {
+      const entries = this.handlers.get(channel);
+      if (!entries) return;
+      entries.delete(entry);
+      if (entries.size === 0) {
+        this.handlers.delete(channel);
+        if (this.subscriber) {
+          this.subscribedChannels.delete(channel);
+          await this.subscriber.unsubscribe(channel).catch(() => {});
+        }
+      }
+    };
+  }
+
+  /**
+   * Make sure the subscriber connection exists and listens on all registered channels
+   * @returns {Promise<Object|null>} Subscriber connection or null if Redis is unavailable
+   */
+  async ensureSubscribed() {
+    if (this.subscriber) {
+      await this._subscribeMissingChannels(this.subscriber);
+      return this.subscriber;
+    }
+    if (this.subscriberPromise) return await this.subscriberPromise;
+
+    this.subscriberPromise = (async () => {
+      try {
+        const client = await this.getClient();
+        if (!client) return null;
+
+        const subscriber = client.duplicate();
+        subscriber.on("message", (channel, message) => this._dispatch(channel, message));
+        subscriber.on("error", (error) => {
+          this.logger.warn("Pub/sub subscriber error", { error: error.message });
+        });
+
+        for (const channel of this.handlers.keys()) {
+          await this._subscribeChannel(subscriber, channel);
+        }
+
+        this.subscriber = subscriber;
+        return subscriber;
+      } catch (error) {
+        this.logger.warn("Pub/sub subscriber setup failed", { error: error.message });
+        return null;
+      } finally {
+        this.subscriberPromise = null;
+      }
+    })();
+
+    return await this.subscriberPromise;
+  }
+
+  /**
+   * Check whether the subscriber connection listens on a channel
+   * @param {string} channel - Channel name
+   * @returns {boolean} True if subscribed
+   */
+  isSubscribed(channel) {
+    return !!this.subscriber && this.subscribedChannels.has(channel);
+  }
+
+  /**
+   * Retry channels whose subscribe failed on an existing connection
+   * @private
+   */
+  async _subscribeMissingChannels(subscriber) {
+    for (const channel of this.handlers.keys()) {
+      if (this.subscribedChannels.has(channel)) continue;
+      try {
+        await this._subscribeChannel(subscriber, channel);
+      } catch (error) {
+        this.logger.warn("Pub/sub channel subscribe failed", { channel, error: error.message });
+      }
+    }
+  }
+
+  /**
+   * Subscribe the connection to a channel
+   * @private
+   */
+  async _subscribeChannel(subscriber, channel) {
+    this.subscribedChannels.add(channel);
+    try {
+      await subscriber.subscribe(channel);
+    } catch (error) {
+      this.subscribedChannels.delete(channel); // Retried by ensureSubscribed()
+      throw error;
+    }
+    this.logger.debug("Pub/sub channel subscribed", { channel });
+  }
+
+  /**
+   * Deliver an incoming message to channel handlers
+   * @private
+   */
+  _dispatch(channel, message) {
+    const entries = this.handlers.get(channel);
+    if (!entries || entries.size === 0) return;
+
+    let parsed;
+    try {
+      parsed = JSON.parse(message);
+    } catch (error) {
+      this.logger.warn("Pub/sub message parse failed", { channel, error: error.message });
+      return;
+    }
+
+    const isOwn = parsed.source === this.instanceId;
+    for (const { handler, includeOwn } of entries) {
+      if (isOwn && !includeOwn) continue;
+      try {
+        const result = handler(parsed.payload, { source: parsed.source, channel });
+        if (result && typeof result.catch === "function") {
+          result.catch((error) => {
+            this.logger.warn("Pub/sub handler failed", { channel, error: error.message });
+          });
+        }
+      } catch (error) {
+        this.logger.warn("Pub/sub handler failed", { channel, error: error.message });
+      }
+    }
+  }
+
+  /**
+   * Close the subscriber connection
+   */
+  async close() {
+    const subscriber = this.subscriber;
+    this.subscriber = null;
+    this.subscribedChannels.clear();
+    if (!subscriber) return;
+
+    try {
+      await subscriber.quit();
+    } catch (error) {
+      subscriber.disconnect();
+    }
+  }
+}
+
+module.exports = CachePubSub;
@@ -0,0 +1,354 @@
+/**
+ * Cache Warmer
+ *
+ * Pre-populates caches for given dates before users need them (e.g. today's
+ * and tomorrow's grid and keikka lists before dispatchers start at 6 am).
+ *
+ * - Apps register warm-ups: an entity type, a date range relative to the run
+ *   date and a loader returning the cache entries for one date
+ * - A run takes a distributed lock so only one instance warms up; with a
+ *   runId, a completed run is also not repeated by instances that fire later
+ * - Entries are written with UniversalCacheManager.mset()
+ * - Progress and coverage are reported through CacheMetrics
+ *
+ * Usage:
+ * ```javascript
+ * cacheManager.registerWarmup({
+ *   name: 'keikka-lists',
+ *   entityType: 'keikka',
+ *   dayOffsets: [0, 1], // today and tomorrow
+ *   loader: async ({ yyyymmdd, isoDate }) => {
+ *     const rows = await keikkaSql.listByDate(isoDate);
+ *     return groupByAsiakasAndPerson(rows).map((group) => ({
+ *       key: cacheManager.buildKey('keikka.list', { ...group.params, yyyymmdd }),
+ *       data: group.rows,
+ *     }));
+ *   },
+ * });
+ *
+ * cacheManager.startWarmupScheduler({ times: ['05:30'] });
+ * ```
+ */
+
+const { formatDateSegment } = require("./CacheKeySchemaRegistry");
+
+const WARMUP_LOCK_RESOURCE = "cache:warmup";
+const WARMUP_DONE_PREFIX = "cache:warmup:done:";
+
+class CacheWarmer {
+  /**
+   * @param {Object} options - Configuration options
+   * @param {Function} options.writeEntries - Async (entries) => number written (cacheManager.mset)
+   * @param {Function} options.getLockManager - Async function returning a DistributedLockManager (or null)
+   * @param {Function} options.getClient - Async function returning the Redis client (or null)
+   * @param {Function} options.recordMetric - (method, ...args) => void, guarded metrics recorder
+   * @param {Object} options.logger - Logger instance
+   */
+  constructor(options = {}) {
+    this.writeEntries = options.writeEntries;
+    this.getLockManager = options.getLockManager;
+    this.getClient = options.getClient;
+    this.recordMetric = options.recordMetric;
+    this.logger = options.logger;
+
+    this.warmups = new Map(); // name -> warm-up definition
+    this.timers = new Map(); // time ('HH:MM') -> timeout handle
+    this.running = false;
+  }
+
+  /**
+   * Register a warm-up
+   *
+   * @param {Object} warmup - Warm-up definition
+   * @param {string} warmup.name - Unique name (used in metrics)
+   * @param {string} warmup.entityType - Entity type for TTLs and metrics (default for entries)
+   * @param {Array<number>} warmup.dayOffsets - Days relative to the run date (default: [0, 1])
+   * @param {Function} warmup.loader - Async ({ yyyymmdd, isoDate, name }) => [{ key, data, tags, asiakasId, entityType }]
+   * @returns {Object} The registered warm-up
+   */
+  register(warmup) {
+    if (!warmup || !warmup.name || typeof warmup.name !== "string") {
+      throw new Error("Warm-up requires a name");
+    }
+    if (this.warmups.has(warmup.name)) {
+      throw new Error(`Warm-up already registered: ${warmup.name}`);
+    }
+    if (!warmup.entityType) {
+      throw new Error(`Warm-up ${warmup.name} requires an entityType`);
+    }
+    if (typeof warmup.loader !== "function") {
+      throw new Error(`Warm-up ${warmup.name}: loader must be a function`);
+    }
+    const dayOffsets = warmup.dayOffsets || [0, 1];
+    if (!Array.isArray(dayOffsets) || !dayOffsets.every(Number.isInteger)) {
+      throw new Error(`Warm-up ${warmup.name}: dayOffsets must be an array of integers`);
+    }
+
+    const registered = Object.freeze({ ...warmup, dayOffsets: [...dayOffsets] });
+    this.warmups.set(registered.name, registered);
+    return registered;
+  }
+
+  /**
+   * Remove a warm-up
+   * @param {string} name - Warm-up name
+   * @returns {boolean} True if the warm-up existed
+   */
+  unregister(name) {
+    return this.warmups.delete(name);
+  }
+
+  /**
+   * Run registered warm-ups
+   *
+   * Jobs (one per warm-up and date) run one after another to keep database
+   * load predictable. A failing loader is logged and reported; the other
+   * jobs still run.
+   *
+   * @param {Object} options - Run options
+   * @param {Array<string|Date>} options.dates - Dates to warm ('yyyymmdd', ISO or Date);
+   *   default: each warm-up's dayOffsets relative to today
+   * @param {Array<string>} options.names - Only run these warm-ups (default: all)
+   * @param {string} options.runId - Skip if a run with this id already completed (any instance)
+   * @param {number} options.lockTtlMs - Warm-up lock TTL (default: 600000 = 10 minutes)
+   * @param {number} options.doneTtlSeconds - How long a completed runId is remembered (default: 43200)
+   * @returns {Promise<Object>} Report: { skipped, reason?, durationMs, jobs, totals }
+   */
+  async run(options = {}) {
+    const { lockTtlMs = 600000, doneTtlSeconds = 43200 } = options;
+    const startTime = Date.now();
+
+    if (this.running) {
+      return this._skip("already running");
+    }
+
+    const client = await this.getClient();
+    const doneKey = options.runId ? `${WARMUP_DONE_PREFIX}${options.runId}` : null;
+    if (client && doneKey && (await client.exists(doneKey))) {
+      return this._skip("already completed");
+    }
+
+    const lockManager = await this.getLockManager();
+    const lock = lockManager ? await lockManager.acquireLock(WARMUP_LOCK_RESOURCE, lockTtlMs) : null;
+    if (lockManager && !lock) {
+      return this._skip("locked by another instance");
+    }
+
+    this.running = true;
+    try {
+      const jobs = this._planJobs(options);
+      const results = [];
+      this.recordMetric("recordWarmupProgress", 0, jobs.length);
+
+      for (const job of jobs) {
+        results.push(await this._runJob(job));
+        this.recordMetric("recordWarmupProgress", results.length, jobs.length);
+      }
+
+      const report = {
+        skipped: false,
+        durationMs: Date.now() - startTime,
+        jobs: results,
+        totals: {
+          jobs: results.length,
+          failedJobs: results.filter((job) => job.error).length,
+          entries: results.reduce((sum, job) => sum + job.entries, 0),
+          written: results.reduce((sum, job) => sum + job.written, 0),
+        },
+      };
+
+      if (client && doneKey) {
+        await client.set(doneKey, String(Date.now()), "EX", doneTtlSeconds);
+      }
+
+      this.recordMetric("recordWarmupRun", report);
+      this.logger.info("Cache warm-up completed", {
+        runId: options.runId,
+        durationMs: report.durationMs,
+        ...report.totals,
+      });
+      return report;
+    } finally {
+      this.running = false;
+      this.recordMetric("recordWarmupProgress", null);
+      if (lock) {
+        await lock.release();
+      }
+    }
+  }
+
+  /**
+   * Run warm-ups every day at the given local times
+   *
+   * Every instance may start the scheduler: the lock and the per-day runId
+   * make sure one instance does the work.
+   *
+   * @param {Object} options - Scheduler options
+   * @param {Array<string>} options.times - Local times 'HH:MM' (e.g. ['05:30'])
+   * @param {Array<string>} options.names - Only run these warm-ups (default: all)
+   * @param {number} options.lockTtlMs - Warm-up lock TTL (see run())
+   * @returns {Function} Stop function
+   */
+  startScheduler(options = {}) {
+    const times = options.times || [];
+    if (times.length === 0) {
+      throw new Error("Warm-up scheduler requires at least one time ('HH:MM')");
+    }
+    for (const time of times) {
+      if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(time)) {
+        throw new Error(`Invalid warm-up time: ${time} (expected 'HH:MM')`);
+      }
+    }
+
+    for (const time of times) {
+      this._scheduleNext(time, options);
+    }
+    this.logger.info("Cache warm-up scheduler started", { times });
+
+    return () => times.forEach((time) => this._clearTimer(time));
+  }
+
+  /**
+   * Stop all scheduled warm-ups
+   */
+  stopScheduler() {
+    for (const time of Array.from(this.timers.keys())) {
+      this._clearTimer(time);
+    }
+  }
+
+  /**
+   * List registered warm-ups (for monitoring/debugging)
+   * @returns {Array<Object>} [{ name, entityType, dayOffsets }]
+   */
+  describe() {
+    return Array.from(this.warmups.values()).map(({ name, entityType, dayOffsets }) => ({
+      name,
+      entityType,
+      dayOffsets,
+    }));
+  }
+
+  /**
+   * Build the (warm-up, date) job list
+   * @private
+   */
+  _planJobs(options) {
+    const names = options.names || Array.from(this.warmups.keys());
+    const jobs = [];
+
+    for (const name of names) {
+      const warmup = this.warmups.get(name);
+      if (!warmup) {
+        throw new Error(`Unknown warm-up: ${name}`);
+      }
+
+      const dates = options.dates
+        ? options.dates.map((date) => {
+            const yyyymmdd = formatDateSegment(date);
+            if (!yyyymmdd) {
+              throw new Error(`Invalid warm-up date: ${date}`);
+            }
+            return yyyymmdd;
+          })
+        : warmup.dayOffsets.map((offset) => {
+            const date = new Date();
+            date.setDate(date.getDate() + offset);
+            return formatDateSegment(date);
+          });
+
+      for (const yyyymmdd of dates) {
+        jobs.push({ warmup, yyyymmdd });
+      }
+    }
+    return jobs;
+  }
+
+  /**
+   * Load and write one (warm-up, date) job
+   * @private
+   */
+  async _runJob({ warmup, yyyymmdd }) {
+    const startTime = Date.now();
+    const isoDate = `${yyyymmdd.slice(0, 4)}-${yyyymmdd.slice(4, 6)}-${yyyymmdd.slice(6, 8)}`;
+    const result = { name: warmup.name, date: yyyymmdd, entries: 0, written: 0 };
+
+    try {
+      const entries = (await warmup.loader({ yyyymmdd, isoDate, name: warmup.name })) || [];
+      result.entries = entries.length;
+      result.written = await this.writeEntries(
+        entries.map((entry) => ({ entityType: warmup.entityType, ...entry }))
+      );
+    } catch (error) {
+      result.error = error.message;
+      this.logger.warn("Cache warm-up job failed", {
+        name: warmup.name,
+        date: yyyymmdd,
+        error: error.message,
+      });
+    }
+
+    result.durationMs = Date.now() - startTime;
+    this.recordMetric("recordWarmup", warmup.name, result);
+    return result;
+  }
+
+  /**
+   * @private
+   */
+  _skip(reason) {
+    this.logger.info("Cache warm-up skipped", { reason });
+    this.recordMetric("recordWarmupRun", { skipped: true, reason });
+    return { skipped: true, reason, durationMs: 0, jobs: [], totals: null };
+  }
+
+  /**
+   * Arm the timer for the next occurrence of a local time
+   * @private
+   */
+  _scheduleNext(time, options) {
+    this._clearTimer(time);
+
+    const [hours, minutes] = time.split(":").map(Number);
+    const next = new Date();
+    next.setHours(hours, minutes, 0, 0);
+    if (next.getTime() <= Date.now()) {
+      next.setDate(next.getDate() + 1);
+    }
+
+    const timer = setTimeout(async () => {
+      try {
+        await this.run({
+          names: options.names,
+          lockTtlMs: options.lockTtlMs,
+          runId: `${time}:${formatDateSegment(new Date())}`,
+        });
+      } catch (error) {
+        this.logger.error("Scheduled cache warm-up failed", { time, error: error.message });
+      } finally {
+        if (this.timers.has(time)) {
+          this._scheduleNext(time, options);
+        }
+      }
+    }, next.getTime() - Date.now());
+
+    // Do not keep the process alive just for warm-ups
+    if (typeof timer.unref === "function") {
+      timer.unref();
+    }
+    this.timers.set(time, timer);
+  }
+
+  /**
+   * @private
+   */
+  _clearTimer(time) {
+    const timer = this.timers.get(time);
+    if (timer) {
+      clearTimeout(timer);
+      this.timers.delete(time);
+    }
+  }
+}
+
+module.exports = CacheWarmer;
@@ -0,0 +1,205 @@
+/**
+ * Circuit Breaker
+ *
+ * Guards the cache's Redis connection so an outage costs one fast null
+ * instead of a ping timeout on every request.
+ *
+ * - closed: calls go through; failureThreshold consecutive failures open the circuit
+ * - open: calls are rejected until coolDownMs has passed
+ * - half_open: up to halfOpenMaxCalls probe calls go through; successThreshold
+ *   successes close the circuit, any failure opens it again
+ *
+ * The open -> half_open transition happens lazily on the next allowRequest()
+ * (no timers). Transitions emit 'stateChange' ({ from, to, reason, status })
+ * and an event named after the new state ('open', 'half_open', 'closed').
+ *
+ * Usage:
+ * ```javascript
+ * const breaker = new CircuitBreaker({ failureThreshold: 5, coolDownMs: 30000 });
+ * if (!breaker.allowRequest()) return fallback;
+ * try {
+ *   const result = await redis.get(key);
+ *   breaker.recordSuccess();
+ *   return result;
+ * } catch (error) {
+ *   breaker.recordFailure(error);
+ *   return fallback;
+ * }
+ * ```
+ */
+
+const EventEmitter = require("events");
+
+const STATES = Object.freeze({
+  CLOSED: "closed",
+  OPEN: "open",
+  HALF_OPEN: "half_open",
+});
+
+class CircuitBreaker extends EventEmitter {
+  /**
+   * @param {Object} options - Configuration options
+   * @param {number} options.failureThreshold - Consecutive failures that open the circuit (default: 5)
+   * @param {number} options.coolDownMs - Time the circuit stays open before probing (default: 30000)
+   * @param {number} options.halfOpenMaxCalls - Concurrent probe calls while half-open (default: 1)
+   * @param {number} options.successThreshold - Probe successes that close the circuit (default: 1)
+   * @param {string} options.name - Name used in logs (default: 'redis')
+   * @param {Object} options.logger - Optional logger instance
+   */
+  constructor(options = {}) {
+    super();
+    this.failureThreshold = options.failureThreshold || 5;
+    this.coolDownMs = options.coolDownMs ?? 30000;
+    this.halfOpenMaxCalls = options.halfOpenMaxCalls || 1;
+    this.successThreshold = options.successThreshold || 1;
+    this.name = options.name || "redis";
+    this.logger = options.logger || null;
+
+    this.state = STATES.CLOSED;
+    this.failures = 0; // consecutive failures (closed) or probe failures (half-open)
+    this.successes = 0; // probe successes while half-open
+    this.probesInFlight = 0;
+    this.openedAt = null;
+    this.lastFailure = null; // { message, at }
+    this.totals = { opens: 0, rejected: 0, failures: 0 };
+  }
+
+  /**
+   * Check whether a call may go through
+   *
+   * While half-open, a true result claims a probe slot: report the outcome
+   * with recordSuccess() or recordFailure().
+   *
+   * @returns {boolean} True if the call should be attempted
+   */
+  allowRequest() {
+    if (this.state === STATES.OPEN) {
+      if (Date.now() - this.openedAt < this.coolDownMs) {
+        this.totals.rejected++;
+        return false;
+      }
+      this._transition(STATES.HALF_OPEN, "cool-down elapsed");
+    }
+
+    if (this.state === STATES.HALF_OPEN) {
+      if (this.probesInFlight >= this.halfOpenMaxCalls) {
+        this.totals.rejected++;
+        return false;
+      }
+      this.probesInFlight++;
+    }
+
+    return true;
+  }
+
+  /**
+   * Report a successful call
+   */
+  recordSuccess() {
+    if (this.state === STATES.HALF_OPEN) {
+      this.probesInFlight = Math.max(0, this.probesInFlight - 1);
+      this.successes++;
+      if (this.successes >= this.successThreshold) {
+        this._transition(STATES.CLOSED, "probe succeeded");
+      }
+      return;
+    }
+
+    if (this.state === STATES.CLOSED) {
+      this.failures = 0;
+    }
+  }
+
+  /**
+   * Report a failed call
+   * @param {Error} error - The failure (kept for getStatus())
+   */
+  recordFailure(error) {
+    this.totals.failures++;
+    this.lastFailure = { message: error?.message || "unknown", at: new Date().toISOString() };
+
+    if (this.state === STATES.HALF_OPEN) {
+      this.probesInFlight = Math.max(0, this.probesInFlight - 1);
+      this._transition(STATES.OPEN, `probe failed: ${this.lastFailure.message}`);
+      return;
+    }
+
+    if (this.state === STATES.CLOSED) {
+      this.failures++;
+      if (this.failures >= this.failureThreshold) {
+        this._transition(
+          STATES.OPEN,
+          `${this.failures} consecutive failures: ${this.lastFailure.message}`
+        );
+      }
+    }
+  }
+
+  /**
+   * Force the circuit closed (e.g. after a manual failover)
+   */
+  reset() {
+    if (this.state !== STATES.CLOSED) {
+      this._transition(STATES.CLOSED, "reset");
+    }
+    this.failures = 0;
+  }
+
+  /**
+   * Current state and counters
+   * @returns {Object} { state, failures, failureThreshold, coolDownMs, openedAt, retryAt, lastFailure, totals }
+   */
+  getStatus() {
+    const open = this.state === STATES.OPEN;
+    return {
+      state: this.state,
+      failures: this.failures,
+      failureThreshold: this.failureThreshold,
+      coolDownMs: this.coolDownMs,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      retryAt: open ? new Date(this.openedAt + this.coolDownMs).toISOString() : null,
+      lastFailure: this.lastFailure,
+      totals: { ...this.totals },
+    };
+  }
+
+  /**
+   * Change state, reset the per-state counters and notify listeners
+   * @private
+   */
+  _transition(to, reason) {
+    const from = this.state;
+    this.state = to;
+    this.failures = 0;
+    this.successes = 0;
+    this.probesInFlight = 0;
+
+    if (to === STATES.OPEN) {
+      this.openedAt = Date.now();
+      this.totals.opens++;
+    } else if (to === STATES.CLOSED) {
+      this.openedAt = null;
+    }
+
+    if (this.logger) {
+      const log = to === STATES.OPEN ? this.logger.warn : this.logger.info;
+      log.call(this.logger, "Circuit breaker state changed", { name: this.name, from, to, reason });
+    }
+
+    // Listener errors must not break the cache call that triggered the transition
+    const event = { from, to, reason, status: this.getStatus() };
+    try {
+      this.emit("stateChange", event);
+      this.emit(to, event);
+    } catch (error) {
+      this.logger?.error("Circuit breaker listener failed", {
+        name: this.name,
+        error: error.message,
+      });
+    }
+  }
+}
+
+CircuitBreaker.STATES = STATES;
+
+module.exports = CircuitBreaker;
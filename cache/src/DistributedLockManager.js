@@ -11,8 +11,12 @@
  *
  * Features:
  * - Atomic lock acquisition using Redis SET NX
+ * - Optional waiting with exponential backoff (waitTimeoutMs)
  * - TTL-based auto-expiration (no deadlocks)
- * - Safe lock release using Lua scripts
+ * - Safe lock release and extension using Lua scripts
+ * - Optional auto-renew watchdog for long jobs (autoRenew)
+ * - Optional fencing tokens, increasing per resource (fencing)
+ * - Counting semaphores and read/write locks with expiring leases (sorted sets)
  * - Handles process crashes gracefully
  * - Metrics integration for monitoring
  *
@@ -31,9 +35,40 @@
  * } finally {
  *   await lock.release();
  * }
+ *
+ * // Long job: wait up to 5 s for the lock, keep it alive while working and
+ * // pass the fencing token to writes so a stale holder is rejected downstream
+ * const ocrLock = await lockManager.acquireLock('ocr:attachment:987', {
+ *   ttlMs: 30000,
+ *   waitTimeoutMs: 5000,
+ *   autoRenew: true,
+ *   fencing: true,
+ *   onLost: () => abortController.abort(),
+ * });
+ * await saveOcrResult(result, { fencingToken: ocrLock.fencingToken });
+ * ```
+ *
+ * withLock() wraps the acquire / try / finally / release pattern:
+ * ```javascript
+ * await lockManager.withLock('weather:keikka:12345', 30000, () => doExpensiveOperation());
  * ```
+ *
+ * Fencing counters (fence:<resource>) have no TTL so tokens never go back;
+ * only enable fencing for resources with a bounded set of names.
  */
 
+const {
+  RELEASE_LOCK,
+  EXTEND_LOCK,
+  ACQUIRE_LOCK_WITH_FENCE,
+  ACQUIRE_SEMAPHORE,
+  EXTEND_LEASE,
+  ACQUIRE_READ_LOCK,
+  ACQUIRE_WRITE_LOCK,
+} = require("./luaScripts");
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
 /**
  * DistributedLockManager
  *
@@ -52,6 +87,7 @@ class DistributedLockManager {
     this.logger = logger;
     this.metrics = metrics;
     this.lockPrefix = "lock:";
+    this.fencePrefix = "fence:";
   }
 
   /**
@@ -59,9 +95,19 @@ class DistributedLockManager {
    *
    * Uses Redis SET NX (SET if Not eXists) for atomic lock acquisition.
    * The lock will automatically expire after TTL to prevent deadlocks.
+   * With waitTimeoutMs, acquisition is retried with exponential backoff
+   * (and jitter) until the lock is free or the timeout passes.
    *
    * @param {string} resource - Resource identifier (e.g., 'weather:keikka:12345')
-   * @param {number} ttlMs - Lock TTL in milliseconds (default: 30000 = 30 seconds)
+   * @param {number|Object} ttlOrOptions - Lock TTL in milliseconds (default: 30000), or options:
+   * @param {number} ttlOrOptions.ttlMs - Lock TTL in milliseconds (default: 30000)
+   * @param {number} ttlOrOptions.waitTimeoutMs - Max wait for the lock (default: 0 = one attempt)
+   * @param {number} ttlOrOptions.retryDelayMs - First retry delay, doubled per retry (default: 50)
+   * @param {number} ttlOrOptions.maxRetryDelayMs - Retry delay cap (default: 1000)
+   * @param {boolean} ttlOrOptions.fencing - Issue a fencing token (lock.fencingToken)
+   * @param {boolean} ttlOrOptions.autoRenew - Extend the lock periodically until released
+   * @param {number} ttlOrOptions.renewIntervalMs - Watchdog interval (default: ttlMs / 3)
+   * @param {Function} ttlOrOptions.onLost - Called with the lock if ownership is lost on renewal
    * @returns {Promise<DistributedLock|null>} Lock instance if acquired, null if failed
    *
    * @example
@@ -71,18 +117,259 @@ class DistributedLockManager {
    *   return;
    * }
    */
-  async acquireLock(resource, ttlMs = 30000) {
+  async acquireLock(resource, ttlOrOptions = 30000) {
+    const options = this._lockOptions(ttlOrOptions);
     const lockKey = `${this.lockPrefix}${resource}`;
     const lockValue = this.generateLockValue();
-    const startTime = Date.now();
 
-    try {
+    const attempt = async () => {
+      if (options.fencing) {
+        // Lua: SET NX PX and INCR the fencing counter atomically (0 = held by another process)
+        return await this.redis.eval(
+          ACQUIRE_LOCK_WITH_FENCE,
+          2,
+          lockKey,
+          `${this.fencePrefix}${resource}`,
+          lockValue,
+          options.ttlMs
+        );
+      }
       // Redis SET NX PX: Set if Not exists with TTL in milliseconds
       // Returns 'OK' if lock acquired, null if already exists
-      const result = await this.redis.set(lockKey, lockValue, "PX", ttlMs, "NX");
+      return (await this.redis.set(lockKey, lockValue, "PX", options.ttlMs, "NX")) === "OK";
+    };
+
+    return await this._acquire({ type: "lock", resource, lockKey }, options, attempt, (result) => {
+      const fencingToken = options.fencing ? result : null;
+      return new DistributedLock(this.redis, lockKey, lockValue, this.logger, this.metrics, {
+        ttlMs: options.ttlMs,
+        fencingToken,
+        onLost: options.onLost,
+      });
+    });
+  }
+
+  /**
+   * Acquire a permit of a counting semaphore
+   *
+   * Up to `permits` holders share the resource (e.g. an external API quota).
+   * Each permit is a lease in a sorted set scored by its expiry, so permits
+   * of crashed holders free themselves after ttlMs.
+   *
+   * @param {string} resource - Resource identifier (e.g., 'ecofleet:api')
+   * @param {number} permits - Maximum concurrent holders
+   * @param {number|Object} ttlOrOptions - Lease TTL in milliseconds, or acquireLock() options
+   *   (ttlMs, waitTimeoutMs, retryDelayMs, maxRetryDelayMs, autoRenew, renewIntervalMs, onLost)
+   * @returns {Promise<DistributedLease|null>} Lease if a permit was taken, null if all are in use
+   */
+  async acquireSemaphore(resource, permits, ttlOrOptions = 30000) {
+    if (!Number.isInteger(permits) || permits < 1) {
+      throw new Error(`Semaphore ${resource}: permits must be a positive integer`);
+    }
+    const options = this._lockOptions(ttlOrOptions);
+    const leaseKey = `${this.lockPrefix}sem:${resource}`;
+    const holderId = this.generateLockValue();
+
+    const attempt = async () =>
+      (await this.redis.eval(ACQUIRE_SEMAPHORE, 1, leaseKey, holderId, permits, options.ttlMs)) ===
+      1;
+
+    return await this._acquire(
+      { type: "semaphore", resource: `sem:${resource}`, lockKey: leaseKey },
+      options,
+      attempt,
+      () => this._createLease(leaseKey, holderId, options)
+    );
+  }
+
+  /**
+   * Acquire a shared read lock
+   *
+   * Any number of readers may hold the lock while no writer holds it or
+   * waits for it (waiting writers take precedence over new readers).
+   *
+   * @param {string} resource - Resource identifier
+   * @param {number|Object} ttlOrOptions - Lease TTL in milliseconds, or acquireLock() options
+   * @returns {Promise<DistributedLease|null>} Read lease, or null if a writer holds/awaits the lock
+   */
+  async acquireReadLock(resource, ttlOrOptions = 30000) {
+    const options = this._lockOptions(ttlOrOptions);
+    const keys = this._rwKeys(resource);
+    const holderId = this.generateLockValue();
+
+    const attempt = async () =>
+      (await this.redis.eval(
+        ACQUIRE_READ_LOCK,
+        3,
+        keys.readers,
+        keys.writer,
+        keys.intent,
+        holderId,
+        options.ttlMs
+      )) === 1;
+
+    return await this._acquire(
+      { type: "read", resource: `rw:${resource}:read`, lockKey: keys.readers },
+      options,
+      attempt,
+      () => this._createLease(keys.readers, holderId, options)
+    );
+  }
+
+  /**
+   * Acquire the exclusive write lock
+   *
+   * Waits for current readers to finish when waitTimeoutMs is set; while
+   * waiting, the writer records its intent so no new readers get in.
+   *
+   * @param {string} resource - Resource identifier
+   * @param {number|Object} ttlOrOptions - Lock TTL in milliseconds, or acquireLock() options
+   * @returns {Promise<DistributedLock|null>} Write lock, or null if readers or a writer hold it
+   */
+  async acquireWriteLock(resource, ttlOrOptions = 30000) {
+    const options = this._lockOptions(ttlOrOptions);
+    const keys = this._rwKeys(resource);
+    const holderId = this.generateLockValue();
+    // Intent outlives one retry delay; it expires by itself if this writer goes away
+    const intentTtlMs = options.waitTimeoutMs > 0 ? options.maxRetryDelayMs * 2 : 0;
 
+    const attempt = async () =>
+      (await this.redis.eval(
+        ACQUIRE_WRITE_LOCK,
+        3,
+        keys.readers,
+        keys.writer,
+        keys.intent,
+        holderId,
+        options.ttlMs,
+        intentTtlMs
+      )) === 1;
+
+    const lock = await this._acquire(
+      { type: "write", resource: `rw:${resource}:write`, lockKey: keys.writer },
+      options,
+      attempt,
+      () =>
+        new DistributedLock(this.redis, keys.writer, holderId, this.logger, this.metrics, {
+          ttlMs: options.ttlMs,
+          onLost: options.onLost,
+        })
+    );
+
+    if (!lock && intentTtlMs > 0) {
+      // Gave up: let readers in again right away
+      await this.redis.eval(RELEASE_LOCK, 1, keys.intent, holderId).catch(() => {});
+    }
+    return lock;
+  }
+
+  /**
+   * Run a function while holding a lock
+   *
+   * Acquires the lock, runs fn and always releases the lock, so callers do
+   * not repeat the acquire / try / finally / release boilerplate. Errors
+   * thrown by fn are re-thrown after the release.
+   *
+   * @param {string} resource - Resource identifier
+   * @param {number} ttlMs - Lock TTL in milliseconds
+   * @param {Function} fn - Async (lock) => result, run only if the lock was acquired
+   * @param {Object} options - acquireLock() options (waitTimeoutMs, autoRenew, fencing, onLost, ...)
+   * @returns {Promise<Object>} { acquired: true, result } or { acquired: false }
+   *
+   * @example
+   * const { acquired, result } = await lockManager.withLock('fennoa:sync', 60000, () => sync());
+   * if (!acquired) logger.info('Sync already running elsewhere');
+   */
+  async withLock(resource, ttlMs, fn, options = {}) {
+    const lock = await this.acquireLock(resource, { ...options, ttlMs });
+    if (!lock) {
+      return { acquired: false };
+    }
+
+    try {
+      return { acquired: true, result: await fn(lock) };
+    } finally {
+      await lock.release();
+    }
+  }
+
+  /**
+   * Run a function while holding a semaphore permit (see withLock())
+   *
+   * @param {string} resource - Resource identifier
+   * @param {number} permits - Maximum concurrent holders
+   * @param {number} ttlMs - Lease TTL in milliseconds
+   * @param {Function} fn - Async (lease) => result
+   * @param {Object} options - acquireSemaphore() options
+   * @returns {Promise<Object>} { acquired: true, result } or { acquired: false }
+   */
+  async withSemaphore(resource, permits, ttlMs, fn, options = {}) {
+    const lease = await this.acquireSemaphore(resource, permits, { ...options, ttlMs });
+    if (!lease) {
+      return { acquired: false };
+    }
+
+    try {
+      return { acquired: true, result: await fn(lease) };
+    } finally {
+      await lease.release();
+    }
+  }
+
+  /**
+   * Check whether a fencing token is still the latest for a resource
+   *
+   * Use before (or inside) a write guarded by a fenced lock: a false result
+   * means another process acquired the lock after this token was issued.
+   * Stores that can compare tokens themselves (e.g. a SQL column) should
+   * reject writes with a lower token instead.
+   *
+   * @param {string} resource - Resource identifier passed to acquireLock()
+   * @param {number} token - Fencing token from lock.fencingToken
+   * @returns {Promise<boolean>} True if no newer token has been issued
+   * @throws {Error} If Redis is unavailable (callers must not assume ownership)
+   */
+  async isCurrentFencingToken(resource, token) {
+    const current = await this.redis.get(`${this.fencePrefix}${resource}`);
+    return current !== null && Number(current) === Number(token);
+  }
+
+  /**
+   * Run attempt() until it succeeds or waitTimeoutMs passes, then create the lock
+   *
+   * Shared by all lock types: exponential backoff with jitter, metrics,
+   * logging, the auto-renew watchdog and fail-open error handling.
+   *
+   * @param {Object} target - { type, resource, lockKey } for metrics and logs
+   * @param {Object} options - Normalized options (see _lockOptions())
+   * @param {Function} attempt - Async () => truthy result if acquired
+   * @param {Function} createLock - (result) => DistributedLock
+   * @returns {Promise<DistributedLock|null>}
+   * @private
+   */
+  async _acquire(target, options, attempt, createLock) {
+    const { type, resource, lockKey } = target;
+    const { ttlMs, waitTimeoutMs, retryDelayMs, maxRetryDelayMs } = options;
+    const startTime = Date.now();
+
+    try {
+      let attempts = 0;
+      let result;
+
+      for (;;) {
+        attempts++;
+        result = await attempt();
+
+        const elapsed = Date.now() - startTime;
+        if (result || elapsed >= waitTimeoutMs) break;
+
+        // Exponential backoff with jitter, never sleeping past the wait timeout
+        const backoff = Math.min(retryDelayMs * 2 ** (attempts - 1), maxRetryDelayMs);
+        await sleep(Math.min(backoff * (0.5 + Math.random() / 2), waitTimeoutMs - elapsed));
+      }
+
+      const acquired = !!result;
       const duration = Date.now() - startTime;
-      const acquired = result === "OK";
 
       // Record metrics
       if (this.metrics) {
@@ -90,19 +377,28 @@ class DistributedLockManager {
       }
 
       if (acquired) {
+        const lock = createLock(result);
         this.logger.info("Distributed lock acquired", {
+          type,
           resource,
           lockKey,
           ttlMs,
           durationMs: duration,
+          attempts,
+          fencingToken: lock.fencingToken ?? undefined,
         });
 
-        return new DistributedLock(this.redis, lockKey, lockValue, this.logger, this.metrics);
+        if (options.autoRenew) {
+          lock.startWatchdog(options.renewIntervalMs);
+        }
+        return lock;
       } else {
         this.logger.info("Lock acquisition failed - already held by another process", {
+          type,
           resource,
           lockKey,
           durationMs: duration,
+          attempts,
         });
 
         return null;
@@ -117,6 +413,7 @@ class DistributedLockManager {
 
       this.logger.error("Lock acquisition error", {
         error: error.message,
+        type,
         resource,
         lockKey,
         durationMs: duration,
@@ -127,6 +424,43 @@ class DistributedLockManager {
     }
   }
 
+  /**
+   * Normalize acquire options (a number is the TTL)
+   * @private
+   */
+  _lockOptions(ttlOrOptions) {
+    const options =
+      typeof ttlOrOptions === "object" && ttlOrOptions !== null
+        ? ttlOrOptions
+        : { ttlMs: ttlOrOptions };
+    return {
+      ...options,
+      ttlMs: options.ttlMs || 30000,
+      waitTimeoutMs: options.waitTimeoutMs || 0,
+      retryDelayMs: options.retryDelayMs || 50,
+      maxRetryDelayMs: options.maxRetryDelayMs || 1000,
+    };
+  }
+
+  /**
+   * Keys of a read/write lock
+   * @private
+   */
+  _rwKeys(resource) {
+    const base = `${this.lockPrefix}rw:${resource}`;
+    return { readers: `${base}:readers`, writer: `${base}:writer`, intent: `${base}:intent` };
+  }
+
+  /**
+   * @private
+   */
+  _createLease(leaseKey, holderId, options) {
+    return new DistributedLease(this.redis, leaseKey, holderId, this.logger, this.metrics, {
+      ttlMs: options.ttlMs,
+      onLost: options.onLost,
+    });
+  }
+
   /**
    * Generate unique lock value
    *
@@ -161,16 +495,23 @@ class DistributedLock {
    * @param {string} lockValue - Unique value identifying this lock holder
    * @param {Object} logger - Logger instance
    * @param {Object} metrics - Optional CacheMetrics instance
+   * @param {Object} options - { ttlMs, fencingToken, onLost }
    * @private
    */
-  constructor(redis, lockKey, lockValue, logger, metrics = null) {
+  constructor(redis, lockKey, lockValue, logger, metrics = null, options = {}) {
     this.redis = redis;
     this.lockKey = lockKey;
     this.lockValue = lockValue;
     this.logger = logger;
     this.metrics = metrics;
     this.released = false;
+    this.lost = false;
     this.acquiredAt = Date.now();
+    this.ttlMs = options.ttlMs || 30000;
+    this.expiresAt = this.acquiredAt + this.ttlMs; // Local estimate, updated by extend()
+    this.fencingToken = options.fencingToken ?? null;
+    this.onLost = options.onLost || null;
+    this.watchdog = null;
   }
 
   /**
@@ -197,21 +538,14 @@ class DistributedLock {
       return false;
     }
 
+    this.stopWatchdog();
     const holdDuration = Date.now() - this.acquiredAt;
 
     try {
       // Lua script ensures atomic check-and-delete
       // Only delete if current value matches our lock value (we own it)
-      const luaScript = `
-        if redis.call("GET", KEYS[1]) == ARGV[1] then
-          return redis.call("DEL", KEYS[1])
-        else
-          return 0
-        end
-      `;
-
       // eval(script, numKeys, key1, ..., arg1, ...)
-      const result = await this.redis.eval(luaScript, 1, this.lockKey, this.lockValue);
+      const result = await this._releaseInRedis();
 
       const wasOwner = result === 1;
       this.released = true;
@@ -252,6 +586,83 @@ class DistributedLock {
     }
   }
 
+  /**
+   * Extend the lock's TTL if it is still ours
+   *
+   * Uses a Lua script to atomically check ownership and PEXPIRE. If another
+   * process owns the lock (ours expired), the lock is marked lost.
+   *
+   * @param {number} ttlMs - New TTL in milliseconds (default: the acquisition TTL)
+   * @returns {Promise<boolean>} True if extended
+   */
+  async extend(ttlMs = this.ttlMs) {
+    if (this.released || this.lost) {
+      return false;
+    }
+
+    try {
+      const result = await this._extendInRedis(ttlMs);
+      const extended = result === 1;
+      this._recordMetric("recordLockRenewal", this.lockKey, extended);
+
+      if (!extended) {
+        this._markLost();
+        return false;
+      }
+
+      this.expiresAt = Date.now() + ttlMs;
+      this.logger.debug("Distributed lock extended", { lockKey: this.lockKey, ttlMs });
+      return true;
+    } catch (error) {
+      this._recordMetric("recordLockRenewal", this.lockKey, false);
+      this.logger.error("Lock extend error", {
+        error: error.message,
+        lockKey: this.lockKey,
+      });
+
+      // We cannot tell while Redis is unreachable; once the TTL has passed the lock is gone
+      if (Date.now() >= this.expiresAt) {
+        this._markLost();
+      }
+      return false;
+    }
+  }
+
+  /**
+   * Extend the lock periodically until it is released or lost
+   *
+   * @param {number} intervalMs - Renew interval (default: a third of the TTL)
+   */
+  startWatchdog(intervalMs = Math.floor(this.ttlMs / 3)) {
+    if (this.watchdog || this.released) return;
+
+    let renewing = false;
+    this.watchdog = setInterval(async () => {
+      if (renewing) return;
+      renewing = true;
+      try {
+        await this.extend();
+      } finally {
+        renewing = false;
+      }
+    }, Math.max(intervalMs, 10));
+
+    // Do not keep the process alive just to renew locks
+    if (typeof this.watchdog.unref === "function") {
+      this.watchdog.unref();
+    }
+  }
+
+  /**
+   * Stop the auto-renew watchdog
+   */
+  stopWatchdog() {
+    if (this.watchdog) {
+      clearInterval(this.watchdog);
+      this.watchdog = null;
+    }
+  }
+
   /**
    * Get lock hold duration in milliseconds
    *
@@ -265,16 +676,97 @@ class DistributedLock {
    * Check if lock is still held (not released)
    *
    * Note: This only checks local state, not Redis state.
-   * Lock may have expired in Redis even if not locally released.
+   * Lock may have expired in Redis even if not locally released; a failed
+   * extend() (or watchdog renewal) marks it lost.
    *
-   * @returns {boolean} True if lock has not been released
+   * @returns {boolean} True if lock has not been released or lost
    */
   isHeld() {
-    return !this.released;
+    return !this.released && !this.lost;
+  }
+
+  /**
+   * Delete the lock if we own it (Lua check-and-delete)
+   * @returns {Promise<number>} 1 if deleted, 0 if not owner
+   * @private
+   */
+  async _releaseInRedis() {
+    return await this.redis.eval(RELEASE_LOCK, 1, this.lockKey, this.lockValue);
+  }
+
+  /**
+   * Extend the lock if we own it (Lua check-and-PEXPIRE)
+   * @returns {Promise<number>} 1 if extended, 0 if not owner
+   * @private
+   */
+  async _extendInRedis(ttlMs) {
+    return await this.redis.eval(EXTEND_LOCK, 1, this.lockKey, this.lockValue, ttlMs);
+  }
+
+  /**
+   * Mark the lock as lost and notify the holder
+   * @private
+   */
+  _markLost() {
+    if (this.lost) return;
+
+    this.lost = true;
+    this.stopWatchdog();
+    this._recordMetric("recordLockLost", this.lockKey, this.getHoldDuration());
+    this.logger.warn("Distributed lock lost - no longer owner", {
+      lockKey: this.lockKey,
+      holdDurationMs: this.getHoldDuration(),
+    });
+
+    if (this.onLost) {
+      try {
+        this.onLost(this);
+      } catch (error) {
+        this.logger.warn("Lock onLost handler failed", {
+          lockKey: this.lockKey,
+          error: error.message,
+        });
+      }
+    }
+  }
+
+  /**
+   * Record a metric if the metrics implementation supports it
+   * @private
+   */
+  _recordMetric(method, ...args) {
+    if (this.metrics && typeof this.metrics[method] === "function") {
+      this.metrics[method](...args);
+    }
+  }
+}
+
+/**
+ * DistributedLease
+ *
+ * A semaphore permit or read lock: one member of a sorted set of leases
+ * scored by expiry. Same API as DistributedLock (release, extend, watchdog).
+ */
+class DistributedLease extends DistributedLock {
+  /**
+   * Remove our lease
+   * @private
+   */
+  async _releaseInRedis() {
+    return await this.redis.zrem(this.lockKey, this.lockValue);
+  }
+
+  /**
+   * Extend our lease if it has not expired
+   * @private
+   */
+  async _extendInRedis(ttlMs) {
+    return await this.redis.eval(EXTEND_LEASE, 1, this.lockKey, this.lockValue, ttlMs);
   }
 }
 
 module.exports = {
   DistributedLockManager,
   DistributedLock,
+  DistributedLease,
 };
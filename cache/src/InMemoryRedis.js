@@ -0,0 +1,997 @@
+/**
+ * In-Memory Redis Stand-in
+ *
+ * Implements the subset of the ioredis client API used by the cache package,
+ * so UniversalCacheManager and DistributedLockManager can run without a
+ * Redis server (unit tests, local development). Connections created with
+ * duplicate() share the data and the pub/sub bus.
+ *
+ * Storage backend interface (what a backend client must provide):
+ * - Strings: get, mget, set (EX/PX/NX/XX), setex, incr, strlen
+ * - Keys: del, exists, type, expire, pexpire, ttl, pttl
+ * - Keyspace: scan (MATCH/COUNT)
+ * - Sets: sadd, srem, smembers, scard, sismember
+ * - Hashes: hincrby, hget, hgetall
+ * - Sorted sets: zadd, zrem, zcard, zscore, zremrangebyscore
+ * - Streams: xadd (MAXLEN), xlen, xrange, xdel, xgroup CREATE, xreadgroup (no BLOCK),
+ *   xack, xautoclaim, xpending (summary form)
+ * - Scripts: eval (only the scripts in luaScripts.js)
+ * - Batching: pipeline() / multi() with exec()
+ * - Pub/sub: publish, subscribe, unsubscribe, duplicate
+ * - Connection: ping, quit, disconnect, and the EventEmitter events
+ *   'ready', 'error', 'close', 'end'
+ *
+ * Usage:
+ * ```javascript
+ * const cacheManager = new UniversalCacheManager({ backend: 'memory' });
+ * // or share one store between several managers / lock managers:
+ * const redis = new InMemoryRedis();
+ * const cacheManager = new UniversalCacheManager({ backend: redis });
+ * const lockManager = new DistributedLockManager(redis, logger);
+ * ```
+ *
+ * Expiry is evaluated lazily on access, like Redis' passive expiry.
+ * Not a database: no persistence, no eviction policy, single process only.
+ */
+
+const EventEmitter = require("events");
+const {
+  RELEASE_LOCK,
+  EXTEND_LOCK,
+  ACQUIRE_LOCK_WITH_FENCE,
+  ACQUIRE_SEMAPHORE,
+  EXTEND_LEASE,
+  ACQUIRE_READ_LOCK,
+  ACQUIRE_WRITE_LOCK,
+} = require("./luaScripts");
+
+const WRONGTYPE = "WRONGTYPE Operation against a key holding the wrong kind of value";
+
+/**
+ * Commands available on pipeline() / multi()
+ */
+const PIPELINE_COMMANDS = [
+  "get",
+  "mget",
+  "set",
+  "setex",
+  "incr",
+  "del",
+  "exists",
+  "type",
+  "strlen",
+  "expire",
+  "pexpire",
+  "ttl",
+  "pttl",
+  "sadd",
+  "srem",
+  "smembers",
+  "scard",
+  "sismember",
+  "hincrby",
+  "hget",
+  "hgetall",
+  "zadd",
+  "zrem",
+  "zcard",
+  "zscore",
+  "zremrangebyscore",
+  "xadd",
+  "xlen",
+  "xack",
+  "xdel",
+  "eval",
+  "publish",
+];
+
+/**
+ * Compare stream IDs ('<ms>-<seq>')
+ * @returns {number} Negative, zero or positive like a sort comparator
+ */
+function compareStreamIds(a, b) {
+  const [aMs, aSeq = 0] = String(a).split("-").map(Number);
+  const [bMs, bSeq = 0] = String(b).split("-").map(Number);
+  return aMs - bMs || aSeq - bSeq;
+}
+
+/**
+ * Convert a Redis glob pattern (*, ?, [abc], [^a], \x) to a RegExp
+ * @param {string} pattern - Redis MATCH pattern
+ * @returns {RegExp}
+ */
+function globToRegExp(pattern) {
+  let source = "";
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+    if (char === "\\" && i + 1 < pattern.length) {
+      source += pattern[++i].replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    } else if (char === "*") {
+      source += "[\\s\\S]*";
+    } else if (char === "?") {
+      source += "[\\s\\S]";
+    } else if (char === "[") {
+      const end = pattern.indexOf("]", i + 1);
+      if (end === -1) {
+        source += "\\[";
+      } else {
+        let body = pattern.slice(i + 1, end).replace(/\\/g, "\\\\");
+        if (body.startsWith("^")) body = "^" + body.slice(1);
+        source += `[${body}]`;
+        i = end;
+      }
+    } else {
+      source += char.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+/**
+ * Normalize script source for lookup (whitespace-insensitive)
+ */
+const normalizeScript = (script) => script.replace(/\s+/g, " ").trim();
+
+class InMemoryRedis extends EventEmitter {
+  /**
+   * @param {Object} options - Options
+   * @param {Object} options.store - Shared store (used by duplicate()); omit for a fresh store
+   */
+  constructor(options = {}) {
+    super();
+    this.store = options.store || {
+      data: new Map(), // key -> { type, value, expiresAt }
+      subscribers: new Set(), // connections with at least one subscription
+      scripts: new Map(), // normalized source -> (keys, args, connection) => result
+    };
+    this.subscriptions = new Set();
+    this.status = "ready";
+
+    if (!options.store) {
+      this.defineScript(RELEASE_LOCK, (keys, args, redis) => {
+        if (redis._getString(keys[0]) === args[0]) {
+          redis.store.data.delete(keys[0]);
+          return 1;
+        }
+        return 0;
+      });
+      this.defineScript(EXTEND_LOCK, (keys, args, redis) => {
+        if (redis._getString(keys[0]) === args[0]) {
+          redis._entry(keys[0]).expiresAt = Date.now() + Number(args[1]);
+          return 1;
+        }
+        return 0;
+      });
+      this.defineScript(ACQUIRE_LOCK_WITH_FENCE, (keys, args, redis) => {
+        if (redis._entry(keys[0])) return 0;
+        redis.store.data.set(keys[0], {
+          type: "string",
+          value: args[0],
+          expiresAt: Date.now() + Number(args[1]),
+        });
+        const token = Number(redis._getString(keys[1]) || 0) + 1;
+        const counter = redis._entry(keys[1]);
+        redis.store.data.set(keys[1], {
+          type: "string",
+          value: String(token),
+          expiresAt: counter ? counter.expiresAt : null,
+        });
+        return token;
+      });
+      this.defineScript(ACQUIRE_SEMAPHORE, (keys, args, redis) => {
+        const leases = redis._getZset(keys[0], true);
+        redis._pruneLeases(leases);
+        if (leases.size >= Number(args[1])) return 0;
+        leases.set(args[0], Date.now() + Number(args[2]));
+        redis._extendExpiry(keys[0], Number(args[2]));
+        return 1;
+      });
+      this.defineScript(EXTEND_LEASE, (keys, args, redis) => {
+        const leases = redis._getZset(keys[0]);
+        if (!leases) return 0;
+        if (leases.has(args[0]) && leases.get(args[0]) > Date.now()) {
+          leases.set(args[0], Date.now() + Number(args[1]));
+          redis._extendExpiry(keys[0], Number(args[1]));
+          return 1;
+        }
+        leases.delete(args[0]);
+        return 0;
+      });
+      this.defineScript(ACQUIRE_READ_LOCK, (keys, args, redis) => {
+        if (redis._entry(keys[1]) || redis._entry(keys[2])) return 0;
+        const leases = redis._getZset(keys[0], true);
+        redis._pruneLeases(leases);
+        leases.set(args[0], Date.now() + Number(args[1]));
+        redis._extendExpiry(keys[0], Number(args[1]));
+        return 1;
+      });
+      this.defineScript(ACQUIRE_WRITE_LOCK, (keys, args, redis) => {
+        if (redis._entry(keys[1])) return 0;
+        const intent = redis._getString(keys[2]);
+        if (intent !== null && intent !== args[0]) return 0;
+
+        const leases = redis._getZset(keys[0]);
+        if (leases) redis._pruneLeases(leases);
+        if (leases && leases.size > 0) {
+          if (Number(args[2]) > 0) {
+            redis.store.data.set(keys[2], {
+              type: "string",
+              value: args[0],
+              expiresAt: Date.now() + Number(args[2]),
+            });
+          }
+          return 0;
+        }
+        redis.store.data.set(keys[1], {
+          type: "string",
+          value: args[0],
+          expiresAt: Date.now() + Number(args[1]),
+        });
+        redis.store.data.delete(keys[2]);
+        return 1;
+      });
+    }
+
+    // Match ioredis: 'ready' is emitted asynchronously after construction
+    setImmediate(() => this.emit("ready"));
+  }
+
+  /**
+   * Register a JavaScript implementation for a Lua script used with eval()
+   * @param {string} source - Lua source (matched whitespace-insensitively)
+   * @param {Function} implementation - (keys, args, connection) => result
+   */
+  defineScript(source, implementation) {
+    this.store.scripts.set(normalizeScript(source), implementation);
+  }
+
+  // ---------------------------------------------------------------------
+  // Internal helpers
+  // ---------------------------------------------------------------------
+
+  /**
+   * Get a live entry, purging it if expired
+   * @private
+   */
+  _entry(key) {
+    const entry = this.store.data.get(key);
+    if (!entry) return null;
+    if (entry.expiresAt !== null && Date.now() >= entry.expiresAt) {
+      this.store.data.delete(key);
+      return null;
+    }
+    return entry;
+  }
+
+  /**
+   * @private
+   */
+  _getString(key) {
+    const entry = this._entry(key);
+    if (!entry) return null;
+    if (entry.type !== "string") throw new Error(WRONGTYPE);
+    return entry.value;
+  }
+
+  /**
+   * Get (or create) a set entry
+   * @private
+   */
+  _getSet(key, create = false) {
+    const entry = this._entry(key);
+    if (entry) {
+      if (entry.type !== "set") throw new Error(WRONGTYPE);
+      return entry.value;
+    }
+    if (!create) return null;
+    const value = new Set();
+    this.store.data.set(key, { type: "set", value, expiresAt: null });
+    return value;
+  }
+
+  /**
+   * Get (or create) a hash entry
+   * @private
+   */
+  _getHash(key, create = false) {
+    const entry = this._entry(key);
+    if (entry) {
+      if (entry.type !== "hash") throw new Error(WRONGTYPE);
+      return entry.value;
+    }
+    if (!create) return null;
+    const value = new Map();
+    this.store.data.set(key, { type: "hash", value, expiresAt: null });
+    return value;
+  }
+
+  /**
+   * Get (or create) a sorted set entry (member -> score)
+   * @private
+   */
+  _getZset(key, create = false) {
+    const entry = this._entry(key);
+    if (entry) {
+      if (entry.type !== "zset") throw new Error(WRONGTYPE);
+      return entry.value;
+    }
+    if (!create) return null;
+    const value = new Map();
+    this.store.data.set(key, { type: "zset", value, expiresAt: null });
+    return value;
+  }
+
+  /**
+   * Get (or create) a stream entry
+   * @private
+   */
+  _getStream(key, create = false) {
+    const entry = this._entry(key);
+    if (entry) {
+      if (entry.type !== "stream") throw new Error(WRONGTYPE);
+      return entry.value;
+    }
+    if (!create) return null;
+    // entries: [{ id, fields }] in id order; groups: name -> { lastId, pending }
+    const value = { entries: [], lastId: "0-0", groups: new Map() };
+    this.store.data.set(key, { type: "stream", value, expiresAt: null });
+    return value;
+  }
+
+  /**
+   * Get a consumer group or fail like Redis
+   * @private
+   */
+  _getGroup(key, group) {
+    const stream = this._getStream(key);
+    const consumerGroup = stream && stream.groups.get(String(group));
+    if (!consumerGroup) {
+      throw new Error(`NOGROUP No such key '${key}' or consumer group '${group}'`);
+    }
+    return { stream, consumerGroup };
+  }
+
+  /**
+   * Drop leases whose expiry score has passed (lease scripts)
+   * @private
+   */
+  _pruneLeases(leases) {
+    const now = Date.now();
+    for (const [member, expiresAt] of leases) {
+      if (expiresAt <= now) leases.delete(member);
+    }
+  }
+
+  /**
+   * PEXPIRE only if it lengthens the key's remaining TTL (lease scripts)
+   * @private
+   */
+  _extendExpiry(key, milliseconds) {
+    const entry = this._entry(key);
+    const expiresAt = Date.now() + milliseconds;
+    if (entry && (entry.expiresAt === null || entry.expiresAt < expiresAt)) {
+      entry.expiresAt = expiresAt;
+    }
+  }
+
+  // ---------------------------------------------------------------------
+  // Strings and keyspace
+  // ---------------------------------------------------------------------
+
+  async get(key) {
+    return this._getString(key);
+  }
+
+  /**
+   * MGET key [key ...] - non-string keys read as null, like Redis
+   */
+  async mget(...keys) {
+    return keys.flat().map((key) => {
+      const entry = this._entry(key);
+      return entry && entry.type === "string" ? entry.value : null;
+    });
+  }
+
+  /**
+   * SET key value [EX seconds | PX milliseconds] [NX | XX]
+   */
+  async set(key, value, ...options) {
+    let expiresAt = null;
+    let mode = null;
+
+    for (let i = 0; i < options.length; i++) {
+      const option = String(options[i]).toUpperCase();
+      if (option === "EX") expiresAt = Date.now() + Number(options[++i]) * 1000;
+      else if (option === "PX") expiresAt = Date.now() + Number(options[++i]);
+      else if (option === "NX" || option === "XX") mode = option;
+      else throw new Error(`ERR syntax error (unsupported SET option ${option})`);
+    }
+
+    const exists = this._entry(key) !== null;
+    if ((mode === "NX" && exists) || (mode === "XX" && !exists)) {
+      return null;
+    }
+
+    this.store.data.set(key, { type: "string", value: String(value), expiresAt });
+    return "OK";
+  }
+
+  async setex(key, seconds, value) {
+    return this.set(key, value, "EX", seconds);
+  }
+
+  /**
+   * INCR key - keeps the key's expiry, like Redis
+   */
+  async incr(key) {
+    const current = this._getString(key);
+    const value = current === null ? 0 : Number(current);
+    if (!Number.isInteger(value)) {
+      throw new Error("ERR value is not an integer or out of range");
+    }
+    const entry = this._entry(key);
+    this.store.data.set(key, {
+      type: "string",
+      value: String(value + 1),
+      expiresAt: entry ? entry.expiresAt : null,
+    });
+    return value + 1;
+  }
+
+  async del(...keys) {
+    let deleted = 0;
+    for (const key of keys.flat()) {
+      if (this._entry(key)) {
+        this.store.data.delete(key);
+        deleted++;
+      }
+    }
+    return deleted;
+  }
+
+  async exists(...keys) {
+    return keys.flat().filter((key) => this._entry(key) !== null).length;
+  }
+
+  async type(key) {
+    const entry = this._entry(key);
+    return entry ? entry.type : "none";
+  }
+
+  async strlen(key) {
+    const value = this._getString(key);
+    return value === null ? 0 : Buffer.byteLength(value);
+  }
+
+  async pexpire(key, milliseconds) {
+    const entry = this._entry(key);
+    if (!entry) return 0;
+    entry.expiresAt = Date.now() + Number(milliseconds);
+    return 1;
+  }
+
+  async expire(key, seconds) {
+    return this.pexpire(key, Number(seconds) * 1000);
+  }
+
+  async pttl(key) {
+    const entry = this._entry(key);
+    if (!entry) return -2;
+    if (entry.expiresAt === null) return -1;
+    return Math.max(entry.expiresAt - Date.now(), 0);
+  }
+
+  async ttl(key) {
+    const pttl = await this.pttl(key);
+    return pttl < 0 ? pttl : Math.round(pttl / 1000);
+  }
+
+  /**
+   * SCAN cursor [MATCH pattern] [COUNT count]
+   *
+   * The cursor is an offset into the current key ordering. Like Redis, keys
+   * added or removed during an iteration may or may not be returned.
+   */
+  async scan(cursor, ...options) {
+    let pattern = null;
+    let count = 10;
+    for (let i = 0; i < options.length; i++) {
+      const option = String(options[i]).toUpperCase();
+      if (option === "MATCH") pattern = globToRegExp(String(options[++i]));
+      else if (option === "COUNT") count = Math.max(Number(options[++i]) || 10, 1);
+    }
+
+    const allKeys = Array.from(this.store.data.keys());
+    const start = Number(cursor) || 0;
+    const end = start + count;
+    const keys = allKeys
+      .slice(start, end)
+      .filter((key) => this._entry(key) !== null && (!pattern || pattern.test(key)));
+
+    return [end >= allKeys.length ? "0" : String(end), keys];
+  }
+
+  // ---------------------------------------------------------------------
+  // Sets
+  // ---------------------------------------------------------------------
+
+  async sadd(key, ...members) {
+    const set = this._getSet(key, true);
+    let added = 0;
+    for (const member of members.flat()) {
+      if (!set.has(String(member))) {
+        set.add(String(member));
+        added++;
+      }
+    }
+    return added;
+  }
+
+  async srem(key, ...members) {
+    const set = this._getSet(key);
+    if (!set) return 0;
+    let removed = 0;
+    for (const member of members.flat()) {
+      if (set.delete(String(member))) removed++;
+    }
+    if (set.size === 0) this.store.data.delete(key);
+    return removed;
+  }
+
+  async smembers(key) {
+    const set = this._getSet(key);
+    return set ? Array.from(set) : [];
+  }
+
+  async scard(key) {
+    const set = this._getSet(key);
+    return set ? set.size : 0;
+  }
+
+  async sismember(key, member) {
+    const set = this._getSet(key);
+    return set && set.has(String(member)) ? 1 : 0;
+  }
+
+  // ---------------------------------------------------------------------
+  // Hashes
+  // ---------------------------------------------------------------------
+
+  async hincrby(key, field, increment) {
+    const by = Number(increment);
+    if (!Number.isInteger(by)) {
+      throw new Error("ERR value is not an integer or out of range");
+    }
+    const hash = this._getHash(key, true);
+    const current = hash.has(String(field)) ? Number(hash.get(String(field))) : 0;
+    if (!Number.isInteger(current)) {
+      throw new Error("ERR hash value is not an integer");
+    }
+    hash.set(String(field), String(current + by));
+    return current + by;
+  }
+
+  async hget(key, field) {
+    const hash = this._getHash(key);
+    return hash && hash.has(String(field)) ? hash.get(String(field)) : null;
+  }
+
+  /**
+   * HGETALL key - resolves to an object, like ioredis
+   */
+  async hgetall(key) {
+    const hash = this._getHash(key);
+    return hash ? Object.fromEntries(hash) : {};
+  }
+
+  // ---------------------------------------------------------------------
+  // Sorted sets
+  // ---------------------------------------------------------------------
+
+  /**
+   * ZADD key score member [score member ...]
+   */
+  async zadd(key, ...scoresAndMembers) {
+    const args = scoresAndMembers.flat();
+    if (args.length === 0 || args.length % 2 !== 0) {
+      throw new Error("ERR syntax error (ZADD flags are not supported)");
+    }
+    const zset = this._getZset(key, true);
+    let added = 0;
+    for (let i = 0; i < args.length; i += 2) {
+      const score = Number(args[i]);
+      if (Number.isNaN(score)) {
+        throw new Error("ERR value is not a valid float");
+      }
+      if (!zset.has(String(args[i + 1]))) added++;
+      zset.set(String(args[i + 1]), score);
+    }
+    return added;
+  }
+
+  async zrem(key, ...members) {
+    const zset = this._getZset(key);
+    if (!zset) return 0;
+    let removed = 0;
+    for (const member of members.flat()) {
+      if (zset.delete(String(member))) removed++;
+    }
+    if (zset.size === 0) this.store.data.delete(key);
+    return removed;
+  }
+
+  async zcard(key) {
+    const zset = this._getZset(key);
+    return zset ? zset.size : 0;
+  }
+
+  async zscore(key, member) {
+    const zset = this._getZset(key);
+    return zset && zset.has(String(member)) ? String(zset.get(String(member))) : null;
+  }
+
+  /**
+   * ZREMRANGEBYSCORE key min max - inclusive bounds, '-inf' / '+inf' supported
+   */
+  async zremrangebyscore(key, min, max) {
+    const zset = this._getZset(key);
+    if (!zset) return 0;
+    const low = Number(String(min).replace(/inf$/i, "Infinity"));
+    const high = Number(String(max).replace(/inf$/i, "Infinity"));
+    let removed = 0;
+    for (const [member, score] of zset) {
+      if (score >= low && score <= high) {
+        zset.delete(member);
+        removed++;
+      }
+    }
+    if (zset.size === 0) this.store.data.delete(key);
+    return removed;
+  }
+
+  // ---------------------------------------------------------------------
+  // Streams
+  // ---------------------------------------------------------------------
+
+  /**
+   * XADD key [MAXLEN [~|=] count] *|id field value [field value ...]
+   */
+  async xadd(key, ...args) {
+    args = args.flat().map(String);
+    let maxLen = null;
+    if (args[0].toUpperCase() === "MAXLEN") {
+      args.shift();
+      if (args[0] === "~" || args[0] === "=") args.shift();
+      maxLen = Number(args.shift());
+    }
+    const requestedId = args.shift();
+    if (args.length === 0 || args.length % 2 !== 0) {
+      throw new Error("ERR wrong number of arguments for 'xadd' command");
+    }
+
+    const stream = this._getStream(key, true);
+    let id;
+    if (requestedId === "*") {
+      const [lastMs, lastSeq] = stream.lastId.split("-").map(Number);
+      const now = Date.now();
+      id = now > lastMs ? `${now}-0` : `${lastMs}-${lastSeq + 1}`;
+    } else {
+      if (compareStreamIds(requestedId, stream.lastId) <= 0) {
+        throw new Error(
+          "ERR The ID specified in XADD is equal or smaller than the target stream top item"
+        );
+      }
+      id = requestedId;
+    }
+
+    stream.entries.push({ id, fields: args });
+    stream.lastId = id;
+    if (maxLen !== null && stream.entries.length > maxLen) {
+      stream.entries.splice(0, stream.entries.length - maxLen);
+    }
+    return id;
+  }
+
+  async xlen(key) {
+    const stream = this._getStream(key);
+    return stream ? stream.entries.length : 0;
+  }
+
+  /**
+   * XRANGE key start end [COUNT count] ('-' and '+' supported)
+   */
+  async xrange(key, start, end, ...options) {
+    const stream = this._getStream(key);
+    if (!stream) return [];
+    const count =
+      String(options[0] || "").toUpperCase() === "COUNT" ? Number(options[1]) : Infinity;
+    return stream.entries
+      .filter(
+        ({ id }) =>
+          (start === "-" || compareStreamIds(id, start) >= 0) &&
+          (end === "+" || compareStreamIds(id, end) <= 0)
+      )
+      .slice(0, count)
+      .map(({ id, fields }) => [id, [...fields]]);
+  }
+
+  async xdel(key, ...ids) {
+    const stream = this._getStream(key);
+    if (!stream) return 0;
+    const remove = new Set(ids.flat().map(String));
+    const before = stream.entries.length;
+    stream.entries = stream.entries.filter(({ id }) => !remove.has(id));
+    return before - stream.entries.length;
+  }
+
+  /**
+   * XGROUP CREATE key group id|$ [MKSTREAM]
+   */
+  async xgroup(subcommand, key, group, id, ...options) {
+    if (String(subcommand).toUpperCase() !== "CREATE") {
+      throw new Error("ERR InMemoryRedis supports only XGROUP CREATE");
+    }
+    const mkstream = options.some((option) => String(option).toUpperCase() === "MKSTREAM");
+    const stream = this._getStream(key, mkstream);
+    if (!stream) {
+      throw new Error("ERR The XGROUP subcommand requires the key to exist");
+    }
+    if (stream.groups.has(String(group))) {
+      throw new Error("BUSYGROUP Consumer Group name already exists");
+    }
+    stream.groups.set(String(group), {
+      lastId: id === "$" ? stream.lastId : String(id),
+      pending: new Map(), // id -> { consumer, deliveredAt, deliveries }
+    });
+    return "OK";
+  }
+
+  /**
+   * XREADGROUP GROUP group consumer [COUNT count] STREAMS key id
+   *
+   * id '>' delivers new entries, any other id re-reads the consumer's pending
+   * entries after it. BLOCK is not supported (returns immediately).
+   */
+  async xreadgroup(...args) {
+    args = args.flat().map(String);
+    let group;
+    let consumer;
+    let count = Infinity;
+    let i = 0;
+    for (; i < args.length; i++) {
+      const option = args[i].toUpperCase();
+      if (option === "GROUP") {
+        group = args[++i];
+        consumer = args[++i];
+      } else if (option === "COUNT") {
+        count = Number(args[++i]);
+      } else if (option === "BLOCK") {
+        i++;
+      } else if (option === "STREAMS") {
+        break;
+      }
+    }
+    const [key, id] = args.slice(i + 1);
+    const { stream, consumerGroup } = this._getGroup(key, group);
+
+    let entries;
+    if (id === ">") {
+      entries = stream.entries
+        .filter((entry) => compareStreamIds(entry.id, consumerGroup.lastId) > 0)
+        .slice(0, count);
+      if (entries.length > 0) {
+        consumerGroup.lastId = entries[entries.length - 1].id;
+      }
+      for (const entry of entries) {
+        consumerGroup.pending.set(entry.id, { consumer, deliveredAt: Date.now(), deliveries: 1 });
+      }
+    } else {
+      entries = stream.entries
+        .filter((entry) => {
+          const pending = consumerGroup.pending.get(entry.id);
+          return pending && pending.consumer === consumer && compareStreamIds(entry.id, id) > 0;
+        })
+        .slice(0, count);
+    }
+
+    if (entries.length === 0) return null;
+    return [[key, entries.map((entry) => [entry.id, [...entry.fields]])]];
+  }
+
+  async xack(key, group, ...ids) {
+    const stream = this._getStream(key);
+    const consumerGroup = stream && stream.groups.get(String(group));
+    if (!consumerGroup) return 0;
+    let acked = 0;
+    for (const id of ids.flat().map(String)) {
+      if (consumerGroup.pending.delete(id)) acked++;
+    }
+    return acked;
+  }
+
+  /**
+   * XAUTOCLAIM key group consumer min-idle-time start [COUNT count]
+   * @returns {Array} [nextStart, [[id, fields], ...], [deletedId, ...]] (Redis 7 reply)
+   */
+  async xautoclaim(key, group, consumer, minIdleTime, start, ...options) {
+    const { stream, consumerGroup } = this._getGroup(key, group);
+    const count =
+      String(options[0] || "").toUpperCase() === "COUNT" ? Number(options[1]) : 100;
+    const now = Date.now();
+
+    const candidates = Array.from(consumerGroup.pending.keys())
+      .filter((id) => compareStreamIds(id, start === "-" ? "0-0" : String(start)) >= 0)
+      .sort(compareStreamIds);
+
+    const claimed = [];
+    const deleted = [];
+    let next = "0-0";
+    for (const id of candidates) {
+      if (claimed.length + deleted.length >= count) {
+        next = id;
+        break;
+      }
+      const pending = consumerGroup.pending.get(id);
+      if (now - pending.deliveredAt < Number(minIdleTime)) continue;
+
+      const entry = stream.entries.find((streamEntry) => streamEntry.id === id);
+      if (!entry) {
+        consumerGroup.pending.delete(id);
+        deleted.push(id);
+        continue;
+      }
+      pending.consumer = String(consumer);
+      pending.deliveredAt = now;
+      pending.deliveries++;
+      claimed.push([id, [...entry.fields]]);
+    }
+    return [next, claimed, deleted];
+  }
+
+  /**
+   * XPENDING key group - summary form: [count, minId, maxId, [[consumer, count], ...]]
+   */
+  async xpending(key, group) {
+    const { consumerGroup } = this._getGroup(key, group);
+    const ids = Array.from(consumerGroup.pending.keys()).sort(compareStreamIds);
+    if (ids.length === 0) return [0, null, null, null];
+
+    const byConsumer = new Map();
+    for (const { consumer } of consumerGroup.pending.values()) {
+      byConsumer.set(consumer, (byConsumer.get(consumer) || 0) + 1);
+    }
+    return [
+      ids.length,
+      ids[0],
+      ids[ids.length - 1],
+      Array.from(byConsumer, ([consumer, count]) => [consumer, String(count)]),
+    ];
+  }
+
+  // ---------------------------------------------------------------------
+  // Scripts
+  // ---------------------------------------------------------------------
+
+  /**
+   * EVAL script numKeys key [key ...] arg [arg ...]
+   * Only scripts registered with defineScript() are supported.
+   */
+  async eval(script, numKeys, ...keysAndArgs) {
+    const implementation = this.store.scripts.get(normalizeScript(script));
+    if (!implementation) {
+      throw new Error("ERR InMemoryRedis does not support this script");
+    }
+    const keys = keysAndArgs.slice(0, numKeys).map(String);
+    const args = keysAndArgs.slice(numKeys).map(String);
+    return implementation(keys, args, this);
+  }
+
+  // ---------------------------------------------------------------------
+  // Batching
+  // ---------------------------------------------------------------------
+
+  /**
+   * Create a pipeline; commands are chainable and run on exec()
+   * @returns {Object} Pipeline with exec() resolving to [[error, result], ...]
+   */
+  pipeline() {
+    const queue = [];
+    const pipeline = {
+      exec: async () => {
+        const results = [];
+        for (const [command, args] of queue) {
+          try {
+            results.push([null, await this[command](...args)]);
+          } catch (error) {
+            results.push([error, null]);
+          }
+        }
+        return results;
+      },
+    };
+    for (const command of PIPELINE_COMMANDS) {
+      pipeline[command] = (...args) => {
+        queue.push([command, args]);
+        return pipeline;
+      };
+    }
+    return pipeline;
+  }
+
+  /**
+   * MULTI/EXEC - commands already run atomically in a single process
+   */
+  multi() {
+    return this.pipeline();
+  }
+
+  // ---------------------------------------------------------------------
+  // Pub/sub
+  // ---------------------------------------------------------------------
+
+  async publish(channel, message) {
+    let receivers = 0;
+    for (const connection of this.store.subscribers) {
+      if (connection.subscriptions.has(channel)) {
+        receivers++;
+        setImmediate(() => connection.emit("message", channel, String(message)));
+      }
+    }
+    return receivers;
+  }
+
+  async subscribe(...channels) {
+    channels.flat().forEach((channel) => this.subscriptions.add(channel));
+    this.store.subscribers.add(this);
+    return this.subscriptions.size;
+  }
+
+  async unsubscribe(...channels) {
+    const targets = channels.length > 0 ? channels.flat() : Array.from(this.subscriptions);
+    targets.forEach((channel) => this.subscriptions.delete(channel));
+    if (this.subscriptions.size === 0) {
+      this.store.subscribers.delete(this);
+    }
+    return this.subscriptions.size;
+  }
+
+  /**
+   * Create another connection sharing the same data and pub/sub bus
+   * @returns {InMemoryRedis}
+   */
+  duplicate() {
+    return new InMemoryRedis({ store: this.store });
+  }
+
+  // ---------------------------------------------------------------------
+  // Connection
+  // ---------------------------------------------------------------------
+
+  async ping() {
+    return "PONG";
+  }
+
+  async quit() {
+    this.disconnect();
+    return "OK";
+  }
+
+  disconnect() {
+    if (this.status === "end") return;
+    this.unsubscribe();
+    this.status = "end";
+    this.emit("close");
+    this.emit("end");
+  }
+
+  /**
+   * Remove all keys (test helper, mirrors FLUSHDB)
+   */
+  async flushdb() {
+    this.store.data.clear();
+    return "OK";
+  }
+}
+
+module.exports = InMemoryRedis;
+module.exports.globToRegExp = globToRegExp;
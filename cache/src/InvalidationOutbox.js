@@ -0,0 +1,483 @@
+/**
+ * Invalidation Outbox
+ *
+ * Durable invalidation intents in a Redis stream, so a crash between an SQL
+ * commit and invalidateCrossEntity() cannot leave the cache stale until TTL.
+ *
+ * - enqueue() writes { intentId, operation, params } to the stream before
+ *   (or alongside) the DB write
+ * - complete() applies the intent right after the commit (fast path) and
+ *   marks it done
+ * - A worker reads the stream through a consumer group and applies every
+ *   intent not marked done once it is applyDelayMs old, i.e. the intents whose
+ *   writer crashed. Applied or done intents are acknowledged (XACK)
+ * - An apply whose report counts errors (a scan or delete failed, Redis went
+ *   away) fails the attempt: the intent is marked done and acknowledged only
+ *   after a clean apply
+ * - Failed intents stay pending and are reclaimed (XAUTOCLAIM) after
+ *   claimIdleMs by any worker; after maxAttempts they move to a dead-letter
+ *   stream
+ * - Intents are idempotent: the done marker (cache:outbox:done:{intentId})
+ *   keeps an intent from being applied twice, and invalidation itself only
+ *   deletes keys, so applying an intent for a rolled-back write is harmless
+ *
+ * Requires Redis 6.2+ (XAUTOCLAIM).
+ *
+ * Usage:
+ * ```javascript
+ * const intent = await cacheManager.enqueueInvalidation('KEIKKA_UPDATE', { asiakasId, keikkaId });
+ * await keikkaSql.update(keikkaId, changes); // commits
+ * await cacheManager.completeInvalidation(intent);
+ *
+ * // Once per instance (or in the functions app)
+ * cacheManager.startInvalidationWorker();
+ * ```
+ */
+
+const crypto = require("crypto");
+const os = require("os");
+
+const DEFAULT_STREAM_KEY = "cache:outbox";
+const CONSUMER_GROUP = "cache-invalidation";
+const DONE_PREFIX = "cache:outbox:done:";
+const ATTEMPTS_PREFIX = "cache:outbox:attempts:";
+
+class InvalidationOutbox {
+  /**
+   * @param {Object} options - Configuration options
+   * @param {Function} options.getClient - Async function returning the Redis client (or null)
+   * @param {Function} options.apply - Async (operation, params) => report
+   *   (cacheManager.invalidateCrossEntityDetailed); report.errors > 0 fails the apply
+   * @param {Object} options.logger - Logger instance
+   * @param {string} options.streamKey - Stream key (default: 'cache:outbox');
+   *   dead letters go to {streamKey}:dead
+   * @param {number} options.maxLength - Approximate stream length cap (default: 100000)
+   * @param {number} options.applyDelayMs - Worker waits until an intent is this old (default: 30000)
+   * @param {number} options.maxAttempts - Worker attempts before dead-lettering (default: 5)
+   * @param {number} options.claimIdleMs - Retry/reclaim pending intents idle this long (default: 30000)
+   * @param {number} options.doneTtlSeconds - How long done markers are kept (default: 86400)
+   */
+  constructor(options = {}) {
+    this.getClient = options.getClient;
+    this.apply = options.apply;
+    this.logger = options.logger;
+    this.streamKey = options.streamKey || DEFAULT_STREAM_KEY;
+    this.deadLetterKey = `${this.streamKey}:dead`;
+    this.maxLength = options.maxLength || 100000;
+    this.applyDelayMs = options.applyDelayMs ?? 30000;
+    this.maxAttempts = options.maxAttempts || 5;
+    this.claimIdleMs = options.claimIdleMs || 30000;
+    this.doneTtlSeconds = options.doneTtlSeconds || 86400;
+
+    this.groupReady = false;
+    this.worker = null; // { consumer, timer, stopped, wake, polling }
+    this.stats = { applied: 0, skipped: 0, failed: 0, deadLettered: 0, lastError: null };
+  }
+
+  /**
+   * Durably record an invalidation intent
+   *
+   * @param {string} operation - Invalidation operation (as for invalidateCrossEntity)
+   * @param {Object} params - Invalidation params (JSON-serializable)
+   * @param {Object} options - Enqueue options
+   * @param {string} options.intentId - Idempotency key (default: random UUID); intents with
+   *   the same id are applied once
+   * @returns {Promise<Object|null>} Intent { intentId, streamId, operation, params },
+   *   or null if Redis is unavailable (invalidate directly after the commit instead)
+   */
+  async enqueue(operation, params = {}, options = {}) {
+    if (!operation || typeof operation !== "string") {
+      throw new Error("Outbox intent requires an operation");
+    }
+    const intent = {
+      intentId: options.intentId || crypto.randomUUID(),
+      operation,
+      params,
+    };
+
+    try {
+      const redis = await this.getClient();
+      if (!redis) {
+        this.logger.warn("Invalidation outbox unavailable, intent not enqueued", { operation });
+        return null;
+      }
+
+      intent.streamId = await redis.xadd(
+        this.streamKey,
+        "MAXLEN",
+        "~",
+        this.maxLength,
+        "*",
+        ...this._toFields(intent)
+      );
+      return intent;
+    } catch (error) {
+      this.logger.error("Invalidation outbox enqueue failed", { operation, error: error.message });
+      return null;
+    }
+  }
+
+  /**
+   * Apply an enqueued intent now and mark it done (fast path after the commit)
+   *
+   * Always applies, even if a worker already did (a worker may have run
+   * before the commit). Errors, including a report with errors, are logged
+   * and the intent is left to the worker.
+   *
+   * @param {Object} intent - Intent returned by enqueue()
+   * @returns {Promise<Object|null>} Invalidation report, or null if not applied cleanly
+   */
+  async complete(intent) {
+    if (!intent) return null;
+
+    try {
+      const redis = await this.getClient();
+      if (!redis) return null;
+
+      const report = await this._apply(intent);
+      await redis.set(`${DONE_PREFIX}${intent.intentId}`, "1", "EX", this.doneTtlSeconds);
+      return report;
+    } catch (error) {
+      this.logger.error("Invalidation outbox apply failed, left to the worker", {
+        intentId: intent.intentId,
+        operation: intent.operation,
+        error: error.message,
+      });
+      return null;
+    }
+  }
+
+  /**
+   * Enqueue, run the DB write, then complete
+   *
+   * If fn throws, the error is re-thrown and the intent is left to the
+   * worker (applying it for a rolled-back write is harmless).
+   *
+   * @param {string} operation - Invalidation operation
+   * @param {Object} params - Invalidation params
+   * @param {Function} fn - Async (intent) => result, the DB write
+   * @param {Object} options - enqueue() options
+   * @returns {Promise<any>} Result of fn
+   */
+  async run(operation, params, fn, options = {}) {
+    const intent = await this.enqueue(operation, params, options);
+    const result = await fn(intent);
+    if (intent) {
+      await this.complete(intent);
+    } else {
+      // Not enqueued (Redis unavailable): best effort, like a plain invalidation
+      await this.apply(operation, params).catch(() => {});
+    }
+    return result;
+  }
+
+  /**
+   * Start the consumer worker
+   *
+   * @param {Object} options - Worker options
+   * @param {string} options.consumer - Consumer name (default: hostname:pid)
+   * @param {number} options.pollIntervalMs - Poll interval (default: 1000)
+   * @param {number} options.batchSize - Entries per read (default: 50)
+   */
+  start(options = {}) {
+    if (this.worker) return;
+
+    this.worker = {
+      consumer: options.consumer || `${os.hostname()}:${process.pid}`,
+      pollIntervalMs: options.pollIntervalMs || 1000,
+      batchSize: options.batchSize || 50,
+      timer: null,
+      stopped: false,
+      wake: null, // resolves the current applyDelay wait on stop()
+      polling: null,
+    };
+    this._schedule(0);
+    this.logger.info("Invalidation outbox worker started", { consumer: this.worker.consumer });
+  }
+
+  /**
+   * Stop the worker (waits for the current batch to finish)
+   */
+  async stop() {
+    const worker = this.worker;
+    if (!worker) return;
+
+    worker.stopped = true;
+    clearTimeout(worker.timer);
+    if (worker.wake) worker.wake();
+    await worker.polling;
+    this.worker = null;
+  }
+
+  /**
+   * Poll once: reclaim stale pending intents, then read new ones
+   * @returns {Promise<number>} Entries processed
+   */
+  async poll() {
+    const worker = this.worker || { consumer: `${os.hostname()}:${process.pid}`, batchSize: 50 };
+    const redis = await this.getClient();
+    if (!redis) return 0;
+
+    await this._ensureGroup(redis);
+
+    const [, claimed] = await redis.xautoclaim(
+      this.streamKey,
+      CONSUMER_GROUP,
+      worker.consumer,
+      this.claimIdleMs,
+      "0-0",
+      "COUNT",
+      worker.batchSize
+    );
+    const read = await redis.xreadgroup(
+      "GROUP",
+      CONSUMER_GROUP,
+      worker.consumer,
+      "COUNT",
+      worker.batchSize,
+      "STREAMS",
+      this.streamKey,
+      ">"
+    );
+    const entries = [...claimed, ...(read ? read[0][1] : [])];
+
+    let processed = 0;
+    for (const [streamId, fields] of entries) {
+      if (worker.stopped) break;
+      await this._process(redis, streamId, fields);
+      processed++;
+    }
+    return processed;
+  }
+
+  /**
+   * Stream length, pending and dead-lettered intents, worker counters
+   * @returns {Promise<Object>} { streamLength, pending, deadLetters, worker }
+   */
+  async getStatus() {
+    const status = {
+      streamLength: null,
+      pending: null,
+      deadLetters: null,
+      worker: {
+        running: !!this.worker,
+        consumer: this.worker ? this.worker.consumer : null,
+        ...this.stats,
+      },
+    };
+
+    const redis = await this.getClient();
+    if (!redis) return status;
+
+    await this._ensureGroup(redis);
+    const [streamLength, pending, deadLetters] = await Promise.all([
+      redis.xlen(this.streamKey),
+      redis.xpending(this.streamKey, CONSUMER_GROUP),
+      redis.xlen(this.deadLetterKey),
+    ]);
+    return { ...status, streamLength, pending: Number(pending[0]), deadLetters };
+  }
+
+  /**
+   * Apply one delivered intent (unless done) and acknowledge it
+   * @private
+   */
+  async _process(redis, streamId, fields) {
+    let intent;
+    try {
+      intent = this._fromFields(fields);
+    } catch (error) {
+      // Malformed entry: retrying cannot help
+      await this._deadLetter(redis, streamId, fields, { intentId: null }, error, 0);
+      return;
+    }
+    const doneKey = `${DONE_PREFIX}${intent.intentId}`;
+
+    if (await redis.exists(doneKey)) {
+      await redis.xack(this.streamKey, CONSUMER_GROUP, streamId);
+      this.stats.skipped++;
+      return;
+    }
+
+    // Give the writer time to commit and complete() the intent itself
+    const dueIn = intent.enqueuedAt + this.applyDelayMs - Date.now();
+    if (dueIn > 0) {
+      await this._wait(dueIn);
+      if (this.worker?.stopped) return; // Still pending; reclaimed after restart
+      if (await redis.exists(doneKey)) {
+        await redis.xack(this.streamKey, CONSUMER_GROUP, streamId);
+        this.stats.skipped++;
+        return;
+      }
+    }
+
+    try {
+      await this._apply(intent);
+      await redis.set(doneKey, "1", "EX", this.doneTtlSeconds);
+      await redis.xack(this.streamKey, CONSUMER_GROUP, streamId);
+      this.stats.applied++;
+      this.logger.info("Outbox invalidation applied", {
+        intentId: intent.intentId,
+        operation: intent.operation,
+      });
+    } catch (error) {
+      await this._recordFailure(redis, streamId, fields, intent, error);
+    }
+  }
+
+  /**
+   * Apply an intent; throws if the invalidation reported errors, as it may
+   * have left keys behind
+   * @private
+   */
+  async _apply(intent) {
+    const report = await this.apply(intent.operation, intent.params);
+    if (report?.errors > 0) {
+      throw new Error(`Invalidation incomplete: ${report.errors} Redis error(s)`);
+    }
+    return report;
+  }
+
+  /**
+   * Count a failed attempt; dead-letter the intent after maxAttempts
+   * @private
+   */
+  async _recordFailure(redis, streamId, fields, intent, error) {
+    this.stats.failed++;
+    this.stats.lastError = error.message;
+
+    const attemptsKey = `${ATTEMPTS_PREFIX}${intent.intentId}`;
+    const attempts = await redis.incr(attemptsKey);
+    await redis.expire(attemptsKey, this.doneTtlSeconds);
+
+    if (attempts < this.maxAttempts) {
+      this.logger.warn("Outbox invalidation failed, will retry", {
+        intentId: intent.intentId,
+        operation: intent.operation,
+        attempts,
+        error: error.message,
+      });
+      return; // Left pending: reclaimed by XAUTOCLAIM after claimIdleMs
+    }
+    await this._deadLetter(redis, streamId, fields, intent, error, attempts);
+  }
+
+  /**
+   * Move an intent to the dead-letter stream and acknowledge it
+   * @private
+   */
+  async _deadLetter(redis, streamId, fields, intent, error, attempts) {
+    await redis.xadd(
+      this.deadLetterKey,
+      "MAXLEN",
+      "~",
+      this.maxLength,
+      "*",
+      ...fields,
+      "error",
+      error.message,
+      "attempts",
+      String(attempts)
+    );
+    await redis.xack(this.streamKey, CONSUMER_GROUP, streamId);
+    this.stats.deadLettered++;
+    this.logger.error("Outbox invalidation dead-lettered", {
+      intentId: intent.intentId,
+      operation: intent.operation,
+      attempts,
+      error: error.message,
+    });
+  }
+
+  /**
+   * Create the consumer group (once per process; BUSYGROUP means it exists)
+   * @private
+   */
+  async _ensureGroup(redis) {
+    if (this.groupReady) return;
+    try {
+      await redis.xgroup("CREATE", this.streamKey, CONSUMER_GROUP, "0", "MKSTREAM");
+    } catch (error) {
+      if (!String(error.message).startsWith("BUSYGROUP")) throw error;
+    }
+    this.groupReady = true;
+  }
+
+  /**
+   * Schedule the next poll
+   * @private
+   */
+  _schedule(delayMs) {
+    const worker = this.worker;
+    worker.timer = setTimeout(() => {
+      worker.polling = this.poll()
+        .catch((error) => {
+          this.groupReady = false; // The stream may have been deleted (e.g. FLUSHDB)
+          this.logger.error("Invalidation outbox poll failed", { error: error.message });
+          return 0;
+        })
+        .then((processed) => {
+          if (!worker.stopped) {
+            this._schedule(processed > 0 ? 0 : worker.pollIntervalMs);
+          }
+        });
+    }, delayMs);
+    if (typeof worker.timer.unref === "function") {
+      worker.timer.unref();
+    }
+  }
+
+  /**
+   * Sleep that stop() can cut short
+   * @private
+   */
+  _wait(ms) {
+    return new Promise((resolve) => {
+      const timer = setTimeout(resolve, ms);
+      if (this.worker) {
+        this.worker.wake = () => {
+          clearTimeout(timer);
+          resolve();
+        };
+      }
+    });
+  }
+
+  /**
+   * @private
+   */
+  _toFields(intent) {
+    return [
+      "intentId",
+      intent.intentId,
+      "operation",
+      intent.operation,
+      "params",
+      JSON.stringify(intent.params || {}),
+      "enqueuedAt",
+      String(Date.now()),
+    ];
+  }
+
+  /**
+   * @private
+   * @throws {Error} If the entry is malformed
+   */
+  _fromFields(fields) {
+    const values = {};
+    for (let i = 0; i < fields.length; i += 2) {
+      values[fields[i]] = fields[i + 1];
+    }
+    if (!values.intentId || !values.operation) {
+      throw new Error("Malformed outbox entry: intentId and operation are required");
+    }
+    return {
+      intentId: values.intentId,
+      operation: values.operation,
+      params: JSON.parse(values.params || "{}"),
+      enqueuedAt: Number(values.enqueuedAt) || 0,
+    };
+  }
+}
+
+module.exports = InvalidationOutbox;
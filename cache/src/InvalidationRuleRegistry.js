@@ -0,0 +1,290 @@
+/**
+ * Invalidation Rule Registry
+ *
+ * Holds the declarative rules that drive UniversalCacheManager.invalidateCrossEntity().
+ * Each rule is a plain data object describing which operations it reacts to,
+ * which entity types / key patterns it clears and which params it needs.
+ *
+ * Rule shape:
+ * ```javascript
+ * {
+ *   name: 'keikka-crud',                     // Unique rule name (reported when the rule fires)
+ *   operations: ['KEIKKA_UPDATE'],           // Operation names this rule handles
+ *   description: 'Delivery order changes',   // Optional human-readable description
+ *   requiredParams: ['asiakasId'],           // Optional - rule is skipped if any is missing
+ *   flushTenant: true,                       // Optional - see "Tenant flush" below
+ *   targets: [
+ *     { entityType: 'keikka' },                            // invalidate(operation, 'keikka', params)
+ *     { entityType: 'grid', smart: true },                 // invalidateGridSmart(operation, body, params)
+ *     { entityType: 'auth', patterns: ['auth:*'] },        // invalidateByPattern() for each pattern
+ *     { entityType: 'auth', patterns: (p) => [`auth:*:${p.personId}*`] },
+ *     { entityType: 'keikka', tags: (p) => [`keikka:${p.keikkaId}`] }, // invalidateTags() - no SCAN
+ *     { entityType: 'vehicle', when: (p) => !!p.vehicleId }, // conditional target
+ *     { entityType: 'asiakas', params: (p) => ({ ...p, asiakasId: p.linkedAsiakasId }) },
+ *     { entityType: 'auth', patterns: ['auth:*'], global: true }, // not only this tenant's keys
+ *   ],
+ * }
+ * ```
+ *
+ * Tenant flush: when the cache manager has versioned namespaces enabled and
+ * params.asiakasId is set, a rule with `flushTenant: true` (or a function
+ * `(params, operation) => boolean`) also bumps the tenant's namespace
+ * generation, dropping all of the tenant's namespaced keys at once. Its
+ * targets then only scan keys cached without asiakasId (not namespaced);
+ * targets marked `global: true` (other tenants' or shared keys) also scan
+ * namespaced keys.
+ *
+ * Apps register their own rules at startup:
+ * ```javascript
+ * cacheManager.registerInvalidationRule({
+ *   name: 'raportti-update',
+ *   operations: ['RAPORTTI_UPDATE'],
+ *   targets: [{ entityType: 'stat' }],
+ * });
+ * ```
+ */
+
+class InvalidationRuleRegistry {
+  /**
+   * @param {Object} options - Configuration options
+   * @param {Array<Object>} options.rules - Initial rules to register (e.g. DEFAULT_INVALIDATION_RULES)
+   */
+  constructor(options = {}) {
+    this.rules = new Map(); // name -> rule
+    this.byOperation = new Map(); // operation -> [ruleName, ...]
+
+    this.registerRules(options.rules || []);
+  }
+
+  /**
+   * Register a single invalidation rule
+   *
+   * Rules are additive: several rules may handle the same operation and all of
+   * them fire. Use `options.replace` to take the rule's operations over from
+   * existing rules (e.g. to override a default rule); an existing rule keeps
+   * its other operations and is only removed once it has none left.
+   *
+   * @param {Object} rule - Rule definition (see module docs for shape)
+   * @param {Object} options - Registration options
+   * @param {boolean} options.replace - Detach existing rules from the same operations first
+   * @returns {Object} The registered rule
+   */
+  registerRule(rule, options = {}) {
+    this._validateRule(rule);
+
+    if (this.rules.has(rule.name)) {
+      throw new Error(`Invalidation rule already registered: ${rule.name}`);
+    }
+
+    if (options.replace) {
+      for (const operation of rule.operations) {
+        for (const ruleName of this.byOperation.get(operation) || []) {
+          this._detachOperation(ruleName, operation);
+        }
+      }
+    }
+
+    const frozenRule = Object.freeze({
+      description: "",
+      requiredParams: [],
+      ...rule,
+      operations: [...rule.operations],
+      targets: rule.targets.map((target) => Object.freeze({ ...target })),
+    });
+
+    this.rules.set(frozenRule.name, frozenRule);
+    for (const operation of frozenRule.operations) {
+      if (!this.byOperation.has(operation)) {
+        this.byOperation.set(operation, []);
+      }
+      this.byOperation.get(operation).push(frozenRule.name);
+    }
+
+    return frozenRule;
+  }
+
+  /**
+   * Register several rules at once
+   * @param {Array<Object>} rules - Rule definitions
+   * @param {Object} options - Registration options passed to registerRule()
+   */
+  registerRules(rules, options = {}) {
+    for (const rule of rules) {
+      this.registerRule(rule, options);
+    }
+  }
+
+  /**
+   * Remove a rule by name
+   * @param {string} name - Rule name
+   * @returns {boolean} True if the rule existed
+   */
+  unregisterRule(name) {
+    const rule = this.rules.get(name);
+    if (!rule) return false;
+
+    this.rules.delete(name);
+    for (const operation of rule.operations) {
+      const names = (this.byOperation.get(operation) || []).filter((n) => n !== name);
+      if (names.length > 0) {
+        this.byOperation.set(operation, names);
+      } else {
+        this.byOperation.delete(operation);
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Stop a rule from handling one operation, removing the rule if it was its last
+   * @private
+   */
+  _detachOperation(name, operation) {
+    const rule = this.rules.get(name);
+    const operations = rule.operations.filter((op) => op !== operation);
+    if (operations.length === 0) {
+      this.unregisterRule(name);
+      return;
+    }
+
+    this.rules.set(name, Object.freeze({ ...rule, operations }));
+    const names = this.byOperation.get(operation).filter((n) => n !== name);
+    if (names.length > 0) {
+      this.byOperation.set(operation, names);
+    } else {
+      this.byOperation.delete(operation);
+    }
+  }
+
+  /**
+   * Get all rules that handle an operation, in registration order
+   * @param {string} operation - Operation name (e.g. 'KEIKKA_UPDATE')
+   * @returns {Array<Object>} Matching rules (empty if none)
+   */
+  getRulesForOperation(operation) {
+    return (this.byOperation.get(operation) || []).map((name) => this.rules.get(name));
+  }
+
+  /**
+   * Check whether any rule handles an operation
+   * @param {string} operation - Operation name
+   * @returns {boolean}
+   */
+  hasOperation(operation) {
+    return this.byOperation.has(operation);
+  }
+
+  /**
+   * Get a rule by name
+   * @param {string} name - Rule name
+   * @returns {Object|undefined}
+   */
+  getRule(name) {
+    return this.rules.get(name);
+  }
+
+  /**
+   * List all registered operations
+   * @returns {Array<string>} Sorted operation names
+   */
+  getOperations() {
+    return Array.from(this.byOperation.keys()).sort();
+  }
+
+  /**
+   * Get a serializable summary of all rules (for monitoring/debugging)
+   * @returns {Array<Object>} Rule summaries
+   */
+  describe() {
+    return Array.from(this.rules.values()).map((rule) => ({
+      name: rule.name,
+      description: rule.description,
+      operations: rule.operations,
+      requiredParams: rule.requiredParams,
+      flushTenant:
+        typeof rule.flushTenant === "function" ? "conditional" : !!rule.flushTenant,
+      targets: rule.targets.map((target) => ({
+        entityType: target.entityType,
+        smart: !!target.smart,
+        global: !!target.global,
+        conditional: typeof target.when === "function",
+        patterns: Array.isArray(target.patterns)
+          ? target.patterns
+          : typeof target.patterns === "function"
+            ? "dynamic"
+            : undefined,
+        tags: Array.isArray(target.tags)
+          ? target.tags
+          : typeof target.tags === "function"
+            ? "dynamic"
+            : undefined,
+      })),
+    }));
+  }
+
+  /**
+   * Validate rule shape
+   * @private
+   */
+  _validateRule(rule) {
+    if (!rule || typeof rule !== "object") {
+      throw new Error("Invalidation rule must be an object");
+    }
+    if (!rule.name || typeof rule.name !== "string") {
+      throw new Error("Invalidation rule requires a name");
+    }
+    if (!Array.isArray(rule.operations) || rule.operations.length === 0) {
+      throw new Error(`Invalidation rule ${rule.name} requires at least one operation`);
+    }
+    if (!Array.isArray(rule.targets) || rule.targets.length === 0) {
+      throw new Error(`Invalidation rule ${rule.name} requires at least one target`);
+    }
+    if (rule.requiredParams && !Array.isArray(rule.requiredParams)) {
+      throw new Error(`Invalidation rule ${rule.name}: requiredParams must be an array`);
+    }
+    if (
+      rule.flushTenant !== undefined &&
+      typeof rule.flushTenant !== "boolean" &&
+      typeof rule.flushTenant !== "function"
+    ) {
+      throw new Error(
+        `Invalidation rule ${rule.name}: flushTenant must be a boolean or a function`
+      );
+    }
+
+    for (const target of rule.targets) {
+      if (!target || !target.entityType) {
+        throw new Error(`Invalidation rule ${rule.name}: every target needs an entityType`);
+      }
+      if (
+        target.patterns !== undefined &&
+        !Array.isArray(target.patterns) &&
+        typeof target.patterns !== "function"
+      ) {
+        throw new Error(
+          `Invalidation rule ${rule.name}: target patterns must be an array or a function`
+        );
+      }
+      if (
+        target.tags !== undefined &&
+        !Array.isArray(target.tags) &&
+        typeof target.tags !== "function"
+      ) {
+        throw new Error(
+          `Invalidation rule ${rule.name}: target tags must be an array or a function`
+        );
+      }
+      if (target.when !== undefined && typeof target.when !== "function") {
+        throw new Error(`Invalidation rule ${rule.name}: target when must be a function`);
+      }
+      if (target.params !== undefined && typeof target.params !== "function") {
+        throw new Error(`Invalidation rule ${rule.name}: target params must be a function`);
+      }
+      if (target.global !== undefined && typeof target.global !== "boolean") {
+        throw new Error(`Invalidation rule ${rule.name}: target global must be a boolean`);
+      }
+    }
+  }
+}
+
+module.exports = InvalidationRuleRegistry;
@@ -0,0 +1,278 @@
+/**
+ * Job Runner
+ *
+ * Lock-protected runner for cron-style jobs shared by several instances
+ * (API server slots, functions app).
+ *
+ * - Each job has a unique name and runs under the distributed lock job:<name>
+ *   (auto-renewed while the job runs)
+ * - Policy 'skip': a run is skipped while the job runs anywhere else
+ * - Policy 'queue': a run waits (up to queueTimeoutMs) for the running job
+ *   to finish and then runs
+ * - The last run and the last failure are stored in Redis
+ *   (cache:job:<name>:lastRun / :lastFailure), so any instance can report them
+ *
+ * Usage:
+ * ```javascript
+ * cacheManager.registerJob('tila-cron', () => updateKeikkaTilat(), {
+ *   ttlMs: 120000,
+ *   policy: 'skip',
+ * });
+ *
+ * // Timer trigger / node-cron callback on every instance
+ * const report = await cacheManager.runJob('tila-cron');
+ * // -> { name, status: 'completed' | 'failed' | 'skipped', durationMs, ... }
+ * ```
+ */
+
+const os = require("os");
+
+const JOB_LOCK_PREFIX = "job:";
+const JOB_RECORD_PREFIX = "cache:job:";
+const POLICIES = new Set(["skip", "queue"]);
+
+class JobRunner {
+  /**
+   * @param {Object} options - Configuration options
+   * @param {Function} options.getLockManager - Async function returning a DistributedLockManager (or null)
+   * @param {Function} options.getClient - Async function returning the Redis client (or null)
+   * @param {Object} options.logger - Logger instance
+   * @param {number} options.recordTtlSeconds - How long run records are kept (default: 2592000 = 30 days)
+   */
+  constructor(options = {}) {
+    this.getLockManager = options.getLockManager;
+    this.getClient = options.getClient;
+    this.logger = options.logger;
+    this.recordTtlSeconds = options.recordTtlSeconds || 2592000;
+    this.instance = `${os.hostname()}:${process.pid}`;
+
+    this.jobs = new Map(); // name -> job definition
+    this.running = new Map(); // name -> Promise of the local run
+  }
+
+  /**
+   * Register a job
+   *
+   * @param {string} name - Unique job name
+   * @param {Function} fn - Async (context) => result; context: { name, lock, fencingToken }
+   * @param {Object} options - Job options
+   * @param {number} options.ttlMs - Lock TTL, renewed while running (default: 60000)
+   * @param {string} options.policy - 'skip' (default) or 'queue'
+   * @param {number} options.queueTimeoutMs - Max wait for the lock with 'queue' (default: ttlMs)
+   * @returns {Object} The registered job
+   */
+  register(name, fn, options = {}) {
+    if (!name || typeof name !== "string") {
+      throw new Error("Job requires a name");
+    }
+    if (this.jobs.has(name)) {
+      throw new Error(`Job already registered: ${name}`);
+    }
+    if (typeof fn !== "function") {
+      throw new Error(`Job ${name}: fn must be a function`);
+    }
+    const policy = options.policy || "skip";
+    if (!POLICIES.has(policy)) {
+      throw new Error(`Job ${name}: unknown policy ${policy} (expected 'skip' or 'queue')`);
+    }
+
+    const ttlMs = options.ttlMs || 60000;
+    const job = Object.freeze({
+      name,
+      fn,
+      ttlMs,
+      policy,
+      queueTimeoutMs: options.queueTimeoutMs ?? ttlMs,
+    });
+    this.jobs.set(name, job);
+    return job;
+  }
+
+  /**
+   * Remove a job
+   * @param {string} name - Job name
+   * @returns {boolean} True if the job existed
+   */
+  unregister(name) {
+    return this.jobs.delete(name);
+  }
+
+  /**
+   * Run a job under its lock
+   *
+   * Job errors are logged and recorded as the last failure, not thrown.
+   *
+   * @param {string} name - Job name
+   * @returns {Promise<Object>} { name, status, startedAt, durationMs, result?, error?, reason? }
+   * @throws {Error} If the job is not registered
+   */
+  async run(name) {
+    const job = this.jobs.get(name);
+    if (!job) {
+      throw new Error(`Unknown job: ${name}`);
+    }
+
+    const localRun = this.running.get(name);
+    if (localRun) {
+      if (job.policy === "skip") {
+        return this._skipped(job, "already running in this process");
+      }
+      await localRun.catch(() => {});
+      return await this.run(name);
+    }
+
+    const promise = this._runLocked(job);
+    this.running.set(name, promise);
+    try {
+      return await promise;
+    } finally {
+      if (this.running.get(name) === promise) {
+        this.running.delete(name);
+      }
+    }
+  }
+
+  /**
+   * Get the stored state of a job
+   * @param {string} name - Job name
+   * @returns {Promise<Object>} { name, policy, running, lastRun, lastFailure }
+   */
+  async getStatus(name) {
+    const job = this.jobs.get(name);
+    const client = await this.getClient();
+    if (!client) {
+      return {
+        name,
+        policy: job?.policy,
+        running: this.running.has(name),
+        lastRun: null,
+        lastFailure: null,
+      };
+    }
+
+    const [running, lastRun, lastFailure] = await Promise.all([
+      client.exists(`lock:${JOB_LOCK_PREFIX}${name}`),
+      client.get(`${JOB_RECORD_PREFIX}${name}:lastRun`),
+      client.get(`${JOB_RECORD_PREFIX}${name}:lastFailure`),
+    ]);
+
+    return {
+      name,
+      policy: job?.policy,
+      running: running === 1 || this.running.has(name),
+      lastRun: this._parseRecord(lastRun),
+      lastFailure: this._parseRecord(lastFailure),
+    };
+  }
+
+  /**
+   * Get the stored state of every registered job
+   * @returns {Promise<Array<Object>>} Job statuses
+   */
+  async getStatuses() {
+    return await Promise.all(Array.from(this.jobs.keys()).map((name) => this.getStatus(name)));
+  }
+
+  /**
+   * Acquire the job lock, run the job and store the outcome
+   * @private
+   */
+  async _runLocked(job) {
+    const lockManager = await this.getLockManager();
+    if (!lockManager) {
+      return this._skipped(job, "Redis unavailable");
+    }
+
+    const waitTimeoutMs = job.policy === "queue" ? job.queueTimeoutMs : 0;
+    const lock = await lockManager.acquireLock(`${JOB_LOCK_PREFIX}${job.name}`, {
+      ttlMs: job.ttlMs,
+      waitTimeoutMs,
+      autoRenew: true,
+      fencing: true,
+    });
+    if (!lock) {
+      return this._skipped(
+        job,
+        job.policy === "queue" ? "queue timeout" : "already running on another instance"
+      );
+    }
+
+    const startedAt = Date.now();
+    const report = { name: job.name, startedAt: new Date(startedAt).toISOString() };
+    try {
+      report.result = await job.fn({ name: job.name, lock, fencingToken: lock.fencingToken });
+      report.status = "completed";
+    } catch (error) {
+      report.status = "failed";
+      report.error = error.message;
+      this.logger.error("Job failed", { name: job.name, error: error.message });
+    } finally {
+      report.durationMs = Date.now() - startedAt;
+      await lock.release();
+    }
+
+    await this._store(job, report);
+    this.logger.info("Job finished", {
+      name: job.name,
+      status: report.status,
+      durationMs: report.durationMs,
+    });
+    return report;
+  }
+
+  /**
+   * Store the last run (and last failure) record
+   * @private
+   */
+  async _store(job, report) {
+    const record = JSON.stringify({
+      status: report.status,
+      startedAt: report.startedAt,
+      finishedAt: new Date().toISOString(),
+      durationMs: report.durationMs,
+      instance: this.instance,
+      error: report.error,
+    });
+
+    try {
+      const client = await this.getClient();
+      if (!client) return;
+
+      const pipeline = client.pipeline();
+      pipeline.set(`${JOB_RECORD_PREFIX}${job.name}:lastRun`, record, "EX", this.recordTtlSeconds);
+      if (report.status === "failed") {
+        pipeline.set(
+          `${JOB_RECORD_PREFIX}${job.name}:lastFailure`,
+          record,
+          "EX",
+          this.recordTtlSeconds
+        );
+      }
+      await pipeline.exec();
+    } catch (error) {
+      this.logger.warn("Job record store failed", { name: job.name, error: error.message });
+    }
+  }
+
+  /**
+   * @private
+   */
+  _skipped(job, reason) {
+    this.logger.info("Job skipped", { name: job.name, reason });
+    return { name: job.name, status: "skipped", reason, durationMs: 0 };
+  }
+
+  /**
+   * @private
+   */
+  _parseRecord(raw) {
+    if (!raw) return null;
+    try {
+      return JSON.parse(raw);
+    } catch (error) {
+      return null;
+    }
+  }
+}
+
+module.exports = JobRunner;
@@ -0,0 +1,109 @@
+/**
+ * Memory Cache - bounded in-process LRU with per-entry TTL
+ *
+ * Used as the optional L1 tier in front of Redis (L2) by UniversalCacheManager.
+ * Stores serialized values so callers never share mutable object references.
+ *
+ * Map iteration order is insertion order, so re-inserting on read keeps the
+ * most recently used entries at the end and the eviction candidate first.
+ */
+
+class MemoryCache {
+  /**
+   * @param {Object} options - Configuration options
+   * @param {number} options.maxEntries - Maximum number of entries before LRU eviction (default: 1000)
+   */
+  constructor(options = {}) {
+    this.maxEntries = options.maxEntries || 1000;
+    this.entries = new Map(); // key -> { value, expiresAt }
+    this.evictions = 0;
+  }
+
+  /**
+   * Get a value, refreshing its LRU position
+   * @param {string} key - Cache key
+   * @returns {string|undefined} Stored value or undefined if missing/expired
+   */
+  get(key) {
+    const entry = this.entries.get(key);
+    if (!entry) return undefined;
+
+    if (Date.now() >= entry.expiresAt) {
+      this.entries.delete(key);
+      return undefined;
+    }
+
+    // Move to most-recently-used position
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    return entry.value;
+  }
+
+  /**
+   * Store a value
+   * @param {string} key - Cache key
+   * @param {string} value - Serialized value
+   * @param {number} ttlSeconds - Time to live in seconds
+   */
+  set(key, value, ttlSeconds) {
+    this.entries.delete(key);
+    this.entries.set(key, { value, expiresAt: Date.now() + ttlSeconds * 1000 });
+
+    while (this.entries.size > this.maxEntries) {
+      const oldestKey = this.entries.keys().next().value;
+      this.entries.delete(oldestKey);
+      this.evictions++;
+    }
+  }
+
+  /**
+   * Delete a single key
+   * @param {string} key - Cache key
+   * @returns {boolean} True if the key existed
+   */
+  delete(key) {
+    return this.entries.delete(key);
+  }
+
+  /**
+   * Delete several keys
+   * @param {Array<string>} keys - Cache keys
+   * @returns {number} Number of keys that existed
+   */
+  deleteMany(keys) {
+    let deleted = 0;
+    for (const key of keys) {
+      if (this.entries.delete(key)) deleted++;
+    }
+    return deleted;
+  }
+
+  /**
+   * Remove all entries
+   */
+  clear() {
+    this.entries.clear();
+  }
+
+  /**
+   * Current number of entries (including not-yet-purged expired ones)
+   * @returns {number}
+   */
+  get size() {
+    return this.entries.size;
+  }
+
+  /**
+   * Get cache statistics
+   * @returns {Object} { size, maxEntries, evictions }
+   */
+  getStats() {
+    return {
+      size: this.entries.size,
+      maxEntries: this.maxEntries,
+      evictions: this.evictions,
+    };
+  }
+}
+
+module.exports = MemoryCache;
@@ -0,0 +1,357 @@
+/**
+ * OpenMetrics Exporter
+ *
+ * Renders CacheMetrics in the OpenMetrics / Prometheus text exposition format
+ * so cache behaviour can be scraped instead of polled as JSON.
+ *
+ * - Counters per entity type (hits, misses, sets, invalidations, loads, tiers)
+ * - Counters per operation (count and total duration of withRedis operations)
+ * - Lock and invalidation pattern counters
+ * - Histograms: hit/miss response time (seconds) and stored value size (bytes)
+ *
+ * Lock counters are not labelled by resource: read-through lock resources
+ * contain cache keys and would explode label cardinality.
+ *
+ * Usage:
+ * ```javascript
+ * app.get('/metrics/cache', (req, res) => {
+ *   const format = OpenMetricsExporter.negotiateFormat(req.get('accept'));
+ *   res.type(OpenMetricsExporter.contentType(format));
+ *   res.send(cacheManager.getOpenMetrics({ format }));
+ * });
+ * ```
+ */
+
+const { SIZE_BUCKETS, RESPONSE_TIME_BUCKETS } = require("./CacheMetrics");
+
+const CONTENT_TYPES = {
+  openmetrics: "application/openmetrics-text; version=1.0.0; charset=utf-8",
+  prometheus: "text/plain; version=0.0.4; charset=utf-8",
+};
+
+class OpenMetricsExporter {
+  /**
+   * @param {Object} options - Configuration options
+   * @param {Object} options.cacheMetrics - CacheMetrics instance (or compatible)
+   * @param {string} options.prefix - Metric name prefix (default: 'ibetoni_cache')
+   * @param {boolean} options.patternLabels - Export invalidation counters per pattern (default: true)
+   */
+  constructor(options = {}) {
+    this.cacheMetrics = options.cacheMetrics;
+    this.prefix = options.prefix || "ibetoni_cache";
+    this.patternLabels = options.patternLabels !== false;
+  }
+
+  /**
+   * Content type for a format
+   * @param {string} format - 'openmetrics' or 'prometheus'
+   * @returns {string} Content-Type header value
+   */
+  static contentType(format = "openmetrics") {
+    return CONTENT_TYPES[format] || CONTENT_TYPES.openmetrics;
+  }
+
+  /**
+   * Pick the format from an Accept header (Prometheus asks for OpenMetrics when it supports it)
+   * @param {string} accept - Accept header value
+   * @returns {string} 'openmetrics' or 'prometheus'
+   */
+  static negotiateFormat(accept) {
+    return accept && accept.includes("application/openmetrics-text") ? "openmetrics" : "prometheus";
+  }
+
+  /**
+   * Render all metric families
+   * @param {Object} options - Render options
+   * @param {string} options.format - 'openmetrics' (default) or 'prometheus' (text format 0.0.4)
+   * @returns {string} Exposition text
+   */
+  render(options = {}) {
+    const format = options.format === "prometheus" ? "prometheus" : "openmetrics";
+    const metrics = this.cacheMetrics.metrics;
+    const families = [
+      ...this._entityFamilies(metrics),
+      ...this._operationFamilies(metrics),
+      ...this._invalidationFamilies(metrics),
+      ...this._lockFamilies(metrics),
+      ...this._histogramFamilies(metrics),
+    ];
+
+    const lines = [];
+    for (const family of families) {
+      this._renderFamily(lines, family, format);
+    }
+    if (format === "openmetrics") {
+      lines.push("# EOF");
+    }
+    return lines.join("\n") + "\n";
+  }
+
+  /**
+   * Per entity type counters
+   * @private
+   */
+  _entityFamilies(metrics) {
+    const byEntity = Object.entries(metrics.byEntity || {});
+    const entityCounter = (name, help, field) =>
+      this._counter(
+        name,
+        help,
+        byEntity.map(([entityType, data]) => [{ entity_type: entityType }, data[field] || 0])
+      );
+
+    const families = [
+      entityCounter("hits", "Cache hits.", "hits"),
+      entityCounter("misses", "Cache misses.", "misses"),
+      entityCounter("sets", "Cache writes.", "sets"),
+      entityCounter("stale_hits", "Hits served past their soft TTL.", "staleHits"),
+      entityCounter("negative_hits", "Hits on cached not-found entries.", "negativeHits"),
+      this._counter("errors", "Failed cache operations.", [[{}, metrics.global?.errors || 0]]),
+    ];
+
+    if (metrics.loads) {
+      const samples = [];
+      Object.entries(metrics.loads.byEntityType).forEach(([entityType, data]) => {
+        Object.entries(data.byOutcome).forEach(([outcome, count]) => {
+          samples.push([{ entity_type: entityType, outcome }, count]);
+        });
+      });
+      families.push(this._counter("loads", "Read-through loads by outcome.", samples));
+    }
+
+    if (metrics.tiers) {
+      const samples = [];
+      Object.entries(metrics.tiers).forEach(([tier, data]) => {
+        Object.entries(data.byEntity).forEach(([entityType, counts]) => {
+          samples.push([{ tier, entity_type: entityType, result: "hit" }, counts.hits]);
+          samples.push([{ tier, entity_type: entityType, result: "miss" }, counts.misses]);
+        });
+      });
+      families.push(this._counter("tier_lookups", "Lookups per cache tier (l1/l2).", samples));
+    }
+
+    if (metrics.staleness) {
+      families.push(
+        this._counter("refreshes", "Stale-while-revalidate background refreshes.", [
+          [{ result: "success" }, metrics.staleness.refreshes],
+          [{ result: "failure" }, metrics.staleness.refreshFailures],
+        ])
+      );
+    }
+
+    return families;
+  }
+
+  /**
+   * Per operation counters
+   * @private
+   */
+  _operationFamilies(metrics) {
+    const byOperation = Object.entries(metrics.byOperation || {});
+    return [
+      this._counter(
+        "operations",
+        "Redis operations.",
+        byOperation.map(([operation, data]) => [{ operation }, data.count])
+      ),
+      this._counter(
+        "operation_duration_seconds",
+        "Total duration of Redis operations.",
+        byOperation.map(([operation, data]) => [{ operation }, data.totalDuration / 1000])
+      ),
+    ];
+  }
+
+  /**
+   * Invalidation counters per entity type (and pattern)
+   * @private
+   */
+  _invalidationFamilies(metrics) {
+    const invalidations = metrics.invalidations;
+    if (!invalidations) return [];
+
+    const byEntityType = Object.entries(invalidations.byEntityType);
+    const families = [
+      this._counter(
+        "invalidations",
+        "Invalidation calls.",
+        byEntityType.map(([entityType, data]) => [{ entity_type: entityType }, data.count])
+      ),
+      this._counter(
+        "invalidated_keys",
+        "Keys deleted by invalidations.",
+        byEntityType.map(([entityType, data]) => [{ entity_type: entityType }, data.totalKeys])
+      ),
+      this._counter(
+        "invalidation_scanned_keys",
+        "Keys scanned by invalidations.",
+        byEntityType.map(([entityType, data]) => [
+          { entity_type: entityType },
+          data.totalKeysScanned,
+        ])
+      ),
+      this._counter(
+        "invalidation_duration_seconds",
+        "Total duration of invalidations.",
+        byEntityType.map(([entityType, data]) => [
+          { entity_type: entityType },
+          data.totalDuration / 1000,
+        ])
+      ),
+    ];
+
+    if (this.patternLabels) {
+      const byPattern = Object.entries(invalidations.byPattern);
+      families.push(
+        this._counter(
+          "pattern_invalidations",
+          "Invalidation calls per pattern (first 100 patterns).",
+          byPattern.map(([pattern, data]) => [{ pattern }, data.count])
+        ),
+        this._counter(
+          "pattern_invalidated_keys",
+          "Keys deleted per pattern (first 100 patterns).",
+          byPattern.map(([pattern, data]) => [{ pattern }, data.totalKeys])
+        )
+      );
+    }
+
+    return families;
+  }
+
+  /**
+   * Distributed lock counters
+   * @private
+   */
+  _lockFamilies(metrics) {
+    const locks = metrics.locks;
+    if (!locks) return [];
+
+    return [
+      this._counter("lock_acquisitions", "Distributed lock acquisition attempts.", [
+        [{ result: "acquired" }, locks.acquisitionSuccesses],
+        [{ result: "failed" }, locks.acquisitionFailures],
+      ]),
+      this._counter("lock_releases", "Distributed lock releases.", [
+        [{ result: "released" }, locks.releases - locks.releaseFailures],
+        [{ result: "failed" }, locks.releaseFailures],
+      ]),
+      this._counter("lock_hold_seconds", "Total time distributed locks were held.", [
+        [{}, locks.totalHoldDuration / 1000],
+      ]),
+      this._counter("lock_renewals", "Distributed lock extensions.", [
+        [{ result: "extended" }, locks.renewals || 0],
+        [{ result: "failed" }, locks.renewalFailures || 0],
+      ]),
+      this._counter("locks_lost", "Distributed locks lost while held.", [[{}, locks.lost || 0]]),
+    ];
+  }
+
+  /**
+   * Response time and value size histograms
+   * @private
+   */
+  _histogramFamilies(metrics) {
+    const families = [];
+
+    if (metrics.responseTimes) {
+      const series = [];
+      Object.entries(metrics.responseTimes.byEntityType).forEach(([entityType, results]) => {
+        Object.entries(results).forEach(([result, data]) => {
+          series.push({
+            labels: { entity_type: entityType, result },
+            bounds: RESPONSE_TIME_BUCKETS.map((bound) => bound / 1000),
+            buckets: data.buckets,
+            count: data.count,
+            sum: data.totalMs / 1000,
+          });
+        });
+      });
+      families.push({
+        name: "response_time_seconds",
+        type: "histogram",
+        help: "Cache hit/miss response time.",
+        series,
+      });
+    }
+
+    if (metrics.sizes) {
+      families.push({
+        name: "value_size_bytes",
+        type: "histogram",
+        help: "Size of values stored in Redis (after compression).",
+        series: Object.entries(metrics.sizes.byEntityType).map(([entityType, data]) => ({
+          labels: { entity_type: entityType },
+          bounds: SIZE_BUCKETS,
+          buckets: data.buckets,
+          count: data.count,
+          sum: data.totalStoredBytes,
+        })),
+      });
+    }
+
+    return families;
+  }
+
+  /**
+   * @private
+   */
+  _counter(name, help, samples) {
+    return { name, type: "counter", help, samples };
+  }
+
+  /**
+   * Append a metric family's exposition lines
+   * @private
+   */
+  _renderFamily(lines, family, format) {
+    const name = `${this.prefix}_${family.name}`;
+    // Prometheus 0.0.4 declares counters with their _total sample name
+    const familyName =
+      family.type === "counter" && format === "prometheus" ? `${name}_total` : name;
+
+    lines.push(`# TYPE ${familyName} ${family.type}`);
+    lines.push(`# HELP ${familyName} ${family.help}`);
+
+    if (family.type === "counter") {
+      for (const [labels, value] of family.samples) {
+        lines.push(`${name}_total${this._formatLabels(labels)} ${this._formatValue(value)}`);
+      }
+      return;
+    }
+
+    for (const { labels, bounds, buckets, count, sum } of family.series) {
+      let cumulative = 0;
+      bounds.forEach((bound, index) => {
+        cumulative += buckets[index];
+        const bucketLabels = this._formatLabels({ ...labels, le: this._formatValue(bound) });
+        lines.push(`${name}_bucket${bucketLabels} ${cumulative}`);
+      });
+      lines.push(`${name}_bucket${this._formatLabels({ ...labels, le: "+Inf" })} ${count}`);
+      lines.push(`${name}_count${this._formatLabels(labels)} ${count}`);
+      lines.push(`${name}_sum${this._formatLabels(labels)} ${this._formatValue(sum)}`);
+    }
+  }
+
+  /**
+   * @private
+   */
+  _formatLabels(labels) {
+    const entries = Object.entries(labels);
+    if (entries.length === 0) return "";
+
+    const escape = (value) =>
+      String(value).replace(/\\/g, "\\\\").replace(/"/g, '\\"').replace(/\n/g, "\\n");
+    return `{${entries.map(([key, value]) => `${key}="${escape(value)}"`).join(",")}}`;
+  }
+
+  /**
+   * @private
+   */
+  _formatValue(value) {
+    if (!Number.isFinite(value)) return "NaN";
+    return Number.isInteger(value) ? `${value}` : `${parseFloat(value.toFixed(6))}`;
+  }
+}
+
+module.exports = OpenMetricsExporter;
@@ -8,7 +8,27 @@
  */
 
 const crypto = require("crypto");
+const { AsyncLocalStorage } = require("async_hooks");
+const zlib = require("zlib");
+const { promisify } = require("util");
 const Redis = require("ioredis");
+const InvalidationRuleRegistry = require("./InvalidationRuleRegistry");
+const { DEFAULT_INVALIDATION_RULES } = require("./defaultInvalidationRules");
+const CacheKeySchemaRegistry = require("./CacheKeySchemaRegistry");
+const { formatDateSegment } = CacheKeySchemaRegistry;
+const { DEFAULT_KEY_SCHEMAS } = require("./defaultKeySchemas");
+const { DistributedLockManager } = require("./DistributedLockManager");
+const MemoryCache = require("./MemoryCache");
+const CachePubSub = require("./CachePubSub");
+const CacheWarmer = require("./CacheWarmer");
+const OpenMetricsExporter = require("./OpenMetricsExporter");
+const CacheMetricsStore = require("./CacheMetricsStore");
+const JobRunner = require("./JobRunner");
+const CircuitBreaker = require("./CircuitBreaker");
+const CacheInspector = require("./CacheInspector");
+const InvalidationOutbox = require("./InvalidationOutbox");
+const { buildChanges, filterChanges } = require("./changeFeed");
+const InMemoryRedis = require("./InMemoryRedis");
 
 /**
  * TTL Multiplier - Global scaling factor for all cache TTL values
@@ -40,6 +60,46 @@ const TTL_MULTIPLIER_EXCLUDED = new Set([
  */
 const MAX_TTL_SECONDS = 604800; // 7 days
 
+/**
+ * Marker property for wrapped cache values (soft TTL metadata etc.)
+ * Plain JSON values without this marker are returned as-is.
+ */
+const ENVELOPE_MARKER = "__ibetoniCache";
+
+/**
+ * Pub/sub channel used to evict L1 (in-process) entries in every instance
+ */
+const L1_INVALIDATION_CHANNEL = "cache:l1:invalidate";
+
+/**
+ * Pub/sub channel carrying cross-entity invalidation events to other instances
+ */
+const INVALIDATION_EVENT_CHANNEL = "cache:invalidation";
+
+/**
+ * Prefix of compressed values (gzip, base64-encoded)
+ * Plain values are JSON, which never starts with "g".
+ */
+const COMPRESSED_PREFIX = "gz:";
+
+/**
+ * Versioned tenant namespaces: per-tenant generation counters and the
+ * channel announcing generation bumps to other instances
+ */
+const NAMESPACE_GENERATION_PREFIX = "cache:ns:";
+const NAMESPACE_CHANNEL = "cache:ns:flush";
+const NAMESPACED_KEY = /^v\d+:/;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Channel telling other instances to reload the TTL config from their provider
+ */
+const TTL_CONFIG_CHANNEL = "cache:ttl:reload";
+
+const gzip = promisify(zlib.gzip);
+const gunzip = promisify(zlib.gunzip);
+
 class UniversalCacheManager {
   /**
    * @param {Object} options - Configuration options
@@ -47,11 +107,39 @@ class UniversalCacheManager {
    * @param {Object} options.cacheMetrics - Optional cache metrics instance
    * @param {Object} options.redisConfig - Optional Redis configuration override
    * @param {number} options.ttlMultiplier - Override TTL multiplier (default: env or 4.0)
+   * @param {Array<Object>} options.invalidationRules - Additional app-specific invalidation rules
+   * @param {InvalidationRuleRegistry} options.invalidationRuleRegistry - Custom rule registry (replaces defaults)
+   * @param {Array<Object>} options.keySchemas - Additional app-specific cache key schemas
+   * @param {CacheKeySchemaRegistry} options.keySchemaRegistry - Custom key schema registry (replaces defaults)
+   * @param {DistributedLockManager} options.lockManager - Optional lock manager for getOrSet() (default: built on the cache client)
+   * @param {Object} options.softTtl - Override/extend soft TTLs for stale-while-revalidate (seconds, before multiplier)
+   * @param {Object} options.negativeTtl - Override/extend not-found entry TTLs (seconds, no multiplier)
+   * @param {Object} options.l1 - Optional in-process L1 tier: { maxEntries, ttl: { entityType: seconds } }
+   * @param {Object} options.compression - Optional gzip compression of large values:
+   *   { thresholds: { entityType: bytes }, level }
+   * @param {boolean|Object} options.versionedNamespaces - Optional per-tenant key generations
+   *   for constant-time flushTenant(): true or { localTtlMs }
+   * @param {boolean|Object} options.persistentMetrics - Periodically flush metric counters to
+   *   Redis for fleet-wide aggregation: true or { intervalMs, retentionDays, source }
+   * @param {Object} options.invalidationOutbox - Optional outbox settings:
+   *   { streamKey, maxLength, applyDelayMs, maxAttempts, claimIdleMs, doneTtlSeconds }
+   * @param {Object} options.ttlConfig - Optional TTL overrides, global and per tenant (see setTtlConfig())
+   * @param {Function} options.ttlConfigProvider - Optional async () => ttlConfig, polled for hot reload
+   * @param {number} options.ttlConfigReloadMs - Provider poll interval (default: 60000, 0 = no polling)
+   * @param {boolean|Object} options.circuitBreaker - Fail fast while Redis is down (default: on):
+   *   false, or { failureThreshold, coolDownMs, halfOpenMaxCalls, successThreshold }
+   * @param {number} options.maxInvalidationDays - Days a dateRange / dates invalidation expands to
+   *   before it falls back to the broad pattern (default: 31)
+   * @param {boolean} options.broadcastInvalidations - Publish invalidation events to other instances (default: true)
+   * @param {string|Object} options.backend - Storage backend: 'memory' for InMemoryRedis, or an
+   *   ioredis-compatible client instance (default: ioredis, or 'memory' when CACHE_BACKEND=memory)
    */
   constructor(options = {}) {
     this.logger = options.logger || this._createDefaultLogger();
     this.cacheMetrics = options.cacheMetrics || this._createDefaultMetrics();
     this.redisConfigOverride = options.redisConfig;
+    this.backend =
+      options.backend || (process.env.CACHE_BACKEND === "memory" ? "memory" : null);
     this.ttlMultiplier = options.ttlMultiplier || TTL_MULTIPLIER;
 
     this.client = null;
@@ -59,6 +147,143 @@ class UniversalCacheManager {
     this.isShuttingDown = false;
     this.connectionPromise = null; // Prevent multiple connection attempts
 
+    // Circuit breaker: after repeated failures getClient() returns null immediately
+    // (no ping) until the cool-down has passed and a probe succeeds
+    this.circuitBreaker =
+      options.circuitBreaker === false
+        ? null
+        : new CircuitBreaker({
+            ...(typeof options.circuitBreaker === "object" ? options.circuitBreaker : {}),
+            logger: this.logger,
+          });
+
+    // Counts Redis failures inside invalidateCrossEntityDetailed(), which
+    // otherwise fall back silently (see report.errors)
+    this.errorScope = new AsyncLocalStorage();
+
+    // Set while the targets of a rule run after its tenant flush: the
+    // tenant's namespaced keys are already gone, so only plain keys are scanned
+    this.flushedTenantScope = new AsyncLocalStorage();
+
+    // Read-through loading (getOrSet)
+    this.lockManager = options.lockManager || null;
+    this.inflightLoads = new Map(); // key -> Promise, coalesces concurrent misses in this process
+
+    // Stale-while-revalidate: background refresh loaders and in-flight refreshes
+    this.refreshLoaders = new Map(); // entityType -> async (key) => data
+    this.inflightRefreshes = new Set(); // keys currently being refreshed by this process
+
+    // Cross-instance coordination (L1 eviction, invalidation broadcasts)
+    this.pubsub = new CachePubSub({
+      getClient: () => this.getClient(),
+      logger: this.logger,
+    });
+
+    // Optional L1 tier: bounded in-process LRU in front of Redis for hot reference data.
+    // Only entity types listed in L1_TTL are held in L1. TTLs are in seconds and
+    // deliberately short - they bound staleness if an eviction message is missed.
+    this.L1_TTL = {
+      barColor: 300, // 5 minutes - grid bar colors
+      personpvmStatus: 300, // 5 minutes - person schedule status types
+      invoiceStatus: 300, // 5 minutes - invoice status lookup table
+      ...options.l1?.ttl,
+    };
+    this.l1 =
+      options.l1 && options.l1.enabled !== false
+        ? new MemoryCache({ maxEntries: options.l1.maxEntries })
+        : null;
+    this.l1Subscribed = false;
+
+    // Optional compression of large values in Redis (L1 keeps them uncompressed).
+    // Only entity types listed in COMPRESSION_THRESHOLDS are compressed, and only
+    // when their serialized JSON is at least the threshold (bytes).
+    const compressionEnabled = !!options.compression && options.compression.enabled !== false;
+    this.COMPRESSION_THRESHOLDS = compressionEnabled
+      ? {
+          grid: 16384, // 16 KB - grid row lists
+          stat: 16384, // 16 KB - statistics aggregations
+          attachment: 16384, // 16 KB - attachment bulk lists
+          ...options.compression.thresholds,
+        }
+      : {};
+    this.compressionLevel = options.compression?.level ?? zlib.constants.Z_DEFAULT_COMPRESSION;
+
+    // Optional versioned tenant namespaces (see flushTenant()). Keys cached with
+    // options.asiakasId are stored as v{generation}:{key}; generations are cached
+    // locally for localTtlMs, which bounds staleness if a flush message is missed.
+    this.namespaces = options.versionedNamespaces
+      ? { localTtlMs: options.versionedNamespaces.localTtlMs ?? 10000 }
+      : null;
+    this.namespaceGenerations = new Map(); // asiakasId -> { generation, expiresAt }
+    this.namespaceSubscribed = false;
+
+    // Scheduled pre-population of caches (see registerWarmup())
+    this.warmer = new CacheWarmer({
+      writeEntries: (entries) => this.mset(entries),
+      getLockManager: () => this._getLockManager(),
+      getClient: () => this.getClient(),
+      recordMetric: (method, ...args) => this._recordMetric(method, ...args),
+      logger: this.logger,
+    });
+
+    // Lock-protected cron-style jobs (see registerJob())
+    this.jobs = new JobRunner({
+      getLockManager: () => this._getLockManager(),
+      getClient: () => this.getClient(),
+      logger: this.logger,
+    });
+
+    // Admin key inspection (see listKeys() / inspectKey() / createCacheAdminRouter())
+    this.inspector = new CacheInspector({
+      getClient: () => this.getClient(),
+      readValue: async (raw) => this._deserialize(await this._decode(raw)),
+      evictKeys: (keys) => this._evictFromL1(keys),
+      entityTypeOf: (key) => key.replace(NAMESPACED_KEY, "").split(":")[0],
+      logger: this.logger,
+    });
+
+    // Durable invalidation intents for DB writes (see enqueueInvalidation())
+    this.outbox = new InvalidationOutbox({
+      getClient: () => this.getClient(),
+      apply: (operation, params) => this.invalidateCrossEntityDetailed(operation, params),
+      logger: this.logger,
+      ...options.invalidationOutbox,
+    });
+
+    // Persistent metrics: hourly counter buckets in Redis (see getAggregatedMetrics()).
+    // The store is always available for queries; flushing only runs when enabled.
+    const persistentMetrics = options.persistentMetrics || null;
+    this.metricsStore = new CacheMetricsStore({
+      cacheMetrics: this.cacheMetrics,
+      getClient: () => this.getClient(),
+      logger: this.logger,
+      ...(typeof persistentMetrics === "object" ? persistentMetrics : {}),
+    });
+    this.persistentMetrics = !!persistentMetrics;
+    if (this.persistentMetrics) {
+      this.metricsStore.start();
+    }
+
+    // Invalidation event listeners (see onInvalidation())
+    this.broadcastInvalidations = options.broadcastInvalidations !== false;
+    this.invalidationListeners = new Set();
+    this.invalidationSubscribed = false;
+
+    // Cross-entity invalidation rules (defaults + app-registered)
+    this.invalidationRules =
+      options.invalidationRuleRegistry ||
+      new InvalidationRuleRegistry({ rules: DEFAULT_INVALIDATION_RULES });
+    if (options.invalidationRules) {
+      this.invalidationRules.registerRules(options.invalidationRules);
+    }
+
+    // Named cache key layouts (defaults + app-registered), see buildKey()/patternFor()
+    this.keySchemas =
+      options.keySchemaRegistry || new CacheKeySchemaRegistry({ schemas: DEFAULT_KEY_SCHEMAS });
+    if (options.keySchemas) {
+      this.keySchemas.registerSchemas(options.keySchemas);
+    }
+
     // Base TTL configuration for all entity types (seconds)
     // These are the foundation values before multiplier is applied
     this.BASE_TTL = {
@@ -114,8 +339,42 @@ class UniversalCacheManager {
       default: 3600, // 1 hour fallback (same as keikka tier)
     };
 
+    // Soft TTLs for stale-while-revalidate (seconds, before multiplier)
+    // After the soft TTL, get() still returns the cached value but flags it as
+    // stale and triggers a background refresh. The hard TTL above still applies.
+    this.BASE_SOFT_TTL = {
+      config: 21600, // 6 hours (hard: 12 hours)
+      help: 21600, // 6 hours (hard: 12 hours)
+      holiday: 43200, // 12 hours (hard: 24 hours)
+      betoniReference: 3600, // 1 hour (hard: 2 hours)
+      ...options.softTtl,
+    };
+
+    // TTLs for cached "not found" results (seconds, see cacheNotFound()). Kept short
+    // so a newly created row shows up quickly; the TTL multiplier does not apply.
+    this.NEGATIVE_TTL = {
+      geocode: 3600, // 1 hour - unresolvable addresses rarely start resolving
+      attachment: 300, // 5 minutes - missing attachments are uploaded any time
+      person: 120, // 2 minutes - unknown persons may be created right after a lookup
+      default: 60, // 1 minute fallback
+      ...options.negativeTtl,
+    };
+
+    // Runtime TTL overrides (see setTtlConfig()). The defaults above are kept so a
+    // reloaded config always applies on top of them, never on top of an older config.
+    this.DEFAULT_BASE_TTL = { ...this.BASE_TTL };
+    this.DEFAULT_BASE_SOFT_TTL = { ...this.BASE_SOFT_TTL };
+    this.defaultTtlMultiplier = this.ttlMultiplier;
+    this.ttlConfig = null;
+    this.ttlConfigLoadedAt = null;
+    this.tenantTtls = new Map(); // asiakasId -> { multiplier, TTL, SOFT_TTL }
+
     // Apply TTL multiplier to generate effective TTLs
     this.TTL = this._applyTtlMultiplier(this.BASE_TTL);
+    this.SOFT_TTL = this._applyTtlMultiplier(this.BASE_SOFT_TTL);
+    if (options.ttlConfig) {
+      this.setTtlConfig(options.ttlConfig);
+    }
 
     this.logger.info("TTL multiplier applied", {
       multiplier: this.ttlMultiplier,
@@ -131,6 +390,21 @@ class UniversalCacheManager {
     // Production-safe batch limits
     this.BATCH_SIZE = 2000;
     this.SCAN_COUNT = 500; // Increased from 100 to reduce Redis round-trips (5× fewer iterations)
+
+    // dateRange / dates invalidations wider than this use the broad (all days) pattern
+    this.maxInvalidationDays = options.maxInvalidationDays || 31;
+
+    // Tag index: Redis sets of member keys, e.g. tag:asiakas:8 -> {keikka:get:8:123, ...}
+    this.TAG_PREFIX = "tag:";
+    // Reverse index: tag sets of each tagged key, e.g. tagidx:keikka:get:8:123 -> {tag:asiakas:8}
+    this.TAG_INDEX_PREFIX = "tagidx:";
+
+    // Hot-reloadable TTL config from an app-provided source (database, app config, ...)
+    this.ttlConfigProvider = options.ttlConfigProvider || null;
+    this.ttlConfigTimer = null;
+    if (this.ttlConfigProvider) {
+      this._startTtlConfigReload(options.ttlConfigReloadMs ?? 60000);
+    }
   }
 
   /**
@@ -156,9 +430,37 @@ class UniversalCacheManager {
       recordInvalidation: () => {},
       recordOperation: () => {},
       recordError: () => {},
+      recordLoad: () => {},
+      recordStaleHit: () => {},
+      recordNegativeHit: () => {},
+      recordNegativeSet: () => {},
+      recordRefresh: () => {},
+      recordTierHit: () => {},
+      recordTierMiss: () => {},
+      recordSize: () => {},
+      recordLockAcquisition: () => {},
+      recordLockRelease: () => {},
+      recordLockReleaseFailure: () => {},
+      recordLockRenewal: () => {},
+      recordLockLost: () => {},
+      recordWarmup: () => {},
+      recordWarmupRun: () => {},
+      recordWarmupProgress: () => {},
     };
   }
 
+  /**
+   * Record a metric if the metrics implementation supports it
+   *
+   * Custom metrics implementations may predate newer recording methods.
+   * @private
+   */
+  _recordMetric(method, ...args) {
+    if (typeof this.cacheMetrics[method] === "function") {
+      this.cacheMetrics[method](...args);
+    }
+  }
+
   /**
    * Apply TTL multiplier to base TTL values
    *
@@ -167,9 +469,10 @@ class UniversalCacheManager {
    * - Caps maximum TTL at MAX_TTL_SECONDS (7 days)
    *
    * @param {Object} baseTtl - Base TTL configuration object
+   * @param {number} multiplier - Multiplier to apply (default: the active multiplier)
    * @returns {Object} Computed TTL values with multiplier applied
    */
-  _applyTtlMultiplier(baseTtl) {
+  _applyTtlMultiplier(baseTtl, multiplier = this.ttlMultiplier) {
     const result = {};
 
     for (const [entityType, baseValue] of Object.entries(baseTtl)) {
@@ -178,7 +481,7 @@ class UniversalCacheManager {
         result[entityType] = baseValue;
       } else {
         // Apply multiplier with max cap
-        const multiplied = Math.floor(baseValue * this.ttlMultiplier);
+        const multiplied = Math.floor(baseValue * multiplier);
         result[entityType] = Math.min(multiplied, MAX_TTL_SECONDS);
       }
     }
@@ -199,15 +502,196 @@ class UniversalCacheManager {
    * @returns {Object} TTL configuration including multiplier and effective values
    */
   getTtlConfig() {
+    const tenants = {};
+    for (const [asiakasId, tenant] of this.tenantTtls) {
+      tenants[asiakasId] = {
+        multiplier: tenant.multiplier,
+        overrides: tenant.overrides,
+        effectiveTtls: { ...tenant.TTL },
+        effectiveSoftTtls: { ...tenant.SOFT_TTL },
+      };
+    }
+
     return {
       multiplier: this.ttlMultiplier,
       maxTtl: MAX_TTL_SECONDS,
       excluded: Array.from(TTL_MULTIPLIER_EXCLUDED),
       effectiveTtls: { ...this.TTL },
       baseTtls: { ...this.BASE_TTL },
+      effectiveSoftTtls: { ...this.SOFT_TTL },
+      baseSoftTtls: { ...this.BASE_SOFT_TTL },
+      overrides: this.ttlConfig,
+      loadedAt: this.ttlConfigLoadedAt,
+      tenants,
     };
   }
 
+  /**
+   * Effective TTL (seconds, before jitter) for an entity type and tenant
+   *
+   * @param {string} entityType - Entity type
+   * @param {number|string} asiakasId - Tenant (omit for the global TTL)
+   * @returns {{ ttl: number, softTtl: number|null }} Hard and soft TTL
+   */
+  getEffectiveTtl(entityType, asiakasId) {
+    const { TTL, SOFT_TTL } = this._ttlTables(asiakasId);
+    return { ttl: TTL[entityType] || TTL.default, softTtl: SOFT_TTL[entityType] || null };
+  }
+
+  /**
+   * Replace the TTL overrides at runtime
+   *
+   * TTL values are base seconds before the multiplier, like BASE_TTL. Each
+   * call replaces the previous overrides (it does not merge with them);
+   * null restores the defaults. Entries already in Redis keep their TTL.
+   *
+   * @param {Object|null} config - TTL overrides
+   * @param {number} config.multiplier - Global multiplier (default: constructor/env multiplier)
+   * @param {Object} config.ttl - Base TTL overrides by entity type, e.g. { keikka: 1800 }
+   * @param {Object} config.softTtl - Base soft TTL overrides by entity type
+   * @param {Object} config.tenants - Per asiakasId: { multiplier, ttl, softTtl }
+   * @throws {Error} If the config is invalid (the active config is kept)
+   *
+   * @example
+   * cacheManager.setTtlConfig({
+   *   ttl: { keikka: 1800 },
+   *   tenants: {
+   *     8: { ttl: { keikka: 600, grid: 600 } }, // heavy editing
+   *     42: { multiplier: 8 }, // quiet tenant
+   *   },
+   * });
+   */
+  setTtlConfig(config) {
+    if (config !== null) {
+      this._validateTtlConfig(config);
+    }
+
+    const multiplier = config?.multiplier ?? this.defaultTtlMultiplier;
+    const baseTtl = { ...this.DEFAULT_BASE_TTL, ...config?.ttl };
+    const baseSoftTtl = { ...this.DEFAULT_BASE_SOFT_TTL, ...config?.softTtl };
+
+    const tenantTtls = new Map();
+    Object.entries(config?.tenants || {}).forEach(([asiakasId, tenant]) => {
+      const tenantMultiplier = tenant.multiplier ?? multiplier;
+      tenantTtls.set(String(asiakasId), {
+        multiplier: tenantMultiplier,
+        overrides: tenant,
+        TTL: this._applyTtlMultiplier({ ...baseTtl, ...tenant.ttl }, tenantMultiplier),
+        SOFT_TTL: this._applyTtlMultiplier({ ...baseSoftTtl, ...tenant.softTtl }, tenantMultiplier),
+      });
+    });
+
+    this.ttlMultiplier = multiplier;
+    this.BASE_TTL = baseTtl;
+    this.BASE_SOFT_TTL = baseSoftTtl;
+    this.TTL = this._applyTtlMultiplier(baseTtl);
+    this.SOFT_TTL = this._applyTtlMultiplier(baseSoftTtl);
+    this.tenantTtls = tenantTtls;
+    this.ttlConfig = config;
+    this.ttlConfigLoadedAt = new Date().toISOString();
+
+    this.logger.info("TTL config applied", {
+      multiplier,
+      ttlOverrides: Object.keys(config?.ttl || {}).length,
+      tenants: tenantTtls.size,
+    });
+  }
+
+  /**
+   * Load the TTL config from ttlConfigProvider and apply it
+   *
+   * A failing provider or an invalid config is logged and the active config
+   * is kept.
+   *
+   * @param {Object} options - Reload options
+   * @param {boolean} options.broadcast - Tell other instances to reload too (default: false)
+   * @returns {Promise<boolean>} True if a config was loaded and applied
+   * @throws {Error} If no ttlConfigProvider is configured
+   */
+  async reloadTtlConfig(options = {}) {
+    if (!this.ttlConfigProvider) {
+      throw new Error("reloadTtlConfig() requires the ttlConfigProvider option");
+    }
+
+    let applied = false;
+    try {
+      const config = await this.ttlConfigProvider();
+      if (JSON.stringify(config ?? null) !== JSON.stringify(this.ttlConfig)) {
+        this.setTtlConfig(config ?? null);
+      }
+      applied = true;
+    } catch (error) {
+      this.logger.error("TTL config reload failed, keeping the active config", {
+        error: error.message,
+      });
+    }
+
+    if (options.broadcast) {
+      await this.pubsub.publish(TTL_CONFIG_CHANNEL, { requestedAt: new Date().toISOString() });
+    }
+    return applied;
+  }
+
+  /**
+   * Initial load, polling and reload requests from other instances
+   * @private
+   */
+  _startTtlConfigReload(intervalMs) {
+    this.reloadTtlConfig().catch(() => {});
+
+    if (intervalMs > 0) {
+      this.ttlConfigTimer = setInterval(() => {
+        this.reloadTtlConfig().catch(() => {});
+      }, intervalMs);
+      this.ttlConfigTimer.unref();
+    }
+
+    this.pubsub
+      .subscribe(TTL_CONFIG_CHANNEL, () => {
+        this.reloadTtlConfig().catch(() => {});
+      })
+      .catch((error) => {
+        this.logger.warn("TTL config reload subscription failed", { error: error.message });
+      });
+  }
+
+  /**
+   * TTL tables for a tenant (global tables if the tenant has no overrides)
+   * @private
+   */
+  _ttlTables(asiakasId) {
+    return (asiakasId != null && this.tenantTtls.get(String(asiakasId))) || this;
+  }
+
+  /**
+   * @private
+   */
+  _validateTtlConfig(config) {
+    const isPositive = (value) => typeof value === "number" && Number.isFinite(value) && value > 0;
+    const checkLevel = (level, path) => {
+      if (typeof level !== "object" || level === null) {
+        throw new Error(`Invalid TTL config: ${path} must be an object`);
+      }
+      if (level.multiplier !== undefined && !isPositive(level.multiplier)) {
+        throw new Error(`Invalid TTL config: ${path}.multiplier must be a positive number`);
+      }
+      for (const field of ["ttl", "softTtl"]) {
+        Object.entries(level[field] || {}).forEach(([entityType, seconds]) => {
+          if (!isPositive(seconds) || !Number.isInteger(seconds)) {
+            throw new Error(
+              `Invalid TTL config: ${path}.${field}.${entityType} must be a positive integer`
+            );
+          }
+        });
+      }
+    };
+
+    checkLevel(config, "config");
+    Object.entries(config.tenants || {}).forEach(([asiakasId, tenant]) => {
+      checkLevel(tenant, `tenants.${asiakasId}`);
+    });
+  }
+
   /**
    * Get Redis configuration with Azure/local fallback
    */
@@ -249,51 +733,86 @@ class UniversalCacheManager {
    * Initialize and get Redis client with proper connection management
    */
   async getClient() {
+    const { client } = await this._connect();
+    return client;
+  }
+
+  /**
+   * Get the Redis client, pinging it when the connection state is unknown
+   *
+   * Pings (including the circuit breaker's half-open probe) report their
+   * outcome to the breaker here; outcomeRecorded tells withRedis() not to
+   * report the same call again. disabled is set when there is no client on
+   * purpose (cache disabled via environment, or shutting down) rather than
+   * because Redis is unavailable.
+   * @private
+   * @returns {Promise<{ client: Object|null, outcomeRecorded: boolean, disabled?: boolean }>}
+   */
+  async _connect() {
     // Check if Redis cache is disabled via environment variable
+    // (an explicitly configured backend is always used)
     if (
-      process.env.REDIS_CACHE_ENABLED === "false" ||
-      (process.env.NODE_ENV === "production" &&
-        process.env.REDIS_CACHE_ENABLED !== "true")
+      !this.backend &&
+      (process.env.REDIS_CACHE_ENABLED === "false" ||
+        (process.env.NODE_ENV === "production" &&
+          process.env.REDIS_CACHE_ENABLED !== "true"))
     ) {
       this.logger.info("Redis cache disabled via environment configuration");
-      return null;
+      return { client: null, outcomeRecorded: false, disabled: true };
     }
 
-    // Prevent multiple concurrent connection attempts
-    if (this.connectionPromise) {
-      return await this.connectionPromise;
+    if (this.isShuttingDown) {
+      return { client: null, outcomeRecorded: false, disabled: true };
     }
 
-    if (this.isShuttingDown) {
-      return null;
+    // Circuit open: degrade to "no cache" without waiting for a ping timeout.
+    // From here on a claimed half-open probe slot always gets an outcome.
+    const breaker = this.circuitBreaker;
+    if (breaker && !breaker.allowRequest()) {
+      return { client: null, outcomeRecorded: false };
     }
+    const probing = breaker?.state === CircuitBreaker.STATES.HALF_OPEN;
 
     try {
-      if (!this.client) {
+      if (this.connectionPromise) {
+        // Prevent multiple concurrent connection attempts
+        await this.connectionPromise;
+      } else if (!this.client) {
         this.connectionPromise = this._createConnection();
         this.client = await this.connectionPromise;
         this.connectionPromise = null;
       }
 
-      if (!this.isConnected && this.client) {
-        const timeoutPromise = new Promise((resolve) =>
-          setTimeout(() => resolve(null), 2000)
-        );
+      // Half-open probes always ping, so the probe outcome is known here
+      if ((!this.isConnected || probing) && this.client) {
+        let timer;
+        const timeoutPromise = new Promise((resolve) => {
+          timer = setTimeout(() => resolve(null), 2000);
+        });
         const pingPromise = this.client
           .ping()
           .then(() => this.client)
           .catch(() => null);
-        return await Promise.race([pingPromise, timeoutPromise]);
+        const client = await Promise.race([pingPromise, timeoutPromise]);
+        clearTimeout(timer);
+
+        if (client) {
+          breaker?.recordSuccess();
+        } else {
+          breaker?.recordFailure(new Error("Redis ping failed or timed out"));
+        }
+        return { client, outcomeRecorded: true };
       }
 
-      return this.client;
+      return { client: this.client, outcomeRecorded: false };
     } catch (error) {
       this.logger.error("Client initialization failed", {
         error: error.message,
         stack: error.stack,
       });
       this.connectionPromise = null;
-      return null;
+      breaker?.recordFailure(error);
+      return { client: null, outcomeRecorded: true };
     }
   }
 
@@ -301,8 +820,8 @@ class UniversalCacheManager {
    * Create Redis connection with proper event handling
    */
   async _createConnection() {
-    const config = this.getRedisConfig();
-    const client = new Redis(config);
+    const config = this.backend ? { host: "in-process" } : this.getRedisConfig();
+    const client = this._createBackendClient(config);
 
     // Set up event handlers to prevent memory leaks
     const onReady = () => {
@@ -342,6 +861,11 @@ class UniversalCacheManager {
     client.on("close", onClose);
     client.on("end", onEnd);
 
+    // Injected clients may already be connected before listeners are attached
+    if (client.status === "ready") {
+      this.isConnected = true;
+    }
+
     // Store references for cleanup
     client._universalCacheListeners = {
       onReady,
@@ -353,6 +877,28 @@ class UniversalCacheManager {
     return client;
   }
 
+  /**
+   * Create the storage backend client
+   *
+   * - No backend configured: ioredis connection from getRedisConfig()
+   * - backend 'memory': InMemoryRedis (local development, tests)
+   * - backend object: used as-is (must implement the interface documented in InMemoryRedis)
+   * @private
+   */
+  _createBackendClient(config) {
+    if (!this.backend) {
+      return new Redis(config);
+    }
+    if (this.backend === "memory") {
+      this.logger.info("Using in-memory cache backend (no Redis)");
+      return new InMemoryRedis();
+    }
+    if (typeof this.backend === "object") {
+      return this.backend;
+    }
+    throw new Error(`Unknown cache backend: ${this.backend}`);
+  }
+
   /**
    * Remove event listeners to prevent memory leaks
    */
@@ -370,6 +916,10 @@ class UniversalCacheManager {
 
   /**
    * Execute Redis operation with consistent error handling
+   *
+   * Outcomes feed the circuit breaker, so operations should only run Redis
+   * commands: decode/encode values outside, where a bad value is not
+   * mistaken for a Redis failure.
    */
   async withRedis(
     operation,
@@ -378,17 +928,27 @@ class UniversalCacheManager {
     operationType = "operation"
   ) {
     const startTime = Date.now();
+    let outcomeRecorded = false;
 
     try {
-      const redis = await this.getClient();
+      const connection = await this._connect();
+      const redis = connection.client;
+      outcomeRecorded = connection.outcomeRecorded;
       if (!redis) {
         this.logger.debug("Redis unavailable, skipping operation", {
           operationType,
         });
+        // A cache disabled on purpose is not a failure
+        if (!connection.disabled) {
+          this._recordScopeError();
+        }
         return fallback;
       }
 
       const result = await operation(redis);
+      if (!outcomeRecorded) {
+        this.circuitBreaker?.recordSuccess();
+      }
 
       // Record operation performance
       const duration = Date.now() - startTime;
@@ -401,18 +961,150 @@ class UniversalCacheManager {
         error: error.message,
       });
       this.cacheMetrics.recordError(operationType, "unknown", error);
+      this._recordScopeError();
+      if (!outcomeRecorded) {
+        this.circuitBreaker?.recordFailure(error);
+      }
       return fallback;
     }
   }
 
+  /**
+   * Count a swallowed Redis failure in the current error scope, if any
+   * @private
+   */
+  _recordScopeError() {
+    const scope = this.errorScope.getStore();
+    if (scope) scope.errors++;
+  }
+
   /**
    * Generate consistent cache keys for any entity type
+   *
+   * Null params are dropped, which shifts later segments - prefer buildKey()
+   * for layouts that invalidation relies on.
    */
   generateKey(entityType, operation, ...params) {
     const cleanParams = params.filter((p) => p != null).map((p) => String(p));
     return `${entityType}:${operation}:${cleanParams.join(":")}`;
   }
 
+  /**
+   * Build a cache key from a registered key schema
+   *
+   * @param {string} schemaName - Schema name (e.g. 'keikka.list')
+   * @param {Object} params - Placeholder values, checked against the segment types
+   * @returns {string} Cache key
+   * @throws {Error} If the schema is unknown or a param is missing/invalid
+   *
+   * @example
+   * cacheManager.buildKey('keikka.list', { asiakasId: 8, personId: 42, yyyymmdd: '2026-10-19' });
+   * // -> 'keikka:list:8:42:20261019'
+   */
+  buildKey(schemaName, params = {}) {
+    return this.keySchemas.buildKey(schemaName, params);
+  }
+
+  /**
+   * Derive a SCAN pattern from a registered key schema
+   *
+   * Params that are not given become wildcards.
+   *
+   * @param {string} schemaName - Schema name
+   * @param {Object} partialParams - Known placeholder values
+   * @returns {string} Redis MATCH pattern
+   *
+   * @example
+   * await cacheManager.invalidateByPattern(
+   *   cacheManager.patternFor('keikka.list', { yyyymmdd: '20261019' })
+   * ); // keikka:list:*:*:20261019*
+   */
+  patternFor(schemaName, partialParams = {}) {
+    return this.keySchemas.patternFor(schemaName, partialParams);
+  }
+
+  /**
+   * Register an app-specific cache key schema
+   *
+   * @param {Object} schema - { name, template, description } (see CacheKeySchemaRegistry)
+   * @param {Object} options - { replace: true } to override an existing schema
+   * @returns {Object} The compiled schema
+   */
+  registerKeySchema(schema, options = {}) {
+    return this.keySchemas.registerSchema(schema, options);
+  }
+
+  /**
+   * Get the cache key schema registry
+   * @returns {CacheKeySchemaRegistry}
+   */
+  getKeySchemas() {
+    return this.keySchemas;
+  }
+
+  /**
+   * List cached keys with type, TTL and size (one SCAN page)
+   *
+   * @param {Object} options - List options
+   * @param {string} options.pattern - MATCH pattern (default: '*')
+   * @param {string} options.schema - Key schema name instead of a pattern (see patternFor());
+   *   with versioned namespaces, matches the tenant's current generation (v{generation}:),
+   *   or every generation (v*:) without params.asiakasId
+   * @param {Object} options.params - Known schema params, e.g. { asiakasId: 8 }
+   * @param {string} options.cursor - Cursor from the previous page (default: '0')
+   * @param {number} options.count - Page size (default: 100, max: 1000)
+   * @returns {Promise<Object>} { pattern, cursor, done, keys: [{ key, entityType, type, ttlSeconds, sizeBytes }] }
+   * @throws {Error} If the schema is unknown or Redis is unavailable
+   */
+  async listKeys(options = {}) {
+    if (!options.schema) {
+      return await this.inspector.listKeys(options);
+    }
+
+    let pattern = this.patternFor(options.schema, options.params);
+    if (this.namespaces) {
+      const asiakasId = options.params?.asiakasId;
+      const generation = asiakasId != null ? await this.getNamespaceGeneration(asiakasId) : null;
+      pattern = `v${generation ?? "*"}:${pattern}`;
+    }
+    return await this.inspector.listKeys({ ...options, pattern });
+  }
+
+  /**
+   * Fetch a cached value with its metadata, decoded and pretty-printed
+   *
+   * @param {string} key - Exact cache key (including any v{generation}: prefix)
+   * @returns {Promise<Object>} { key, exists, entityType, type, ttlSeconds, sizeBytes,
+   *   compressed, stale, json, value, pretty }
+   * @throws {Error} If Redis is unavailable
+   */
+  async inspectKey(key) {
+    return await this.inspector.inspectKey(key);
+  }
+
+  /**
+   * Delete selected keys (admin), evicting them from L1 tiers too
+   *
+   * @param {Array<string>} keys - Exact keys (max 1000 per call)
+   * @param {Object} options - { actor } for the audit log
+   * @returns {Promise<Object>} { requested, deleted }
+   * @throws {Error} If keys are invalid or Redis is unavailable
+   */
+  async deleteKeys(keys, options = {}) {
+    return await this.inspector.deleteKeys(keys, options);
+  }
+
+  /**
+   * Key count and memory estimate per entity type (SCAN-based, resumable)
+   *
+   * @param {Object} options - { pattern, cursor, maxKeys } (see CacheInspector.getKeyStats())
+   * @returns {Promise<Object>} { pattern, cursor, done, scannedKeys, totals, byEntityType }
+   * @throws {Error} If Redis is unavailable
+   */
+  async getKeyStats(options = {}) {
+    return await this.inspector.getKeyStats(options);
+  }
+
   /**
    * Generate MD5 hash for cache keys (consistent short hashes)
    */
@@ -511,19 +1203,65 @@ class UniversalCacheManager {
 
   /**
    * Cache data with appropriate TTL
+   *
+   * @param {string} key - Cache key
+   * @param {any} data - Data to cache (JSON stringified)
+   * @param {string} entityType - Entity type for TTL selection
+   * @param {Object} options - Cache options
+   * @param {Array<string>} options.tags - Invalidation tags, e.g. ['asiakas:8', 'date:20261019', 'keikka:123']
+   * @param {number|string} options.asiakasId - Tenant for versioned namespaces (see flushTenant())
+   *   and per-tenant TTLs (see setTtlConfig())
+   * @param {number|string} options.ttlAsiakasId - Tenant for TTLs only, for keys that are
+   *   already namespaced (default: asiakasId)
    */
-  async cache(key, data, entityType = "default") {
+  async cache(key, data, entityType = "default", options = {}) {
+    const tags = options.tags || [];
+    const ttlAsiakasId = options.ttlAsiakasId ?? options.asiakasId;
+    key = await this.namespaceKey(key, options.asiakasId);
+
+    let serialized;
+    let stored;
+    try {
+      serialized = this._serialize(data, entityType, ttlAsiakasId);
+      stored = await this._encode(serialized, entityType);
+    } catch (error) {
+      this.logger.error("Cache value serialization failed", {
+        entityType,
+        key,
+        error: error.message,
+      });
+      this.cacheMetrics.recordError(`cache ${entityType}`, "serialize", error);
+      return false;
+    }
+
     return await this.withRedis(
       async (redis) => {
-        const baseTtl = this.TTL[entityType] || this.TTL.default;
-        // Add ±5% jitter to prevent synchronized cache expiration (cache stampede prevention)
-        const jitter = Math.floor(baseTtl * 0.05 * (Math.random() * 2 - 1));
-        const ttl = baseTtl + jitter;
-        await redis.setex(key, ttl, JSON.stringify(data));
-        this.logger.debug("Cache set successful", { entityType, key, baseTtl, ttl });
+        const { baseTtl, ttl } = this._getJitteredTtl(entityType, ttlAsiakasId);
+
+        if (tags.length > 0) {
+          const [written] = await this._writeEntries(redis, [{ key, stored, ttl, tags }]);
+          if (!written) {
+            throw new Error("Tagged cache write failed");
+          }
+        } else {
+          await redis.setex(key, ttl, stored);
+        }
+
+        const l1Ttl = await this._usableL1Ttl(key);
+        if (l1Ttl) {
+          this.l1.set(key, serialized, Math.min(l1Ttl, ttl));
+        }
+        await this._broadcastL1Eviction([key]);
+        this.logger.debug("Cache set successful", { entityType, key, baseTtl, ttl, tags });
 
         // Record cache set metric
         this.cacheMetrics.recordSet(entityType, key);
+        this._recordMetric(
+          "recordSize",
+          entityType,
+          Buffer.byteLength(serialized),
+          Buffer.byteLength(stored)
+        );
 
         return true;
       },
@@ -534,55 +1272,988 @@ class UniversalCacheManager {
   }
 
   /**
-   * Retrieve cached data
+   * Cache a "not found" result (negative caching)
+   *
+   * Lookups that find nothing (unresolvable geocodes, persons that do not
+   * exist) are otherwise re-queried on every request, because get() returns
+   * null for a miss. A not-found entry is a hit with `absent: true` in
+   * getEntry() (see get() options.absentValue) and lives for the short
+   * NEGATIVE_TTL of its entity type. cache() over the same key replaces it,
+   * and invalidation removes it like any other key.
+   *
+   * @param {string} key - Cache key
+   * @param {string} entityType - Entity type for TTL selection
+   * @param {Object} options - Cache options
+   * @param {Array<string>} options.tags - Invalidation tags
+   * @param {number|string} options.asiakasId - Tenant for versioned namespaces (see flushTenant())
+   * @returns {Promise<boolean>} True if written
+   *
+   * @example
+   * const person = await personSql.get(personId);
+   * if (person) {
+   *   await cacheManager.cache(key, person, 'person');
+   * } else {
+   *   await cacheManager.cacheNotFound(key, 'person');
+   * }
    */
-  async get(key, entityType = "data") {
-    const startTime = Date.now();
+  async cacheNotFound(key, entityType = "default", options = {}) {
+    const tags = options.tags || [];
+    key = await this.namespaceKey(key, options.asiakasId);
 
     return await this.withRedis(
       async (redis) => {
-        const data = await redis.get(key);
-        const responseTime = Date.now() - startTime;
+        const baseTtl = this.NEGATIVE_TTL[entityType] || this.NEGATIVE_TTL.default;
+        const ttl = Math.max(1, baseTtl + Math.floor(baseTtl * 0.05 * (Math.random() * 2 - 1)));
+        const serialized = JSON.stringify({ [ENVELOPE_MARKER]: 1, n: 1 });
+
+        if (tags.length > 0) {
+          const [written] = await this._writeEntries(redis, [
+            { key, stored: serialized, ttl, tags },
+          ]);
+          if (!written) {
+            throw new Error("Tagged cache write failed");
+          }
+        } else {
+          await redis.setex(key, ttl, serialized);
+        }
 
-        if (data) {
-          this.logger.debug("Cache hit", { entityType, key });
-          this.cacheMetrics.recordHit(entityType, responseTime);
-          return JSON.parse(data);
+        const l1Ttl = await this._usableL1Ttl(key);
+        if (l1Ttl) {
+          this.l1.set(key, serialized, Math.min(l1Ttl, ttl));
         }
+        await this._broadcastL1Eviction([key]);
+        this.logger.debug("Cache not-found set", { entityType, key, ttl, tags });
+        this._recordMetric("recordNegativeSet", entityType);
 
-        this.logger.debug("Cache miss", { entityType, key });
-        this.cacheMetrics.recordMiss(entityType, responseTime);
-        return null;
+        return true;
       },
-      null,
+      false,
       "[UniversalCache]",
-      `get ${entityType}`
+      `cacheNotFound ${entityType}`
     );
   }
 
   /**
-   * Production-safe key scanning using SCAN instead of KEYS
+   * Get the TTL for an entity type (and tenant) with ±5% jitter
+   * Jitter prevents synchronized cache expiration (cache stampede prevention).
+   * @private
+   * @returns {{ baseTtl: number, ttl: number }} TTLs in seconds
    */
-  async scanKeys(pattern, scanCount = this.SCAN_COUNT) {
-    return await this.withRedis(
-      async (redis) => {
-        const keys = [];
-        let cursor = "0";
-        let iterations = 0;
-        const maxIterations = 1000; // Prevent infinite loops
-
-        do {
-          // Add small delay to prevent Redis overload during large scans
-          if (iterations > 0 && iterations % 10 === 0) {
-            await new Promise((resolve) => setTimeout(resolve, 1));
-          }
+  _getJitteredTtl(entityType, asiakasId) {
+    const { TTL } = this._ttlTables(asiakasId);
+    const baseTtl = TTL[entityType] || TTL.default;
+    const jitter = Math.floor(baseTtl * 0.05 * (Math.random() * 2 - 1));
+    return { baseTtl, ttl: baseTtl + jitter };
+  }
 
-          try {
-            const result = await redis.scan(
-              cursor,
-              "MATCH",
-              pattern,
-              "COUNT",
+  /**
+   * Write values in one pipeline and register them in their tag sets
+   *
+   * Tag sets never expire before their newest member: their TTL is only
+   * ever extended to the longest member TTL, never shortened.
+   * @private
+   * @param {Object} redis - Redis client
+   * @param {Array<Object>} items - [{ key, stored, ttl, tags }]
+   * @returns {Promise<Array<boolean>>} Per-item write success
+   */
+  async _writeEntries(redis, items) {
+    const tagMembers = new Map(); // tagKey -> [key, ...]
+    const tagTtls = new Map(); // tagKey -> longest member TTL
+
+    const pipeline = redis.pipeline();
+    for (const { key, stored, ttl, tags = [] } of items) {
+      pipeline.setex(key, ttl, stored);
+      for (const tag of tags) {
+        const tagKey = this.getTagKey(tag);
+        if (!tagMembers.has(tagKey)) {
+          tagMembers.set(tagKey, []);
+        }
+        tagMembers.get(tagKey).push(key);
+        tagTtls.set(tagKey, Math.max(tagTtls.get(tagKey) || 0, ttl));
+      }
+    }
+    for (const [tagKey, members] of tagMembers) {
+      pipeline.sadd(tagKey, ...members).ttl(tagKey);
+    }
+    for (const { key, ttl, tags = [] } of items) {
+      if (tags.length === 0) continue;
+      const indexKey = this._getTagIndexKey(key);
+      pipeline.sadd(indexKey, ...tags.map((tag) => this.getTagKey(tag))).expire(indexKey, ttl);
+    }
+    const results = await pipeline.exec();
+
+    // results: [setex per item..., sadd, ttl, sadd, ttl, ..., tag index writes]
+    const extend = redis.pipeline();
+    let needsExtend = false;
+    Array.from(tagTtls.entries()).forEach(([tagKey, ttl], index) => {
+      const [, tagTtl] = results[items.length + index * 2 + 1];
+      if (tagTtl < ttl) {
+        extend.expire(tagKey, ttl);
+        needsExtend = true;
+      }
+    });
+    if (needsExtend) {
+      await extend.exec();
+    }
+
+    return results.slice(0, items.length).map(([error]) => !error);
+  }
+
+  /**
+   * Get the Redis key of a tag set
+   * @param {string} tag - Tag (e.g. 'asiakas:8')
+   * @returns {string} Tag set key (e.g. 'tag:asiakas:8')
+   */
+  getTagKey(tag) {
+    return `${this.TAG_PREFIX}${tag}`;
+  }
+
+  /**
+   * Get the Redis key of the set of tag sets a cache key is registered in
+   * @private
+   */
+  _getTagIndexKey(key) {
+    return `${this.TAG_INDEX_PREFIX}${key}`;
+  }
+
+  /**
+   * Keys that can have a tag index (not tag sets or tag indexes themselves)
+   * @private
+   */
+  _taggableKeys(keys) {
+    return keys.filter(
+      (key) => !key.startsWith(this.TAG_PREFIX) && !key.startsWith(this.TAG_INDEX_PREFIX)
+    );
+  }
+
+  /**
+   * Remove deleted keys from all of their tag sets and drop their tag indexes
+   *
+   * Keeps e.g. tag:keikka:1 from listing a key that was already deleted
+   * through tag:asiakas:8.
+   * @private
+   */
+  async _removeFromTagSets(redis, keys) {
+    const cacheKeys = this._taggableKeys(keys);
+    if (cacheKeys.length === 0) return;
+
+    const lookup = redis.pipeline();
+    cacheKeys.forEach((key) => lookup.smembers(this._getTagIndexKey(key)));
+    const results = await lookup.exec();
+
+    const cleanup = redis.pipeline();
+    let needsCleanup = false;
+    cacheKeys.forEach((key, index) => {
+      const [error, tagKeys] = results[index];
+      if (error || !tagKeys || tagKeys.length === 0) return;
+      tagKeys.forEach((tagKey) => cleanup.srem(tagKey, key));
+      cleanup.del(this._getTagIndexKey(key));
+      needsCleanup = true;
+    });
+    if (needsCleanup) {
+      await cleanup.exec();
+    }
+  }
+
+  /**
+   * Invalidate all keys registered under the given tags
+   *
+   * Deletes the exact member keys of each tag set without SCAN. Keys cached
+   * without tags are not touched - pass `options.fallbackPatterns` to also
+   * sweep them with pattern invalidation.
+   *
+   * @param {Array<string>} tags - Tags to invalidate (e.g. ['asiakas:8', 'date:20261019'])
+   * @param {Object} options - Options
+   * @param {Array<string>} options.fallbackPatterns - Patterns for untagged keys (SCAN-based)
+   * @returns {Promise<number>} Number of cache keys deleted
+   *
+   * @example
+   * await cacheManager.invalidateTags(['keikka:123', 'date:20261019']);
+   */
+  async invalidateTags(tags, options = {}) {
+    const uniqueTags = Array.from(new Set((tags || []).filter(Boolean)));
+    let totalDeleted = 0;
+
+    for (const tag of uniqueTags) {
+      totalDeleted += await this._invalidateTag(tag);
+    }
+
+    for (const pattern of options.fallbackPatterns || []) {
+      totalDeleted += await this.invalidateByPattern(pattern);
+    }
+
+    return totalDeleted;
+  }
+
+  /**
+   * Delete a tag set and all of its member keys
+   * @private
+   */
+  async _invalidateTag(tag) {
+    const startTime = Date.now();
+    const tagKey = this.getTagKey(tag);
+
+    const members = await this.withRedis(
+      (redis) => redis.smembers(tagKey),
+      [],
+      "[UniversalCache]",
+      "tag members"
+    );
+
+    // Delete the tag set together with its members
+    const deletedCount = await this.batchDelete([...members, tagKey]);
+    const keysInvalidated = Math.max(deletedCount - 1, 0);
+
+    const entityType = tag.split(":")[0] || "unknown";
+    this.cacheMetrics.recordInvalidation(
+      entityType,
+      tagKey,
+      keysInvalidated,
+      Date.now() - startTime,
+      members.length
+    );
+
+    this.logger.debug("Tag invalidation completed", {
+      tag,
+      keysDeleted: keysInvalidated,
+    });
+
+    return keysInvalidated;
+  }
+
+  /**
+   * Serialize a value for storage
+   *
+   * Entity types with a soft TTL are wrapped in an envelope carrying the
+   * soft expiry timestamp; everything else is stored as plain JSON.
+   * @private
+   */
+  _serialize(data, entityType, asiakasId) {
+    const softTtl = this._ttlTables(asiakasId).SOFT_TTL[entityType];
+    if (!softTtl) {
+      return JSON.stringify(data);
+    }
+    return JSON.stringify({
+      [ENVELOPE_MARKER]: 1,
+      d: data,
+      sx: Date.now() + softTtl * 1000,
+    });
+  }
+
+  /**
+   * Compress a serialized value if its entity type has a threshold and it is large enough
+   * @private
+   * @returns {Promise<string>} Value to store in Redis
+   */
+  async _encode(serialized, entityType) {
+    const threshold = this.COMPRESSION_THRESHOLDS[entityType];
+    if (!threshold || Buffer.byteLength(serialized) < threshold) {
+      return serialized;
+    }
+
+    const compressed = await gzip(serialized, { level: this.compressionLevel });
+    const encoded = COMPRESSED_PREFIX + compressed.toString("base64");
+
+    // Incompressible payloads (already-compact data) are stored as-is
+    return encoded.length < serialized.length ? encoded : serialized;
+  }
+
+  /**
+   * Decompress a value read from Redis (plain values pass through)
+   *
+   * Always decodes, even with compression disabled, so instances with
+   * different compression settings can share the cache.
+   * @private
+   * @returns {Promise<string>} Serialized JSON
+   */
+  async _decode(raw) {
+    if (!raw.startsWith(COMPRESSED_PREFIX)) {
+      return raw;
+    }
+    const buffer = await gunzip(Buffer.from(raw.slice(COMPRESSED_PREFIX.length), "base64"));
+    return buffer.toString();
+  }
+
+  /**
+   * Deserialize a stored value
+   *
+   * Not-found entries (see cacheNotFound()) have the value null and absent: true.
+   * @private
+   * @returns {{ value: any, stale: boolean, absent?: boolean }}
+   */
+  _deserialize(raw) {
+    const parsed = JSON.parse(raw);
+    if (parsed && typeof parsed === "object" && parsed[ENVELOPE_MARKER] === 1) {
+      if (parsed.n === 1) {
+        return { value: null, stale: false, absent: true };
+      }
+      return {
+        value: parsed.d,
+        stale: typeof parsed.sx === "number" && Date.now() > parsed.sx,
+      };
+    }
+    return { value: parsed, stale: false };
+  }
+
+  /**
+   * Retrieve cached data
+   *
+   * Stale entries (past their soft TTL) are returned as normal; use
+   * getEntry() to see the stale flag.
+   *
+   * @param {string} key - Cache key
+   * @param {string} entityType - Entity type for metrics
+   * @param {Object} options - Options passed to getEntry() (e.g. asiakasId)
+   * @param {any} options.absentValue - Returned for a cached not-found entry (default: null,
+   *   the same as a miss)
+   *
+   * @example
+   * const geocode = await cacheManager.get(key, 'geocode', { absentValue: false });
+   * if (geocode === false) return null; // Known not to resolve, skip the API call
+   */
+  async get(key, entityType = "data", options = {}) {
+    const entry = await this.getEntry(key, entityType, options);
+    return entry.absent ? options.absentValue ?? null : entry.value;
+  }
+
+  /**
+   * Retrieve cached data with cache metadata
+   *
+   * When the entry is past its soft TTL it is still returned, flagged as
+   * stale, and a background refresh is started through the loader
+   * registered for the entity type (see registerRefreshLoader()).
+   *
+   * @param {string} key - Cache key
+   * @param {string} entityType - Entity type for metrics and refresh loader lookup
+   * @param {Object} options - Options
+   * @param {Function} options.refreshLoader - Loader for the background refresh (overrides the registered one)
+   * @param {Array<string>} options.tags - Tags to re-apply when the refreshed value is cached
+   * @param {number|string} options.asiakasId - Tenant for versioned namespaces (see flushTenant())
+   *   and the refreshed value's TTL
+   * @param {number|string} options.ttlAsiakasId - Tenant for the refreshed value's TTL only
+   * @returns {Promise<{ hit: boolean, stale: boolean, value: any, tier?: string, absent?: boolean }>}
+   *   Entry (value is null on miss, tier is 'l1' or 'l2' on hit, absent is true with value
+   *   null for a cached not-found entry)
+   */
+  async getEntry(key, entityType = "data", options = {}) {
+    const startTime = Date.now();
+    const requestedKey = key;
+    key = await this.namespaceKey(key, options.asiakasId);
+
+    const l1Ttl = await this._usableL1Ttl(key);
+    if (l1Ttl) {
+      const l1Entry = this._getFromL1(key, entityType, startTime);
+      if (l1Entry) {
+        return l1Entry;
+      }
+    }
+
+    // undefined = Redis unavailable (no miss recorded)
+    const raw = await this.withRedis(
+      (redis) => redis.get(key),
+      undefined,
+      "[UniversalCache]",
+      `get ${entityType}`
+    );
+    if (raw === undefined) {
+      return { hit: false, stale: false, value: null };
+    }
+
+    const entry = await this._readEntry(key, raw, entityType, startTime, l1Ttl);
+    if (entry.stale) {
+      const loaderFn = options.refreshLoader || this.refreshLoaders.get(entityType);
+      if (loaderFn) {
+        this._refreshInBackground(key, entityType, () => loaderFn(requestedKey), {
+          tags: options.tags,
+          ttlAsiakasId: options.ttlAsiakasId ?? options.asiakasId,
+        });
+      }
+    }
+
+    return entry;
+  }
+
+  /**
+   * Decode a value read from L2, recording hit/miss metrics and filling L1
+   *
+   * A value that cannot be decoded is logged and treated as a miss.
+   * @private
+   */
+  async _readEntry(key, raw, entityType, startTime, l1Ttl) {
+    let data;
+    let entry;
+    if (raw) {
+      try {
+        data = await this._decode(raw);
+        entry = this._deserialize(data);
+      } catch (error) {
+        this.logger.warn("Unreadable cache value skipped", {
+          key,
+          entityType,
+          error: error.message,
+        });
+        this.cacheMetrics.recordError(`get ${entityType}`, "deserialize", error);
+      }
+    }
+
+    if (!entry) {
+      this.logger.debug("Cache miss", { entityType, key });
+      this.cacheMetrics.recordMiss(entityType, Date.now() - startTime);
+      this._recordMetric("recordTierMiss", "l2", entityType);
+      return { hit: false, stale: false, value: null };
+    }
+
+    const { value, stale, absent } = entry;
+    this.logger.debug("Cache hit", { entityType, key, stale, absent });
+    this.cacheMetrics.recordHit(entityType, Date.now() - startTime);
+    this._recordMetric("recordTierHit", "l2", entityType);
+    if (stale) {
+      this._recordMetric("recordStaleHit", entityType);
+    } else if (l1Ttl) {
+      this.l1.set(key, data, l1Ttl);
+    }
+    if (absent) {
+      this._recordMetric("recordNegativeHit", entityType);
+      return { hit: true, stale: false, value: null, tier: "l2", absent: true };
+    }
+    return { hit: true, stale, value, tier: "l2" };
+  }
+
+  /**
+   * Look up a fresh value in L1, recording tier metrics
+   * @private
+   * @returns {Object|null} Hit entry, or null on an L1 miss (stale entries are dropped)
+   */
+  _getFromL1(key, entityType, startTime) {
+    const raw = this.l1.get(key);
+    if (raw !== undefined) {
+      const { value, stale, absent } = this._deserialize(raw);
+      if (!stale) {
+        this.cacheMetrics.recordHit(entityType, Date.now() - startTime);
+        this._recordMetric("recordTierHit", "l1", entityType);
+        if (absent) {
+          this._recordMetric("recordNegativeHit", entityType);
+          return { hit: true, stale: false, value: null, tier: "l1", absent: true };
+        }
+        return { hit: true, stale: false, value, tier: "l1" };
+      }
+      this.l1.delete(key); // Let L2 decide about stale entries
+    }
+    this._recordMetric("recordTierMiss", "l1", entityType);
+    return null;
+  }
+
+  /**
+   * Retrieve several keys in one round trip (MGET)
+   *
+   * Hit/miss metrics are recorded per key. Values that cannot be decoded
+   * are logged and treated as misses, so one corrupt entry does not fail
+   * the batch. Stale entries are returned and refreshed in the background
+   * like get().
+   *
+   * @param {Array<string>} keys - Cache keys
+   * @param {string} entityType - Entity type for metrics and refresh loader lookup
+   * @param {Object} options - Options
+   * @param {number|string} options.asiakasId - Tenant for versioned namespaces (see flushTenant())
+   * @param {number|string} options.ttlAsiakasId - Tenant for TTL overrides on background refresh
+   *   (default: options.asiakasId)
+   * @param {Array<string>} options.tags - Tags for background-refreshed values
+   * @param {any} options.absentValue - Include cached not-found entries with this value
+   *   (default: they are left out like misses)
+   * @returns {Promise<Map<string, any>>} Hits only, in input key order (missing keys are absent)
+   *
+   * @example
+   * const keys = keikkaIds.map((keikkaId) => cacheManager.buildKey('keikka.get', { asiakasId, keikkaId }));
+   * const cached = await cacheManager.mget(keys, 'keikka');
+   * const missingKeys = keys.filter((key) => !cached.has(key));
+   */
+  async mget(keys, entityType = "data", options = {}) {
+    const startTime = Date.now();
+    const requestedKeys = Array.from(new Set(keys || []));
+    const uniqueKeys = await Promise.all(
+      requestedKeys.map((key) => this.namespaceKey(key, options.asiakasId))
+    );
+    const requestedByKey = new Map(uniqueKeys.map((key, index) => [key, requestedKeys[index]]));
+    const found = new Map();
+    const l2Keys = [];
+
+    for (const key of uniqueKeys) {
+      if (await this._usableL1Ttl(key)) {
+        const l1Entry = this._getFromL1(key, entityType, startTime);
+        if (l1Entry) {
+          this._setBatchHit(found, key, l1Entry, options);
+          continue;
+        }
+      }
+      l2Keys.push(key);
+    }
+
+    // Only the MGETs run inside withRedis(); values are decoded afterwards so
+    // an unreadable value is a miss for its key, not a Redis failure
+    const fetched =
+      l2Keys.length === 0
+        ? []
+        : await this.withRedis(
+            async (redis) => {
+              const rows = []; // [{ key, raw, responseTime }]
+              for (let i = 0; i < l2Keys.length; i += this.BATCH_SIZE) {
+                const batch = l2Keys.slice(i, i + this.BATCH_SIZE);
+                const values = await redis.mget(...batch);
+                const responseTime = Date.now() - startTime;
+                batch.forEach((key, index) => rows.push({ key, raw: values[index], responseTime }));
+              }
+              return rows;
+            },
+            [],
+            "[UniversalCache]",
+            `mget ${entityType}`
+          );
+
+    await Promise.all(
+      fetched.map(async ({ key, raw, responseTime }) => {
+        const entry = await this._readBatchValue(
+          key,
+          requestedByKey.get(key),
+          raw,
+          entityType,
+          options
+        );
+        if (!entry) {
+          this.cacheMetrics.recordMiss(entityType, responseTime);
+          this._recordMetric("recordTierMiss", "l2", entityType);
+          return;
+        }
+
+        this.cacheMetrics.recordHit(entityType, responseTime);
+        this._recordMetric("recordTierHit", "l2", entityType);
+        if (entry.absent) {
+          this._recordMetric("recordNegativeHit", entityType);
+        }
+        this._setBatchHit(found, key, entry, options);
+      })
+    );
+
+    this.logger.debug("Cache mget completed", {
+      entityType,
+      keys: uniqueKeys.length,
+      hits: found.size,
+    });
+
+    const results = new Map();
+    uniqueKeys.forEach((key, index) => {
+      if (found.has(key)) {
+        results.set(requestedKeys[index], found.get(key));
+      }
+    });
+    return results;
+  }
+
+  /**
+   * Add an mget() hit; not-found entries only with options.absentValue
+   * @private
+   */
+  _setBatchHit(found, key, entry, options) {
+    if (!entry.absent) {
+      found.set(key, entry.value);
+    } else if (options.absentValue !== undefined) {
+      found.set(key, options.absentValue);
+    }
+  }
+
+  /**
+   * Decode one MGET value; handles L1 fill and stale refresh
+   * @private
+   * @returns {Promise<Object|null>} { value, stale } or null on miss/unreadable value
+   */
+  async _readBatchValue(key, requestedKey, raw, entityType, options) {
+    if (!raw) return null;
+
+    let data;
+    let entry;
+    try {
+      data = await this._decode(raw);
+      entry = this._deserialize(data);
+    } catch (error) {
+      this.logger.warn("Unreadable cache value skipped", {
+        key,
+        entityType,
+        error: error.message,
+      });
+      this.cacheMetrics.recordError("mget", "deserialize", error);
+      return null;
+    }
+
+    if (entry.stale) {
+      this._recordMetric("recordStaleHit", entityType);
+      const loaderFn = this.refreshLoaders.get(entityType);
+      if (loaderFn) {
+        this._refreshInBackground(key, entityType, () => loaderFn(requestedKey), {
+          tags: options.tags,
+          ttlAsiakasId: options.ttlAsiakasId ?? options.asiakasId,
+        });
+      }
+    } else {
+      const l1Ttl = await this._usableL1Ttl(key);
+      if (l1Ttl) {
+        this.l1.set(key, data, l1Ttl);
+      }
+    }
+    return entry;
+  }
+
+  /**
+   * Write several values in pipelined batches
+   *
+   * Each entry gets its own entity-type (and tenant) TTL with jitter, compression and
+   * tags. Entries that cannot be serialized are logged and skipped.
+   *
+   * @param {Array<Object>} entries - [{ key, data, entityType, tags, asiakasId }]
+   * @returns {Promise<number>} Number of entries written
+   *
+   * @example
+   * await cacheManager.mset(rows.map((row) => ({
+   *   key: cacheManager.buildKey('keikka.get', { asiakasId, keikkaId: row.keikkaId }),
+   *   data: row,
+   *   entityType: 'keikka',
+   *   tags: [`keikka:${row.keikkaId}`],
+   * })));
+   */
+  async mset(entries) {
+    const items = [];
+    for (const { key, data, entityType = "default", tags = [], asiakasId } of entries || []) {
+      try {
+        const serialized = this._serialize(data, entityType, asiakasId);
+        if (data === undefined || serialized === undefined) {
+          // JSON.stringify() returns undefined instead of throwing (undefined, functions, symbols)
+          throw new Error("Value is not JSON-serializable");
+        }
+        const stored = await this._encode(serialized, entityType);
+        const { ttl } = this._getJitteredTtl(entityType, asiakasId);
+        const cacheKey = await this.namespaceKey(key, asiakasId);
+        items.push({ key: cacheKey, entityType, tags, serialized, stored, ttl });
+      } catch (error) {
+        this.logger.warn("Cache mset entry skipped", {
+          key,
+          entityType,
+          error: error.message,
+        });
+      }
+    }
+    if (items.length === 0) return 0;
+
+    return await this.withRedis(
+      async (redis) => {
+        let written = 0;
+
+        for (let i = 0; i < items.length; i += this.BATCH_SIZE) {
+          const batch = items.slice(i, i + this.BATCH_SIZE);
+          const results = await this._writeEntries(redis, batch);
+
+          const writtenItems = batch.filter((item, index) => results[index]);
+          for (const item of writtenItems) {
+            written++;
+
+            const l1Ttl = await this._usableL1Ttl(item.key);
+            if (l1Ttl) {
+              this.l1.set(item.key, item.serialized, Math.min(l1Ttl, item.ttl));
+            }
+            this.cacheMetrics.recordSet(item.entityType, item.key);
+            this._recordMetric(
+              "recordSize",
+              item.entityType,
+              Buffer.byteLength(item.serialized),
+              Buffer.byteLength(item.stored)
+            );
+          }
+          await this._broadcastL1Eviction(writtenItems.map((item) => item.key));
+        }
+
+        this.logger.debug("Cache mset completed", { entries: items.length, written });
+        return written;
+      },
+      0,
+      "[UniversalCache]",
+      "mset"
+    );
+  }
+
+  /**
+   * Register a background refresh loader for an entity type
+   *
+   * Used by stale-while-revalidate: when get() returns a stale entry of this
+   * entity type, the loader is called with the cache key and its result is
+   * written back to the cache.
+   *
+   * @param {string} entityType - Entity type (e.g. 'config')
+   * @param {Function} loaderFn - Async function (key) => fresh data
+   *
+   * @example
+   * cacheManager.registerRefreshLoader('holiday', async (key) => {
+   *   const year = key.split(':')[2];
+   *   return holidaySql.listByYear(year);
+   * });
+   */
+  registerRefreshLoader(entityType, loaderFn) {
+    if (typeof loaderFn !== "function") {
+      throw new Error("Refresh loader must be a function");
+    }
+    this.refreshLoaders.set(entityType, loaderFn);
+  }
+
+  /**
+   * Refresh a stale entry without blocking the caller
+   *
+   * Deduplicated per process; across instances a short distributed lock
+   * ensures only one instance refreshes a given key.
+   * @private
+   */
+  _refreshInBackground(key, entityType, loaderFn, cacheOptions = {}) {
+    if (this.inflightRefreshes.has(key)) {
+      return;
+    }
+    this.inflightRefreshes.add(key);
+
+    const refresh = async () => {
+      const lockManager = await this._getLockManager();
+      const lock = lockManager
+        ? await lockManager.acquireLock(`cache:refresh:${key}`, 30000)
+        : null;
+      if (lockManager && !lock) {
+        return; // Another instance is refreshing this key
+      }
+
+      const startTime = Date.now();
+      try {
+        const data = await loaderFn();
+        if (data !== null && data !== undefined) {
+          await this.cache(key, data, entityType, cacheOptions);
+        }
+        this._recordMetric("recordRefresh", entityType, true, Date.now() - startTime);
+      } finally {
+        if (lock) {
+          await lock.release();
+        }
+      }
+    };
+
+    refresh()
+      .catch((error) => {
+        this._recordMetric("recordRefresh", entityType, false, 0);
+        this.logger.warn("Background refresh failed", {
+          key,
+          entityType,
+          error: error.message,
+        });
+      })
+      .finally(() => {
+        this.inflightRefreshes.delete(key);
+      });
+  }
+
+  /**
+   * Read-through cache: return cached data or load, cache and return it
+   *
+   * Stampede protection:
+   * - Stale entries (past soft TTL) are served while loaderFn refreshes them in the background
+   * - Concurrent misses for the same key in this process share one loader call
+   * - Across instances, a distributed lock ensures only one loader runs; other
+   *   instances poll the cache briefly and fall back to loading themselves
+   *   if the value does not appear within `waitTimeoutMs`
+   *
+   * Loader errors are propagated to the caller. A loader result of null or
+   * undefined is returned but not cached, unless options.cacheNotFound is
+   * set: then it is cached as a not-found entry (see cacheNotFound()) and
+   * later calls return null without calling the loader.
+   *
+   * @param {string} key - Cache key
+   * @param {string} entityType - Entity type for TTL selection and metrics
+   * @param {Function} loaderFn - Async function returning fresh data (e.g. DB query)
+   * @param {Object} options - Options
+   * @param {Array<string>} options.tags - Invalidation tags passed to cache()
+   * @param {boolean} options.cacheNotFound - Cache null/undefined loader results (default: false)
+   * @param {boolean} options.useLock - Use distributed lock across instances (default: true)
+   * @param {number} options.lockTtlMs - Loader lock TTL in milliseconds (default: 10000)
+   * @param {number} options.waitTimeoutMs - How long to wait for another instance's load (default: 2000)
+   * @param {number} options.pollIntervalMs - Cache poll interval while waiting (default: 50)
+   * @param {number|string} options.asiakasId - Tenant for versioned namespaces (see flushTenant())
+   *   and per-tenant TTLs (see setTtlConfig())
+   * @returns {Promise<any>} Cached or freshly loaded data
+   *
+   * @example
+   * const keikka = await cacheManager.getOrSet(
+   *   `keikka:get:${asiakasId}:${keikkaId}`,
+   *   'keikka',
+   *   () => keikkaSql.get(keikkaId),
+   *   { tags: [`keikka:${keikkaId}`] }
+   * );
+   */
+  async getOrSet(key, entityType, loaderFn, options = {}) {
+    key = await this.namespaceKey(key, options.asiakasId);
+
+    // Stale entries are served immediately and refreshed in the background with loaderFn
+    const entry = await this.getEntry(key, entityType, {
+      refreshLoader: loaderFn,
+      tags: options.tags,
+      ttlAsiakasId: options.asiakasId,
+    });
+    if (entry.hit) {
+      return entry.value;
+    }
+
+    // Coalesce concurrent misses within this process
+    if (this.inflightLoads.has(key)) {
+      this._recordMetric("recordLoad", entityType, "coalesced", 0);
+      return await this.inflightLoads.get(key);
+    }
+
+    const loadPromise = this._loadWithLock(key, entityType, loaderFn, options);
+    this.inflightLoads.set(key, loadPromise);
+
+    try {
+      return await loadPromise;
+    } finally {
+      this.inflightLoads.delete(key);
+    }
+  }
+
+  /**
+   * Run the loader under a distributed lock (or wait for the lock holder)
+   * @private
+   */
+  async _loadWithLock(key, entityType, loaderFn, options) {
+    const {
+      useLock = true,
+      lockTtlMs = 10000,
+      waitTimeoutMs = 2000,
+      pollIntervalMs = 50,
+    } = options;
+
+    const lockManager = useLock ? await this._getLockManager() : null;
+    if (!lockManager) {
+      return await this._runLoader(key, entityType, loaderFn, options, "loaded");
+    }
+
+    const lock = await lockManager.acquireLock(`cache:load:${key}`, lockTtlMs);
+    if (lock) {
+      try {
+        // Another instance may have filled the cache while we acquired the lock
+        const filled = await this._peek(key);
+        if (filled !== null) {
+          this._recordMetric("recordLoad", entityType, "waited", 0);
+          return filled.value;
+        }
+        return await this._runLoader(key, entityType, loaderFn, options, "loaded");
+      } finally {
+        await lock.release();
+      }
+    }
+
+    // Another instance is loading - wait briefly for its result
+    const waitStart = Date.now();
+    while (Date.now() - waitStart < waitTimeoutMs) {
+      await new Promise((resolve) => setTimeout(resolve, pollIntervalMs));
+      const filled = await this._peek(key);
+      if (filled !== null) {
+        this._recordMetric("recordLoad", entityType, "waited", Date.now() - waitStart);
+        return filled.value;
+      }
+    }
+
+    this.logger.warn("Loader lock wait timed out, loading without lock", {
+      key,
+      entityType,
+      waitTimeoutMs,
+    });
+    return await this._runLoader(key, entityType, loaderFn, options, "lockTimeout");
+  }
+
+  /**
+   * Call the loader and cache a non-null result
+   * @private
+   */
+  async _runLoader(key, entityType, loaderFn, options, outcome) {
+    const startTime = Date.now();
+
+    let data;
+    try {
+      data = await loaderFn();
+    } catch (error) {
+      this._recordMetric("recordLoad", entityType, "error", Date.now() - startTime);
+      throw error;
+    }
+
+    this._recordMetric("recordLoad", entityType, outcome, Date.now() - startTime);
+
+    if (data !== null && data !== undefined) {
+      await this.cache(key, data, entityType, {
+        tags: options.tags,
+        ttlAsiakasId: options.asiakasId,
+      });
+    } else if (options.cacheNotFound) {
+      await this.cacheNotFound(key, entityType, { tags: options.tags });
+    }
+    return data === undefined ? null : data;
+  }
+
+  /**
+   * Read a cached entry without recording hit/miss metrics
+   * @private
+   * @returns {Promise<Object|null>} { value, stale, absent? } or null on a miss
+   */
+  async _peek(key) {
+    const raw = await this.withRedis((redis) => redis.get(key), null, "[UniversalCache]", "peek");
+    if (!raw) return null;
+
+    try {
+      return this._deserialize(await this._decode(raw));
+    } catch (error) {
+      this.logger.warn("Unreadable cache value skipped", { key, error: error.message });
+      this.cacheMetrics.recordError("peek", "deserialize", error);
+      return null;
+    }
+  }
+
+  /**
+   * Get (or lazily create) the lock manager used by getOrSet()
+   * @private
+   */
+  async _getLockManager() {
+    if (this.lockManager) {
+      return this.lockManager;
+    }
+
+    const redis = await this.getClient();
+    if (!redis) {
+      return null;
+    }
+
+    this.lockManager = new DistributedLockManager(redis, this.logger, this.cacheMetrics);
+    return this.lockManager;
+  }
+
+  /**
+   * Production-safe key scanning using SCAN instead of KEYS
+   */
+  async scanKeys(pattern, scanCount = this.SCAN_COUNT) {
+    return await this.withRedis(
+      async (redis) => {
+        const keys = [];
+        let cursor = "0";
+        let iterations = 0;
+        const maxIterations = 1000; // Prevent infinite loops
+
+        do {
+          // Add small delay to prevent Redis overload during large scans
+          if (iterations > 0 && iterations % 10 === 0) {
+            await new Promise((resolve) => setTimeout(resolve, 1));
+          }
+
+          try {
+            const result = await redis.scan(
+              cursor,
+              "MATCH",
+              pattern,
+              "COUNT",
               scanCount
             );
             cursor = result[0];
@@ -603,6 +2274,7 @@ class UniversalCacheManager {
               iteration: iterations,
               error: scanError.message,
             });
+            this._recordScopeError();
             // Continue with partial results rather than failing completely
             break;
           }
@@ -622,48 +2294,416 @@ class UniversalCacheManager {
   }
 
   /**
-   * Safe batch deletion of keys
+   * Safe batch deletion of keys
+   *
+   * Deleted keys are then removed from their tag sets; the tag index check
+   * rides along with the DEL, so untagged keys cost no extra round trip.
+   */
+  async batchDelete(keys, batchSize = this.BATCH_SIZE) {
+    if (!keys || keys.length === 0) return 0;
+
+    return await this.withRedis(
+      async (redis) => {
+        let deletedCount = 0;
+
+        for (let i = 0; i < keys.length; i += batchSize) {
+          const batch = keys.slice(i, i + batchSize);
+          const indexKeys = this._taggableKeys(batch).map((key) => this._getTagIndexKey(key));
+
+          let tagged = false;
+          try {
+            const pipeline = redis.pipeline();
+            pipeline.del(...batch);
+            if (indexKeys.length > 0) {
+              pipeline.exists(...indexKeys);
+            }
+            const [[deleteError], indexed] = await pipeline.exec();
+            if (deleteError) throw deleteError;
+            deletedCount += batch.length;
+            tagged = !!indexed && !indexed[0] && indexed[1] > 0;
+          } catch (deleteError) {
+            this.logger.error("Batch delete error", {
+              error: deleteError.message,
+              batchSize: batch.length,
+            });
+            this._recordScopeError();
+            // Continue with remaining batches rather than failing completely
+            continue;
+          }
+
+          if (!tagged) continue;
+          try {
+            await this._removeFromTagSets(redis, batch);
+          } catch (cleanupError) {
+            // The keys are gone; a stale tag set member only costs a no-op DEL later
+            this.logger.warn("Tag set cleanup error", {
+              error: cleanupError.message,
+              batchSize: batch.length,
+            });
+          }
+        }
+
+        this.logger.debug("Batch delete completed", {
+          deletedCount,
+          batches: Math.ceil(keys.length / batchSize),
+        });
+
+        await this._evictFromL1(keys);
+        return deletedCount;
+      },
+      0,
+      "[UniversalCache]",
+      "batch delete"
+    );
+  }
+
+  /**
+   * Get the L1 TTL (seconds) for a key, or 0 if the key is not held in L1
+   *
+   * The entity type is taken from the key prefix so that evictions can be
+   * decided from key names alone.
+   * @private
+   */
+  _getL1Ttl(key) {
+    if (!this.l1) return 0;
+    return this.L1_TTL[this._stripNamespace(key).split(":")[0]] || 0;
+  }
+
+  /**
+   * Get the L1 TTL (seconds) for a key, or 0 if L1 must be bypassed
+   *
+   * L1 is only used while this instance receives eviction messages; without
+   * them another instance's write or delete would leave this copy stale.
+   * @private
+   */
+  async _usableL1Ttl(key) {
+    const l1Ttl = this._getL1Ttl(key);
+    if (!l1Ttl) return 0;
+    return (await this._ensureL1Subscription()) ? l1Ttl : 0;
+  }
+
+  /**
+   * Evict deleted keys from L1 in this process and broadcast to other instances
+   * @private
+   */
+  async _evictFromL1(keys) {
+    if (this.l1) {
+      this.l1.deleteMany(keys);
+    }
+    await this._broadcastL1Eviction(keys);
+  }
+
+  /**
+   * Tell other instances to drop their L1 copies of written or deleted keys
+   *
+   * Broadcasts even when this process has no L1, so instances that do have
+   * one are always told. Only keys of L1 entity types are sent.
+   * @private
+   */
+  async _broadcastL1Eviction(keys) {
+    const l1Keys = keys.filter(
+      (key) => this.L1_TTL[this._stripNamespace(key).split(":")[0]]
+    );
+    if (l1Keys.length === 0) return;
+
+    await this.pubsub.publish(L1_INVALIDATION_CHANNEL, { keys: l1Keys });
+  }
+
+  /**
+   * Subscribe to L1 eviction messages from other instances
+   *
+   * Registers the handler once and retries the subscription after a Redis
+   * outage. While not subscribed, L1 is cleared and bypassed.
+   * @private
+   * @returns {Promise<boolean>} True if eviction messages are being received
+   */
+  async _ensureL1Subscription() {
+    try {
+      if (!this.l1Subscribed) {
+        this.l1Subscribed = true;
+        await this.pubsub.subscribe(L1_INVALIDATION_CHANNEL, (payload) => {
+          const evicted = this.l1 ? this.l1.deleteMany(payload.keys || []) : 0;
+          this.logger.debug("L1 eviction received", {
+            keys: (payload.keys || []).length,
+            evicted,
+          });
+        });
+      } else if (!this.pubsub.isSubscribed(L1_INVALIDATION_CHANNEL)) {
+        await this.pubsub.ensureSubscribed(); // Retry after Redis outage
+      }
+    } catch (error) {
+      this.logger.warn("L1 eviction subscription failed", { error: error.message });
+    }
+
+    if (this.pubsub.isSubscribed(L1_INVALIDATION_CHANNEL)) {
+      return true;
+    }
+    if (this.l1) {
+      this.l1.clear();
+    }
+    return false;
+  }
+
+  /**
+   * Get the current namespace generation of a tenant
+   *
+   * Generations are cached in-process for `versionedNamespaces.localTtlMs`
+   * and updated over pub/sub when another instance flushes the tenant.
+   * A missing counter starts from the current Unix time, so a lost or
+   * deleted counter never brings back an old generation's keys.
+   *
+   * @param {number|string} asiakasId - Tenant (customer) ID
+   * @returns {Promise<number|null>} Generation, or null if Redis is unavailable
+   */
+  async getNamespaceGeneration(asiakasId) {
+    const cached = this.namespaceGenerations.get(String(asiakasId));
+    if (cached && cached.expiresAt > Date.now()) {
+      return cached.generation;
+    }
+
+    await this._ensureNamespaceSubscription();
+    const generationKey = `${NAMESPACE_GENERATION_PREFIX}${asiakasId}`;
+
+    const generation = await this.withRedis(
+      async (redis) => {
+        const current = await redis.get(generationKey);
+        if (current !== null) {
+          return Number(current);
+        }
+        await redis.set(generationKey, Math.floor(Date.now() / 1000), "NX");
+        return Number(await redis.get(generationKey));
+      },
+      null,
+      "[UniversalCache]",
+      "namespace generation"
+    );
+
+    if (generation !== null) {
+      this._setNamespaceGeneration(asiakasId, generation);
+    }
+    return generation;
+  }
+
+  /**
+   * Prefix a key with its tenant's namespace generation: v{generation}:{key}
+   *
+   * Returns the key unchanged when versioned namespaces are disabled, no
+   * asiakasId is given or Redis is unavailable.
+   *
+   * @param {string} key - Cache key
+   * @param {number|string} asiakasId - Tenant (customer) ID
+   * @returns {Promise<string>} Versioned key
+   */
+  async namespaceKey(key, asiakasId) {
+    if (!this.namespaces || asiakasId == null) {
+      return key;
+    }
+    const generation = await this.getNamespaceGeneration(asiakasId);
+    return generation === null ? key : `v${generation}:${key}`;
+  }
+
+  /**
+   * Flush every namespaced key of a tenant in constant time
+   *
+   * Bumps the tenant's generation so keys cached with its asiakasId become
+   * unreachable at once; the old keys expire by TTL. Keys cached without
+   * options.asiakasId are not affected.
+   *
+   * @param {number|string} asiakasId - Tenant (customer) ID
+   * @returns {Promise<number|null>} New generation, or null if Redis is unavailable
+   * @throws {Error} If versioned namespaces are not enabled
+   *
+   * @example
+   * await cacheManager.flushTenant(8); // asiakasId 8 starts from an empty cache
+   */
+  async flushTenant(asiakasId) {
+    if (!this.namespaces) {
+      throw new Error("Versioned namespaces are not enabled (options.versionedNamespaces)");
+    }
+    if (asiakasId == null) {
+      throw new Error("flushTenant requires an asiakasId");
+    }
+
+    const startTime = Date.now();
+    const generationKey = `${NAMESPACE_GENERATION_PREFIX}${asiakasId}`;
+
+    const generation = await this.withRedis(
+      async (redis) => {
+        await redis.set(generationKey, Math.floor(Date.now() / 1000), "NX");
+        return Number(await redis.incr(generationKey));
+      },
+      null,
+      "[UniversalCache]",
+      "flush tenant"
+    );
+    if (generation === null) {
+      return null;
+    }
+
+    this._setNamespaceGeneration(asiakasId, generation);
+    await this.pubsub.publish(NAMESPACE_CHANNEL, { asiakasId: String(asiakasId), generation });
+
+    this.cacheMetrics.recordInvalidation("tenant", generationKey, 0, Date.now() - startTime);
+    this.logger.info("Tenant namespace flushed", { asiakasId, generation });
+
+    return generation;
+  }
+
+  /**
+   * Cache a tenant generation locally
+   * @private
+   */
+  _setNamespaceGeneration(asiakasId, generation) {
+    const cached = this.namespaceGenerations.get(String(asiakasId));
+    // Never move backwards if a newer generation arrived first
+    if (cached && cached.generation > generation) {
+      generation = cached.generation;
+    }
+    this.namespaceGenerations.set(String(asiakasId), {
+      generation,
+      expiresAt: Date.now() + this.namespaces.localTtlMs,
+    });
+  }
+
+  /**
+   * Strip the v{generation}: prefix from a namespaced key
+   * @private
+   */
+  _stripNamespace(key) {
+    return this.namespaces ? key.replace(NAMESPACED_KEY, "") : key;
+  }
+
+  /**
+   * Subscribe to tenant flushes from other instances (once)
+   * @private
+   */
+  async _ensureNamespaceSubscription() {
+    if (this.namespaceSubscribed) return;
+
+    this.namespaceSubscribed = true;
+    await this.pubsub.subscribe(NAMESPACE_CHANNEL, ({ asiakasId, generation }) => {
+      this._setNamespaceGeneration(asiakasId, generation);
+      this.logger.debug("Tenant namespace flush received", { asiakasId, generation });
+    });
+  }
+
+  /**
+   * Register a cache warm-up (see CacheWarmer)
+   *
+   * @param {Object} warmup - { name, entityType, dayOffsets, loader }
+   *   loader: async ({ yyyymmdd, isoDate, name }) => [{ key, data, tags, asiakasId }]
+   * @returns {Object} The registered warm-up
+   */
+  registerWarmup(warmup) {
+    return this.warmer.register(warmup);
+  }
+
+  /**
+   * Run registered warm-ups now
+   *
+   * Only one instance runs at a time (distributed lock); others get a
+   * skipped report.
+   *
+   * @param {Object} options - { dates, names, runId, lockTtlMs }
+   * @returns {Promise<Object>} Report: { skipped, reason?, durationMs, jobs, totals }
+   */
+  async runWarmup(options = {}) {
+    return await this.warmer.run(options);
+  }
+
+  /**
+   * Run warm-ups daily at the given local times
+   * @param {Object} options - { times: ['05:30'], names, lockTtlMs }
+   * @returns {Function} Stop function
+   */
+  startWarmupScheduler(options = {}) {
+    return this.warmer.startScheduler(options);
+  }
+
+  /**
+   * Stop the warm-up scheduler
+   */
+  stopWarmupScheduler() {
+    this.warmer.stopScheduler();
+  }
+
+  /**
+   * Run a function while holding a distributed lock (see DistributedLockManager.withLock())
+   *
+   * @param {string} resource - Resource identifier
+   * @param {number} ttlMs - Lock TTL in milliseconds
+   * @param {Function} fn - Async (lock) => result
+   * @param {Object} options - acquireLock() options (waitTimeoutMs, autoRenew, fencing, onLost)
+   * @returns {Promise<Object>} { acquired: true, result } or { acquired: false } (also when
+   *   Redis is unavailable)
+   */
+  async withLock(resource, ttlMs, fn, options = {}) {
+    const lockManager = await this._getLockManager();
+    if (!lockManager) {
+      return { acquired: false };
+    }
+    return await lockManager.withLock(resource, ttlMs, fn, options);
+  }
+
+  /**
+   * Register a lock-protected job (see JobRunner)
+   *
+   * @param {string} name - Unique job name
+   * @param {Function} fn - Async ({ name, lock, fencingToken }) => result
+   * @param {Object} options - { ttlMs, policy: 'skip' | 'queue', queueTimeoutMs }
+   * @returns {Object} The registered job
+   */
+  registerJob(name, fn, options = {}) {
+    return this.jobs.register(name, fn, options);
+  }
+
+  /**
+   * Run a registered job under its lock
+   * @param {string} name - Job name
+   * @returns {Promise<Object>} { name, status: 'completed' | 'failed' | 'skipped', durationMs, ... }
    */
-  async batchDelete(keys, batchSize = this.BATCH_SIZE) {
-    if (!keys || keys.length === 0) return 0;
-
-    return await this.withRedis(
-      async (redis) => {
-        let deletedCount = 0;
-
-        for (let i = 0; i < keys.length; i += batchSize) {
-          const batch = keys.slice(i, i + batchSize);
+  async runJob(name) {
+    return await this.jobs.run(name);
+  }
 
-          try {
-            await redis.del(...batch);
-            deletedCount += batch.length;
-          } catch (deleteError) {
-            this.logger.error("Batch delete error", {
-              error: deleteError.message,
-              batchSize: batch.length,
-            });
-            // Continue with remaining batches rather than failing completely
-            continue;
-          }
-        }
+  /**
+   * Get the last run / last failure of a job (or of all registered jobs)
+   * @param {string} name - Job name (omit for all registered jobs)
+   * @returns {Promise<Object|Array<Object>>} { name, policy, running, lastRun, lastFailure }
+   */
+  async getJobStatus(name) {
+    return name ? await this.jobs.getStatus(name) : await this.jobs.getStatuses();
+  }
 
-        this.logger.debug("Batch delete completed", {
-          deletedCount,
-          batches: Math.ceil(keys.length / batchSize),
-        });
-        return deletedCount;
-      },
-      0,
-      "[UniversalCache]",
-      "batch delete"
+  /**
+   * Scan keys for an invalidation pattern, including namespaced copies
+   * (not right after a tenant flush, see _executeInvalidationRule())
+   * @private
+   */
+  async _scanInvalidationKeys(pattern) {
+    const keys = await this.scanKeys(pattern);
+    if (!this.namespaces || NAMESPACED_KEY.test(pattern) || this.flushedTenantScope.getStore()) {
+      return keys;
+    }
+    const namespacedKeys = await this.scanKeys(`v*:${pattern}`);
+    return Array.from(
+      new Set([...keys, ...namespacedKeys.filter((key) => NAMESPACED_KEY.test(key))])
     );
   }
 
   /**
    * Invalidate cache keys by pattern using scan and delete
+   *
+   * With versioned namespaces enabled, namespaced copies (v*:{pattern}) are
+   * matched too.
+   *
+   * @param {string} pattern - SCAN MATCH pattern
+   * @param {Function} keyFilter - Optional (key) => boolean, only matching keys are deleted
+   * @returns {Promise<number>} Number of keys deleted
    */
-  async invalidateByPattern(pattern) {
-    const keys = await this.scanKeys(pattern);
+  async invalidateByPattern(pattern, keyFilter = null) {
+    const scanned = await this._scanInvalidationKeys(pattern);
+    const keys = keyFilter ? scanned.filter(keyFilter) : scanned;
     if (keys.length > 0) {
       const deletedCount = await this.batchDelete(keys);
       this.logger.info("Pattern invalidation completed", {
@@ -682,16 +2722,63 @@ class UniversalCacheManager {
 
   /**
    * Universal cache invalidation for all entity types
-   * This is a shortened version - full implementation continues below...
+   *
+   * Patterns come from buildInvalidationPatterns(), so explainInvalidation()
+   * reports exactly what this method deletes.
    */
   async invalidate(operation, entityType, params = {}) {
-    // Safely extract parameters
+    const patterns = this.buildInvalidationPatterns(entityType, params);
+
+    this.logger.debug("Entity invalidation patterns", {
+      operation,
+      entityType,
+      patterns: patterns.map((p) => p.pattern),
+    });
+
+    const counts = await Promise.all(
+      patterns.map(({ pattern, keyFilter }) => this.invalidateByPattern(pattern, keyFilter))
+    );
+    const deletedCount = counts.reduce((sum, count) => sum + count, 0);
+
+    if (deletedCount > 0) {
+      this.logger.info("Entity cache invalidated", {
+        entityType,
+        operation,
+        keysDeleted: deletedCount,
+      });
+    }
+
+    return deletedCount;
+  }
+
+  /**
+   * Build the SCAN patterns invalidate() uses for an entity type
+   *
+   * Each pattern lists the params whose absence widened it to a wildcard
+   * (e.g. `asiakas:*:*` instead of `asiakas:*:8*` when asiakasId is missing).
+   * Wildcards that are part of the key design (e.g. `stat:*`) are not flagged.
+   *
+   * keikka, grid, palkki and personpvm also take multi-day params (in params
+   * or params.body): `dateRange: { from, to }` and `dates: [...]`. They expand
+   * to one pattern per day (personpvm: a filter on the range keys) up to
+   * maxInvalidationDays days, above that the broad pattern is used.
+   *
+   * @param {string} entityType - Entity type (e.g. 'keikka', 'grid')
+   * @param {Object} params - Invalidation params
+   * @returns {Array<Object>} [{ pattern, missingParams, keyFilter? }]
+   */
+  buildInvalidationPatterns(entityType, params = {}) {
     const asiakasId = params.asiakasId;
     const personId = params.personId;
     const pumppuAika = params.pumppuAika;
 
-    // Generate invalidation pattern
-    let pattern = "";
+    const knownAsiakasId = asiakasId || undefined;
+
+    const byAsiakas = (pattern) => ({
+      pattern,
+      missingParams: asiakasId ? [] : ["asiakasId"],
+    });
+
     switch (entityType) {
       case "keikka": {
         const newDateValue = params.body?.newDate || params.newDate;
@@ -704,50 +2791,45 @@ class UniversalCacheManager {
           params.body?.keikkaId || params.keikkaId || params.entityId;
 
         // Individual keikka keys: if we have keikkaId, target it specifically
-        let individualKeysPattern;
-        if (keikkaIdValue) {
-          // Targeted: Only clear this specific keikka's cache (100x reduction)
-          individualKeysPattern = `keikka:get:${asiakasId || "*"}:${keikkaIdValue}`;
-        } else {
-          // Fallback: Clear all if we don't know which keikka
-          individualKeysPattern = `keikka:get:${asiakasId || "*"}:*`;
-        }
+        // (100x reduction), otherwise clear all of the customer's keikka keys
+        const individual = {
+          pattern: this._schemaPattern("keikka.get", {
+            asiakasId: knownAsiakasId,
+            keikkaId: keikkaIdValue || undefined,
+          }),
+          missingParams: [
+            ...(asiakasId ? [] : ["asiakasId"]),
+            ...(keikkaIdValue ? [] : ["keikkaId"]),
+          ],
+        };
 
-        // Key format: keikka:list:asiakasId:personId:yyyymmdd[:deleted]
-        // Match yyyymmdd at position 5 (trailing wildcard for optional :deleted suffix)
-        if (yyyymmddValue) {
-          return await Promise.all([
-            this.invalidateByPattern(individualKeysPattern),
-            this.invalidateByPattern(`keikka:list:*:*:${yyyymmddValue}*`),  // yyyymmdd at position 5
-          ]).then((results) => results.reduce((sum, count) => sum + count, 0));
-        } else if (targetDate) {
-          const yyyymmdd = targetDate.substring(0, 10).replace(/-/g, "");
-          return await Promise.all([
-            this.invalidateByPattern(individualKeysPattern),
-            this.invalidateByPattern(`keikka:list:*:*:${yyyymmdd}*`),  // yyyymmdd at position 5
-          ]).then((results) => results.reduce((sum, count) => sum + count, 0));
-        } else if (personIdValue) {
-          return await Promise.all([
-            this.invalidateByPattern(individualKeysPattern),
-            this.invalidateByPattern(`keikka:list:*:${personIdValue}:*`),  // personId at position 4
-          ]).then((results) => results.reduce((sum, count) => sum + count, 0));
-        } else {
-          return await Promise.all([
-            this.invalidateByPattern(individualKeysPattern),
-            this.invalidateByPattern(`keikka:list:*`),  // fallback: all keikka lists
-          ]).then((results) => results.reduce((sum, count) => sum + count, 0));
+        // Schema keikka.list: keikka:list:asiakasId:personId:yyyymmdd[:deleted]
+        // Known days win over personId; without them all keikka lists are cleared
+        const days = this._resolveInvalidationDays(params, [yyyymmddValue || targetDate]);
+        if (days) {
+          return [
+            individual,
+            ...days.map((yyyymmdd) => ({
+              pattern: this._schemaPattern("keikka.list", { yyyymmdd }),
+              missingParams: [],
+            })),
+          ];
         }
+
+        const list = {
+          pattern: this._schemaPattern("keikka.list", { personId: personIdValue || undefined }),
+          missingParams: ["yyyymmdd"],
+        };
+        return [individual, list];
       }
       case "asiakas":
-        pattern = `asiakas:*:${asiakasId || "*"}*`;
-        break;
+        return [byAsiakas(`asiakas:*:${asiakasId || "*"}*`)];
       case "vehicleRequiredDateType":
       case "personRequiredDateType":
       case "tyomaaRequiredDateType":
       case "asiakasRequiredDateType":
         // These keys have 3 segments: entityType:operation:asiakasId (e.g., vehicleRequiredDateType:batchCompliance:8)
-        pattern = `${entityType}:*:${asiakasId || "*"}`;
-        break;
+        return [byAsiakas(`${entityType}:*:${asiakasId || "*"}`)];
       case "stat":
         // Stat keys have varying segment counts (3-6 segments):
         // - stat:stat4:{ownerAsiakasId} (3 segments)
@@ -755,21 +2837,46 @@ class UniversalCacheManager {
         // - stat:stat1:{year}:{month}:{ownerAsiakasId} (5 segments)
         // - stat:count:{...4 params} (6 segments)
         // Use simple prefix pattern to catch all stat keys
-        return await this.invalidateByPattern(`stat:*`);
-      case "grid":
-        if (personId && pumppuAika) {
-          const dateKey = this.formatGridDate(pumppuAika);
-          pattern = `grid:personId:${personId}:pumppuAika:${dateKey}`;
-        } else if (pumppuAika) {
-          const dateKey = this.formatGridDate(pumppuAika);
-          pattern = `grid:personId:*:pumppuAika:${dateKey}`;
-        } else if (personId) {
-          pattern = `grid:personId:${personId}:pumppuAika:*`;
-        } else {
-          pattern = `grid:personId:*:pumppuAika:*`;
+        return [{ pattern: `stat:*`, missingParams: [] }];
+      case "grid": {
+        const dateKey = pumppuAika ? this.formatGridDate(pumppuAika) : null;
+        const days = this._resolveInvalidationDays(params, [dateKey]);
+        return (days || [undefined]).map((day) => ({
+          pattern: this._schemaPattern("grid.person", {
+            personId: personId || undefined,
+            pumppuAika: day,
+          }),
+          missingParams: days ? [] : ["pumppuAika"],
+        }));
+      }
+      case "palkki": {
+        // Schema grid.palkki.list: grid:palkki:list:asiakasId:yyyymmdd[:variant]
+        // The frontend sends cacheInvalidation: { yyyymmdd: [...], visibleAsiakasIds: [...] }
+        // for the customers whose grids show the bars; the owner is always included
+        const cacheInvalidation = params.cacheInvalidation || {};
+        const customers = new Set(cacheInvalidation.visibleAsiakasIds || []);
+        if (asiakasId) customers.add(asiakasId);
+        const days = this._resolveInvalidationDays(params, cacheInvalidation.yyyymmdd || []);
+
+        if (days && customers.size > 0) {
+          return Array.from(customers).flatMap((customerId) =>
+            days.map((yyyymmdd) => ({
+              pattern: this._schemaPattern("grid.palkki.list", { asiakasId: customerId, yyyymmdd }),
+              missingParams: [],
+            }))
+          );
         }
-        break;
-      case "attachment": {
+        // Without known days: every day of the owner (nothing without an owner)
+        return asiakasId
+          ? [
+              {
+                pattern: this._schemaPattern("grid.palkki.list", { asiakasId }),
+                missingParams: ["yyyymmdd"],
+              },
+            ]
+          : [];
+      }
+      case "attachment":
         // Attachments have multiple key formats:
         // 1. Individual/list keys: attachment:list:keikka:123, attachment:list:vehicle:456, attachment:get:789
         // 2. Bulk keys: attachment:bulk:keikka:<hash>
@@ -779,53 +2886,153 @@ class UniversalCacheManager {
 
         // Invalidate ALL attachment-related keys to ensure consistency
         // This includes bulk keikka attachment lists that don't have asiakasId in the key
-        const patterns = [
-          `attachment:*:${asiakasId || "*"}:*`, // 4-segment asiakasId-based keys (search)
-          `attachment:listMissing:${asiakasId || "*"}`, // 3-segment listMissing keys
-          `attachment:types:${asiakasId || "*"}`, // 3-segment type keys
-          `attachment:bulk:*:*`, // bulk keikka attachment lists
-          `attachment:list:*:*`, // individual entity attachment lists
-          `attachment:get:*`, // individual attachment gets
+        return [
+          byAsiakas(`attachment:*:${asiakasId || "*"}:*`), // 4-segment asiakasId-based keys (search)
+          byAsiakas(this._schemaPattern("attachment.listMissing", { asiakasId: knownAsiakasId })),
+          byAsiakas(this._schemaPattern("attachment.types", { asiakasId: knownAsiakasId })),
+          { pattern: this._schemaPattern("attachment.bulk"), missingParams: [] },
+          { pattern: this._schemaPattern("attachment.list"), missingParams: [] },
+          { pattern: this._schemaPattern("attachment.get"), missingParams: [] },
         ];
-
-        return await Promise.all(
-          patterns.map((p) => this.invalidateByPattern(p))
-        ).then((results) => results.reduce((sum, count) => sum + count, 0));
-      }
-      case "personpvm":
+      case "personpvm": {
         // PersonPVM keys: personpvm:list:asiakasId or personpvm:list:asiakasId:startDate:endDate
         // Use trailing wildcard to match both 3-segment and 5-segment keys
-        pattern = `personpvm:*:${asiakasId || "*"}*`;
-        break;
+        const pattern = byAsiakas(`personpvm:*:${asiakasId || "*"}*`);
+        // Range keys cannot be matched per day by a glob: with known days,
+        // only range keys overlapping them are deleted (other keys always are)
+        const days = this._resolveInvalidationDays(params);
+        return days
+          ? [{ ...pattern, keyFilter: (key) => this._personPvmKeyOverlaps(key, days) }]
+          : [pattern];
+      }
       default:
         // Use trailing wildcard (no colon) to match 3+ segment keys like entity:list:asiakasId
-        pattern = `${entityType}:*:${asiakasId || "*"}*`;
+        return [byAsiakas(`${entityType}:*:${asiakasId || "*"}*`)];
     }
+  }
 
-    console.log(
-      "🔍 [DEBUG invalidate] Pattern:",
-      pattern,
-      "for entityType:",
-      entityType
-    );
-    const keys = await this.scanKeys(pattern);
-    console.log(
-      "🔍 [DEBUG invalidate] Keys found:",
-      keys.length,
-      keys.slice(0, 3)
-    );
+  /**
+   * Expand multi-day invalidation params into yyyymmdd days
+   *
+   * Reads `dateRange: { from, to }` and `dates: [...]` from params, then
+   * params.body, and adds extraDays (single-day params such as pumppuAika).
+   * Dates are 'yyyymmdd', 'YYYY-MM-DD...' strings, yyyymmdd numbers or Dates.
+   *
+   * @private
+   * @param {Object} params - Invalidation params
+   * @param {Array} extraDays - Additional single days (empty values are ignored)
+   * @param {Object} options - { log: false } to skip the fallback log lines
+   * @returns {Array<string>|null} Sorted unique days, or null when no day is
+   *   known, a date is invalid or there are more than maxInvalidationDays days
+   *   (i.e. the caller should use its broad pattern)
+   */
+  _resolveInvalidationDays(params = {}, extraDays = [], options = {}) {
+    const log = options.log !== false;
+    const dateRange = params.dateRange || params.body?.dateRange;
+    const dates = params.dates || params.body?.dates;
+    const toDay = (value) => formatDateSegment(typeof value === "number" ? String(value) : value);
+
+    const days = new Set();
+    const values = [...(Array.isArray(dates) ? dates : dates ? [dates] : []), ...extraDays];
+    for (const value of values.filter((value) => value != null && value !== "")) {
+      const day = toDay(value);
+      if (!day) {
+        if (log) {
+          this.logger.warn("Invalid invalidation date, using broad invalidation", { date: value });
+        }
+        return null;
+      }
+      days.add(day);
+    }
 
-    if (keys.length > 0) {
-      const deletedCount = await this.batchDelete(keys);
-      this.logger.info("Entity cache invalidated", {
-        entityType,
-        operation,
-        keysDeleted: deletedCount,
-      });
-      return deletedCount;
+    if (dateRange) {
+      const from = toDay(dateRange.from);
+      const to = toDay(dateRange.to || dateRange.from);
+      if (!from || !to || from > to) {
+        if (log) {
+          this.logger.warn("Invalid invalidation dateRange, using broad invalidation", { dateRange });
+        }
+        return null;
+      }
+      const start = Date.UTC(from.slice(0, 4), from.slice(4, 6) - 1, from.slice(6, 8));
+      const end = Date.UTC(to.slice(0, 4), to.slice(4, 6) - 1, to.slice(6, 8));
+      // Check the span before expanding it (a typo can make it years long)
+      if ((end - start) / DAY_MS + 1 > this.maxInvalidationDays) {
+        if (log) this._logBroadDateInvalidation(dateRange, (end - start) / DAY_MS + 1);
+        return null;
+      }
+      for (let time = start; time <= end; time += DAY_MS) {
+        days.add(new Date(time).toISOString().slice(0, 10).replace(/-/g, ""));
+      }
     }
 
-    return 0;
+    if (days.size > this.maxInvalidationDays) {
+      if (log) this._logBroadDateInvalidation(dateRange, days.size);
+      return null;
+    }
+    return days.size > 0 ? Array.from(days).sort() : null;
+  }
+
+  /**
+   * @private
+   */
+  _logBroadDateInvalidation(dateRange, dayCount) {
+    this.logger.info("Invalidation spans too many days, using broad invalidation", {
+      dateRange,
+      dayCount,
+      maxInvalidationDays: this.maxInvalidationDays,
+    });
+  }
+
+  /**
+   * Whether a personpvm key is affected by an edit on the given days
+   *
+   * Range keys (personpvm:list:asiakasId:startDate:endDate) are affected when
+   * their range contains one of the days; any other key always is.
+   *
+   * @private
+   */
+  _personPvmKeyOverlaps(key, days) {
+    const segments = key.replace(NAMESPACED_KEY, "").split(":");
+    const startDate = segments[3] && formatDateSegment(segments[3]);
+    const endDate = segments[4] && formatDateSegment(segments[4]);
+    if (!startDate || !endDate) {
+      return true;
+    }
+    return days.some((day) => day >= startDate && day <= endDate);
+  }
+
+  /**
+   * Derive an invalidation pattern from a key schema
+   *
+   * Invalidation must not throw on a malformed param, so an invalid value
+   * widens its own segment to a wildcard instead (and is logged); valid
+   * params such as the tenant still apply.
+   *
+   * @private
+   */
+  _schemaPattern(schemaName, params = {}) {
+    try {
+      return this.keySchemas.patternFor(schemaName, params);
+    } catch (error) {
+      // Wildcard only the invalid segments; the tenant and other valid params still narrow it
+      const validParams = {};
+      const invalidParams = [];
+      for (const [name, value] of Object.entries(params)) {
+        try {
+          this.keySchemas.patternFor(schemaName, { [name]: value });
+          validParams[name] = value;
+        } catch (paramError) {
+          invalidParams.push(name);
+        }
+      }
+      this.logger.warn("Invalid invalidation param, widening pattern", {
+        schema: schemaName,
+        invalidParams,
+        error: error.message,
+      });
+      return this.keySchemas.patternFor(schemaName, validParams);
+    }
   }
 
   /**
@@ -844,973 +3051,793 @@ class UniversalCacheManager {
       asiakasId,
     });
 
-    switch (operation) {
-      case "KEIKKA_UPDATE": {
-        let totalInvalidated = 0;
+    const { gridParams, reason } = this._resolveGridSmartParams(operation, body, params);
+
+    if (!gridParams) {
+      this.logger.warn("KEIKKA_COPY without newDate - no invalidation", {
+        operation,
+      });
+      return 0;
+    }
+    if (reason === "unknown operation") {
+      this.logger.warn("Unknown grid operation, using broad invalidation", {
+        operation,
+        asiakasId,
+      });
+    } else if (reason === "copy target date") {
+      this.logger.debug("Copy operation detected - invalidating ONLY target date", {
+        newDate,
+        asiakasId,
+      });
+    }
+
+    return await this.invalidate(operation, "grid", gridParams);
+  }
+
+  /**
+   * Decide which grid params invalidateGridSmart() invalidates
+   *
+   * Copy operations (newDate set) only touch the target date. Multi-day
+   * params (dateRange, dates) are passed on, so bulk operations only touch
+   * the days they name.
+   *
+   * @private
+   * @returns {Object} { gridParams, reason } - gridParams is null when nothing is invalidated
+   */
+  _resolveGridSmartParams(operation, body = {}, params = {}) {
+    const { pumppuAika, newDate } = body;
+    const asiakasId = params.asiakasId;
+    const dateParams = {
+      dateRange: params.dateRange || body.dateRange,
+      dates: params.dates || body.dates,
+    };
+    const hasDays = !!(dateParams.dateRange || dateParams.dates);
 
+    switch (operation) {
+      case "KEIKKA_UPDATE":
         if (newDate) {
-          this.logger.debug(
-            "Copy operation detected - invalidating ONLY target date",
-            {
-              newDate,
-              asiakasId,
-            }
-          );
-          totalInvalidated += await this.invalidate(operation, "grid", {
-            asiakasId,
-            pumppuAika: newDate,
-          });
-          return totalInvalidated;
+          return { gridParams: { asiakasId, pumppuAika: newDate }, reason: "copy target date" };
         }
-
         if (pumppuAika) {
-          totalInvalidated += await this.invalidate(operation, "grid", {
-            asiakasId,
-            pumppuAika,
-          });
-        } else {
-          totalInvalidated += await this.invalidate(operation, "grid", {
-            asiakasId,
-          });
+          return { gridParams: { asiakasId, pumppuAika, ...dateParams }, reason: "pumppuAika" };
         }
-
-        return totalInvalidated;
-      }
+        if (hasDays) {
+          return { gridParams: { asiakasId, ...dateParams }, reason: "date range" };
+        }
+        return { gridParams: { asiakasId }, reason: "no date" };
 
       case "KEIKKA_COPY":
         if (newDate) {
-          this.logger.debug("KEIKKA_COPY - invalidating target date only", {
-            newDate,
-            asiakasId,
-          });
-          return await this.invalidate(operation, "grid", {
-            asiakasId,
-            pumppuAika: newDate,
-          });
-        } else {
-          this.logger.warn("KEIKKA_COPY without newDate - no invalidation", {
-            operation,
-          });
-          return 0;
+          return { gridParams: { asiakasId, pumppuAika: newDate }, reason: "copy target date" };
         }
+        return { gridParams: null, reason: "copy without newDate" };
 
       default:
-        this.logger.warn("Unknown grid operation, using broad invalidation", {
-          operation,
-          asiakasId,
-        });
-        return await this.invalidate(operation, "grid", { asiakasId });
+        if (hasDays) {
+          return { gridParams: { asiakasId, ...dateParams }, reason: "date range" };
+        }
+        return { gridParams: { asiakasId }, reason: "unknown operation" };
     }
   }
 
   /**
    * Cross-entity invalidation for complex operations
    * CRITICAL: This is what tilaCron needs for KEIKKA_BULK_UPDATE
+   *
+   * Driven by the invalidation rule registry (see defaultInvalidationRules.js).
+   *
+   * @param {string} operation - Operation name (e.g. 'KEIKKA_UPDATE')
+   * @param {Object} params - Invalidation params (asiakasId, keikkaId, body, ...)
+   * @returns {Promise<number>} Total number of keys invalidated
    */
   async invalidateCrossEntity(operation, params = {}) {
-    let totalInvalidated = 0;
-
-    switch (operation) {
-      case "KEIKKA_UPDATE":
-      case "KEIKKA_DELETE":
-      case "KEIKKA_CREATE":
-        // Parallelize independent invalidations for better performance
-        const [
-          keikkaCount,
-          keikkaPersonCount,
-          keikkaBetoniCount,
-          stepLogCount,
-          attachmentCount,
-          gridCount,
-        ] = await Promise.all([
-          this.invalidate(operation, "keikka", params),
-          this.invalidate(operation, "keikkaPerson", params),
-          this.invalidate(operation, "keikkaBetoni", params),
-          this.invalidate(operation, "stepLog", params),
-          this.invalidate(operation, "attachment", params),
-          this.invalidateGridSmart(operation, params.body || {}, params),
-        ]);
-        totalInvalidated +=
-          keikkaCount +
-          keikkaPersonCount +
-          keikkaBetoniCount +
-          stepLogCount +
-          attachmentCount +
-          gridCount;
-        break;
-
-      case "KEIKKA_BULK_UPDATE":
-        totalInvalidated += await this.invalidate(operation, "keikka", params);
-        totalInvalidated += await this.invalidateGridSmart(
-          operation,
-          params.body || {},
-          params
-        );
-        totalInvalidated += await this.invalidate(operation, "asiakas", params);
-        this.logger.debug("KEIKKA_BULK_UPDATE completed", {
-          keysInvalidated: totalInvalidated,
-        });
-        break;
-
-      case "PALKKI_UPDATE":
-      case "PALKKI_DELETE":
-      case "PALKKI_CREATE": {
-        // Palkki operations affect grid cache, keikka list cache, AND palkki list cache
-        const palkkiGridCount = await this.invalidateGridSmart(
-          operation,
-          params.body || {},
-          params
-        );
+    const report = await this.invalidateCrossEntityDetailed(operation, params);
+    return report.totalInvalidated;
+  }
 
-        // Invalidate keikka list cache (grid uses keikka:list:* for data)
-        const keikkaListCount = await this.invalidate(operation, "keikka", {
-          asiakasId: params.asiakasId,
-          pumppuAika: params.pumppuAika || params.body?.pumppuAika,
+  /**
+   * Cross-entity invalidation returning a per-rule report
+   *
+   * Operations without a registered rule fall back to invalidating
+   * `params.entityType` (or 'default').
+   *
+   * Redis failures do not throw; they are counted in `errors` (scans or
+   * deletes that failed, or Redis being unavailable), and a report with
+   * errors may have left keys behind.
+   *
+   * @param {string} operation - Operation name
+   * @param {Object} params - Invalidation params
+   * @returns {Promise<Object>} Report: { operation, totalInvalidated, durationMs, rules,
+   *   skippedRules, errors }
+   */
+  async invalidateCrossEntityDetailed(operation, params = {}) {
+    const startTime = Date.now();
+    const rules = this.invalidationRules.getRulesForOperation(operation);
+    const firedRules = [];
+    const skippedRules = [];
+    const changedTargets = []; // [{ entityType, params }] for the change feed
+    const scope = { errors: 0 };
+
+    // Rules only: a failed change-feed publish does not leave keys behind
+    await this.errorScope.run(scope, async () => {
+      if (rules.length === 0) {
+        const entityType = params.entityType || "default";
+        const keysInvalidated = await this.invalidate(operation, entityType, params);
+        firedRules.push({
+          name: "fallback",
+          keysInvalidated,
+          targets: [{ entityType, keysInvalidated }],
         });
-
-        // Invalidate palkki list cache - DATE-SPECIFIC when frontend provides data
-        const cacheInvalidation = params.cacheInvalidation;
-        let palkkiListCount = 0;
-
-        if (cacheInvalidation?.yyyymmdd?.length && cacheInvalidation?.visibleAsiakasIds?.length) {
-          // Precise invalidation: specific dates for each visible customer
-          const customersToInvalidate = new Set(cacheInvalidation.visibleAsiakasIds);
-          // Ensure owner is always included (may not be in visibility list)
-          if (params.asiakasId) {
-            customersToInvalidate.add(params.asiakasId);
-          }
-
-          for (const customerId of customersToInvalidate) {
-            for (const yyyymmdd of cacheInvalidation.yyyymmdd) {
-              palkkiListCount += await this.invalidateByPattern(
-                `grid:palkki:list:${customerId}:${yyyymmdd}:*`
-              );
-            }
+        changedTargets.push({ entityType, params });
+      } else {
+        for (const rule of rules) {
+          const missingParams = rule.requiredParams.filter((name) => params[name] == null);
+          if (missingParams.length > 0) {
+            skippedRules.push({ name: rule.name, reason: "missing params", missingParams });
+            continue;
           }
-          this.logger.debug("PALKKI date-specific invalidation", {
-            yyyymmdd: cacheInvalidation.yyyymmdd,
-            customerCount: customersToInvalidate.size,
-            keysInvalidated: palkkiListCount
-          });
-        } else {
-          // Fallback: broad invalidation if no invalidation data provided
-          const asiakasId = params.asiakasId;
-          palkkiListCount = asiakasId
-            ? await this.invalidateByPattern(`grid:palkki:list:${asiakasId}:*`)
-            : 0;
-        }
-
-        // If vehicle changed, also invalidate vehicle cache
-        const palkkiVehicleCount =
-          params.vehicleId || params.body?.vehicleId
-            ? await this.invalidate(operation, "vehicle", params)
-            : 0;
-
-        totalInvalidated += palkkiGridCount + keikkaListCount + palkkiListCount + palkkiVehicleCount;
-        this.logger.debug("PALKKI operation completed", {
-          operation,
-          keysInvalidated: totalInvalidated,
-          palkkiListCount,
-        });
-        break;
-      }
-
-      case "GRID_UPDATE":
-        // Simple grid-only invalidation for visibility changes
-        totalInvalidated += await this.invalidateGridSmart(
-          operation,
-          params.body || {},
-          params
-        );
-        this.logger.debug("GRID_UPDATE completed", {
-          keysInvalidated: totalInvalidated,
-        });
-        break;
-
-      case "VEHICLE_DATE_DISMISS":
-      case "VEHICLE_DATE_UNDISMISS":
-      case "VEHICLE_DATE_UPDATE":
-      case "VEHICLE_DATE_CREATE":
-      case "VEHICLE_DATE_DELETE":
-        console.log("🔍 [DEBUG] VEHICLE_DATE operation START", {
-          operation,
-          params,
-        });
-
-        // Show what keys exist in Redis before invalidation
-        const allVehicleKeys = await this.scanKeys("vehicle:*");
-        const allVehicleReqKeys = await this.scanKeys(
-          "vehicleRequiredDateType:*"
-        );
-        console.log(
-          "🔍 [DEBUG] Existing vehicle keys sample:",
-          allVehicleKeys.slice(0, 3)
-        );
-        console.log(
-          "🔍 [DEBUG] Existing vehicleRequiredDateType keys sample:",
-          allVehicleReqKeys.slice(0, 3)
-        );
-
-        // Parallelize independent invalidations for better performance
-        const [
-          vehicleDateCount,
-          vehicleCount,
-          vehicleReqCount,
-          vehicleGridCount,
-        ] = await Promise.all([
-          this.invalidate(operation, "vehicleDate", params),
-          this.invalidate(operation, "vehicle", params),
-          this.invalidate(operation, "vehicleRequiredDateType", params),
-          this.invalidateGridSmart(operation, params.body || {}, params),
-        ]);
-
-        console.log("🔍 [DEBUG] vehicleDate invalidated:", vehicleDateCount);
-        console.log("🔍 [DEBUG] vehicle invalidated:", vehicleCount);
-        console.log(
-          "🔍 [DEBUG] vehicleRequiredDateType invalidated:",
-          vehicleReqCount
-        );
-        console.log("🔍 [DEBUG] grid invalidated:", vehicleGridCount);
-
-        totalInvalidated +=
-          vehicleDateCount + vehicleCount + vehicleReqCount + vehicleGridCount;
-        console.log(
-          "🔍 [DEBUG] VEHICLE_DATE operation TOTAL:",
-          totalInvalidated
-        );
-        break;
-
-      case "PERSON_DATE_DISMISS":
-      case "PERSON_DATE_UNDISMISS":
-      case "PERSON_DATE_UPDATE":
-      case "PERSON_DATE_CREATE":
-      case "PERSON_DATE_DELETE":
-        console.log("🔍 [DEBUG] PERSON_DATE operation START", {
-          operation,
-          params,
-        });
-
-        // Parallelize independent invalidations for better performance
-        // CRITICAL: keikka cache must be invalidated because order views show person compliance status
-        const [personDateCount, personCount, personReqCount, personGridCount, personKeikkaCount] =
-          await Promise.all([
-            this.invalidate(operation, "personDate", params),
-            this.invalidate(operation, "person", params),
-            this.invalidate(operation, "personRequiredDateType", params),
-            this.invalidateGridSmart(operation, params.body || {}, params),
-            this.invalidate(operation, "keikka", params),
-          ]);
-
-        console.log("🔍 [DEBUG] personDate invalidated:", personDateCount);
-        console.log("🔍 [DEBUG] person invalidated:", personCount);
-        console.log(
-          "🔍 [DEBUG] personRequiredDateType invalidated:",
-          personReqCount
-        );
-        console.log("🔍 [DEBUG] grid invalidated:", personGridCount);
-        console.log("🔍 [DEBUG] keikka invalidated:", personKeikkaCount);
-
-        totalInvalidated +=
-          personDateCount + personCount + personReqCount + personGridCount + personKeikkaCount;
-        console.log(
-          "🔍 [DEBUG] PERSON_DATE operation TOTAL:",
-          totalInvalidated
-        );
-        break;
-
-      case "TYOMAA_DATE_DISMISS":
-      case "TYOMAA_DATE_UNDISMISS":
-      case "TYOMAA_DATE_UPDATE":
-      case "TYOMAA_DATE_CREATE":
-      case "TYOMAA_DATE_DELETE":
-        console.log("🔍 [DEBUG] TYOMAA_DATE operation START", {
-          operation,
-          params,
-        });
-
-        // Parallelize independent invalidations for better performance
-        // CRITICAL: keikka cache must be invalidated because order views show tyomaa compliance status
-        const [tyomaaDateCount, tyomaaCount, tyomaaReqCount, tyomaaGridCount, tyomaaKeikkaCount] =
-          await Promise.all([
-            this.invalidate(operation, "tyomaaDate", params),
-            this.invalidate(operation, "tyomaa", params),
-            this.invalidate(operation, "tyomaaRequiredDateType", params),
-            this.invalidateGridSmart(operation, params.body || {}, params),
-            this.invalidate(operation, "keikka", params),
-          ]);
-
-        console.log("🔍 [DEBUG] tyomaaDate invalidated:", tyomaaDateCount);
-        console.log("🔍 [DEBUG] tyomaa invalidated:", tyomaaCount);
-        console.log(
-          "🔍 [DEBUG] tyomaaRequiredDateType invalidated:",
-          tyomaaReqCount
-        );
-        console.log("🔍 [DEBUG] grid invalidated:", tyomaaGridCount);
-        console.log("🔍 [DEBUG] keikka invalidated:", tyomaaKeikkaCount);
-
-        totalInvalidated +=
-          tyomaaDateCount + tyomaaCount + tyomaaReqCount + tyomaaGridCount + tyomaaKeikkaCount;
-        console.log(
-          "🔍 [DEBUG] TYOMAA_DATE operation TOTAL:",
-          totalInvalidated
-        );
-        break;
-
-      case "ASIAKAS_DATE_DISMISS":
-      case "ASIAKAS_DATE_UNDISMISS":
-      case "ASIAKAS_DATE_UPDATE":
-      case "ASIAKAS_DATE_CREATE":
-      case "ASIAKAS_DATE_DELETE":
-        console.log("🔍 [DEBUG] ASIAKAS_DATE operation START", {
-          operation,
-          params,
-        });
-
-        // Parallelize independent invalidations for better performance
-        const [
-          asiakasDateCount,
-          asiakasCount,
-          asiakasReqCount,
-          asiakasGridCount,
-        ] = await Promise.all([
-          this.invalidate(operation, "asiakasDate", params),
-          this.invalidate(operation, "asiakas", params),
-          this.invalidate(operation, "asiakasRequiredDateType", params),
-          this.invalidateGridSmart(operation, params.body || {}, params),
-        ]);
-
-        console.log("🔍 [DEBUG] asiakasDate invalidated:", asiakasDateCount);
-        console.log("🔍 [DEBUG] asiakas invalidated:", asiakasCount);
-        console.log(
-          "🔍 [DEBUG] asiakasRequiredDateType invalidated:",
-          asiakasReqCount
-        );
-        console.log("🔍 [DEBUG] grid invalidated:", asiakasGridCount);
-
-        totalInvalidated +=
-          asiakasDateCount + asiakasCount + asiakasReqCount + asiakasGridCount;
-        console.log(
-          "🔍 [DEBUG] ASIAKAS_DATE operation TOTAL:",
-          totalInvalidated
-        );
-        break;
-
-      // Asiakas CRUD operations - invalidate asiakas and related entity caches
-      case "ASIAKAS_UPDATE":
-      case "ASIAKAS_CREATE":
-      case "ASIAKAS_DELETE": {
-        this.logger.debug("ASIAKAS operation starting", {
-          operation,
-          params,
-        });
-
-        // Basic asiakas cache invalidation
-        const asiakasOpCount = await this.invalidate(operation, "asiakas", params);
-        totalInvalidated += asiakasOpCount;
-
-        // If keikkaId is provided, also invalidate keikka cache
-        // This handles cases where keikkaAsiakas table is updated
-        if (params.keikkaId) {
-          const keikkaOpCount = await this.invalidate(operation, "keikka", params);
-          totalInvalidated += keikkaOpCount;
-        }
-
-        // If linkedAsiakasId is provided (for asiakasLinks), invalidate both customers
-        if (params.linkedAsiakasId) {
-          const linkedAsiakasCount = await this.invalidate(operation, "asiakas", {
-            ...params,
-            asiakasId: params.linkedAsiakasId,
-          });
-          totalInvalidated += linkedAsiakasCount;
+          firedRules.push(
+            await this._executeInvalidationRule(rule, operation, params, changedTargets)
+          );
         }
-
-        this.logger.debug("ASIAKAS operation completed", {
-          operation,
-          keysInvalidated: totalInvalidated,
-        });
-        break;
       }
+    });
 
-      case "PERSON_PVM_UPDATE":
-      case "PERSON_PVM_DELETE":
-      case "PERSON_PVM_CREATE":
-        console.log("🔍 [DEBUG] PERSON_PVM operation START", {
-          operation,
-          params,
-        });
+    const report = {
+      operation,
+      totalInvalidated: firedRules.reduce((sum, rule) => sum + rule.keysInvalidated, 0),
+      durationMs: Date.now() - startTime,
+      rules: firedRules,
+      skippedRules,
+      errors: scope.errors,
+    };
 
-        // Parallelize independent invalidations for better performance
-        const [
-          personPvmCount,
-          personPvmGridCount,
-          personPvmPersonCount,
-          personPvmVehicleCount,
-        ] = await Promise.all([
-          this.invalidate(operation, "personpvm", params),
-          this.invalidateGridSmart(operation, params.body || {}, params),
-          this.invalidate(operation, "person", params),
-          params.vehicleId
-            ? this.invalidate(operation, "vehicle", params)
-            : Promise.resolve(0),
-        ]);
-
-        console.log("🔍 [DEBUG] personpvm invalidated:", personPvmCount);
-        console.log("🔍 [DEBUG] grid invalidated:", personPvmGridCount);
-        console.log("🔍 [DEBUG] person invalidated:", personPvmPersonCount);
-        console.log("🔍 [DEBUG] vehicle invalidated:", personPvmVehicleCount);
-
-        totalInvalidated +=
-          personPvmCount +
-          personPvmGridCount +
-          personPvmPersonCount +
-          personPvmVehicleCount;
-        console.log(
-          "🔍 [DEBUG] PERSON_PVM operation TOTAL:",
-          totalInvalidated
-        );
-        break;
+    this.logger.debug("Cross-entity invalidation completed", {
+      operation,
+      keysInvalidated: report.totalInvalidated,
+      rules: firedRules.map((rule) => `${rule.name}:${rule.keysInvalidated}`),
+      skippedRules: skippedRules.map((rule) => rule.name),
+      errors: report.errors,
+      durationMs: report.durationMs,
+    });
 
-      case "ATTACHMENT_UPDATE": {
-        // Targeted attachment invalidation based on entityType and entityId
-        const { entityType, entityId, asiakasId } = params;
+    await this._emitInvalidationEvent(report, params, changedTargets);
 
-        const patterns = [];
+    return report;
+  }
 
-        // Invalidate specific entity's attachment list
-        if (entityType && entityId) {
-          patterns.push(`attachment:list:${entityType}:${entityId}`);
-        }
+  /**
+   * Durably record a cross-entity invalidation before a DB write
+   *
+   * The intent survives a crash between the commit and the invalidation:
+   * the outbox worker applies intents that were not completed (see
+   * InvalidationOutbox). Call completeInvalidation() after the commit.
+   *
+   * @param {string} operation - Operation name (as for invalidateCrossEntity)
+   * @param {Object} params - Invalidation params (JSON-serializable)
+   * @param {Object} options - { intentId } idempotency key (default: random UUID)
+   * @returns {Promise<Object|null>} Intent, or null if Redis is unavailable
+   *
+   * @example
+   * const intent = await cacheManager.enqueueInvalidation('KEIKKA_UPDATE', { asiakasId, keikkaId });
+   * await keikkaSql.update(keikkaId, changes);
+   * await cacheManager.completeInvalidation(intent);
+   */
+  async enqueueInvalidation(operation, params = {}, options = {}) {
+    return await this.outbox.enqueue(operation, params, options);
+  }
 
-        // Invalidate asiakasId-based keys
-        if (asiakasId) {
-          patterns.push(`attachment:listMissing:${asiakasId}`);
-          patterns.push(`attachment:types:${asiakasId}`);
-          patterns.push(`attachment:*:${asiakasId}:*`);
-        }
+  /**
+   * Apply an enqueued invalidation now (after the commit) and mark it done
+   *
+   * @param {Object} intent - Intent returned by enqueueInvalidation()
+   * @returns {Promise<Object|null>} Invalidation report, or null if left to the worker
+   */
+  async completeInvalidation(intent) {
+    return await this.outbox.complete(intent);
+  }
 
-        // If keikka attachment, also invalidate bulk keikka queries
-        if (entityType === "keikka" && entityId) {
-          patterns.push(`attachment:bulk:keikka:*`);
-        }
+  /**
+   * Enqueue an invalidation, run the DB write, then apply the invalidation
+   *
+   * @param {string} operation - Operation name
+   * @param {Object} params - Invalidation params
+   * @param {Function} fn - Async (intent) => result, the DB write
+   * @param {Object} options - enqueueInvalidation() options
+   * @returns {Promise<any>} Result of fn (errors from fn are re-thrown)
+   */
+  async withInvalidationOutbox(operation, params, fn, options = {}) {
+    return await this.outbox.run(operation, params, fn, options);
+  }
 
-        const counts = await Promise.all(
-          patterns.map((p) => this.invalidateByPattern(p))
-        );
-        totalInvalidated = counts.reduce((sum, count) => sum + count, 0);
-
-        // Cross-entity invalidations for grid display consistency
-        // Keikka attachments affect grid views (attachment indicators)
-        if (entityType === "keikka" && entityId) {
-          const gridCount = await this.invalidateGridSmart(
-            operation,
-            params.body || {},
-            params
-          );
-          totalInvalidated += gridCount;
-        }
+  /**
+   * Start the outbox worker applying intents whose writer crashed
+   * @param {Object} options - { consumer, pollIntervalMs, batchSize }
+   */
+  startInvalidationWorker(options = {}) {
+    this.outbox.start(options);
+  }
 
-        // Vehicle attachments affect keikka and grid views (vehicle attachment status)
-        if (entityType === "vehicle" && entityId) {
-          const [keikkaCount, gridCount] = await Promise.all([
-            this.invalidate(operation, "keikka", params),
-            this.invalidateGridSmart(operation, params.body || {}, params),
-          ]);
-          totalInvalidated += keikkaCount + gridCount;
-        }
+  /**
+   * Stop the outbox worker
+   */
+  async stopInvalidationWorker() {
+    await this.outbox.stop();
+  }
 
-        this.logger.debug("Targeted attachment invalidation", {
-          entityType,
-          entityId,
-          asiakasId,
-          keysInvalidated: totalInvalidated,
-        });
-        break;
-      }
+  /**
+   * Outbox stream length, pending and dead-lettered intents, worker counters
+   * @returns {Promise<Object>} { streamLength, pending, deadLetters, worker }
+   */
+  async getInvalidationOutboxStatus() {
+    return await this.outbox.getStatus();
+  }
 
-      // Azure Functions background job operations
-      case "LASKU_SYNC":
-        // Fennoa invoice sync - invalidate invoice-related caches
-        totalInvalidated += await this.invalidate(operation, "keikka", params);
-        totalInvalidated += await this.invalidate(operation, "lasku", params);
-        totalInvalidated += await this.invalidate(operation, "stat", params);
-        this.logger.info("LASKU_SYNC invalidation completed", {
-          keysInvalidated: totalInvalidated,
-        });
-        break;
-
-      case "HOLIDAY_SYNC":
-        // National holiday sync - invalidate holiday and schedule caches
-        totalInvalidated += await this.invalidate(operation, "holiday", params);
-        totalInvalidated += await this.invalidate(operation, "personpvm", params);
-        totalInvalidated += await this.invalidate(operation, "grid", params);
-        this.logger.info("HOLIDAY_SYNC invalidation completed", {
-          keysInvalidated: totalInvalidated,
-        });
-        break;
-
-      case "CLEANUP_ALL":
-        // SQL cleanup job - invalidate stat and log caches
-        totalInvalidated += await this.invalidate(operation, "stat", params);
-        totalInvalidated += await this.invalidate(operation, "stepLog", params);
-        this.logger.info("CLEANUP_ALL invalidation completed", {
-          keysInvalidated: totalInvalidated,
-        });
-        break;
-
-      // Betoni operations - keys use 'betoni:' prefix, NOT 'betoniLaatu:'
-      case "BETONI_LAATU_UPDATE":
-      case "BETONI_LAATU_CREATE": {
-        // CRITICAL: Cache keys are generated as 'betoni:laatu:list:X' and 'betoni:laatu:filter:X'
-        // where X is betoniToimittajaAsiakasId (supplier ID), NOT ownerAsiakasId
-        // Default pattern would incorrectly use 'betoniLaatu:*' which never matches
-        const betoniToimittajaAsiakasId =
-          params.betoniToimittajaAsiakasId || params.asiakasId;
-        const [betoniLaatuListCount, betoniLaatuFilterCount, betoniListCount] =
-          await Promise.all([
-            this.invalidateByPattern(
-              `betoni:laatu:list:${betoniToimittajaAsiakasId || "*"}`
-            ),
-            this.invalidateByPattern(
-              `betoni:laatu:filter:${betoniToimittajaAsiakasId || "*"}`
-            ),
-            this.invalidateByPattern(`betoni:list:filter:*`), // Also invalidate search results
-          ]);
-        totalInvalidated +=
-          betoniLaatuListCount + betoniLaatuFilterCount + betoniListCount;
-        this.logger.info("BETONI_LAATU invalidation completed", {
+  /**
+   * Dry-run a cross-entity invalidation
+   *
+   * Walks the same rules, targets and patterns as invalidateCrossEntity()
+   * and counts the keys each pattern/tag currently matches - nothing is
+   * deleted and no invalidation event is emitted. Patterns that fell back
+   * to wide wildcards because a param was missing are listed in
+   * `wideWildcards`.
+   *
+   * @param {string} operation - Operation name (e.g. 'PALKKI_UPDATE')
+   * @param {Object} params - Invalidation params (same as invalidateCrossEntity)
+   * @param {Object} options - Options
+   * @param {number} options.sampleSize - Matching keys to include per pattern/tag (default: 5)
+   * @returns {Promise<Object>} { operation, dryRun, totalMatchingKeys, durationMs, rules, skippedRules, wideWildcards }
+   *
+   * @example
+   * const plan = await cacheManager.explainInvalidation('PALKKI_UPDATE', { asiakasId: 8 });
+   * plan.wideWildcards; // [{ rule: 'palkki', entityType: 'keikka', pattern: 'keikka:list:*', missingParams: ['yyyymmdd'] }]
+   */
+  async explainInvalidation(operation, params = {}, options = {}) {
+    const startTime = Date.now();
+    const sampleSize = options.sampleSize ?? 5;
+    const matchedKeys = new Set();
+    const rules = this.invalidationRules.getRulesForOperation(operation);
+    const explainedRules = [];
+    const skippedRules = [];
+
+    if (rules.length === 0) {
+      const entityType = params.entityType || "default";
+      explainedRules.push(
+        await this._explainInvalidationRule(
+          {
+            name: "fallback",
+            description: "No rule registered for operation",
+            targets: [{ entityType }],
+          },
           operation,
-          betoniToimittajaAsiakasId,
-          keysInvalidated: totalInvalidated,
-        });
-        break;
+          params,
+          { sampleSize, matchedKeys }
+        )
+      );
+    } else {
+      for (const rule of rules) {
+        const missingParams = rule.requiredParams.filter((name) => params[name] == null);
+        if (missingParams.length > 0) {
+          skippedRules.push({ name: rule.name, reason: "missing params", missingParams });
+          continue;
+        }
+        explainedRules.push(
+          await this._explainInvalidationRule(rule, operation, params, {
+            sampleSize,
+            matchedKeys,
+          })
+        );
       }
+    }
 
-      case "BETONI_SHORTCUT_UPDATE": {
-        // Keys are 3 segments: 'betoniShortcut:list:asiakasId'
-        // Default pattern expects 4 segments which never matches
-        const shortcutAsiakasId = params.asiakasId;
-        const shortcutPattern = shortcutAsiakasId
-          ? `betoniShortcut:list:${shortcutAsiakasId}`
-          : `betoniShortcut:list:*`;
-        const shortcutCount = await this.invalidateByPattern(shortcutPattern);
-        totalInvalidated += shortcutCount;
-        this.logger.info("BETONI_SHORTCUT invalidation completed", {
-          pattern: shortcutPattern,
-          keysInvalidated: shortcutCount,
-        });
-        break;
+    const wideWildcards = [];
+    for (const rule of explainedRules) {
+      for (const target of rule.targets) {
+        for (const pattern of target.patterns) {
+          if (pattern.wideWildcard) {
+            wideWildcards.push({
+              rule: rule.name,
+              entityType: target.entityType,
+              pattern: pattern.pattern,
+              missingParams: pattern.missingParams,
+            });
+          }
+        }
       }
+    }
 
-      // Person operations - cross-entity invalidation for person data changes
-      case "PERSON_MERGE": {
-        // Person merge affects 34 tables - comprehensive invalidation required
-        // SQL: person_combinator_merge.sql modifies keikkaPerson, personPvm,
-        // tyomaaPerson, vehicleDriverDays, asiakas, tyomaa, keikka, and 27 more
-        this.logger.info("PERSON_MERGE invalidation starting", {
-          params,
-        });
+    return {
+      operation,
+      dryRun: true,
+      totalMatchingKeys: matchedKeys.size,
+      durationMs: Date.now() - startTime,
+      rules: explainedRules,
+      skippedRules,
+      wideWildcards,
+    };
+  }
 
-        const [
-          personMergeCount,
-          keikkaMergeCount,
-          keikkaPersonMergeCount,
-          gridMergeCount,
-          asiakasMergeCount,
-          tyomaaMergeCount,
-          tyomaaPersonMergeCount,
-          vehicleMergeCount,
-          personpvmMergeCount,
-          attachmentMergeCount,
-          statMergeCount,
-          betoniMergeCount,
-          laskuMergeCount,
-          authMergeCount,
-        ] = await Promise.all([
-          this.invalidate(operation, "person", params),
-          this.invalidate(operation, "keikka", params),
-          this.invalidate(operation, "keikkaPerson", params),
-          this.invalidate(operation, "grid", params),
-          this.invalidate(operation, "asiakas", params),
-          this.invalidate(operation, "tyomaa", params),
-          this.invalidate(operation, "tyomaaPerson", params),
-          this.invalidate(operation, "vehicle", params),
-          this.invalidate(operation, "personpvm", params),
-          this.invalidate(operation, "attachment", params),
-          this.invalidate(operation, "stat", params),
-          this.invalidate(operation, "betoni", params),
-          this.invalidate(operation, "lasku", params),
-          this.invalidateByPattern("auth:*"),
-        ]);
-
-        totalInvalidated =
-          personMergeCount +
-          keikkaMergeCount +
-          keikkaPersonMergeCount +
-          gridMergeCount +
-          asiakasMergeCount +
-          tyomaaMergeCount +
-          tyomaaPersonMergeCount +
-          vehicleMergeCount +
-          personpvmMergeCount +
-          attachmentMergeCount +
-          statMergeCount +
-          betoniMergeCount +
-          laskuMergeCount +
-          authMergeCount;
-
-        this.logger.info("PERSON_MERGE invalidation completed", {
-          keysInvalidated: totalInvalidated,
+  /**
+   * Explain every target of a rule (dry run)
+   * @private
+   */
+  async _explainInvalidationRule(rule, operation, params, context) {
+    const flushTenant = this._shouldFlushTenant(rule, operation, params);
+    const targets = [];
+    for (const target of rule.targets) {
+      if (target.when && !target.when(params)) {
+        targets.push({
+          entityType: target.entityType,
+          skipped: "condition not met",
+          matchingKeys: 0,
+          patterns: [],
+          tags: [],
         });
-        break;
+        continue;
       }
+      targets.push(await this._explainInvalidationTarget(target, operation, params, context));
+    }
 
-      case "PERSON_UPDATE": {
-        // Person updates affect contact displays across modules
-        // SQL: person_save.sql modifies person table (name, phone, email, etc.)
-        this.logger.debug("PERSON_UPDATE invalidation starting", {
-          params,
-        });
-
-        const personEntityId = params.entityId || params.personId;
-        const [
-          personUpdateCount,
-          keikkaUpdateCount,
-          asiakasUpdateCount,
-          tyomaaUpdateCount,
-          gridUpdateCount,
-          authUpdateCount,
-        ] = await Promise.all([
-          this.invalidate(operation, "person", params),
-          this.invalidate(operation, "keikka", params),
-          this.invalidate(operation, "asiakas", params),
-          this.invalidate(operation, "tyomaa", params),
-          this.invalidate(operation, "grid", params),
-          personEntityId
-            ? this.invalidateByPattern(`auth:*:${personEntityId}*`)
-            : Promise.resolve(0),
-        ]);
-
-        totalInvalidated =
-          personUpdateCount +
-          keikkaUpdateCount +
-          asiakasUpdateCount +
-          tyomaaUpdateCount +
-          gridUpdateCount +
-          authUpdateCount;
-
-        this.logger.debug("PERSON_UPDATE invalidation completed", {
-          keysInvalidated: totalInvalidated,
-        });
-        break;
-      }
+    return {
+      name: rule.name,
+      description: rule.description || "",
+      matchingKeys: targets.reduce((sum, target) => sum + target.matchingKeys, 0),
+      targets,
+      ...(flushTenant && {
+        flushTenant: {
+          asiakasId: params.asiakasId,
+          currentGeneration: await this.getNamespaceGeneration(params.asiakasId),
+        },
+      }),
+    };
+  }
 
-      case "PERSON_DELETE": {
-        // Person deletion must remove from all listings and assignments
-        // SQL: person_save.sql sets deletedTime (soft delete)
-        this.logger.debug("PERSON_DELETE invalidation starting", {
-          params,
-        });
+  /**
+   * Explain a single rule target (dry run) - mirrors _executeInvalidationTarget()
+   * @private
+   */
+  async _explainInvalidationTarget(target, operation, params, context) {
+    const targetParams = target.params ? target.params(params) : params;
+    const targetOperation = target.operation || operation;
+    const explained = {
+      entityType: target.entityType,
+      operation: targetOperation,
+      strategy: "entity",
+      matchingKeys: 0,
+      patterns: [],
+      tags: [],
+    };
 
-        const deletedPersonId = params.entityId || params.personId;
-        const [
-          personDeleteCount,
-          keikkaDeleteCount,
-          asiakasDeleteCount,
-          tyomaaDeleteCount,
-          gridDeleteCount,
-          authDeleteCount,
-        ] = await Promise.all([
-          this.invalidate(operation, "person", params),
-          this.invalidate(operation, "keikka", params),
-          this.invalidate(operation, "asiakas", params),
-          this.invalidate(operation, "tyomaa", params),
-          this.invalidate(operation, "grid", params),
-          deletedPersonId
-            ? this.invalidateByPattern(`auth:*:${deletedPersonId}*`)
-            : Promise.resolve(0),
-        ]);
-
-        totalInvalidated =
-          personDeleteCount +
-          keikkaDeleteCount +
-          asiakasDeleteCount +
-          tyomaaDeleteCount +
-          gridDeleteCount +
-          authDeleteCount;
-
-        this.logger.debug("PERSON_DELETE invalidation completed", {
-          keysInvalidated: totalInvalidated,
+    let patterns = [];
+    if (target.tags) {
+      explained.strategy = "tags";
+      const tags = typeof target.tags === "function" ? target.tags(targetParams) : target.tags;
+      for (const tag of Array.from(new Set((tags || []).filter(Boolean)))) {
+        const tagKey = this.getTagKey(tag);
+        const members = await this.withRedis(
+          (redis) => redis.smembers(tagKey),
+          [],
+          "[UniversalCache]",
+          "tag members"
+        );
+        members.forEach((key) => context.matchedKeys.add(key));
+        explained.tags.push({
+          tag,
+          tagKey,
+          matchingKeys: members.length,
+          sampleKeys: members.slice(0, context.sampleSize),
         });
-        break;
+        explained.matchingKeys += members.length;
       }
+      return explained;
+    }
 
-      // Sijainti operations - cross-entity invalidation
-      // Sijainti (location) changes affect tyomaa lookups, keikka deliveries, and grid displays
-      case "SIJAINTI_UPDATE":
-      case "SIJAINTI_CREATE":
-      case "SIJAINTI_DELETE": {
-        this.logger.debug("SIJAINTI operation invalidation starting", {
-          operation,
-          params,
-        });
+    if (target.patterns) {
+      explained.strategy = "patterns";
+      const list =
+        typeof target.patterns === "function"
+          ? target.patterns(targetParams)
+          : target.patterns;
+      patterns = list.map((pattern) => ({ pattern, missingParams: [] }));
+    } else if (target.smart) {
+      explained.strategy = "smart";
+      const { gridParams, reason } = this._resolveGridSmartParams(
+        targetOperation,
+        targetParams.body || {},
+        targetParams
+      );
+      explained.smartReason = reason;
+      patterns = gridParams ? this.buildInvalidationPatterns("grid", gridParams) : [];
+    } else {
+      patterns = this.buildInvalidationPatterns(target.entityType, targetParams);
+    }
 
-        const [
-          sijaintiGeocodeCount,
-          sijaintiTyomaaCount,
-          sijaintiKeikkaCount,
-          sijaintiGridCount,
-        ] = await Promise.all([
-          this.invalidate(operation, "geocode", params),
-          this.invalidate(operation, "tyomaa", params),
-          this.invalidate(operation, "keikka", params),
-          this.invalidateGridSmart("TYOMAA_UPDATE", params.body || {}, params),
-        ]);
-
-        totalInvalidated +=
-          sijaintiGeocodeCount +
-          sijaintiTyomaaCount +
-          sijaintiKeikkaCount +
-          sijaintiGridCount;
-
-        this.logger.info("SIJAINTI operation invalidation completed", {
-          operation,
-          keysInvalidated: totalInvalidated,
-        });
-        break;
-      }
+    for (const { pattern, missingParams, keyFilter } of patterns) {
+      const scanned = await this._scanInvalidationKeys(pattern);
+      const keys = keyFilter ? scanned.filter(keyFilter) : scanned;
+      keys.forEach((key) => context.matchedKeys.add(key));
+      explained.patterns.push({
+        pattern,
+        matchingKeys: keys.length,
+        sampleKeys: keys.slice(0, context.sampleSize),
+        wideWildcard: missingParams.length > 0,
+        missingParams,
+      });
+      explained.matchingKeys += keys.length;
+    }
 
-      // Tyomaa operations - cross-entity invalidation
-      case "TYOMAA_UPDATE":
-      case "TYOMAA_CREATE":
-      case "TYOMAA_DELETE": {
-        // Tyomaa changes affect: tyomaa, keikka (keikkaTyomaa), tyomaaPerson, person, grid
-        const [
-          tyomaaEntityCount,
-          keikkaEntityCount,
-          tyomaaPersonEntityCount,
-          personEntityCount,
-          gridEntityCount,
-        ] = await Promise.all([
-          this.invalidate(operation, "tyomaa", params),
-          this.invalidate(operation, "keikka", params),
-          this.invalidate(operation, "tyomaaPerson", params),
-          this.invalidate(operation, "person", params),
-          this.invalidateGridSmart(operation, params.body || {}, params),
-        ]);
-
-        totalInvalidated +=
-          tyomaaEntityCount +
-          keikkaEntityCount +
-          tyomaaPersonEntityCount +
-          personEntityCount +
-          gridEntityCount;
-
-        this.logger.info("TYOMAA operation invalidation completed", {
-          operation,
-          keysInvalidated: totalInvalidated,
-        });
-        break;
-      }
+    return explained;
+  }
 
-      // Vehicle operations - cross-entity invalidation
-      // Vehicle changes affect: vehicle lists, keikka (vehicle display), grid (vehicle columns), person (assigned drivers)
-      case "VEHICLE_UPDATE":
-      case "VEHICLE_CREATE":
-      case "VEHICLE_DELETE": {
-        this.logger.debug("VEHICLE operation invalidation starting", {
-          operation,
-          params,
-        });
+  /**
+   * Listen to cross-entity invalidation events from this and other instances
+   *
+   * Events from this process are delivered directly; events from other
+   * processes (API server, functions app, deployment slots) arrive over
+   * Redis pub/sub. Handler errors are logged, never thrown.
+   *
+   * Event shape:
+   * ```javascript
+   * {
+   *   operation: 'ASIAKAS_PERSON_SETTING_UPDATE',
+   *   params: { asiakasId: 8, personId: 42 },   // primitive params only (+ primitive body fields)
+   *   totalInvalidated: 12,
+   *   rules: [{ name: 'asiakas-person-setting', keysInvalidated: 12 }],
+   *   changes: [{ entityType, asiakasIds, dates, ids }], // see subscribeChanges()
+   *   source: '1234:ab12cd34',                  // publishing instance
+   *   local: true,                              // true when published by this process
+   *   timestamp: 1792520317244,
+   * }
+   * ```
+   *
+   * @param {Function} handler - Called with the event
+   * @param {Object} options - Options
+   * @param {Array<string>} options.operations - Only deliver these operations (default: all)
+   * @param {boolean} options.includeLocal - Deliver events from this process (default: true)
+   * @returns {Function} Unsubscribe function
+   *
+   * @example
+   * cacheManager.onInvalidation(
+   *   (event) => permissionValidator.clearPermissionCache(event.params.personId),
+   *   { operations: ['ASIAKAS_PERSON_SETTING_UPDATE', 'PERSON_MERGE'] }
+   * );
+   */
+  onInvalidation(handler, options = {}) {
+    if (typeof handler !== "function") {
+      throw new Error("Invalidation handler must be a function");
+    }
 
-        const [
-          vehicleEntityCount,
-          keikkaVehicleCount,
-          gridVehicleCount,
-          personVehicleCount,
-        ] = await Promise.all([
-          this.invalidate(operation, "vehicle", params),
-          this.invalidate(operation, "keikka", params),
-          this.invalidateGridSmart(operation, params.body || {}, params),
-          this.invalidate(operation, "person", params),
-        ]);
-
-        totalInvalidated +=
-          vehicleEntityCount +
-          keikkaVehicleCount +
-          gridVehicleCount +
-          personVehicleCount;
-
-        this.logger.info("VEHICLE operation invalidation completed", {
-          operation,
-          keysInvalidated: totalInvalidated,
+    const listener = {
+      handler,
+      operations: options.operations ? new Set(options.operations) : null,
+      includeLocal: options.includeLocal !== false,
+    };
+    this.invalidationListeners.add(listener);
+
+    if (!this.invalidationSubscribed) {
+      this.invalidationSubscribed = true;
+      this.pubsub
+        .subscribe(INVALIDATION_EVENT_CHANNEL, (event, { source }) =>
+          this._deliverInvalidationEvent({ ...event, source, local: false })
+        )
+        .catch((error) => {
+          this.logger.warn("Invalidation event subscription failed", { error: error.message });
         });
-        break;
-      }
+    }
 
-      // Vehicle visibility operations - cross-tenant visibility grants
-      // Modifies vehicleAsiakasVisibility table, affects vehicle lists for both owner and target companies
-      case "VEHICLE_VISIBILITY_TOGGLE":
-      case "VEHICLE_VISIBILITY_APPLY_DEFAULTS":
-      case "VEHICLE_VISIBILITY_CLEAR": {
-        this.logger.debug("VEHICLE_VISIBILITY operation invalidation starting", {
-          operation,
-          params,
-        });
+    return () => {
+      this.invalidationListeners.delete(listener);
+    };
+  }
 
-        // Extract asiakasIds from params - visibility affects both owner and target companies
-        const ownerAsiakasId = params.ownerAsiakasId || params.asiakasId;
-        const targetAsiakasId = params.targetAsiakasId;
-        const yyyymmdd = params.yyyymmdd;
+  /**
+   * Subscribe to the change feed: what changed, for realtime UI push
+   *
+   * Every cross-entity invalidation (from any instance) is reduced to one
+   * record per entity type it touched, with the customers, days and entity
+   * ids involved (see changeFeed.js). Messages without a matching record
+   * are not delivered. Handler errors are logged, never thrown.
+   *
+   * Message shape:
+   * ```javascript
+   * {
+   *   operation: 'PALKKI_UPDATE',
+   *   changes: [
+   *     { entityType: 'grid', asiakasIds: [8, 9], dates: ['20261019'], ids: { palkkiId: [77] } },
+   *     { entityType: 'keikka', asiakasIds: [8], dates: ['20261019'], ids: {} },
+   *   ],
+   *   source: '1234:ab12cd34',
+   *   local: false,
+   *   timestamp: 1792520317244,
+   * }
+   * ```
+   * `asiakasIds: []` means the customers are unknown and `dates: null` that
+   * the days are (treat both as "everything").
+   *
+   * @param {Function} handler - Called with each message
+   * @param {Object} options - Subscription filter
+   * @param {Array<string>} options.entityTypes - Only these entity types (default: all)
+   * @param {Array<number|string>} options.asiakasIds - Only changes that may affect these customers
+   * @param {boolean} options.includeLocal - Deliver changes made in this process (default: true)
+   * @returns {Function} Unsubscribe function
+   *
+   * @example
+   * // SSE endpoint for a dispatch screen
+   * const unsubscribe = cacheManager.subscribeChanges(
+   *   (message) => res.write(`data: ${JSON.stringify(message)}\n\n`),
+   *   { entityTypes: ['grid', 'keikka'], asiakasIds: [req.user.asiakasId] }
+   * );
+   * req.on('close', unsubscribe);
+   */
+  subscribeChanges(handler, options = {}) {
+    if (typeof handler !== "function") {
+      throw new Error("Change feed handler must be a function");
+    }
 
-        // Invalidate vehicle cache for owner company
-        const ownerVehicleCount = await this.invalidate(operation, "vehicle", {
-          ...params,
-          asiakasId: ownerAsiakasId,
+    return this.onInvalidation(
+      (event) => {
+        const changes = filterChanges(event.changes || [], options);
+        if (changes.length === 0) return undefined;
+        return handler({
+          operation: event.operation,
+          changes,
+          source: event.source,
+          local: event.local,
+          timestamp: event.timestamp,
         });
+      },
+      { includeLocal: options.includeLocal }
+    );
+  }
 
-        // Invalidate vehicle cache for target company if specified
-        const targetVehicleCount = targetAsiakasId
-          ? await this.invalidate(operation, "vehicle", {
-              ...params,
-              asiakasId: targetAsiakasId,
-            })
-          : 0;
-
-        // Invalidate grid cache for the affected date
-        const gridVisibilityCount = yyyymmdd
-          ? await this.invalidate(operation, "grid", {
-              ...params,
-              pumppuAika: yyyymmdd,
-            })
-          : await this.invalidate(operation, "grid", params);
-
-        totalInvalidated +=
-          ownerVehicleCount + targetVehicleCount + gridVisibilityCount;
-
-        this.logger.info("VEHICLE_VISIBILITY operation invalidation completed", {
-          operation,
-          ownerAsiakasId,
-          targetAsiakasId,
-          yyyymmdd,
-          keysInvalidated: totalInvalidated,
-        });
-        break;
-      }
+  /**
+   * Deliver an invalidation event locally and broadcast it to other instances
+   * @private
+   */
+  async _emitInvalidationEvent(report, params, changedTargets = []) {
+    const event = {
+      operation: report.operation,
+      params: this._toEventParams(params),
+      totalInvalidated: report.totalInvalidated,
+      rules: report.rules.map((rule) => ({
+        name: rule.name,
+        keysInvalidated: rule.keysInvalidated,
+      })),
+      changes: buildChanges(changedTargets, {
+        resolveDays: (targetParams) => this._changedDays(targetParams),
+      }),
+      timestamp: Date.now(),
+    };
 
-      // Tuote (Product) operations - cross-entity invalidation
-      // CRITICAL: tuotteet_delete SQL procedure modifies keikkaLaskuRivit (invoice line items)
-      // Product changes affect: tuote lists, lasku (invoices with product names/prices), keikka (embedded pricing)
-      case "TUOTE_UPDATE":
-      case "TUOTE_CREATE":
-      case "TUOTE_DELETE": {
-        this.logger.debug("TUOTE operation invalidation starting", {
-          operation,
-          params,
-        });
+    this._deliverInvalidationEvent({
+      ...event,
+      source: this.pubsub.instanceId,
+      local: true,
+    });
 
-        // Parallelize independent invalidations for better performance
-        const [tuoteCount, laskuCount, keikkaCount] = await Promise.all([
-          this.invalidate(operation, "tuote", params),
-          this.invalidate(operation, "lasku", params), // CRITICAL: Invoice cache - products affect invoice line items
-          this.invalidate(operation, "keikka", params), // Keikka may embed pricing data
-        ]);
+    if (this.broadcastInvalidations) {
+      await this.pubsub.publish(INVALIDATION_EVENT_CHANNEL, event);
+    }
+  }
 
-        totalInvalidated += tuoteCount + laskuCount + keikkaCount;
+  /**
+   * Call matching invalidation listeners
+   * @private
+   */
+  _deliverInvalidationEvent(event) {
+    for (const listener of this.invalidationListeners) {
+      if (event.local && !listener.includeLocal) continue;
+      if (listener.operations && !listener.operations.has(event.operation)) continue;
 
-        this.logger.info("TUOTE operation invalidation completed", {
-          operation,
-          keysInvalidated: totalInvalidated,
+      try {
+        const result = listener.handler(event);
+        if (result && typeof result.catch === "function") {
+          result.catch((error) => {
+            this.logger.warn("Invalidation listener failed", {
+              operation: event.operation,
+              error: error.message,
+            });
+          });
+        }
+      } catch (error) {
+        this.logger.warn("Invalidation listener failed", {
+          operation: event.operation,
+          error: error.message,
         });
-        break;
       }
+    }
+  }
 
-      // Notification operations - invalidate notification history cache
-      case "NOTIFICATION_UPDATE":
-      case "NOTIFICATION_CREATE":
-      case "NOTIFICATION_READ": {
-        const { asiakasId, personId } = params;
-        if (asiakasId && personId) {
-          // Invalidate specific person's notification cache
-          totalInvalidated += await this.invalidateByPattern(
-            `notifications:history:${asiakasId}:${personId}:*`
-          );
+  /**
+   * Days a change touched: dateRange / dates plus the single-day params
+   * (pumppuAika, yyyymmdd, newDate, date, cacheInvalidation.yyyymmdd)
+   * @private
+   * @returns {Array<string>|null} yyyymmdd days, or null for unknown / too many
+   */
+  _changedDays(params = {}) {
+    const body = params.body || {};
+    return this._resolveInvalidationDays(
+      params,
+      [
+        params.pumppuAika,
+        body.pumppuAika,
+        params.yyyymmdd,
+        params.newDate,
+        body.newDate,
+        params.date,
+        ...(params.cacheInvalidation?.yyyymmdd || []),
+      ],
+      { log: false }
+    );
+  }
+
+  /**
+   * Reduce invalidation params to a small JSON-safe object for events
+   *
+   * Keeps top-level primitives and primitive arrays, plus primitive fields
+   * of `body` (pumppuAika, personId, newDate, ...). Request bodies can be
+   * large, so nested objects are dropped.
+   * @private
+   */
+  _toEventParams(params = {}) {
+    const isPrimitive = (value) =>
+      value === null || ["string", "number", "boolean"].includes(typeof value);
+    const pick = (source) => {
+      const result = {};
+      for (const [name, value] of Object.entries(source)) {
+        if (isPrimitive(value)) {
+          result[name] = value;
+        } else if (Array.isArray(value) && value.every(isPrimitive)) {
+          result[name] = value;
         }
-        this.logger.debug("NOTIFICATION operation completed", {
-          operation,
-          asiakasId,
-          personId,
-          keysInvalidated: totalInvalidated,
-        });
-        break;
       }
+      return result;
+    };
 
-      // Notification broadcast - invalidate all notification caches for asiakasId
-      case "NOTIFICATION_BROADCAST": {
-        const { asiakasId } = params;
-        if (asiakasId) {
-          totalInvalidated += await this.invalidateByPattern(
-            `notifications:history:${asiakasId}:*`
-          );
-        }
-        this.logger.debug("NOTIFICATION_BROADCAST completed", {
-          operation,
-          asiakasId,
-          keysInvalidated: totalInvalidated,
-        });
-        break;
+    const eventParams = pick(params);
+    if (params.body && typeof params.body === "object") {
+      eventParams.body = pick(params.body);
+    }
+    return eventParams;
+  }
+
+  /**
+   * Run every applicable target of a rule in parallel
+   *
+   * Applicable targets are added to changedTargets (for the change feed).
+   *
+   * @private
+   */
+  async _executeInvalidationRule(rule, operation, params, changedTargets = []) {
+    const targets = rule.targets.filter((target) => !target.when || target.when(params));
+    targets.forEach((target) => {
+      changedTargets.push({
+        entityType: target.entityType,
+        params: target.params ? target.params(params) : params,
+      });
+    });
+
+    // Tenant flush drops the tenant's namespaced keys at once; its targets then
+    // only scan keys cached without asiakasId, which are not namespaced. Global
+    // targets (other tenants' or shared keys) still scan namespaced copies too.
+    let flushedTenant;
+    if (this._shouldFlushTenant(rule, operation, params)) {
+      const generation = await this.flushTenant(params.asiakasId);
+      if (generation !== null) {
+        flushedTenant = { asiakasId: params.asiakasId, generation };
       }
+    }
 
-      // Auth cache invalidation for role/permission changes
-      case "ASIAKAS_PERSON_SETTING_CREATE":
-      case "ASIAKAS_PERSON_SETTING_UPDATE":
-      case "ASIAKAS_PERSON_SETTING_DELETE": {
-        const personId = params.personId;
+    const counts = await Promise.all(
+      targets.map((target) => {
+        const execute = () => this._executeInvalidationTarget(target, operation, params);
+        return flushedTenant && !target.global
+          ? this.flushedTenantScope.run(flushedTenant, execute)
+          : execute();
+      })
+    );
 
-        // Invalidate asiakasPersonSetting cache
-        totalInvalidated += await this.invalidate(
-          operation,
-          "asiakasPersonSetting",
-          params
-        );
+    const targetReports = targets.map((target, index) => ({
+      entityType: target.entityType,
+      keysInvalidated: counts[index],
+    }));
 
-        // Invalidate auth cache for this person (login cache)
-        if (personId) {
-          totalInvalidated += await this.invalidateByPattern(
-            `auth:permissions:${personId}:*`
-          );
-          this.logger.debug("Auth cache invalidated for role change", {
-            operation,
-            personId,
-          });
-        }
+    return {
+      name: rule.name,
+      keysInvalidated: counts.reduce((sum, count) => sum + count, 0),
+      targets: targetReports,
+      ...(flushedTenant && { flushedTenant }),
+    };
+  }
 
-        this.logger.debug("ASIAKAS_PERSON_SETTING invalidation completed", {
-          operation,
-          personId,
-          keysInvalidated: totalInvalidated,
-        });
-        break;
-      }
+  /**
+   * Whether a rule flushes the tenant namespace instead of scanning
+   * @private
+   */
+  _shouldFlushTenant(rule, operation, params) {
+    if (!this.namespaces || params.asiakasId == null || !rule.flushTenant) {
+      return false;
+    }
+    return typeof rule.flushTenant === "function"
+      ? !!rule.flushTenant(params, operation)
+      : true;
+  }
 
-      default: {
-        const entityType = params.entityType || "default";
-        totalInvalidated += await this.invalidate(
-          operation,
-          entityType,
-          params
-        );
-      }
+  /**
+   * Execute a single rule target
+   * @private
+   */
+  async _executeInvalidationTarget(target, operation, params) {
+    const targetParams = target.params ? target.params(params) : params;
+    const targetOperation = target.operation || operation;
+
+    if (target.tags) {
+      const tags = typeof target.tags === "function" ? target.tags(targetParams) : target.tags;
+      return await this.invalidateTags(tags);
+    }
+
+    if (target.patterns) {
+      const patterns =
+        typeof target.patterns === "function"
+          ? target.patterns(targetParams)
+          : target.patterns;
+      const counts = await Promise.all(patterns.map((p) => this.invalidateByPattern(p)));
+      return counts.reduce((sum, count) => sum + count, 0);
+    }
+
+    if (target.smart) {
+      return await this.invalidateGridSmart(
+        targetOperation,
+        targetParams.body || {},
+        targetParams
+      );
     }
 
-    return totalInvalidated;
+    return await this.invalidate(targetOperation, target.entityType, targetParams);
+  }
+
+  /**
+   * Register an app-specific invalidation rule
+   *
+   * @param {Object} rule - Rule definition (see InvalidationRuleRegistry)
+   * @param {Object} options - { replace: true } to take the operations over from existing rules
+   * @returns {Object} The registered rule
+   */
+  registerInvalidationRule(rule, options = {}) {
+    return this.invalidationRules.registerRule(rule, options);
+  }
+
+  /**
+   * Get the invalidation rule registry
+   * @returns {InvalidationRuleRegistry}
+   */
+  getInvalidationRules() {
+    return this.invalidationRules;
   }
 
   /**
    * Close Redis connection with proper cleanup
    */
   async close() {
+    // Flush pending metric deltas while the connection is still usable
+    if (this.persistentMetrics) {
+      await this.metricsStore.stop();
+    }
+    await this.outbox.stop();
+
     this.isShuttingDown = true;
 
+    this.warmer.stopScheduler();
+    if (this.ttlConfigTimer) {
+      clearInterval(this.ttlConfigTimer);
+      this.ttlConfigTimer = null;
+    }
+    await this.pubsub.close();
+    if (this.l1) {
+      this.l1.clear();
+    }
+    this.l1Subscribed = false;
+
     if (this.client) {
       try {
         this._removeEventListeners(this.client);
@@ -1843,6 +3870,30 @@ class UniversalCacheManager {
     return {
       connected: this.isConnected,
       client: this.client ? "initialized" : "not initialized",
+      l1: this.l1 ? this.l1.getStats() : null,
+      circuit: this.circuitBreaker ? this.circuitBreaker.getStatus() : null,
+    };
+  }
+
+  /**
+   * Listen for circuit breaker state changes (e.g. to alert when Redis is down)
+   *
+   * @param {Function} handler - (event) => void; event: { from, to, reason, status }
+   *   with states 'closed', 'open' and 'half_open'
+   * @returns {Function} Unsubscribe function
+   * @throws {Error} If handler is not a function
+   */
+  onCircuitStateChange(handler) {
+    if (typeof handler !== "function") {
+      throw new Error("Circuit state handler must be a function");
+    }
+    if (!this.circuitBreaker) {
+      return () => {};
+    }
+
+    this.circuitBreaker.on("stateChange", handler);
+    return () => {
+      this.circuitBreaker.removeListener("stateChange", handler);
     };
   }
 
@@ -1867,6 +3918,26 @@ class UniversalCacheManager {
       byEntity: this.cacheMetrics.metrics.byEntity,
       byOperation: this.cacheMetrics.metrics.byOperation,
       locks: lockMetrics,
+      loads:
+        typeof this.cacheMetrics.getLoadMetrics === "function"
+          ? this.cacheMetrics.getLoadMetrics()
+          : undefined,
+      tiers:
+        typeof this.cacheMetrics.getTierMetrics === "function"
+          ? this.cacheMetrics.getTierMetrics()
+          : undefined,
+      sizes:
+        typeof this.cacheMetrics.getSizeMetrics === "function"
+          ? this.cacheMetrics.getSizeMetrics()
+          : undefined,
+      responseTimes:
+        typeof this.cacheMetrics.getResponseTimeMetrics === "function"
+          ? this.cacheMetrics.getResponseTimeMetrics()
+          : undefined,
+      warmups:
+        typeof this.cacheMetrics.getWarmupMetrics === "function"
+          ? this.cacheMetrics.getWarmupMetrics()
+          : undefined,
       efficiency: {
         totalRequests: summary.totalRequests,
         hitRatio: parseFloat(summary.hitRate),
@@ -1875,10 +3946,52 @@ class UniversalCacheManager {
     };
   }
 
+  /**
+   * Render cache metrics in the OpenMetrics / Prometheus text format
+   *
+   * @param {Object} options - Exporter and render options
+   * @param {string} options.format - 'openmetrics' (default) or 'prometheus'
+   * @param {string} options.prefix - Metric name prefix (default: 'ibetoni_cache')
+   * @param {boolean} options.patternLabels - Export per-pattern invalidation counters (default: true)
+   * @returns {string} Exposition text (see OpenMetricsExporter.contentType() for the header)
+   * @throws {Error} If the metrics implementation does not expose CacheMetrics data
+   */
+  getOpenMetrics(options = {}) {
+    if (!this.cacheMetrics.metrics) {
+      throw new Error("OpenMetrics export requires a CacheMetrics-compatible cacheMetrics");
+    }
+    const exporter = new OpenMetricsExporter({ cacheMetrics: this.cacheMetrics, ...options });
+    return exporter.render({ format: options.format });
+  }
+
+  /**
+   * Flush metric counter deltas to Redis now (see options.persistentMetrics)
+   * @returns {Promise<number>} Number of counters written
+   */
+  async flushMetrics() {
+    return await this.metricsStore.flush();
+  }
+
+  /**
+   * Aggregate persisted metrics of all instances over a time range
+   *
+   * Only includes counters flushed by instances with persistentMetrics enabled.
+   *
+   * @param {Object} options - { from, to, sources, top }
+   * @returns {Promise<Object>} { from, to, hours, sources, global, byEntityType, bySource,
+   *   topInvalidationPatterns, locks }
+   */
+  async getAggregatedMetrics(options = {}) {
+    return await this.metricsStore.aggregate(options);
+  }
+
   /**
    * Reset cache metrics
    */
   resetMetrics() {
+    if (this.persistentMetrics) {
+      this.metricsStore.checkpoint(); // Unflushed counts still reach Redis
+    }
     this.cacheMetrics.reset();
   }
 
@@ -0,0 +1,158 @@
+/**
+ * Cache Admin Router
+ *
+ * Express router over the cache inspector methods (listKeys, inspectKey,
+ * deleteKeys, getKeyStats). It does no authentication of its own: mount it
+ * behind the app's admin auth.
+ *
+ * Routes (JSON unless noted):
+ * - GET  /schemas                  key schemas (names, templates, params)
+ * - GET  /keys?pattern=&cursor=&count=
+ * - GET  /keys?schema=keikka.list&asiakasId=8&cursor=&count=
+ *                                  other query params are schema params
+ * - GET  /keys/value?key=...       decoded value; &format=text for plain pretty-printed text
+ * - POST /keys/delete              body { keys: [...] } (not mounted with readOnly)
+ * - GET  /stats?pattern=&cursor=&maxKeys=
+ *
+ * Usage:
+ * ```javascript
+ * const { createCacheAdminRouter } = require('@ibetoni/cache');
+ * app.use(
+ *   '/admin/cache',
+ *   requireRole('admin'),
+ *   createCacheAdminRouter(cacheManager, { getActor: (req) => req.user.email })
+ * );
+ * ```
+ *
+ * express is an optional peer dependency, required only when a router is created.
+ */
+
+const LIST_QUERY_PARAMS = new Set(["pattern", "schema", "cursor", "count"]);
+
+/**
+ * Create the admin router
+ *
+ * @param {UniversalCacheManager} cacheManager - Cache manager to inspect
+ * @param {Object} options - Router options
+ * @param {boolean} options.readOnly - Do not mount the delete route (default: false)
+ * @param {Function} options.getActor - (req) => string, who is deleting (for the audit log)
+ * @param {Object} options.express - express module (default: require('express'))
+ * @returns {Object} Express router
+ */
+function createCacheAdminRouter(cacheManager, options = {}) {
+  const express = options.express || require("express");
+  const router = express.Router();
+  const logger = cacheManager.logger;
+
+  // Bad input -> 400, anything else (e.g. Redis unavailable) -> 500
+  const handle = (parse, run) => async (req, res) => {
+    let args;
+    try {
+      args = parse(req);
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+      return;
+    }
+    try {
+      await run(res, args);
+    } catch (error) {
+      logger.error("Cache admin request failed", { path: req.path, error: error.message });
+      res.status(500).json({ error: error.message });
+    }
+  };
+
+  router.get(
+    "/schemas",
+    handle(
+      () => null,
+      (res) => res.json(cacheManager.getKeySchemas().describe())
+    )
+  );
+
+  router.get(
+    "/keys",
+    handle(
+      (req) => {
+        const { pattern, schema, cursor } = req.query;
+        const params = {};
+        Object.entries(req.query).forEach(([name, value]) => {
+          if (!LIST_QUERY_PARAMS.has(name)) params[name] = value;
+        });
+        return {
+          pattern: schema ? cacheManager.patternFor(schema, params) : pattern,
+          cursor,
+          count: parseCount(req.query.count, "count"),
+        };
+      },
+      async (res, args) => res.json(await cacheManager.listKeys(args))
+    )
+  );
+
+  router.get(
+    "/keys/value",
+    handle(
+      (req) => {
+        if (!req.query.key) throw new Error("Query parameter 'key' is required");
+        return { key: String(req.query.key), text: req.query.format === "text" };
+      },
+      async (res, { key, text }) => {
+        const entry = await cacheManager.inspectKey(key);
+        if (!entry.exists) {
+          res.status(404).json({ error: `Key not found: ${key}` });
+        } else if (text) {
+          res.type("text/plain").send(entry.pretty);
+        } else {
+          res.json(entry);
+        }
+      }
+    )
+  );
+
+  if (!options.readOnly) {
+    router.post(
+      "/keys/delete",
+      express.json(),
+      handle(
+        (req) => {
+          const keys = req.body && req.body.keys;
+          if (!Array.isArray(keys) || keys.length === 0) {
+            throw new Error("Body must be { keys: [...] } with at least one key");
+          }
+          return { keys, actor: options.getActor ? options.getActor(req) : undefined };
+        },
+        async (res, { keys, actor }) => res.json(await cacheManager.deleteKeys(keys, { actor }))
+      )
+    );
+  }
+
+  router.get(
+    "/stats",
+    handle(
+      (req) => ({
+        pattern: req.query.pattern,
+        cursor: req.query.cursor,
+        maxKeys: parseCount(req.query.maxKeys, "maxKeys"),
+      }),
+      async (res, args) => res.json(await cacheManager.getKeyStats(args))
+    )
+  );
+
+  return router;
+}
+
+/**
+ * Parse an optional positive integer query parameter
+ * @private
+ */
+function parseCount(value, name) {
+  if (value === undefined) return undefined;
+  const count = Number(value);
+  if (!Number.isInteger(count) || count < 1) {
+    throw new Error(`Query parameter '${name}' must be a positive integer`);
+  }
+  return count;
+}
+
+module.exports = {
+  createCacheAdminRouter,
+};
@@ -0,0 +1,147 @@
+/**
+ * Change Feed
+ *
+ * Normalizes cross-entity invalidations into compact change records a
+ * realtime layer (Socket.io, SSE) can forward to browsers, so screens can
+ * refresh the affected rows instead of polling.
+ *
+ * One record per entity type touched by an invalidation:
+ * ```javascript
+ * {
+ *   entityType: 'grid',
+ *   asiakasIds: [8, 9],            // [] = unknown, treat as every customer
+ *   dates: ['20261019'],           // yyyymmdd; null = unknown / all dates
+ *   ids: { keikkaId: [123], personId: [42] },  // null list = too many to list
+ * }
+ * ```
+ *
+ * Records are built from the params each rule target ran with (after its
+ * params mapper), so remapped customers (linked or target customers) are
+ * reported as the customers whose data changed.
+ *
+ * Usage:
+ * ```javascript
+ * cacheManager.subscribeChanges(
+ *   (message) => io.to('dispatch:8').emit('cache:changes', message),
+ *   { entityTypes: ['grid', 'keikka'], asiakasIds: [8] }
+ * );
+ * ```
+ */
+
+const MAX_IDS_PER_NAME = 100;
+
+// Params that are customers, not entity ids
+const CUSTOMER_PARAM = /asiakasId/i;
+
+/**
+ * Build change records for the targets of an invalidation
+ *
+ * @param {Array<Object>} targets - [{ entityType, params }] as run by the rules
+ * @param {Object} options - Build options
+ * @param {Function} options.resolveDays - (params) => Array<yyyymmdd> | null
+ * @returns {Array<Object>} [{ entityType, asiakasIds, dates, ids }], one per entity type
+ */
+function buildChanges(targets, options = {}) {
+  const byEntityType = new Map();
+
+  for (const { entityType, params = {} } of targets) {
+    const change = byEntityType.get(entityType) || {
+      entityType,
+      asiakasIds: new Set(),
+      dates: new Set(),
+      allDates: false,
+      ids: new Map(),
+    };
+    byEntityType.set(entityType, change);
+
+    const cacheInvalidation = params.cacheInvalidation || {};
+    [params.asiakasId, ...(cacheInvalidation.visibleAsiakasIds || [])]
+      .filter((id) => id != null && id !== "")
+      .forEach((id) => change.asiakasIds.add(id));
+
+    const days = options.resolveDays ? options.resolveDays(params) : null;
+    if (days) {
+      days.forEach((day) => change.dates.add(day));
+    } else {
+      change.allDates = true;
+    }
+
+    for (const source of [params, params.body || {}]) {
+      collectIds(source, change.ids);
+    }
+  }
+
+  return Array.from(byEntityType.values()).map((change) => ({
+    entityType: change.entityType,
+    asiakasIds: uniqueValues(change.asiakasIds),
+    dates: change.allDates ? null : Array.from(change.dates).sort(),
+    ids: Object.fromEntries(
+      Array.from(change.ids, ([name, values]) => [
+        name,
+        values.size > MAX_IDS_PER_NAME ? null : uniqueValues(values),
+      ])
+    ),
+  }));
+}
+
+/**
+ * Keep the change records a subscriber asked for
+ *
+ * @param {Array<Object>} changes - Records from buildChanges()
+ * @param {Object} filter - Subscriber filter
+ * @param {Array<string>} filter.entityTypes - Only these entity types (default: all)
+ * @param {Array<number|string>} filter.asiakasIds - Only changes that may affect these
+ *   customers; records without customers always match (default: all)
+ * @returns {Array<Object>} Matching records
+ */
+function filterChanges(changes, filter = {}) {
+  const entityTypes = filter.entityTypes ? new Set(filter.entityTypes) : null;
+  const asiakasIds = filter.asiakasIds ? new Set(filter.asiakasIds.map(String)) : null;
+
+  return changes.filter(
+    (change) =>
+      (!entityTypes || entityTypes.has(change.entityType)) &&
+      (!asiakasIds ||
+        change.asiakasIds.length === 0 ||
+        change.asiakasIds.some((id) => asiakasIds.has(String(id))))
+  );
+}
+
+/**
+ * Add entity id params (keikkaId, personIds, ...) to the id map
+ * @private
+ */
+function collectIds(source, ids) {
+  for (const [name, value] of Object.entries(source)) {
+    if (!/Ids?$/.test(name) || CUSTOMER_PARAM.test(name)) continue;
+
+    const values = (Array.isArray(value) ? value : [value]).filter(
+      (item) => (typeof item === "number" || typeof item === "string") && item !== ""
+    );
+    if (values.length === 0) continue;
+
+    const idName = name.replace(/Ids$/, "Id");
+    const set = ids.get(idName) || new Set();
+    values.forEach((item) => set.add(item));
+    ids.set(idName, set);
+  }
+}
+
+/**
+ * Values of a set without '8' / 8 duplicates
+ * @private
+ */
+function uniqueValues(set) {
+  const seen = new Set();
+  return Array.from(set).filter((value) => {
+    const key = String(value);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+module.exports = {
+  buildChanges,
+  filterChanges,
+};
@@ -0,0 +1,393 @@
+/**
+ * Default Invalidation Rules
+ *
+ * Built-in cross-entity invalidation rules for betoni.online operations.
+ * Registered automatically by UniversalCacheManager; apps can add or replace
+ * rules at startup via cacheManager.registerInvalidationRule().
+ *
+ * See InvalidationRuleRegistry for the rule shape.
+ */
+
+/**
+ * Build operation names for an entity prefix and a list of actions
+ * e.g. ops('KEIKKA', ['UPDATE', 'DELETE']) -> ['KEIKKA_UPDATE', 'KEIKKA_DELETE']
+ */
+const ops = (prefix, actions) => actions.map((action) => `${prefix}_${action}`);
+
+const CRUD = ["UPDATE", "CREATE", "DELETE"];
+const DATE_ACTIONS = ["DISMISS", "UNDISMISS", "UPDATE", "CREATE", "DELETE"];
+
+/**
+ * Attachment keys touched by a targeted ATTACHMENT_UPDATE
+ */
+function attachmentUpdatePatterns(params) {
+  const { entityType, entityId, asiakasId } = params;
+  const patterns = [];
+
+  // Invalidate specific entity's attachment list
+  if (entityType && entityId) {
+    patterns.push(`attachment:list:${entityType}:${entityId}`);
+  }
+
+  // Invalidate asiakasId-based keys
+  if (asiakasId) {
+    patterns.push(`attachment:listMissing:${asiakasId}`);
+    patterns.push(`attachment:types:${asiakasId}`);
+    patterns.push(`attachment:*:${asiakasId}:*`);
+  }
+
+  // If keikka attachment, also invalidate bulk keikka queries
+  if (entityType === "keikka" && entityId) {
+    patterns.push(`attachment:bulk:keikka:*`);
+  }
+
+  return patterns;
+}
+
+const personAuthId = (params) => params.entityId || params.personId;
+
+const DEFAULT_INVALIDATION_RULES = [
+  {
+    name: "keikka-crud",
+    operations: ops("KEIKKA", ["UPDATE", "DELETE", "CREATE"]),
+    description: "Delivery order changes affect keikka, assignments, logs, attachments and grid",
+    targets: [
+      { entityType: "keikka" },
+      { entityType: "keikkaPerson" },
+      { entityType: "keikkaBetoni" },
+      { entityType: "stepLog" },
+      { entityType: "attachment" },
+      { entityType: "grid", smart: true },
+    ],
+  },
+  {
+    name: "keikka-bulk-update",
+    operations: ["KEIKKA_BULK_UPDATE"],
+    description: "Bulk delivery order updates (used by tilaCron)",
+    targets: [
+      { entityType: "keikka" },
+      { entityType: "grid", smart: true },
+      { entityType: "asiakas" },
+    ],
+  },
+  {
+    name: "palkki",
+    operations: ops("PALKKI", ["UPDATE", "DELETE", "CREATE"]),
+    description: "Grid bar changes affect grid, keikka list and palkki list caches",
+    targets: [
+      { entityType: "grid", smart: true },
+      {
+        // Grid uses keikka:list:* for data
+        entityType: "keikka",
+        params: (p) => ({
+          asiakasId: p.asiakasId,
+          pumppuAika: p.pumppuAika || p.body?.pumppuAika,
+          dateRange: p.dateRange || p.body?.dateRange,
+          dates: p.dates || p.body?.dates,
+        }),
+      },
+      // grid:palkki:list keys, per day when cacheInvalidation / dateRange / dates name the days
+      { entityType: "palkki" },
+      // If vehicle changed, also invalidate vehicle cache
+      { entityType: "vehicle", when: (p) => !!(p.vehicleId || p.body?.vehicleId) },
+    ],
+  },
+  {
+    name: "grid-update",
+    operations: ["GRID_UPDATE"],
+    description: "Grid-only invalidation for visibility changes",
+    targets: [{ entityType: "grid", smart: true }],
+  },
+  {
+    name: "vehicle-date",
+    operations: ops("VEHICLE_DATE", DATE_ACTIONS),
+    targets: [
+      { entityType: "vehicleDate" },
+      { entityType: "vehicle" },
+      { entityType: "vehicleRequiredDateType" },
+      { entityType: "grid", smart: true },
+    ],
+  },
+  {
+    name: "person-date",
+    operations: ops("PERSON_DATE", DATE_ACTIONS),
+    // keikka must be invalidated because order views show person compliance status
+    targets: [
+      { entityType: "personDate" },
+      { entityType: "person" },
+      { entityType: "personRequiredDateType" },
+      { entityType: "grid", smart: true },
+      { entityType: "keikka" },
+    ],
+  },
+  {
+    name: "tyomaa-date",
+    operations: ops("TYOMAA_DATE", DATE_ACTIONS),
+    // keikka must be invalidated because order views show tyomaa compliance status
+    targets: [
+      { entityType: "tyomaaDate" },
+      { entityType: "tyomaa" },
+      { entityType: "tyomaaRequiredDateType" },
+      { entityType: "grid", smart: true },
+      { entityType: "keikka" },
+    ],
+  },
+  {
+    name: "asiakas-date",
+    operations: ops("ASIAKAS_DATE", DATE_ACTIONS),
+    targets: [
+      { entityType: "asiakasDate" },
+      { entityType: "asiakas" },
+      { entityType: "asiakasRequiredDateType" },
+      { entityType: "grid", smart: true },
+    ],
+  },
+  {
+    name: "asiakas-crud",
+    operations: ops("ASIAKAS", CRUD),
+    description: "Customer changes; keikka if keikkaAsiakas changed, linked customer for asiakasLinks",
+    // A deleted customer's namespace can be dropped as a whole
+    flushTenant: (p, operation) => operation === "ASIAKAS_DELETE",
+    targets: [
+      { entityType: "asiakas" },
+      { entityType: "keikka", when: (p) => !!p.keikkaId },
+      {
+        entityType: "asiakas",
+        when: (p) => !!p.linkedAsiakasId,
+        params: (p) => ({ ...p, asiakasId: p.linkedAsiakasId }),
+        global: true, // Another tenant's keys
+      },
+    ],
+  },
+  {
+    name: "person-pvm",
+    operations: ops("PERSON_PVM", ["UPDATE", "DELETE", "CREATE"]),
+    targets: [
+      { entityType: "personpvm" },
+      { entityType: "grid", smart: true },
+      { entityType: "person" },
+      { entityType: "vehicle", when: (p) => !!p.vehicleId },
+    ],
+  },
+  {
+    name: "attachment-update",
+    operations: ["ATTACHMENT_UPDATE"],
+    description: "Targeted attachment invalidation based on entityType and entityId",
+    targets: [
+      { entityType: "attachment", patterns: attachmentUpdatePatterns },
+      // Keikka attachments affect grid views (attachment indicators)
+      {
+        entityType: "grid",
+        smart: true,
+        when: (p) => p.entityType === "keikka" && !!p.entityId,
+      },
+      // Vehicle attachments affect keikka and grid views (vehicle attachment status)
+      { entityType: "keikka", when: (p) => p.entityType === "vehicle" && !!p.entityId },
+      {
+        entityType: "grid",
+        smart: true,
+        when: (p) => p.entityType === "vehicle" && !!p.entityId,
+      },
+    ],
+  },
+
+  // Azure Functions background job operations
+  {
+    name: "lasku-sync",
+    operations: ["LASKU_SYNC"],
+    description: "Fennoa invoice sync",
+    targets: [{ entityType: "keikka" }, { entityType: "lasku" }, { entityType: "stat" }],
+  },
+  {
+    name: "holiday-sync",
+    operations: ["HOLIDAY_SYNC"],
+    description: "National holiday sync",
+    targets: [{ entityType: "holiday" }, { entityType: "personpvm" }, { entityType: "grid" }],
+  },
+  {
+    name: "cleanup-all",
+    operations: ["CLEANUP_ALL"],
+    description: "SQL cleanup job",
+    flushTenant: true,
+    targets: [{ entityType: "stat", global: true }, { entityType: "stepLog" }],
+  },
+
+  // Betoni operations - keys use 'betoni:' prefix, NOT 'betoniLaatu:'
+  {
+    name: "betoni-laatu",
+    operations: ["BETONI_LAATU_UPDATE", "BETONI_LAATU_CREATE"],
+    // Keys are 'betoni:laatu:list:X' and 'betoni:laatu:filter:X' where X is
+    // betoniToimittajaAsiakasId (supplier ID), NOT ownerAsiakasId
+    description: "Concrete quality changes, keyed by supplier",
+    targets: [
+      {
+        entityType: "betoni",
+        patterns: (p) => {
+          const supplierId = p.betoniToimittajaAsiakasId || p.asiakasId || "*";
+          return [
+            `betoni:laatu:list:${supplierId}`,
+            `betoni:laatu:filter:${supplierId}`,
+            `betoni:list:filter:*`, // Also invalidate search results
+          ];
+        },
+      },
+    ],
+  },
+  {
+    name: "betoni-shortcut",
+    operations: ["BETONI_SHORTCUT_UPDATE"],
+    // Keys are 3 segments: 'betoniShortcut:list:asiakasId'
+    targets: [
+      {
+        entityType: "betoniShortcut",
+        patterns: (p) => [`betoniShortcut:list:${p.asiakasId || "*"}`],
+      },
+    ],
+  },
+
+  // Person operations
+  {
+    name: "person-merge",
+    operations: ["PERSON_MERGE"],
+    // SQL: person_combinator_merge.sql modifies 34 tables - comprehensive invalidation required
+    description: "Person merge affects nearly every entity type",
+    flushTenant: true,
+    targets: [
+      { entityType: "person" },
+      { entityType: "keikka" },
+      { entityType: "keikkaPerson" },
+      { entityType: "grid" },
+      { entityType: "asiakas" },
+      { entityType: "tyomaa" },
+      { entityType: "tyomaaPerson" },
+      { entityType: "vehicle" },
+      { entityType: "personpvm" },
+      { entityType: "attachment" },
+      { entityType: "stat", global: true }, // stat:* spans all customers
+      { entityType: "betoni" },
+      { entityType: "lasku" },
+      { entityType: "auth", patterns: ["auth:*"], global: true },
+    ],
+  },
+  {
+    name: "person-update-delete",
+    operations: ["PERSON_UPDATE", "PERSON_DELETE"],
+    description: "Person changes affect contact displays across modules",
+    targets: [
+      { entityType: "person" },
+      { entityType: "keikka" },
+      { entityType: "asiakas" },
+      { entityType: "tyomaa" },
+      { entityType: "grid" },
+      {
+        entityType: "auth",
+        when: (p) => !!personAuthId(p),
+        patterns: (p) => [`auth:*:${personAuthId(p)}*`],
+      },
+    ],
+  },
+
+  // Location, worksite and vehicle operations
+  {
+    name: "sijainti-crud",
+    operations: ops("SIJAINTI", CRUD),
+    description: "Location changes affect tyomaa lookups, keikka deliveries and grid",
+    targets: [
+      { entityType: "geocode" },
+      { entityType: "tyomaa" },
+      { entityType: "keikka" },
+      { entityType: "grid", smart: true, operation: "TYOMAA_UPDATE" },
+    ],
+  },
+  {
+    name: "tyomaa-crud",
+    operations: ops("TYOMAA", CRUD),
+    targets: [
+      { entityType: "tyomaa" },
+      { entityType: "keikka" },
+      { entityType: "tyomaaPerson" },
+      { entityType: "person" },
+      { entityType: "grid", smart: true },
+    ],
+  },
+  {
+    name: "vehicle-crud",
+    operations: ops("VEHICLE", CRUD),
+    description: "Vehicle changes affect keikka, grid and assigned drivers",
+    targets: [
+      { entityType: "vehicle" },
+      { entityType: "keikka" },
+      { entityType: "grid", smart: true },
+      { entityType: "person" },
+    ],
+  },
+  {
+    name: "vehicle-visibility",
+    operations: ops("VEHICLE_VISIBILITY", ["TOGGLE", "APPLY_DEFAULTS", "CLEAR"]),
+    description: "Cross-tenant visibility grants affect vehicle lists for owner and target",
+    targets: [
+      {
+        entityType: "vehicle",
+        params: (p) => ({ ...p, asiakasId: p.ownerAsiakasId || p.asiakasId }),
+      },
+      {
+        entityType: "vehicle",
+        when: (p) => !!p.targetAsiakasId,
+        params: (p) => ({ ...p, asiakasId: p.targetAsiakasId }),
+      },
+      {
+        entityType: "grid",
+        params: (p) => (p.yyyymmdd ? { ...p, pumppuAika: p.yyyymmdd } : p),
+      },
+    ],
+  },
+  {
+    name: "tuote-crud",
+    operations: ops("TUOTE", CRUD),
+    // tuotteet_delete modifies keikkaLaskuRivit (invoice line items)
+    description: "Product changes affect invoices and embedded keikka pricing",
+    targets: [{ entityType: "tuote" }, { entityType: "lasku" }, { entityType: "keikka" }],
+  },
+
+  // Notification operations
+  {
+    name: "notification",
+    operations: ["NOTIFICATION_UPDATE", "NOTIFICATION_CREATE", "NOTIFICATION_READ"],
+    requiredParams: ["asiakasId", "personId"],
+    targets: [
+      {
+        entityType: "notifications",
+        patterns: (p) => [`notifications:history:${p.asiakasId}:${p.personId}:*`],
+      },
+    ],
+  },
+  {
+    name: "notification-broadcast",
+    operations: ["NOTIFICATION_BROADCAST"],
+    requiredParams: ["asiakasId"],
+    targets: [
+      {
+        entityType: "notifications",
+        patterns: (p) => [`notifications:history:${p.asiakasId}:*`],
+      },
+    ],
+  },
+
+  // Auth cache invalidation for role/permission changes
+  {
+    name: "asiakas-person-setting",
+    operations: ops("ASIAKAS_PERSON_SETTING", ["CREATE", "UPDATE", "DELETE"]),
+    targets: [
+      { entityType: "asiakasPersonSetting" },
+      {
+        entityType: "auth",
+        when: (p) => !!p.personId,
+        patterns: (p) => [`auth:permissions:${p.personId}:*`],
+      },
+    ],
+  },
+];
+
+module.exports = {
+  DEFAULT_INVALIDATION_RULES,
+};
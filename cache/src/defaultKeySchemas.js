@@ -0,0 +1,72 @@
+/**
+ * Default Cache Key Schemas
+ *
+ * Built-in key layouts for betoni.online caches. Registered automatically by
+ * UniversalCacheManager and used by invalidate() to derive its patterns, so
+ * keys written with cacheManager.buildKey() are always reachable by
+ * invalidation. Apps can add their own via cacheManager.registerKeySchema().
+ *
+ * See CacheKeySchemaRegistry for the template syntax.
+ */
+
+const DEFAULT_KEY_SCHEMAS = [
+  {
+    name: "keikka.get",
+    template: "keikka:get:{asiakasId:id}:{keikkaId:id}",
+    description: "Single delivery order",
+  },
+  {
+    name: "keikka.list",
+    template: "keikka:list:{asiakasId:id}:{personId:id}:{yyyymmdd:date}:{deleted?:flag}",
+    description: "Delivery order list per customer, person and day (':deleted' for removed orders)",
+  },
+  {
+    name: "grid.person",
+    template: "grid:personId:{personId:id}:pumppuAika:{pumppuAika:date}",
+    description: "Grid rows for a person on a pumping day",
+  },
+  {
+    name: "grid.palkki.list",
+    template: "grid:palkki:list:{asiakasId:id}:{yyyymmdd:date}:{variant?:string}",
+    description: "Grid bar (palkki) list per customer and day",
+  },
+  {
+    name: "attachment.get",
+    template: "attachment:get:{attachmentId:id}",
+    description: "Single attachment",
+  },
+  {
+    name: "attachment.list",
+    template: "attachment:list:{entityType:string}:{entityId:id}",
+    description: "Attachments of one entity (keikka, vehicle, ...)",
+  },
+  {
+    name: "attachment.bulk",
+    template: "attachment:bulk:{entityType:string}:{hash:string}",
+    description: "Attachment lists for a batch of entities (hash of the id list)",
+  },
+  {
+    name: "attachment.search",
+    template: "attachment:search:{asiakasId:id}:{hash:string}",
+    description: "Attachment search results per customer (hash of the query)",
+  },
+  {
+    name: "attachment.types",
+    template: "attachment:types:{asiakasId:id}",
+    description: "Attachment types per customer",
+  },
+  {
+    name: "attachment.listMissing",
+    template: "attachment:listMissing:{asiakasId:id}",
+    description: "Entities missing required attachments per customer",
+  },
+  {
+    name: "personpvm.list",
+    template: "personpvm:list:{asiakasId:id}:{startDate?:date}:{endDate?:date}",
+    description: "Person day markings per customer, optionally for a date range",
+  },
+];
+
+module.exports = {
+  DEFAULT_KEY_SCHEMAS,
+};
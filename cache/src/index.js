@@ -12,7 +12,26 @@
 
 const UniversalCacheManager = require('./UniversalCacheManager');
 const CacheMetrics = require('./CacheMetrics');
-const { DistributedLockManager, DistributedLock } = require('./DistributedLockManager');
+const {
+  DistributedLockManager,
+  DistributedLock,
+  DistributedLease,
+} = require('./DistributedLockManager');
+const InvalidationRuleRegistry = require('./InvalidationRuleRegistry');
+const { DEFAULT_INVALIDATION_RULES } = require('./defaultInvalidationRules');
+const CacheKeySchemaRegistry = require('./CacheKeySchemaRegistry');
+const { DEFAULT_KEY_SCHEMAS } = require('./defaultKeySchemas');
+const MemoryCache = require('./MemoryCache');
+const InMemoryRedis = require('./InMemoryRedis');
+const CacheWarmer = require('./CacheWarmer');
+const OpenMetricsExporter = require('./OpenMetricsExporter');
+const CacheMetricsStore = require('./CacheMetricsStore');
+const JobRunner = require('./JobRunner');
+const CircuitBreaker = require('./CircuitBreaker');
+const CacheInspector = require('./CacheInspector');
+const InvalidationOutbox = require('./InvalidationOutbox');
+const { buildChanges, filterChanges } = require('./changeFeed');
+const { createCacheAdminRouter } = require('./adminRouter');
 
 /**
  * Create a configured cache manager instance
@@ -20,6 +39,20 @@ const { DistributedLockManager, DistributedLock } = require('./DistributedLockMa
  * @param {Object} options.logger - Winston logger instance (required)
  * @param {Object} options.cacheMetrics - Optional custom cache metrics instance
  * @param {Object} options.redisConfig - Optional Redis configuration override
+ * @param {Array<Object>} options.invalidationRules - Optional app-specific invalidation rules
+ * @param {Array<Object>} options.keySchemas - Optional app-specific cache key schemas
+ * @param {Object} options.l1 - Optional in-process L1 tier config ({ maxEntries, ttl })
+ * @param {Object} options.compression - Optional compression config ({ thresholds, level })
+ * @param {boolean|Object} options.versionedNamespaces - Optional per-tenant key generations ({ localTtlMs })
+ * @param {boolean|Object} options.persistentMetrics - Optional metrics flush to Redis ({ intervalMs, retentionDays, source })
+ * @param {Object} options.softTtl - Optional stale-while-revalidate soft TTLs by entity type (seconds)
+ * @param {Object} options.negativeTtl - Optional not-found entry TTLs by entity type (seconds)
+ * @param {number} options.maxInvalidationDays - Days a dateRange / dates invalidation expands to (default: 31)
+ * @param {Object} options.invalidationOutbox - Optional outbox settings ({ streamKey, applyDelayMs, maxAttempts, ... })
+ * @param {Object} options.ttlConfig - Optional TTL overrides, global and per tenant ({ multiplier, ttl, softTtl, tenants })
+ * @param {Function} options.ttlConfigProvider - Optional async () => ttlConfig, polled every ttlConfigReloadMs
+ * @param {boolean|Object} options.circuitBreaker - Optional circuit breaker config ({ failureThreshold, coolDownMs }) or false
+ * @param {string|Object} options.backend - Optional storage backend ('memory' or ioredis-compatible client)
  * @returns {UniversalCacheManager} Configured cache manager instance
  */
 function createCacheManager(options = {}) {
@@ -29,6 +62,21 @@ function createCacheManager(options = {}) {
     logger: options.logger,
     cacheMetrics: metrics,
     redisConfig: options.redisConfig,
+    invalidationRules: options.invalidationRules,
+    keySchemas: options.keySchemas,
+    l1: options.l1,
+    compression: options.compression,
+    versionedNamespaces: options.versionedNamespaces,
+    persistentMetrics: options.persistentMetrics,
+    softTtl: options.softTtl,
+    negativeTtl: options.negativeTtl,
+    maxInvalidationDays: options.maxInvalidationDays,
+    invalidationOutbox: options.invalidationOutbox,
+    ttlConfig: options.ttlConfig,
+    ttlConfigProvider: options.ttlConfigProvider,
+    ttlConfigReloadMs: options.ttlConfigReloadMs,
+    circuitBreaker: options.circuitBreaker,
+    backend: options.backend,
   });
 }
 
@@ -65,6 +113,47 @@ module.exports = {
   // Distributed locking exports
   DistributedLockManager,
   DistributedLock,
+  DistributedLease,
+
+  // Invalidation rule exports
+  InvalidationRuleRegistry,
+  DEFAULT_INVALIDATION_RULES,
+
+  // Cache key schema exports
+  CacheKeySchemaRegistry,
+  DEFAULT_KEY_SCHEMAS,
+
+  // OpenMetrics / Prometheus text exporter (cacheManager.getOpenMetrics())
+  OpenMetricsExporter,
+
+  // Persistent metrics flusher / aggregation (cacheManager.getAggregatedMetrics())
+  CacheMetricsStore,
+
+  // Lock-protected cron-style jobs (cacheManager.registerJob())
+  JobRunner,
+
+  // Durable invalidation intents (cacheManager.enqueueInvalidation())
+  InvalidationOutbox,
+
+  // Change feed records (cacheManager.subscribeChanges(), or filter onInvalidation() events)
+  buildChanges,
+  filterChanges,
+
+  // Key inspector / admin API (cacheManager.listKeys(), mount createCacheAdminRouter())
+  CacheInspector,
+  createCacheAdminRouter,
+
+  // Redis circuit breaker (cacheManager.onCircuitStateChange())
+  CircuitBreaker,
+
+  // Scheduled cache warm-up (used by cacheManager.registerWarmup())
+  CacheWarmer,
+
+  // In-process LRU (L1 tier)
+  MemoryCache,
+
+  // In-memory Redis stand-in (tests, local development without Redis)
+  InMemoryRedis,
 
   // Direct class export for advanced use cases
   UniversalCacheManager: UniversalCacheManager,
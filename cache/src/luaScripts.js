@@ -0,0 +1,146 @@
+/**
+ * Lua scripts used by the cache package
+ *
+ * Kept in one place so the Redis client and the in-memory stand-in
+ * (InMemoryRedis) always agree on the exact script source.
+ *
+ * Lease scripts use Redis TIME rather than client clocks, so instances with
+ * skewed clocks agree on when a lease expires.
+ */
+
+/**
+ * Release a lock only if we still own it (atomic check-and-delete)
+ * KEYS[1] = lock key, ARGV[1] = lock value
+ * Returns 1 if deleted, 0 if not owner
+ */
+const RELEASE_LOCK = `
+        if redis.call("GET", KEYS[1]) == ARGV[1] then
+          return redis.call("DEL", KEYS[1])
+        else
+          return 0
+        end
+      `;
+
+/**
+ * Extend a lock's TTL only if we still own it
+ * KEYS[1] = lock key, ARGV[1] = lock value, ARGV[2] = new TTL in milliseconds
+ * Returns 1 if extended, 0 if not owner
+ */
+const EXTEND_LOCK = `
+        if redis.call("GET", KEYS[1]) == ARGV[1] then
+          return redis.call("PEXPIRE", KEYS[1], ARGV[2])
+        else
+          return 0
+        end
+      `;
+
+/**
+ * Acquire a lock and issue a fencing token in one step
+ * KEYS[1] = lock key, KEYS[2] = fencing counter key, ARGV[1] = lock value, ARGV[2] = TTL in milliseconds
+ * Returns the new token (monotonically increasing per resource), or 0 if the lock is held
+ */
+const ACQUIRE_LOCK_WITH_FENCE = `
+        if redis.call("SET", KEYS[1], ARGV[1], "PX", ARGV[2], "NX") then
+          return redis.call("INCR", KEYS[2])
+        else
+          return 0
+        end
+      `;
+
+/**
+ * Take a semaphore permit: a lease in a sorted set scored by its expiry (Redis TIME, ms)
+ * KEYS[1] = semaphore key, ARGV[1] = holder id, ARGV[2] = permits, ARGV[3] = lease TTL in milliseconds
+ * Expired leases are dropped first. Returns 1 if a permit was taken, 0 if all are in use
+ */
+const ACQUIRE_SEMAPHORE = `
+        local time = redis.call("TIME")
+        local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+        redis.call("ZREMRANGEBYSCORE", KEYS[1], "-inf", now)
+        if redis.call("ZCARD", KEYS[1]) >= tonumber(ARGV[2]) then
+          return 0
+        end
+        redis.call("ZADD", KEYS[1], now + tonumber(ARGV[3]), ARGV[1])
+        if redis.call("PTTL", KEYS[1]) < tonumber(ARGV[3]) then
+          redis.call("PEXPIRE", KEYS[1], ARGV[3])
+        end
+        return 1
+      `;
+
+/**
+ * Extend a lease in a sorted set if it has not expired
+ * KEYS[1] = lease set key, ARGV[1] = holder id, ARGV[2] = new lease TTL in milliseconds
+ * Returns 1 if extended, 0 if the lease is gone (an expired lease is removed)
+ */
+const EXTEND_LEASE = `
+        local time = redis.call("TIME")
+        local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+        local expiresAt = redis.call("ZSCORE", KEYS[1], ARGV[1])
+        if expiresAt and tonumber(expiresAt) > now then
+          redis.call("ZADD", KEYS[1], now + tonumber(ARGV[2]), ARGV[1])
+          if redis.call("PTTL", KEYS[1]) < tonumber(ARGV[2]) then
+            redis.call("PEXPIRE", KEYS[1], ARGV[2])
+          end
+          return 1
+        end
+        redis.call("ZREM", KEYS[1], ARGV[1])
+        return 0
+      `;
+
+/**
+ * Take a read lease unless a writer holds the lock or is waiting for it
+ * KEYS[1] = readers set, KEYS[2] = writer key, KEYS[3] = write intent key
+ * ARGV[1] = holder id, ARGV[2] = lease TTL in milliseconds
+ * Returns 1 if acquired, 0 otherwise
+ */
+const ACQUIRE_READ_LOCK = `
+        if redis.call("EXISTS", KEYS[2]) == 1 or redis.call("EXISTS", KEYS[3]) == 1 then
+          return 0
+        end
+        local time = redis.call("TIME")
+        local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+        redis.call("ZREMRANGEBYSCORE", KEYS[1], "-inf", now)
+        redis.call("ZADD", KEYS[1], now + tonumber(ARGV[2]), ARGV[1])
+        if redis.call("PTTL", KEYS[1]) < tonumber(ARGV[2]) then
+          redis.call("PEXPIRE", KEYS[1], ARGV[2])
+        end
+        return 1
+      `;
+
+/**
+ * Take the write lock when there is no writer and no live reader
+ * KEYS[1] = readers set, KEYS[2] = writer key, KEYS[3] = write intent key
+ * ARGV[1] = holder id, ARGV[2] = lock TTL in milliseconds, ARGV[3] = intent TTL in milliseconds
+ * While readers hold leases, a waiting writer (intent TTL > 0) records its intent so no new
+ * readers get in. Returns 1 if acquired, 0 otherwise
+ */
+const ACQUIRE_WRITE_LOCK = `
+        if redis.call("EXISTS", KEYS[2]) == 1 then
+          return 0
+        end
+        local intent = redis.call("GET", KEYS[3])
+        if intent and intent ~= ARGV[1] then
+          return 0
+        end
+        local time = redis.call("TIME")
+        local now = tonumber(time[1]) * 1000 + math.floor(tonumber(time[2]) / 1000)
+        redis.call("ZREMRANGEBYSCORE", KEYS[1], "-inf", now)
+        if redis.call("ZCARD", KEYS[1]) > 0 then
+          if tonumber(ARGV[3]) > 0 then
+            redis.call("SET", KEYS[3], ARGV[1], "PX", ARGV[3])
+          end
+          return 0
+        end
+        redis.call("SET", KEYS[2], ARGV[1], "PX", ARGV[2])
+        redis.call("DEL", KEYS[3])
+        return 1
+      `;
+
+module.exports = {
+  RELEASE_LOCK,
+  EXTEND_LOCK,
+  ACQUIRE_LOCK_WITH_FENCE,
+  ACQUIRE_SEMAPHORE,
+  EXTEND_LEASE,
+  ACQUIRE_READ_LOCK,
+  ACQUIRE_WRITE_LOCK,
+};
@@ -0,0 +1,105 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createCacheManager } = require("../src");
+const InMemoryRedis = require("../src/InMemoryRedis");
+
+const logger = { info() {}, warn() {}, error() {}, debug() {} };
+
+describe("persistent metrics", () => {
+  let redis;
+  let blue;
+  let green;
+
+  const createInstance = (client, source) =>
+    createCacheManager({
+      backend: client,
+      logger,
+      persistentMetrics: { source, intervalMs: 3600000 },
+    });
+
+  beforeEach(() => {
+    // Two deployment slots sharing one store
+    redis = new InMemoryRedis();
+    blue = createInstance(redis, "blue");
+    green = createInstance(redis.duplicate(), "green");
+  });
+
+  afterEach(async () => {
+    await blue.close();
+    await green.close();
+  });
+
+  it("aggregates flushed counters of all sources", async () => {
+    await blue.cache("keikka:get:8:1", { keikkaId: 1 }, "keikka");
+    await blue.get("keikka:get:8:1", "keikka");
+    await green.get("keikka:get:8:1", "keikka");
+    await green.get("keikka:get:8:2", "keikka");
+    await blue.flushMetrics();
+    await green.flushMetrics();
+
+    const report = await blue.getAggregatedMetrics();
+    assert.deepEqual(report.sources, ["blue", "green"]);
+    assert.equal(report.byEntityType.keikka.hits, 2);
+    assert.equal(report.byEntityType.keikka.misses, 1);
+    assert.equal(report.global.hitRate, "66.67%");
+    assert.equal(report.bySource.green.misses, 1);
+
+    const greenOnly = await blue.getAggregatedMetrics({ sources: ["green"] });
+    assert.equal(greenOnly.global.hits, 1);
+  });
+
+  it("flushes deltas since the last flush only", async () => {
+    await blue.get("keikka:get:8:1", "keikka");
+    assert.ok((await blue.flushMetrics()) > 0);
+    assert.equal(await blue.flushMetrics(), 0);
+
+    await blue.get("keikka:get:8:1", "keikka");
+    await blue.flushMetrics();
+    const report = await blue.getAggregatedMetrics();
+    assert.equal(report.global.misses, 2);
+  });
+
+  it("keeps unflushed counts across resetMetrics()", async () => {
+    await blue.get("keikka:get:8:1", "keikka");
+    await blue.flushMetrics();
+    await blue.get("keikka:get:8:1", "keikka");
+    blue.resetMetrics();
+    await blue.get("keikka:get:8:1", "keikka");
+    await blue.flushMetrics();
+
+    const report = await blue.getAggregatedMetrics();
+    assert.equal(report.global.misses, 3);
+  });
+
+  it("keeps deltas of a failed flush for the next one", async () => {
+    await blue.get("keikka:get:8:1", "keikka");
+    const pipeline = redis.pipeline;
+    redis.pipeline = () => {
+      throw new Error("connection lost");
+    };
+    assert.equal(await blue.flushMetrics(), 0);
+
+    redis.pipeline = pipeline;
+    await blue.flushMetrics();
+    const report = await blue.getAggregatedMetrics();
+    assert.equal(report.global.misses, 1);
+  });
+
+  it("stores hourly buckets with the retention TTL", async () => {
+    await blue.get("keikka:get:8:1", "keikka");
+    await blue.flushMetrics();
+
+    const [, [key]] = await redis.scan("0", "MATCH", "cache:metrics:*:blue", "COUNT", 100);
+    assert.match(key, /^cache:metrics:\d{10}:blue$/);
+    assert.equal(await redis.hget(key, "misses|keikka"), "1");
+    assert.ok((await redis.ttl(key)) > 13 * 86400);
+  });
+
+  it("rejects ranges beyond the retention", async () => {
+    await assert.rejects(
+      blue.getAggregatedMetrics({ from: Date.now() - 30 * 86400000 }),
+      /exceeds retention/
+    );
+  });
+});
@@ -0,0 +1,116 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createCacheManager } = require("../src");
+const InMemoryRedis = require("../src/InMemoryRedis");
+const { DistributedLockManager } = require("../src/DistributedLockManager");
+
+const logger = { info() {}, warn() {}, error() {}, debug() {} };
+
+const keikkaWarmup = (loaded = []) => ({
+  name: "keikka-lists",
+  entityType: "keikka",
+  loader: async ({ yyyymmdd }) => {
+    loaded.push(yyyymmdd);
+    return [{ key: `keikka:list:8:${yyyymmdd}`, data: [{ keikkaId: 1 }] }];
+  },
+});
+
+describe("CacheWarmer", () => {
+  let redis;
+  let first;
+  let second;
+
+  beforeEach(() => {
+    // Two instances sharing one store
+    redis = new InMemoryRedis();
+    first = createCacheManager({ backend: redis, logger });
+    second = createCacheManager({ backend: redis.duplicate(), logger });
+  });
+
+  afterEach(async () => {
+    await first.close();
+    await second.close();
+  });
+
+  it("writes the loader's entries for each date", async () => {
+    const loaded = [];
+    first.registerWarmup(keikkaWarmup(loaded));
+
+    const report = await first.runWarmup({ dates: ["2026-10-19", "20261020"] });
+    assert.equal(report.skipped, false);
+    assert.deepEqual(loaded, ["20261019", "20261020"]);
+    assert.deepEqual(report.totals, { jobs: 2, failedJobs: 0, entries: 2, written: 2 });
+    assert.deepEqual(await first.get("keikka:list:8:20261020", "keikka"), [{ keikkaId: 1 }]);
+    assert.ok((await redis.ttl("keikka:list:8:20261020")) > 0);
+  });
+
+  it("defaults to today and tomorrow", async () => {
+    const loaded = [];
+    first.registerWarmup(keikkaWarmup(loaded));
+
+    await first.runWarmup();
+    assert.equal(loaded.length, 2);
+    assert.notEqual(loaded[0], loaded[1]);
+  });
+
+  it("reports a failing loader and still runs the other jobs", async () => {
+    first.registerWarmup(keikkaWarmup());
+    first.registerWarmup({
+      name: "broken",
+      entityType: "grid",
+      dayOffsets: [0],
+      loader: async () => {
+        throw new Error("db down");
+      },
+    });
+
+    const report = await first.runWarmup({ dates: ["20261019"] });
+    assert.equal(report.totals.failedJobs, 1);
+    assert.equal(report.totals.written, 1);
+    assert.equal(report.jobs.find((job) => job.name === "broken").error, "db down");
+  });
+
+  it("runs a runId once across instances", async () => {
+    const loaded = [];
+    first.registerWarmup(keikkaWarmup(loaded));
+    second.registerWarmup(keikkaWarmup(loaded));
+
+    await first.runWarmup({ dates: ["20261019"], runId: "05:30:20261019" });
+    const report = await second.runWarmup({ dates: ["20261019"], runId: "05:30:20261019" });
+    assert.deepEqual(report, {
+      skipped: true,
+      reason: "already completed",
+      durationMs: 0,
+      jobs: [],
+      totals: null,
+    });
+    assert.equal(loaded.length, 1);
+  });
+
+  it("skips while another instance holds the warm-up lock", async () => {
+    second.registerWarmup(keikkaWarmup());
+    const lock = await new DistributedLockManager(redis, logger).acquireLock("cache:warmup", 60000);
+
+    const report = await second.runWarmup({ dates: ["20261019"] });
+    assert.equal(report.reason, "locked by another instance");
+    await lock.release();
+  });
+
+  it("records coverage metrics", async () => {
+    first.registerWarmup(keikkaWarmup());
+    await first.runWarmup({ dates: ["20261019"] });
+
+    const metrics = first.cacheMetrics.getWarmupMetrics();
+    assert.equal(metrics.runs, 1);
+    assert.equal(metrics.running, false);
+    assert.equal(metrics.byName["keikka-lists"].coverage, "100.00%");
+  });
+
+  it("rejects invalid warm-ups and scheduler times", () => {
+    assert.throws(() => first.registerWarmup({ name: "x", entityType: "keikka" }), /loader/);
+    first.registerWarmup(keikkaWarmup());
+    assert.throws(() => first.registerWarmup(keikkaWarmup()), /already registered/);
+    assert.throws(() => first.startWarmupScheduler({ times: ["25:00"] }), /Invalid warm-up time/);
+  });
+});
@@ -0,0 +1,338 @@
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const InMemoryRedis = require("../src/InMemoryRedis");
+const { DistributedLockManager } = require("../src/DistributedLockManager");
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+const logger = { info() {}, warn() {}, error() {}, debug() {} };
+
+/**
+ * Two lock managers on separate connections to one store, like two instances
+ */
+function createManagers() {
+  const redis = new InMemoryRedis();
+  return [
+    new DistributedLockManager(redis, logger),
+    new DistributedLockManager(redis.duplicate(), logger),
+  ];
+}
+
+describe("DistributedLockManager", () => {
+  let first;
+  let second;
+
+  beforeEach(() => {
+    [first, second] = createManagers();
+  });
+
+  describe("acquireLock", () => {
+    it("lets only one holder in until the lock is released", async () => {
+      const lock = await first.acquireLock("job", 60000);
+      assert.ok(lock);
+      assert.equal(await second.acquireLock("job", 60000), null);
+
+      assert.equal(await lock.release(), true);
+      const next = await second.acquireLock("job", 60000);
+      assert.ok(next);
+      await next.release();
+    });
+
+    it("frees the lock after its TTL", async () => {
+      const lock = await first.acquireLock("job", 30);
+      await sleep(60);
+
+      const next = await second.acquireLock("job", 60000);
+      assert.ok(next);
+      // The expired holder cannot release the new holder's lock
+      assert.equal(await lock.release(), false);
+      assert.ok(await first.redis.get("lock:job"));
+      await next.release();
+    });
+
+    it("releases a lock only once", async () => {
+      const lock = await first.acquireLock("job", 60000);
+      assert.equal(await lock.release(), true);
+      assert.equal(await lock.release(), false);
+      assert.equal(lock.isHeld(), false);
+    });
+
+    it("waits for the lock with waitTimeoutMs", async () => {
+      const lock = await first.acquireLock("job", 60000);
+      setTimeout(() => lock.release(), 40);
+
+      const next = await second.acquireLock("job", {
+        ttlMs: 60000,
+        waitTimeoutMs: 2000,
+        retryDelayMs: 10,
+      });
+      assert.ok(next);
+      await next.release();
+    });
+
+    it("gives up after waitTimeoutMs", async () => {
+      const lock = await first.acquireLock("job", 60000);
+      const startTime = Date.now();
+
+      const next = await second.acquireLock("job", {
+        ttlMs: 60000,
+        waitTimeoutMs: 60,
+        retryDelayMs: 10,
+      });
+      assert.equal(next, null);
+      assert.ok(Date.now() - startTime >= 60);
+      await lock.release();
+    });
+
+    it("extends only a lock it still owns", async () => {
+      const lock = await first.acquireLock("job", 1000);
+      assert.equal(await lock.extend(60000), true);
+      assert.ok((await first.redis.pttl("lock:job")) > 1000);
+
+      await first.redis.set("lock:job", "someone-else");
+      assert.equal(await lock.extend(60000), false);
+      assert.equal(lock.isHeld(), false);
+    });
+
+    it("renews the lock with autoRenew", async () => {
+      const lock = await first.acquireLock("job", { ttlMs: 60, autoRenew: true });
+      await sleep(150);
+
+      assert.equal(await second.acquireLock("job", 60000), null);
+      assert.equal(await lock.release(), true);
+    });
+
+    it("fails open (null) when Redis errors", async () => {
+      first.redis.set = async () => {
+        throw new Error("connection lost");
+      };
+      assert.equal(await first.acquireLock("job", 60000), null);
+    });
+  });
+
+  describe("fencing", () => {
+    it("issues increasing tokens per resource", async () => {
+      const lock = await first.acquireLock("job", { ttlMs: 60000, fencing: true });
+      assert.equal(lock.fencingToken, 1);
+      await lock.release();
+
+      const next = await second.acquireLock("job", { ttlMs: 60000, fencing: true });
+      assert.equal(next.fencingToken, 2);
+      assert.equal(await first.isCurrentFencingToken("job", 1), false);
+      assert.equal(await first.isCurrentFencingToken("job", 2), true);
+      await next.release();
+    });
+
+    it("does not issue a token while the lock is held", async () => {
+      const lock = await first.acquireLock("job", { ttlMs: 60000, fencing: true });
+      assert.equal(await second.acquireLock("job", { ttlMs: 60000, fencing: true }), null);
+      assert.equal(await first.redis.get("fence:job"), "1");
+      await lock.release();
+    });
+
+    it("invalidates the token of a holder whose lock expired", async () => {
+      const stale = await first.acquireLock("job", { ttlMs: 30, fencing: true });
+      await sleep(60);
+
+      const current = await second.acquireLock("job", { ttlMs: 60000, fencing: true });
+      assert.ok(current.fencingToken > stale.fencingToken);
+      assert.equal(await first.isCurrentFencingToken("job", stale.fencingToken), false);
+      assert.equal(await second.isCurrentFencingToken("job", current.fencingToken), true);
+      await current.release();
+    });
+  });
+
+  describe("acquireSemaphore", () => {
+    it("hands out at most `permits` leases", async () => {
+      const a = await first.acquireSemaphore("api", 2, 60000);
+      const b = await second.acquireSemaphore("api", 2, 60000);
+      assert.ok(a && b);
+      assert.equal(await first.acquireSemaphore("api", 2, 60000), null);
+
+      assert.equal(await a.release(), true);
+      const c = await second.acquireSemaphore("api", 2, 60000);
+      assert.ok(c);
+      await b.release();
+      await c.release();
+    });
+
+    it("frees the permit of an expired lease", async () => {
+      const crashed = await first.acquireSemaphore("api", 1, 30);
+      assert.ok(crashed);
+      assert.equal(await second.acquireSemaphore("api", 1, 60000), null);
+
+      await sleep(60);
+      const next = await second.acquireSemaphore("api", 1, 60000);
+      assert.ok(next);
+      // The expired holder neither extends nor releases the new holder's permit
+      assert.equal(await crashed.extend(60000), false);
+      assert.equal(crashed.isHeld(), false);
+      assert.equal(await first.acquireSemaphore("api", 1, 60000), null);
+      await next.release();
+    });
+
+    it("keeps a lease alive with autoRenew", async () => {
+      const lease = await first.acquireSemaphore("api", 1, { ttlMs: 60, autoRenew: true });
+      await sleep(150);
+
+      assert.equal(await second.acquireSemaphore("api", 1, 60000), null);
+      assert.equal(await lease.release(), true);
+    });
+
+    it("waits for a permit with waitTimeoutMs", async () => {
+      const lease = await first.acquireSemaphore("api", 1, 60000);
+      setTimeout(() => lease.release(), 40);
+
+      const next = await second.acquireSemaphore("api", 1, {
+        ttlMs: 60000,
+        waitTimeoutMs: 2000,
+        retryDelayMs: 10,
+      });
+      assert.ok(next);
+      await next.release();
+    });
+
+    it("rejects invalid permit counts", async () => {
+      await assert.rejects(first.acquireSemaphore("api", 0, 60000), /permits must be/);
+      await assert.rejects(first.acquireSemaphore("api", 1.5, 60000), /permits must be/);
+    });
+
+    it("runs withSemaphore only with a permit", async () => {
+      const lease = await first.acquireSemaphore("api", 1, 60000);
+      assert.deepEqual(await second.withSemaphore("api", 1, 60000, async () => "ran"), {
+        acquired: false,
+      });
+
+      await lease.release();
+      assert.deepEqual(await second.withSemaphore("api", 1, 60000, async () => "ran"), {
+        acquired: true,
+        result: "ran",
+      });
+      assert.equal(await first.redis.zcard("lock:sem:api"), 0);
+    });
+  });
+
+  describe("read/write lock", () => {
+    it("shares the lock between readers", async () => {
+      const a = await first.acquireReadLock("doc", 60000);
+      const b = await second.acquireReadLock("doc", 60000);
+      assert.ok(a && b);
+      await a.release();
+      await b.release();
+    });
+
+    it("keeps readers and writers apart", async () => {
+      const writer = await first.acquireWriteLock("doc", 60000);
+      assert.ok(writer);
+      assert.equal(await second.acquireReadLock("doc", 60000), null);
+      assert.equal(await second.acquireWriteLock("doc", 60000), null);
+      await writer.release();
+
+      const reader = await second.acquireReadLock("doc", 60000);
+      assert.ok(reader);
+      assert.equal(await first.acquireWriteLock("doc", 60000), null);
+      await reader.release();
+
+      const next = await first.acquireWriteLock("doc", 60000);
+      assert.ok(next);
+      await next.release();
+    });
+
+    it("blocks new readers while a writer waits", async () => {
+      const reader = await first.acquireReadLock("doc", 60000);
+      const waitingWriter = second.acquireWriteLock("doc", {
+        ttlMs: 60000,
+        waitTimeoutMs: 2000,
+        retryDelayMs: 10,
+        maxRetryDelayMs: 20,
+      });
+
+      await sleep(30);
+      assert.ok(await first.redis.get("lock:rw:doc:intent"));
+      assert.equal(await first.acquireReadLock("doc", 60000), null);
+
+      await reader.release();
+      const writer = await waitingWriter;
+      assert.ok(writer);
+      assert.equal(await first.redis.get("lock:rw:doc:intent"), null);
+      await writer.release();
+
+      const nextReader = await first.acquireReadLock("doc", 60000);
+      assert.ok(nextReader);
+      await nextReader.release();
+    });
+
+    it("lets readers in again when a waiting writer gives up", async () => {
+      const reader = await first.acquireReadLock("doc", 60000);
+      const writer = await second.acquireWriteLock("doc", {
+        ttlMs: 60000,
+        waitTimeoutMs: 50,
+        retryDelayMs: 10,
+        maxRetryDelayMs: 20,
+      });
+      assert.equal(writer, null);
+
+      const nextReader = await first.acquireReadLock("doc", 60000);
+      assert.ok(nextReader);
+      await reader.release();
+      await nextReader.release();
+    });
+
+    it("lets a writer in once reader leases expire", async () => {
+      await first.acquireReadLock("doc", 30);
+      assert.equal(await second.acquireWriteLock("doc", 60000), null);
+
+      await sleep(60);
+      const writer = await second.acquireWriteLock("doc", 60000);
+      assert.ok(writer);
+      await writer.release();
+    });
+
+    it("lets readers in once an abandoned write intent expires", async () => {
+      const reader = await first.acquireReadLock("doc", 60000);
+      // A writer that went away mid-wait leaves its intent behind
+      await second.redis.set("lock:rw:doc:intent", "gone", "PX", 40);
+      assert.equal(await first.acquireReadLock("doc", 60000), null);
+
+      await sleep(60);
+      const nextReader = await first.acquireReadLock("doc", 60000);
+      assert.ok(nextReader);
+      await reader.release();
+      await nextReader.release();
+    });
+  });
+
+  describe("withLock", () => {
+    it("runs the function and releases the lock", async () => {
+      const outcome = await first.withLock("job", 60000, async (lock) => {
+        assert.equal(await second.acquireLock("job", 60000), null);
+        return lock.isHeld();
+      });
+
+      assert.deepEqual(outcome, { acquired: true, result: true });
+      assert.equal(await first.redis.get("lock:job"), null);
+    });
+
+    it("skips the function when the lock is held", async () => {
+      const lock = await first.acquireLock("job", 60000);
+      let ran = false;
+
+      const outcome = await second.withLock("job", 60000, async () => {
+        ran = true;
+      });
+      assert.deepEqual(outcome, { acquired: false });
+      assert.equal(ran, false);
+      await lock.release();
+    });
+
+    it("releases the lock when the function throws", async () => {
+      await assert.rejects(
+        first.withLock("job", 60000, async () => {
+          throw new Error("boom");
+        }),
+        /boom/
+      );
+      assert.equal(await first.redis.get("lock:job"), null);
+    });
+  });
+});
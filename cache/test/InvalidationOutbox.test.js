@@ -0,0 +1,84 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createCacheManager } = require("../src");
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+const logger = { info() {}, warn() {}, error() {}, debug() {} };
+
+const PARAMS = { asiakasId: 8, keikkaId: 123 };
+
+describe("invalidation outbox", () => {
+  let cacheManager;
+  let redis;
+
+  beforeEach(async () => {
+    cacheManager = createCacheManager({
+      backend: "memory",
+      logger,
+      circuitBreaker: false,
+      invalidationOutbox: { applyDelayMs: 0, maxAttempts: 2, claimIdleMs: 1 },
+    });
+    redis = await cacheManager.getClient();
+    await cacheManager.cache("keikka:get:8:123", { keikkaId: 123 }, "keikka");
+  });
+
+  afterEach(async () => {
+    await cacheManager.close();
+  });
+
+  const breakScan = () => {
+    const scan = redis.scan;
+    redis.scan = async () => {
+      throw new Error("Connection is closed.");
+    };
+    return () => {
+      redis.scan = scan;
+    };
+  };
+
+  it("counts failed scans in the invalidation report", async () => {
+    breakScan();
+    const report = await cacheManager.invalidateCrossEntityDetailed("KEIKKA_UPDATE", PARAMS);
+    assert.ok(report.errors > 0);
+  });
+
+  it("marks an intent done only after a clean apply", async () => {
+    const intent = await cacheManager.enqueueInvalidation("KEIKKA_UPDATE", PARAMS);
+    const restore = breakScan();
+
+    assert.equal(await cacheManager.completeInvalidation(intent), null);
+    assert.equal(await redis.exists(`cache:outbox:done:${intent.intentId}`), 0);
+
+    // The worker's attempt fails too: the intent stays pending
+    await cacheManager.outbox.poll();
+    let status = await cacheManager.getInvalidationOutboxStatus();
+    assert.equal(status.pending, 1);
+    assert.equal(status.worker.failed, 1);
+    assert.equal(await redis.exists("keikka:get:8:123"), 1);
+
+    // Reclaimed and applied once Redis works again
+    restore();
+    await sleep(5);
+    await cacheManager.outbox.poll();
+    status = await cacheManager.getInvalidationOutboxStatus();
+    assert.equal(status.pending, 0);
+    assert.equal(status.worker.applied, 1);
+    assert.equal(await redis.exists(`cache:outbox:done:${intent.intentId}`), 1);
+    assert.equal(await redis.exists("keikka:get:8:123"), 0);
+  });
+
+  it("dead-letters an intent that keeps failing", async () => {
+    await cacheManager.enqueueInvalidation("KEIKKA_UPDATE", PARAMS);
+    breakScan();
+
+    await cacheManager.outbox.poll();
+    await sleep(5);
+    await cacheManager.outbox.poll();
+
+    const status = await cacheManager.getInvalidationOutboxStatus();
+    assert.equal(status.pending, 0);
+    assert.equal(status.deadLetters, 1);
+    assert.equal(status.worker.deadLettered, 1);
+  });
+});
@@ -0,0 +1,37 @@
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { InvalidationRuleRegistry } = require("../src");
+
+const rule = (name, operations) => ({ name, operations, targets: [{ entityType: "keikka" }] });
+
+describe("InvalidationRuleRegistry", () => {
+  it("fires every rule registered for an operation", () => {
+    const registry = new InvalidationRuleRegistry({
+      rules: [rule("a", ["KEIKKA_UPDATE"]), rule("b", ["KEIKKA_UPDATE", "KEIKKA_DELETE"])],
+    });
+
+    const names = (operation) => registry.getRulesForOperation(operation).map((r) => r.name);
+    assert.deepEqual(names("KEIKKA_UPDATE"), ["a", "b"]);
+    assert.deepEqual(names("KEIKKA_DELETE"), ["b"]);
+    assert.throws(() => registry.registerRule(rule("a", ["X"])), /already registered/);
+  });
+
+  it("replaces existing rules only for the new rule's operations", () => {
+    const registry = new InvalidationRuleRegistry({
+      rules: [
+        rule("keikka-crud", ["KEIKKA_UPDATE", "KEIKKA_DELETE"]),
+        rule("stat", ["KEIKKA_UPDATE"]),
+      ],
+    });
+
+    registry.registerRule(rule("keikka-update", ["KEIKKA_UPDATE"]), { replace: true });
+
+    const names = (operation) => registry.getRulesForOperation(operation).map((r) => r.name);
+    assert.deepEqual(names("KEIKKA_UPDATE"), ["keikka-update"]);
+    assert.deepEqual(names("KEIKKA_DELETE"), ["keikka-crud"]);
+    assert.deepEqual(registry.getRule("keikka-crud").operations, ["KEIKKA_DELETE"]);
+    // A rule left without operations is removed
+    assert.equal(registry.getRule("stat"), undefined);
+  });
+});
@@ -0,0 +1,138 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createCacheManager } = require("../src");
+const InMemoryRedis = require("../src/InMemoryRedis");
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+const logger = { info() {}, warn() {}, error() {}, debug() {} };
+
+describe("JobRunner", () => {
+  let first;
+  let second;
+
+  beforeEach(() => {
+    // Two instances sharing one store
+    const redis = new InMemoryRedis();
+    first = createCacheManager({ backend: redis, logger });
+    second = createCacheManager({ backend: redis.duplicate(), logger });
+  });
+
+  afterEach(async () => {
+    await first.close();
+    await second.close();
+  });
+
+  /**
+   * Register the same job on both instances; the job runs until release() is called
+   */
+  const registerBlockingJob = (options = {}) => {
+    const runs = [];
+    let release;
+    const fn = async ({ fencingToken }) => {
+      runs.push(fencingToken);
+      if (runs.length === 1) {
+        await new Promise((resolve) => {
+          release = resolve;
+        });
+      }
+      return runs.length;
+    };
+    first.registerJob("tila-cron", fn, options);
+    second.registerJob("tila-cron", fn, options);
+    return { runs, release: () => release() };
+  };
+
+  it("runs a job and stores the last run", async () => {
+    first.registerJob("tila-cron", async ({ name }) => `${name} done`);
+
+    const report = await first.runJob("tila-cron");
+    assert.equal(report.status, "completed");
+    assert.equal(report.result, "tila-cron done");
+
+    // Visible from any instance
+    second.registerJob("tila-cron", async () => {});
+    const status = await second.getJobStatus("tila-cron");
+    assert.equal(status.running, false);
+    assert.equal(status.lastRun.status, "completed");
+    assert.equal(status.lastFailure, null);
+  });
+
+  it("records failures without throwing", async () => {
+    first.registerJob("tila-cron", async () => {
+      throw new Error("db down");
+    });
+
+    const report = await first.runJob("tila-cron");
+    assert.equal(report.status, "failed");
+    assert.equal(report.error, "db down");
+    const status = await first.getJobStatus("tila-cron");
+    assert.equal(status.lastFailure.error, "db down");
+  });
+
+  it("skips a run while the job runs on another instance", async () => {
+    const job = registerBlockingJob();
+    const running = first.runJob("tila-cron");
+    await sleep(10);
+
+    const report = await second.runJob("tila-cron");
+    assert.equal(report.status, "skipped");
+    assert.equal(report.reason, "already running on another instance");
+    assert.equal((await second.getJobStatus("tila-cron")).running, true);
+
+    job.release();
+    assert.equal((await running).status, "completed");
+    assert.equal(job.runs.length, 1);
+  });
+
+  it("skips a run while the job runs in this process", async () => {
+    const job = registerBlockingJob();
+    const running = first.runJob("tila-cron");
+    await sleep(10);
+
+    const report = await first.runJob("tila-cron");
+    assert.equal(report.reason, "already running in this process");
+    job.release();
+    await running;
+  });
+
+  it("queues a run until the running job finishes", async () => {
+    const job = registerBlockingJob({ policy: "queue", queueTimeoutMs: 2000 });
+    const running = first.runJob("tila-cron");
+    await sleep(10);
+
+    const queued = second.runJob("tila-cron");
+    await sleep(30);
+    assert.equal(job.runs.length, 1);
+
+    job.release();
+    await running;
+    const report = await queued;
+    assert.equal(report.status, "completed");
+    // Fencing tokens increase from run to run
+    assert.ok(job.runs[1] > job.runs[0]);
+  });
+
+  it("gives up a queued run after queueTimeoutMs", async () => {
+    const job = registerBlockingJob({ policy: "queue", queueTimeoutMs: 50 });
+    const running = first.runJob("tila-cron");
+    await sleep(10);
+
+    const report = await second.runJob("tila-cron");
+    assert.equal(report.reason, "queue timeout");
+    job.release();
+    await running;
+  });
+
+  it("rejects unknown jobs and invalid registrations", async () => {
+    await assert.rejects(first.runJob("missing"), /Unknown job/);
+    assert.throws(() => first.registerJob("x", async () => {}, { policy: "later" }), /policy/);
+  });
+
+  it("withLock returns { acquired: false } while the lock is held", async () => {
+    const outcome = await first.withLock("report", 60000, async () =>
+      second.withLock("report", 60000, async () => "ran")
+    );
+    assert.deepEqual(outcome, { acquired: true, result: { acquired: false } });
+  });
+});
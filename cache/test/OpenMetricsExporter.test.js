@@ -0,0 +1,77 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createCacheManager, OpenMetricsExporter } = require("../src");
+
+const logger = { info() {}, warn() {}, error() {}, debug() {} };
+
+describe("OpenMetricsExporter", () => {
+  let cacheManager;
+
+  beforeEach(async () => {
+    cacheManager = createCacheManager({ backend: "memory", logger });
+    await cacheManager.cache("keikka:get:8:1", { keikkaId: 1 }, "keikka");
+    await cacheManager.get("keikka:get:8:1", "keikka");
+    await cacheManager.get("keikka:get:8:2", "keikka");
+  });
+
+  afterEach(async () => {
+    await cacheManager.close();
+  });
+
+  const linesOf = (text) => text.trimEnd().split("\n");
+
+  it("renders counters per entity type", () => {
+    const lines = linesOf(cacheManager.getOpenMetrics());
+
+    assert.ok(lines.includes("# TYPE ibetoni_cache_hits counter"));
+    assert.ok(lines.includes('ibetoni_cache_hits_total{entity_type="keikka"} 1'));
+    assert.ok(lines.includes('ibetoni_cache_misses_total{entity_type="keikka"} 1'));
+    assert.ok(lines.includes('ibetoni_cache_sets_total{entity_type="keikka"} 1'));
+    assert.equal(lines[lines.length - 1], "# EOF");
+  });
+
+  it("renders cumulative response time histograms", () => {
+    const prefix = 'ibetoni_cache_response_time_seconds_bucket{entity_type="keikka",result="hit"';
+    const lines = linesOf(cacheManager.getOpenMetrics());
+    const series = lines.filter((line) => line.startsWith(prefix));
+
+    const counts = series.map((line) => Number(line.split(" ").pop()));
+    assert.deepEqual(counts, [...counts].sort((a, b) => a - b));
+    assert.ok(series[series.length - 1].startsWith(`${prefix},le="+Inf"}`));
+    assert.equal(counts[counts.length - 1], 1);
+  });
+
+  it("declares counters with _total names in the Prometheus format", () => {
+    const text = cacheManager.getOpenMetrics({ format: "prometheus", prefix: "cache" });
+
+    assert.ok(text.includes("# TYPE cache_hits_total counter\n"));
+    assert.ok(!text.includes("# EOF"));
+  });
+
+  it("escapes label values", () => {
+    cacheManager.cacheMetrics.recordInvalidation("keikka", 'keikka:"x"\\*', 2, 1, 2);
+    const text = cacheManager.getOpenMetrics();
+
+    assert.ok(
+      text.includes('ibetoni_cache_pattern_invalidations_total{pattern="keikka:\\"x\\"\\\\*"} 1')
+    );
+  });
+
+  it("omits pattern labels when disabled", () => {
+    cacheManager.cacheMetrics.recordInvalidation("keikka", "keikka:*", 2, 1, 2);
+    const text = cacheManager.getOpenMetrics({ patternLabels: false });
+
+    assert.ok(text.includes('ibetoni_cache_invalidated_keys_total{entity_type="keikka"} 2'));
+    assert.ok(!text.includes("pattern_invalidations"));
+  });
+
+  it("negotiates the format from the Accept header", () => {
+    assert.equal(
+      OpenMetricsExporter.negotiateFormat("application/openmetrics-text; version=1.0.0"),
+      "openmetrics"
+    );
+    assert.equal(OpenMetricsExporter.negotiateFormat("text/plain"), "prometheus");
+    assert.match(OpenMetricsExporter.contentType("prometheus"), /^text\/plain; version=0\.0\.4/);
+  });
+});
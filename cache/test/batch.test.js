@@ -0,0 +1,93 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createCacheManager } = require("../src");
+
+const logger = { info() {}, warn() {}, error() {}, debug() {} };
+
+describe("mget / mset", () => {
+  let cacheManager;
+  let redis;
+
+  beforeEach(async () => {
+    cacheManager = createCacheManager({ backend: "memory", logger });
+    redis = await cacheManager.getClient();
+  });
+
+  afterEach(async () => {
+    await cacheManager.close();
+  });
+
+  it("writes every entry with its entity-type TTL", async () => {
+    const written = await cacheManager.mset([
+      { key: "keikka:get:8:1", data: { keikkaId: 1 }, entityType: "keikka" },
+      { key: "person:get:8:4", data: { personId: 4 }, entityType: "person" },
+    ]);
+    assert.equal(written, 2);
+
+    const ttl = await redis.ttl("keikka:get:8:1");
+    const baseTtl = cacheManager.TTL.keikka;
+    assert.ok(ttl > baseTtl * 0.9 && ttl <= baseTtl * 1.05);
+    assert.deepEqual(await cacheManager.get("person:get:8:4", "person"), { personId: 4 });
+  });
+
+  it("returns hits only, in input key order", async () => {
+    await cacheManager.mset([
+      { key: "keikka:get:8:2", data: { keikkaId: 2 }, entityType: "keikka" },
+      { key: "keikka:get:8:1", data: { keikkaId: 1 }, entityType: "keikka" },
+    ]);
+
+    const cached = await cacheManager.mget(
+      ["keikka:get:8:1", "keikka:get:8:3", "keikka:get:8:2", "keikka:get:8:1"],
+      "keikka"
+    );
+    assert.deepEqual(Array.from(cached.keys()), ["keikka:get:8:1", "keikka:get:8:2"]);
+    assert.deepEqual(cached.get("keikka:get:8:2"), { keikkaId: 2 });
+  });
+
+  it("treats an unreadable value as a miss without failing the batch", async () => {
+    await cacheManager.cache("keikka:get:8:1", { keikkaId: 1 }, "keikka");
+    await redis.set("keikka:get:8:2", "{not json");
+
+    const cached = await cacheManager.mget(["keikka:get:8:1", "keikka:get:8:2"], "keikka");
+    assert.deepEqual(Array.from(cached.keys()), ["keikka:get:8:1"]);
+  });
+
+  it("does not count undecodable values as Redis failures", async () => {
+    await cacheManager.close();
+    cacheManager = createCacheManager({
+      backend: "memory",
+      logger,
+      circuitBreaker: { failureThreshold: 1 },
+    });
+    redis = await cacheManager.getClient();
+    await cacheManager.cache("keikka:get:8:1", { keikkaId: 1 }, "keikka");
+    await redis.set("keikka:get:8:2", "gz:bm90IGd6aXA=");
+
+    const cached = await cacheManager.mget(["keikka:get:8:1", "keikka:get:8:2"], "keikka");
+    assert.deepEqual(Array.from(cached.keys()), ["keikka:get:8:1"]);
+    assert.equal(cacheManager.getStatus().circuit.state, "closed");
+  });
+
+  it("skips entries that cannot be serialized", async () => {
+    const circular = {};
+    circular.self = circular;
+
+    const written = await cacheManager.mset([
+      { key: "keikka:get:8:1", data: circular, entityType: "keikka" },
+      { key: "keikka:get:8:2", data: { keikkaId: 2 }, entityType: "keikka" },
+    ]);
+    assert.equal(written, 1);
+    assert.equal(await redis.exists("keikka:get:8:1"), 0);
+  });
+
+  it("indexes mset entries under their tags", async () => {
+    await cacheManager.mset([
+      { key: "keikka:get:8:1", data: { keikkaId: 1 }, entityType: "keikka", tags: ["asiakas:8"] },
+      { key: "keikka:get:8:2", data: { keikkaId: 2 }, entityType: "keikka", tags: ["asiakas:8"] },
+    ]);
+
+    await cacheManager.invalidateTags(["asiakas:8"]);
+    assert.equal((await cacheManager.mget(["keikka:get:8:1", "keikka:get:8:2"], "keikka")).size, 0);
+  });
+});
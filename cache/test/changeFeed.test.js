@@ -0,0 +1,124 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createCacheManager, buildChanges, filterChanges } = require("../src");
+const InMemoryRedis = require("../src/InMemoryRedis");
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+const logger = { info() {}, warn() {}, error() {}, debug() {} };
+
+describe("change feed", () => {
+  describe("buildChanges", () => {
+    it("merges targets into one record per entity type", () => {
+      const changes = buildChanges(
+        [
+          { entityType: "grid", params: { asiakasId: 8, keikkaId: 1 } },
+          { entityType: "grid", params: { asiakasId: "8", body: { personIds: [4, 5] } } },
+          {
+            entityType: "keikka",
+            params: { asiakasId: 9, cacheInvalidation: { visibleAsiakasIds: [10] } },
+          },
+        ],
+        { resolveDays: (params) => (params.asiakasId === 9 ? null : ["20261019"]) }
+      );
+
+      assert.deepEqual(changes, [
+        {
+          entityType: "grid",
+          asiakasIds: [8],
+          dates: ["20261019"],
+          ids: { keikkaId: [1], personId: [4, 5] },
+        },
+        { entityType: "keikka", asiakasIds: [9, 10], dates: null, ids: {} },
+      ]);
+    });
+
+    it("drops id lists that are too long to send", () => {
+      const keikkaIds = Array.from({ length: 101 }, (_, i) => i);
+      const [change] = buildChanges([{ entityType: "keikka", params: { keikkaIds } }]);
+      assert.deepEqual(change.ids, { keikkaId: null });
+    });
+  });
+
+  describe("filterChanges", () => {
+    const changes = [
+      { entityType: "grid", asiakasIds: [8], dates: null, ids: {} },
+      { entityType: "keikka", asiakasIds: [9], dates: null, ids: {} },
+      { entityType: "help", asiakasIds: [], dates: null, ids: {} },
+    ];
+
+    it("filters by entity type and customer", () => {
+      const types = (filtered) => filtered.map((change) => change.entityType);
+
+      assert.deepEqual(types(filterChanges(changes, { entityTypes: ["grid"] })), ["grid"]);
+      // Records without customers match every customer
+      assert.deepEqual(types(filterChanges(changes, { asiakasIds: ["8"] })), ["grid", "help"]);
+      assert.equal(filterChanges(changes).length, 3);
+    });
+  });
+
+  describe("subscribeChanges", () => {
+    let redis;
+    let first;
+    let second;
+
+    beforeEach(() => {
+      // Two instances sharing one store
+      redis = new InMemoryRedis();
+      first = createCacheManager({ backend: redis, logger });
+      second = createCacheManager({ backend: redis.duplicate(), logger });
+    });
+
+    afterEach(async () => {
+      await first.close();
+      await second.close();
+    });
+
+    it("delivers the records of an invalidation", async () => {
+      const messages = [];
+      first.subscribeChanges((message) => messages.push(message), { entityTypes: ["grid"] });
+
+      await first.invalidateCrossEntity("KEIKKA_UPDATE", {
+        asiakasId: 8,
+        keikkaId: 123,
+        body: { pumppuAika: "2026-10-19T06:00:00" },
+      });
+
+      assert.equal(messages.length, 1);
+      assert.equal(messages[0].operation, "KEIKKA_UPDATE");
+      assert.equal(messages[0].local, true);
+      assert.deepEqual(messages[0].changes, [
+        { entityType: "grid", asiakasIds: [8], dates: ["20261019"], ids: { keikkaId: [123] } },
+      ]);
+    });
+
+    it("delivers changes made on other instances", async () => {
+      const messages = [];
+      second.subscribeChanges((message) => messages.push(message), { includeLocal: false });
+      await sleep(10); // subscription
+
+      await first.invalidateCrossEntity("KEIKKA_UPDATE", { asiakasId: 8, keikkaId: 123 });
+      await sleep(10);
+
+      assert.equal(messages.length, 1);
+      assert.equal(messages[0].local, false);
+    });
+
+    it("skips messages without a matching record", async () => {
+      const messages = [];
+      first.subscribeChanges((message) => messages.push(message), { asiakasIds: [9] });
+
+      await first.invalidateCrossEntity("KEIKKA_UPDATE", { asiakasId: 8, keikkaId: 123 });
+      assert.equal(messages.length, 0);
+    });
+
+    it("stops delivering after unsubscribe", async () => {
+      const messages = [];
+      const unsubscribe = first.subscribeChanges((message) => messages.push(message));
+      unsubscribe();
+
+      await first.invalidateCrossEntity("KEIKKA_UPDATE", { asiakasId: 8, keikkaId: 123 });
+      assert.equal(messages.length, 0);
+    });
+  });
+});
@@ -0,0 +1,120 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createCacheManager } = require("../src");
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+const logger = { info() {}, warn() {}, error() {}, debug() {} };
+
+describe("circuit breaker", () => {
+  let cacheManager;
+  let redis;
+
+  beforeEach(async () => {
+    cacheManager = createCacheManager({
+      backend: "memory",
+      logger,
+      circuitBreaker: { failureThreshold: 2, coolDownMs: 20, successThreshold: 2 },
+    });
+    redis = await cacheManager.getClient();
+  });
+
+  afterEach(async () => {
+    await cacheManager.close();
+  });
+
+  const breakRedis = () => {
+    const get = redis.get;
+    redis.get = async () => {
+      throw new Error("Connection is closed.");
+    };
+    return () => {
+      redis.get = get;
+    };
+  };
+
+  it("opens on failed Redis commands", async () => {
+    breakRedis();
+    await cacheManager.get("keikka:get:8:1", "keikka");
+    await cacheManager.get("keikka:get:8:1", "keikka");
+
+    assert.equal(cacheManager.getStatus().circuit.state, "open");
+    assert.equal(await cacheManager.getClient(), null);
+  });
+
+  it("does not count unreadable or unserializable values as failures", async () => {
+    await redis.set("keikka:get:8:1", "{not json");
+    const circular = {};
+    circular.self = circular;
+
+    for (let i = 0; i < 3; i++) {
+      assert.equal(await cacheManager.get("keikka:get:8:1", "keikka"), null);
+      assert.equal(await cacheManager.cache("keikka:get:8:2", circular, "keikka"), false);
+    }
+    assert.equal(cacheManager.getStatus().circuit.state, "closed");
+  });
+
+  it("counts one outcome per half-open probe", async () => {
+    const restore = breakRedis();
+    await cacheManager.get("keikka:get:8:1", "keikka");
+    await cacheManager.get("keikka:get:8:1", "keikka");
+    restore();
+    await sleep(30);
+
+    // successThreshold 2: the first probe (ping + get) is one success, not two
+    await cacheManager.get("keikka:get:8:1", "keikka");
+    assert.equal(cacheManager.getStatus().circuit.state, "half_open");
+    assert.equal(cacheManager.circuitBreaker.probesInFlight, 0);
+
+    await cacheManager.get("keikka:get:8:1", "keikka");
+    assert.equal(cacheManager.getStatus().circuit.state, "closed");
+  });
+
+  it("does not claim a probe slot while shutting down", async () => {
+    const restore = breakRedis();
+    await cacheManager.get("keikka:get:8:1", "keikka");
+    await cacheManager.get("keikka:get:8:1", "keikka");
+    restore();
+    await sleep(30);
+
+    cacheManager.isShuttingDown = true;
+    assert.equal(await cacheManager.getClient(), null);
+    assert.equal(cacheManager.circuitBreaker.probesInFlight, 0);
+    cacheManager.isShuttingDown = false;
+
+    assert.ok(await cacheManager.getClient());
+  });
+
+  it("reports invalidation errors while the circuit is open", async () => {
+    breakRedis();
+    await cacheManager.get("keikka:get:8:1", "keikka");
+    await cacheManager.get("keikka:get:8:1", "keikka");
+
+    const report = await cacheManager.invalidateCrossEntityDetailed("KEIKKA_UPDATE", {
+      asiakasId: 8,
+      keikkaId: 1,
+    });
+    assert.ok(report.errors > 0);
+  });
+
+  it("does not report errors when the cache is disabled via environment", async () => {
+    const enabled = process.env.REDIS_CACHE_ENABLED;
+    process.env.REDIS_CACHE_ENABLED = "false";
+    const disabled = createCacheManager({ logger });
+    try {
+      const report = await disabled.invalidateCrossEntityDetailed("KEIKKA_UPDATE", {
+        asiakasId: 8,
+        keikkaId: 1,
+      });
+      assert.equal(report.errors, 0);
+      assert.equal(disabled.getStatus().circuit.state, "closed");
+    } finally {
+      await disabled.close();
+      if (enabled === undefined) {
+        delete process.env.REDIS_CACHE_ENABLED;
+      } else {
+        process.env.REDIS_CACHE_ENABLED = enabled;
+      }
+    }
+  });
+});
@@ -0,0 +1,64 @@
+const { describe, it, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createCacheManager } = require("../src");
+
+const logger = { info() {}, warn() {}, error() {}, debug() {} };
+
+// ~40 KB of repetitive JSON, well above the 16 KB grid threshold
+const LARGE = { rows: Array.from({ length: 1000 }, (_, i) => ({ id: i, name: "pumppu" })) };
+
+describe("compression", () => {
+  let cacheManager;
+
+  afterEach(async () => {
+    await cacheManager.close();
+  });
+
+  it("stores large values of configured entity types gzip-compressed", async () => {
+    cacheManager = createCacheManager({ backend: "memory", logger, compression: {} });
+    const redis = await cacheManager.getClient();
+
+    await cacheManager.cache("grid:list:8", LARGE, "grid");
+    assert.ok((await redis.get("grid:list:8")).startsWith("gz:"));
+    assert.deepEqual(await cacheManager.get("grid:list:8", "grid"), LARGE);
+
+    const sizes = cacheManager.cacheMetrics.getSizeMetrics().byEntityType.grid;
+    assert.equal(sizes.compressedCount, 1);
+    assert.ok(sizes.totalStoredBytes < sizes.totalRawBytes);
+  });
+
+  it("stores small values and entity types without a threshold as JSON", async () => {
+    cacheManager = createCacheManager({ backend: "memory", logger, compression: {} });
+    const redis = await cacheManager.getClient();
+
+    await cacheManager.cache("grid:list:9", { rows: [] }, "grid");
+    await cacheManager.cache("keikka:list:8", LARGE, "keikka");
+    assert.ok(!(await redis.get("grid:list:9")).startsWith("gz:"));
+    assert.ok(!(await redis.get("keikka:list:8")).startsWith("gz:"));
+  });
+
+  it("applies configured thresholds", async () => {
+    cacheManager = createCacheManager({
+      backend: "memory",
+      logger,
+      compression: { thresholds: { keikka: 1024 } },
+    });
+    const redis = await cacheManager.getClient();
+
+    await cacheManager.cache("keikka:list:8", LARGE, "keikka");
+    assert.ok((await redis.get("keikka:list:8")).startsWith("gz:"));
+  });
+
+  it("reads compressed values with compression disabled", async () => {
+    const writer = createCacheManager({ backend: "memory", logger, compression: {} });
+    cacheManager = createCacheManager({ backend: "memory", logger });
+    const redis = await cacheManager.getClient();
+    const writerRedis = await writer.getClient();
+
+    await writer.cache("grid:list:8", LARGE, "grid");
+    await redis.set("grid:list:8", await writerRedis.get("grid:list:8"));
+    assert.deepEqual(await cacheManager.get("grid:list:8", "grid"), LARGE);
+    await writer.close();
+  });
+});
@@ -0,0 +1,109 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createCacheManager } = require("../src");
+
+const logger = { info() {}, warn() {}, error() {}, debug() {} };
+
+const patternsOf = (cacheManager, entityType, params) =>
+  cacheManager.buildInvalidationPatterns(entityType, params).map(({ pattern }) => pattern);
+
+describe("multi-day invalidation", () => {
+  let cacheManager;
+  let redis;
+
+  beforeEach(async () => {
+    cacheManager = createCacheManager({ backend: "memory", logger });
+    redis = await cacheManager.getClient();
+  });
+
+  afterEach(async () => {
+    await cacheManager.close();
+  });
+
+  const cacheKeys = async (keys) => {
+    for (const key of keys) {
+      await cacheManager.cache(key, { key }, key.split(":")[0]);
+    }
+  };
+
+  const existing = async (keys) => {
+    const found = [];
+    for (const key of keys) {
+      if (await redis.exists(key)) found.push(key);
+    }
+    return found;
+  };
+
+  it("expands dateRange into one pattern per day", () => {
+    const patterns = patternsOf(cacheManager, "keikka", {
+      asiakasId: 8,
+      dateRange: { from: "2026-10-30", to: "20261101" },
+    });
+    assert.deepEqual(patterns.slice(1), [
+      "keikka:list:*:*:20261030*",
+      "keikka:list:*:*:20261031*",
+      "keikka:list:*:*:20261101*",
+    ]);
+  });
+
+  it("takes dates from params.body in any supported format", () => {
+    const patterns = patternsOf(cacheManager, "palkki", {
+      asiakasId: 8,
+      body: { dates: ["20261019", "2026-11-02", new Date(2026, 11, 24)] },
+    });
+    assert.deepEqual(patterns, [
+      "grid:palkki:list:8:20261019*",
+      "grid:palkki:list:8:20261102*",
+      "grid:palkki:list:8:20261224*",
+    ]);
+  });
+
+  it("falls back to the broad pattern for long ranges and invalid dates", () => {
+    const longRange = { asiakasId: 8, dateRange: { from: "20261001", to: "20261231" } };
+    assert.ok(patternsOf(cacheManager, "keikka", longRange).includes("keikka:list:*"));
+
+    const invalid = { asiakasId: 8, dates: ["20261019", "not a date"] };
+    assert.ok(patternsOf(cacheManager, "keikka", invalid).includes("keikka:list:*"));
+  });
+
+  it("deletes only the list keys of the given days", async () => {
+    const keys = [
+      "keikka:list:8:4:20261019",
+      "keikka:list:8:4:20261020",
+      "keikka:list:8:4:20261023",
+      "grid:personId:8:pumppuAika:20261020",
+      "grid:personId:8:pumppuAika:20261023",
+    ];
+    await cacheKeys(keys);
+
+    const params = { asiakasId: 8, dateRange: { from: "20261019", to: "20261020" } };
+    await cacheManager.invalidate("KEIKKA_BULK_UPDATE", "keikka", params);
+    await cacheManager.invalidate("KEIKKA_BULK_UPDATE", "grid", params);
+
+    assert.deepEqual(await existing(keys), [
+      "keikka:list:8:4:20261023",
+      "grid:personId:8:pumppuAika:20261023",
+    ]);
+  });
+
+  it("deletes personpvm ranges that contain one of the days", async () => {
+    const keys = [
+      "personpvm:list:8",
+      "personpvm:list:8:20261001:20261031",
+      "personpvm:list:8:20261101:20261130",
+      "personpvm:list:9:20261001:20261031",
+    ];
+    await cacheKeys(keys);
+
+    await cacheManager.invalidate("PERSON_PVM_UPDATE", "personpvm", {
+      asiakasId: 8,
+      dates: ["20261019"],
+    });
+
+    assert.deepEqual(await existing(keys), [
+      "personpvm:list:8:20261101:20261130",
+      "personpvm:list:9:20261001:20261031",
+    ]);
+  });
+});
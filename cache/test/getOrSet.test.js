@@ -0,0 +1,100 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createCacheManager } = require("../src");
+const { DistributedLockManager } = require("../src/DistributedLockManager");
+const InMemoryRedis = require("../src/InMemoryRedis");
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+const logger = { info() {}, warn() {}, error() {}, debug() {} };
+
+describe("getOrSet", () => {
+  let redis;
+  let first;
+  let second;
+
+  beforeEach(() => {
+    // Two instances sharing one store
+    redis = new InMemoryRedis();
+    first = createCacheManager({ backend: redis, logger });
+    second = createCacheManager({ backend: redis.duplicate(), logger });
+  });
+
+  afterEach(async () => {
+    await first.close();
+    await second.close();
+  });
+
+  /**
+   * Loader that counts its calls and resolves after delayMs
+   */
+  const slowLoader = (delayMs = 30) => {
+    const loader = async () => {
+      loader.calls++;
+      await sleep(delayMs);
+      return { keikkaId: 1 };
+    };
+    loader.calls = 0;
+    return loader;
+  };
+
+  it("loads on a miss and serves the cached value afterwards", async () => {
+    const loader = slowLoader(0);
+
+    assert.deepEqual(await first.getOrSet("keikka:get:8:1", "keikka", loader), { keikkaId: 1 });
+    assert.deepEqual(await first.getOrSet("keikka:get:8:1", "keikka", loader), { keikkaId: 1 });
+    assert.equal(loader.calls, 1);
+    assert.ok((await redis.ttl("keikka:get:8:1")) > 0);
+  });
+
+  it("propagates loader errors without caching", async () => {
+    const loader = async () => {
+      throw new Error("db down");
+    };
+
+    await assert.rejects(first.getOrSet("keikka:get:8:1", "keikka", loader), /db down/);
+    assert.equal(await redis.exists("keikka:get:8:1"), 0);
+  });
+
+  it("shares one loader call between concurrent misses in a process", async () => {
+    const loader = slowLoader();
+
+    const results = await Promise.all(
+      Array.from({ length: 5 }, () => first.getOrSet("keikka:get:8:1", "keikka", loader))
+    );
+
+    assert.equal(loader.calls, 1);
+    results.forEach((result) => assert.deepEqual(result, { keikkaId: 1 }));
+    assert.equal(first.getDetailedMetrics().loads.byOutcome.coalesced, 4);
+  });
+
+  it("waits for the loader running on another instance", async () => {
+    const loader = slowLoader();
+    const options = { pollIntervalMs: 10 };
+
+    const [a, b] = await Promise.all([
+      first.getOrSet("keikka:get:8:1", "keikka", loader, options),
+      second.getOrSet("keikka:get:8:1", "keikka", loader, options),
+    ]);
+
+    assert.equal(loader.calls, 1);
+    assert.deepEqual(a, b);
+  });
+
+  it("loads without the lock after waitTimeoutMs", async () => {
+    const lock = await new DistributedLockManager(redis, logger).acquireLock(
+      "cache:load:keikka:get:8:1",
+      60000
+    );
+    const loader = slowLoader(0);
+
+    const data = await first.getOrSet("keikka:get:8:1", "keikka", loader, {
+      waitTimeoutMs: 30,
+      pollIntervalMs: 10,
+    });
+
+    assert.deepEqual(data, { keikkaId: 1 });
+    assert.equal(first.getDetailedMetrics().loads.byOutcome.lockTimeout, 1);
+    await lock.release();
+  });
+});
@@ -0,0 +1,102 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createCacheManager, UniversalCacheManager } = require("../src");
+const InMemoryRedis = require("../src/InMemoryRedis");
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+const logger = { info() {}, warn() {}, error() {}, debug() {} };
+
+describe("invalidation events", () => {
+  let redis;
+  let first;
+  let second;
+
+  beforeEach(() => {
+    // Two instances sharing one store
+    redis = new InMemoryRedis();
+    first = createCacheManager({ backend: redis, logger });
+    second = createCacheManager({ backend: redis.duplicate(), logger });
+  });
+
+  afterEach(async () => {
+    await first.close();
+    await second.close();
+  });
+
+  const PARAMS = { asiakasId: 8, personId: 42, body: { nimi: "x", ids: [1, 2], nested: {} } };
+
+  it("delivers local events with primitive params", async () => {
+    const events = [];
+    first.onInvalidation((event) => events.push(event));
+
+    await first.invalidateCrossEntity("ASIAKAS_PERSON_SETTING_UPDATE", PARAMS);
+
+    assert.equal(events.length, 1);
+    assert.equal(events[0].operation, "ASIAKAS_PERSON_SETTING_UPDATE");
+    assert.equal(events[0].local, true);
+    assert.equal(events[0].source, first.pubsub.instanceId);
+    assert.deepEqual(events[0].params, {
+      asiakasId: 8,
+      personId: 42,
+      body: { nimi: "x", ids: [1, 2] },
+    });
+  });
+
+  it("delivers events from other instances", async () => {
+    const events = [];
+    second.onInvalidation((event) => events.push(event), {
+      operations: ["ASIAKAS_PERSON_SETTING_UPDATE"],
+      includeLocal: false,
+    });
+    await sleep(10); // subscription
+
+    await first.invalidateCrossEntity("KEIKKA_UPDATE", { asiakasId: 8, keikkaId: 1 });
+    await first.invalidateCrossEntity("ASIAKAS_PERSON_SETTING_UPDATE", PARAMS);
+    await second.invalidateCrossEntity("ASIAKAS_PERSON_SETTING_UPDATE", PARAMS);
+    await sleep(10);
+
+    assert.equal(events.length, 1);
+    assert.equal(events[0].local, false);
+    assert.equal(events[0].source, first.pubsub.instanceId);
+  });
+
+  it("keeps invalidating when a listener fails", async () => {
+    first.onInvalidation(() => {
+      throw new Error("listener bug");
+    });
+    first.onInvalidation(async () => {
+      throw new Error("async listener bug");
+    });
+    await first.cache("keikka:get:8:1", { keikkaId: 1 }, "keikka");
+
+    await first.invalidateCrossEntity("KEIKKA_UPDATE", { asiakasId: 8, keikkaId: 1 });
+    assert.equal(await redis.exists("keikka:get:8:1"), 0);
+  });
+
+  it("does not publish with broadcastInvalidations: false", async () => {
+    const quiet = new UniversalCacheManager({
+      backend: redis.duplicate(),
+      logger,
+      broadcastInvalidations: false,
+    });
+    const events = [];
+    second.onInvalidation((event) => events.push(event));
+    await sleep(10);
+
+    await quiet.invalidateCrossEntity("KEIKKA_UPDATE", { asiakasId: 8, keikkaId: 1 });
+    await sleep(10);
+    await quiet.close();
+
+    assert.equal(events.length, 0);
+  });
+
+  it("stops delivering after unsubscribe", async () => {
+    const events = [];
+    const unsubscribe = first.onInvalidation((event) => events.push(event));
+    unsubscribe();
+
+    await first.invalidateCrossEntity("KEIKKA_UPDATE", { asiakasId: 8, keikkaId: 1 });
+    assert.equal(events.length, 0);
+  });
+});
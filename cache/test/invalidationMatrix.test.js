@@ -0,0 +1,141 @@
+/**
+ * Invalidation matrix
+ *
+ * Which cached keys each operation deletes, run end to end through the
+ * default invalidation rules on InMemoryRedis.
+ */
+
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createCacheManager } = require("../src");
+
+const logger = { info() {}, warn() {}, error() {}, debug() {} };
+
+// A small keyspace spanning two tenants (8 and 9)
+const KEYS = [
+  "keikka:get:8:123",
+  "keikka:get:8:124",
+  "keikka:get:9:123",
+  "keikka:list:8:20261019",
+  "keikkaPerson:list:8:123",
+  "stepLog:list:8:123",
+  "attachment:list:8:123",
+  "person:get:8:4",
+  "person:get:9:4",
+  "personDate:list:8:4",
+  "asiakas:get:8",
+  "asiakas:get:9",
+  "grid:personId:8:pumppuAika:20261019",
+  "stat:daily:8",
+  "betoni:laatu:list:5",
+  "betoni:laatu:list:6",
+  "betoni:list:filter:x",
+  "vehicle:get:8:3",
+];
+
+const MATRIX = [
+  {
+    operation: "KEIKKA_UPDATE",
+    params: { asiakasId: 8, keikkaId: 123 },
+    deleted: [
+      "keikka:get:8:123",
+      "keikka:list:8:20261019",
+      "keikkaPerson:list:8:123",
+      "stepLog:list:8:123",
+      "attachment:list:8:123",
+      "grid:personId:8:pumppuAika:20261019",
+    ],
+  },
+  {
+    operation: "PERSON_DATE_UPDATE",
+    params: { asiakasId: 8, personId: 4 },
+    deleted: [
+      "keikka:get:8:123",
+      "keikka:get:8:124",
+      "person:get:8:4",
+      "personDate:list:8:4",
+      "grid:personId:8:pumppuAika:20261019",
+    ],
+  },
+  {
+    operation: "ASIAKAS_UPDATE",
+    params: { asiakasId: 8, linkedAsiakasId: 9 },
+    deleted: ["asiakas:get:8", "asiakas:get:9"],
+  },
+  {
+    operation: "BETONI_LAATU_UPDATE",
+    params: { asiakasId: 8, betoniToimittajaAsiakasId: 5 },
+    deleted: ["betoni:laatu:list:5", "betoni:list:filter:x"],
+  },
+  {
+    operation: "LASKU_SYNC",
+    params: { asiakasId: 8 },
+    deleted: ["keikka:get:8:123", "keikka:get:8:124", "keikka:list:8:20261019", "stat:daily:8"],
+  },
+  {
+    // No rule: falls back to params.entityType
+    operation: "UNKNOWN_OPERATION",
+    params: { asiakasId: 8, entityType: "person" },
+    deleted: ["person:get:8:4"],
+  },
+];
+
+const entityTypeOf = (key) => key.split(":")[0];
+
+describe("invalidation matrix", () => {
+  let cacheManager;
+
+  before(() => {
+    cacheManager = createCacheManager({ backend: "memory", logger });
+  });
+
+  after(async () => {
+    await cacheManager.close();
+  });
+
+  beforeEach(async () => {
+    const redis = await cacheManager.getClient();
+    await redis.flushdb();
+    for (const key of KEYS) {
+      await cacheManager.cache(key, { key }, entityTypeOf(key));
+    }
+  });
+
+  for (const { operation, params, deleted } of MATRIX) {
+    it(`${operation} deletes exactly the affected keys`, async () => {
+      const report = await cacheManager.invalidateCrossEntityDetailed(operation, params);
+      assert.ok(report.totalInvalidated >= deleted.length);
+
+      const remaining = [];
+      for (const key of KEYS) {
+        if (await cacheManager.get(key, entityTypeOf(key))) {
+          remaining.push(key);
+        }
+      }
+      assert.deepEqual(KEYS.filter((key) => !remaining.includes(key)), deleted);
+    });
+  }
+
+  it("widens only the segment of a malformed param", async () => {
+    await cacheManager.invalidateCrossEntity("KEIKKA_UPDATE", { asiakasId: 8, keikkaId: "12a" });
+
+    const redis = await cacheManager.getClient();
+    assert.equal(await redis.exists("keikka:get:8:123"), 0);
+    assert.equal(await redis.exists("keikka:get:8:124"), 0);
+    assert.equal(await redis.exists("keikka:get:9:123"), 1);
+  });
+
+  it("skips rules whose required params are missing", async () => {
+    const redis = await cacheManager.getClient();
+    await cacheManager.cache("notifications:history:8:4:1", { unread: 2 }, "notifications");
+
+    const report = await cacheManager.invalidateCrossEntityDetailed("NOTIFICATION_UPDATE", {
+      asiakasId: 8,
+    });
+    assert.deepEqual(report.skippedRules, [
+      { name: "notification", reason: "missing params", missingParams: ["personId"] },
+    ]);
+    assert.equal(await redis.exists("notifications:history:8:4:1"), 1);
+  });
+});
@@ -0,0 +1,85 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createCacheManager } = require("../src");
+const InMemoryRedis = require("../src/InMemoryRedis");
+const MemoryCache = require("../src/MemoryCache");
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+const logger = { info() {}, warn() {}, error() {}, debug() {} };
+
+describe("L1 tier", () => {
+  let first;
+  let second;
+
+  beforeEach(() => {
+    // Two instances sharing one store
+    const redis = new InMemoryRedis();
+    first = createCacheManager({ backend: redis, logger, l1: { maxEntries: 100 } });
+    second = createCacheManager({ backend: redis.duplicate(), logger, l1: { maxEntries: 100 } });
+  });
+
+  afterEach(async () => {
+    await first.close();
+    await second.close();
+  });
+
+  const tierOf = async (cacheManager, key) =>
+    (await cacheManager.getEntry(key, "barColor")).tier;
+
+  it("holds only the entity types with an L1 TTL", async () => {
+    await first.cache("barColor:list:8", ["red"], "barColor");
+    await first.cache("keikka:get:8:1", { keikkaId: 1 }, "keikka");
+
+    assert.equal(await tierOf(first, "barColor:list:8"), "l1");
+    assert.equal((await first.getEntry("keikka:get:8:1", "keikka")).tier, "l2");
+    // Filled on the L2 hit
+    assert.equal(await tierOf(second, "barColor:list:8"), "l2");
+    assert.equal(await tierOf(second, "barColor:list:8"), "l1");
+  });
+
+  it("evicts deleted keys on every instance", async () => {
+    await first.cache("barColor:list:8", ["red"], "barColor");
+    await second.get("barColor:list:8", "barColor");
+    await sleep(10); // subscriptions
+
+    await first.invalidateByPattern("barColor:list:*");
+    await sleep(10);
+
+    assert.equal((await second.getEntry("barColor:list:8", "barColor")).hit, false);
+  });
+
+  it("drops other instances' copies on a write", async () => {
+    await first.cache("barColor:list:8", ["red"], "barColor");
+    await second.get("barColor:list:8", "barColor");
+    await sleep(10);
+
+    await first.cache("barColor:list:8", ["blue"], "barColor");
+    await sleep(10);
+
+    assert.deepEqual(await second.get("barColor:list:8", "barColor"), ["blue"]);
+  });
+
+  it("is bypassed and cleared while eviction messages cannot be received", async () => {
+    await first.cache("barColor:list:8", ["red"], "barColor");
+    first.pubsub.isSubscribed = () => false;
+    first.pubsub.ensureSubscribed = async () => {};
+
+    assert.equal(await tierOf(first, "barColor:list:8"), "l2");
+    assert.equal(first.l1.get("barColor:list:8"), undefined);
+  });
+
+  describe("MemoryCache", () => {
+    it("evicts the least recently used entry", () => {
+      const l1 = new MemoryCache({ maxEntries: 2 });
+      l1.set("a", "1", 60);
+      l1.set("b", "2", 60);
+      l1.get("a");
+      l1.set("c", "3", 60);
+
+      assert.equal(l1.get("b"), undefined);
+      assert.equal(l1.get("a"), "1");
+      assert.equal(l1.evictions, 1);
+    });
+  });
+});
@@ -0,0 +1,188 @@
+/**
+ * Lua script parity
+ *
+ * InMemoryRedis runs hand-written JavaScript copies of the Lua scripts in
+ * luaScripts.js. These scenarios pin down what each script returns and
+ * leaves behind; they always run against InMemoryRedis, and also against a
+ * real Redis when REDIS_TEST_URL is set (e.g. redis://localhost:6379/15),
+ * so the two implementations cannot drift apart unnoticed.
+ */
+
+const { describe, it, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const InMemoryRedis = require("../src/InMemoryRedis");
+const luaScripts = require("../src/luaScripts");
+
+const {
+  RELEASE_LOCK,
+  EXTEND_LOCK,
+  ACQUIRE_LOCK_WITH_FENCE,
+  ACQUIRE_SEMAPHORE,
+  EXTEND_LEASE,
+  ACQUIRE_READ_LOCK,
+  ACQUIRE_WRITE_LOCK,
+} = luaScripts;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+const PREFIX = "test:lua:";
+const LOCK = `${PREFIX}lock`;
+const FENCE = `${PREFIX}fence`;
+const LEASES = `${PREFIX}leases`;
+const READERS = `${PREFIX}rw:readers`;
+const WRITER = `${PREFIX}rw:writer`;
+const INTENT = `${PREFIX}rw:intent`;
+const ALL_KEYS = [LOCK, FENCE, LEASES, READERS, WRITER, INTENT];
+
+function defineScenarios(getRedis) {
+  let redis;
+
+  beforeEach(async () => {
+    redis = getRedis();
+    await redis.del(...ALL_KEYS);
+  });
+
+  it("RELEASE_LOCK deletes the lock only for its owner", async () => {
+    await redis.set(LOCK, "owner");
+
+    assert.equal(await redis.eval(RELEASE_LOCK, 1, LOCK, "other"), 0);
+    assert.equal(await redis.get(LOCK), "owner");
+
+    assert.equal(await redis.eval(RELEASE_LOCK, 1, LOCK, "owner"), 1);
+    assert.equal(await redis.get(LOCK), null);
+  });
+
+  it("EXTEND_LOCK extends the TTL only for its owner", async () => {
+    await redis.set(LOCK, "owner", "PX", 1000);
+
+    assert.equal(await redis.eval(EXTEND_LOCK, 1, LOCK, "other", 60000), 0);
+    assert.ok((await redis.pttl(LOCK)) <= 1000);
+
+    assert.equal(await redis.eval(EXTEND_LOCK, 1, LOCK, "owner", 60000), 1);
+    assert.ok((await redis.pttl(LOCK)) > 1000);
+  });
+
+  it("ACQUIRE_LOCK_WITH_FENCE issues increasing tokens and refuses a held lock", async () => {
+    assert.equal(await redis.eval(ACQUIRE_LOCK_WITH_FENCE, 2, LOCK, FENCE, "a", 60000), 1);
+    assert.equal(await redis.eval(ACQUIRE_LOCK_WITH_FENCE, 2, LOCK, FENCE, "b", 60000), 0);
+    assert.equal(await redis.get(LOCK), "a");
+
+    await redis.del(LOCK);
+    assert.equal(await redis.eval(ACQUIRE_LOCK_WITH_FENCE, 2, LOCK, FENCE, "b", 60000), 2);
+    assert.equal(await redis.get(FENCE), "2");
+  });
+
+  it("ACQUIRE_SEMAPHORE hands out at most `permits` leases", async () => {
+    assert.equal(await redis.eval(ACQUIRE_SEMAPHORE, 1, LEASES, "a", 2, 60000), 1);
+    assert.equal(await redis.eval(ACQUIRE_SEMAPHORE, 1, LEASES, "b", 2, 60000), 1);
+    assert.equal(await redis.eval(ACQUIRE_SEMAPHORE, 1, LEASES, "c", 2, 60000), 0);
+    assert.equal(await redis.zcard(LEASES), 2);
+  });
+
+  it("ACQUIRE_SEMAPHORE drops expired leases before counting", async () => {
+    assert.equal(await redis.eval(ACQUIRE_SEMAPHORE, 1, LEASES, "a", 1, 30), 1);
+    assert.equal(await redis.eval(ACQUIRE_SEMAPHORE, 1, LEASES, "b", 1, 30), 0);
+
+    await sleep(60);
+    assert.equal(await redis.eval(ACQUIRE_SEMAPHORE, 1, LEASES, "b", 1, 60000), 1);
+    assert.equal(await redis.zscore(LEASES, "a"), null);
+  });
+
+  it("EXTEND_LEASE extends a live lease and removes an expired one", async () => {
+    await redis.eval(ACQUIRE_SEMAPHORE, 1, LEASES, "live", 2, 60000);
+    await redis.eval(ACQUIRE_SEMAPHORE, 1, LEASES, "expiring", 2, 30);
+
+    assert.equal(await redis.eval(EXTEND_LEASE, 1, LEASES, "live", 120000), 1);
+    assert.equal(await redis.eval(EXTEND_LEASE, 1, LEASES, "unknown", 120000), 0);
+
+    await sleep(60);
+    assert.equal(await redis.eval(EXTEND_LEASE, 1, LEASES, "expiring", 120000), 0);
+    assert.equal(await redis.zscore(LEASES, "expiring"), null);
+    assert.notEqual(await redis.zscore(LEASES, "live"), null);
+  });
+
+  it("ACQUIRE_READ_LOCK refuses readers while a writer holds or awaits the lock", async () => {
+    await redis.set(WRITER, "w");
+    assert.equal(await redis.eval(ACQUIRE_READ_LOCK, 3, READERS, WRITER, INTENT, "r", 60000), 0);
+
+    await redis.del(WRITER);
+    await redis.set(INTENT, "w");
+    assert.equal(await redis.eval(ACQUIRE_READ_LOCK, 3, READERS, WRITER, INTENT, "r", 60000), 0);
+
+    await redis.del(INTENT);
+    assert.equal(await redis.eval(ACQUIRE_READ_LOCK, 3, READERS, WRITER, INTENT, "r", 60000), 1);
+    assert.equal(await redis.zcard(READERS), 1);
+  });
+
+  it("ACQUIRE_WRITE_LOCK records intent while readers hold leases", async () => {
+    await redis.eval(ACQUIRE_READ_LOCK, 3, READERS, WRITER, INTENT, "r", 30);
+
+    const args = [3, READERS, WRITER, INTENT];
+    assert.equal(await redis.eval(ACQUIRE_WRITE_LOCK, ...args, "w1", 60000, 5000), 0);
+    assert.equal(await redis.get(INTENT), "w1");
+
+    // Another writer cannot jump the queue
+    assert.equal(await redis.eval(ACQUIRE_WRITE_LOCK, ...args, "w2", 60000, 5000), 0);
+    assert.equal(await redis.get(INTENT), "w1");
+
+    // Reader lease expires: the waiting writer gets the lock and clears its intent
+    await sleep(60);
+    assert.equal(await redis.eval(ACQUIRE_WRITE_LOCK, ...args, "w1", 60000, 5000), 1);
+    assert.equal(await redis.get(WRITER), "w1");
+    assert.equal(await redis.get(INTENT), null);
+
+    assert.equal(await redis.eval(ACQUIRE_WRITE_LOCK, ...args, "w2", 60000, 0), 0);
+  });
+
+  it("ACQUIRE_WRITE_LOCK without intent TTL leaves no intent behind", async () => {
+    await redis.eval(ACQUIRE_READ_LOCK, 3, READERS, WRITER, INTENT, "r", 60000);
+
+    assert.equal(
+      await redis.eval(ACQUIRE_WRITE_LOCK, 3, READERS, WRITER, INTENT, "w", 60000, 0),
+      0
+    );
+    assert.equal(await redis.get(INTENT), null);
+  });
+}
+
+describe("Lua scripts", () => {
+  it("every script in luaScripts.js has an InMemoryRedis implementation", async () => {
+    for (const [name, script] of Object.entries(luaScripts)) {
+      // Unknown scripts throw; known ones return a number for these keys/args
+      const redis = new InMemoryRedis();
+      const keys = [`${PREFIX}a`, `${PREFIX}b`, `${PREFIX}c`];
+      const result = await redis.eval(script, 3, ...keys, "holder", 1, 1000, 0);
+      assert.equal(typeof result, "number", name);
+    }
+  });
+
+  it("InMemoryRedis rejects scripts it has no implementation for", async () => {
+    const redis = new InMemoryRedis();
+    await assert.rejects(
+      redis.eval(`${RELEASE_LOCK} -- changed`, 1, LOCK, "owner"),
+      /does not support this script/
+    );
+  });
+
+  describe("on InMemoryRedis", () => {
+    const redis = new InMemoryRedis();
+    defineScenarios(() => redis);
+  });
+
+  describe("on Redis", { skip: !process.env.REDIS_TEST_URL && "REDIS_TEST_URL not set" }, () => {
+    let redis;
+
+    before(() => {
+      const Redis = require("ioredis");
+      redis = new Redis(process.env.REDIS_TEST_URL);
+    });
+
+    after(async () => {
+      await redis.del(...ALL_KEYS);
+      await redis.quit();
+    });
+
+    defineScenarios(() => redis);
+  });
+});
@@ -0,0 +1,97 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createCacheManager } = require("../src");
+
+const logger = { info() {}, warn() {}, error() {}, debug() {} };
+
+describe("negative caching", () => {
+  let cacheManager;
+  let redis;
+
+  beforeEach(async () => {
+    cacheManager = createCacheManager({ backend: "memory", logger });
+    redis = await cacheManager.getClient();
+  });
+
+  afterEach(async () => {
+    await cacheManager.close();
+  });
+
+  it("tells a cached not-found entry apart from a miss", async () => {
+    await cacheManager.cacheNotFound("person:get:8:4", "person");
+
+    assert.deepEqual(await cacheManager.getEntry("person:get:8:4", "person"), {
+      hit: true,
+      stale: false,
+      value: null,
+      tier: "l2",
+      absent: true,
+    });
+    assert.equal((await cacheManager.getEntry("person:get:8:5", "person")).hit, false);
+
+    assert.equal(await cacheManager.get("person:get:8:4", "person"), null);
+    assert.equal(await cacheManager.get("person:get:8:4", "person", { absentValue: false }), false);
+    assert.equal(await cacheManager.get("person:get:8:5", "person", { absentValue: false }), null);
+  });
+
+  it("uses the short negative TTL of the entity type", async () => {
+    await cacheManager.cacheNotFound("person:get:8:4", "person");
+    await cacheManager.cacheNotFound("tyomaa:get:8:1", "tyomaa");
+
+    assert.ok((await redis.ttl("person:get:8:4")) <= 126);
+    assert.ok((await redis.ttl("tyomaa:get:8:1")) <= 63);
+  });
+
+  it("is replaced by cache() and removed by invalidation", async () => {
+    await cacheManager.cacheNotFound("person:get:8:4", "person", { tags: ["person:4"] });
+    await cacheManager.cache("person:get:8:4", { personId: 4 }, "person");
+    assert.deepEqual(await cacheManager.get("person:get:8:4", "person"), { personId: 4 });
+
+    await cacheManager.cacheNotFound("person:get:8:5", "person", { tags: ["person:5"] });
+    await cacheManager.invalidateTags(["person:5"]);
+    assert.equal((await cacheManager.getEntry("person:get:8:5", "person")).hit, false);
+  });
+
+  it("leaves not-found entries out of mget() unless absentValue is given", async () => {
+    await cacheManager.cache("person:get:8:4", { personId: 4 }, "person");
+    await cacheManager.cacheNotFound("person:get:8:5", "person");
+    const keys = ["person:get:8:4", "person:get:8:5", "person:get:8:6"];
+
+    assert.deepEqual(Array.from((await cacheManager.mget(keys, "person")).keys()), [
+      "person:get:8:4",
+    ]);
+    const withAbsent = await cacheManager.mget(keys, "person", { absentValue: false });
+    assert.deepEqual(Array.from(withAbsent.entries()), [
+      ["person:get:8:4", { personId: 4 }],
+      ["person:get:8:5", false],
+    ]);
+  });
+
+  it("caches null loader results with getOrSet({ cacheNotFound: true })", async () => {
+    let loads = 0;
+    const loader = async () => {
+      loads++;
+      return null;
+    };
+
+    assert.equal(await cacheManager.getOrSet("geocode:x", "geocode", loader), null);
+    assert.equal(await cacheManager.getOrSet("geocode:x", "geocode", loader), null);
+    assert.equal(loads, 2);
+
+    const options = { cacheNotFound: true };
+    await cacheManager.getOrSet("geocode:y", "geocode", loader, options);
+    assert.equal(await cacheManager.getOrSet("geocode:y", "geocode", loader, options), null);
+    assert.equal(loads, 3);
+  });
+
+  it("counts negative hits and sets", async () => {
+    await cacheManager.cacheNotFound("person:get:8:4", "person");
+    await cacheManager.get("person:get:8:4", "person");
+
+    const metrics = cacheManager.getMetrics();
+    assert.equal(metrics.negativeHits, 1);
+    assert.equal(metrics.negativeSets, 1);
+    assert.ok(cacheManager.getOpenMetrics().includes('negative_hits_total{entity_type="person"} 1'));
+  });
+});
@@ -0,0 +1,88 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createCacheManager } = require("../src");
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+const logger = { info() {}, warn() {}, error() {}, debug() {} };
+
+describe("stale-while-revalidate", () => {
+  const realNow = Date.now;
+  let cacheManager;
+
+  beforeEach(() => {
+    // 1 second before the default multiplier of 4
+    cacheManager = createCacheManager({ backend: "memory", logger, softTtl: { tuote: 1 } });
+  });
+
+  afterEach(async () => {
+    Date.now = realNow;
+    await cacheManager.close();
+  });
+
+  /**
+   * Move the clock past the soft TTL (the hard TTL is much longer)
+   */
+  const passSoftTtl = () => {
+    Date.now = () => realNow() + 5000;
+  };
+
+  it("takes soft TTLs from createCacheManager options", () => {
+    assert.equal(cacheManager.getEffectiveTtl("tuote").softTtl, 4);
+    assert.equal(cacheManager.getEffectiveTtl("keikka").softTtl, null);
+  });
+
+  it("serves a stale entry and refreshes it in the background", async () => {
+    const keys = [];
+    cacheManager.registerRefreshLoader("tuote", async (key) => {
+      keys.push(key);
+      return { version: 2 };
+    });
+    await cacheManager.cache("tuote:get:8:1", { version: 1 }, "tuote");
+    assert.equal((await cacheManager.getEntry("tuote:get:8:1", "tuote")).stale, false);
+
+    passSoftTtl();
+    const entry = await cacheManager.getEntry("tuote:get:8:1", "tuote");
+    assert.equal(entry.stale, true);
+    assert.deepEqual(entry.value, { version: 1 });
+
+    await sleep(10);
+    assert.deepEqual(keys, ["tuote:get:8:1"]);
+    assert.deepEqual(await cacheManager.getEntry("tuote:get:8:1", "tuote"), {
+      hit: true,
+      stale: false,
+      value: { version: 2 },
+      tier: "l2",
+    });
+    assert.equal(cacheManager.getMetrics().staleHits, 1);
+  });
+
+  it("refreshes through the getOrSet loader", async () => {
+    let version = 1;
+    const loader = async () => ({ version: version++ });
+    await cacheManager.getOrSet("tuote:get:8:1", "tuote", loader);
+
+    passSoftTtl();
+    assert.deepEqual(await cacheManager.getOrSet("tuote:get:8:1", "tuote", loader), {
+      version: 1,
+    });
+    await sleep(10);
+    assert.deepEqual(await cacheManager.get("tuote:get:8:1", "tuote"), { version: 2 });
+  });
+
+  it("keeps the stale entry when the refresh fails", async () => {
+    cacheManager.registerRefreshLoader("tuote", async () => {
+      throw new Error("db down");
+    });
+    await cacheManager.cache("tuote:get:8:1", { version: 1 }, "tuote");
+
+    passSoftTtl();
+    await cacheManager.get("tuote:get:8:1", "tuote");
+    await sleep(10);
+
+    const entry = await cacheManager.getEntry("tuote:get:8:1", "tuote");
+    assert.equal(entry.stale, true);
+    assert.deepEqual(entry.value, { version: 1 });
+    assert.equal(cacheManager.getMetrics().refreshFailures, 1);
+  });
+});
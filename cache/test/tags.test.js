@@ -0,0 +1,96 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createCacheManager } = require("../src");
+
+const logger = { info() {}, warn() {}, error() {}, debug() {} };
+
+describe("tag-based invalidation", () => {
+  let cacheManager;
+  let redis;
+
+  beforeEach(async () => {
+    cacheManager = createCacheManager({ backend: "memory", logger });
+    redis = await cacheManager.getClient();
+  });
+
+  afterEach(async () => {
+    await cacheManager.close();
+  });
+
+  it("deletes the keys of a tag without SCAN", async () => {
+    await cacheManager.cache("keikka:get:8:1", { keikkaId: 1 }, "keikka", {
+      tags: ["asiakas:8", "keikka:1"],
+    });
+    await cacheManager.cache("keikka:get:8:2", { keikkaId: 2 }, "keikka", {
+      tags: ["asiakas:8", "keikka:2"],
+    });
+    await cacheManager.cache("keikka:get:9:3", { keikkaId: 3 }, "keikka", { tags: ["asiakas:9"] });
+    cacheManager.scanKeys = async () => assert.fail("invalidateTags() must not SCAN");
+
+    assert.equal(await cacheManager.invalidateTags(["asiakas:8"]), 2);
+
+    assert.equal(await redis.exists("keikka:get:8:1", "keikka:get:8:2"), 0);
+    assert.equal(await redis.exists("keikka:get:9:3"), 1);
+    assert.equal(await redis.exists("tag:asiakas:8"), 0);
+  });
+
+  it("sweeps untagged keys with fallbackPatterns", async () => {
+    await cacheManager.cache("keikka:list:8:4:20261019", [], "keikka", {
+      tags: ["date:20261019"],
+    });
+    await cacheManager.cache("keikka:list:8:5:20261019", [], "keikka");
+
+    const deleted = await cacheManager.invalidateTags(["date:20261019"], {
+      fallbackPatterns: ["keikka:list:*:*:20261019*"],
+    });
+
+    assert.equal(deleted, 2);
+    assert.equal(await redis.exists("keikka:list:8:5:20261019"), 0);
+  });
+
+  it("keeps a tag set at least as long as its newest member", async () => {
+    await cacheManager.cache("tyomaa:get:8:1", {}, "tyomaa", { tags: ["asiakas:8"] });
+    await cacheManager.cache("keikka:get:8:1", {}, "keikka", { tags: ["asiakas:8"] });
+    await cacheManager.cache("tyomaa:get:8:2", {}, "tyomaa", { tags: ["asiakas:8"] });
+
+    assert.ok((await redis.ttl("tag:asiakas:8")) >= (await redis.ttl("keikka:get:8:1")));
+  });
+
+  it("removes deleted keys from their other tag sets", async () => {
+    await cacheManager.cache("keikka:get:8:1", { keikkaId: 1 }, "keikka", {
+      tags: ["asiakas:8", "keikka:1"],
+    });
+
+    await cacheManager.invalidateTags(["asiakas:8"]);
+
+    assert.deepEqual(await redis.smembers("tag:keikka:1"), []);
+    assert.equal(await redis.exists("tagidx:keikka:get:8:1"), 0);
+  });
+
+  it("deletes keys even when the tag set cleanup fails", async () => {
+    await cacheManager.cache("keikka:get:8:1", { keikkaId: 1 }, "keikka", { tags: ["keikka:1"] });
+    cacheManager._removeFromTagSets = async () => {
+      throw new Error("cleanup failed");
+    };
+
+    const report = await cacheManager.invalidateCrossEntityDetailed("KEIKKA_UPDATE", {
+      asiakasId: 8,
+      keikkaId: 1,
+    });
+
+    assert.equal(await redis.exists("keikka:get:8:1"), 0);
+    assert.equal(report.errors, 0);
+  });
+
+  it("skips the tag set cleanup for untagged keys", async () => {
+    await cacheManager.cache("keikka:get:8:1", { keikkaId: 1 }, "keikka");
+    let cleanups = 0;
+    cacheManager._removeFromTagSets = async () => {
+      cleanups++;
+    };
+
+    assert.equal(await cacheManager.batchDelete(["keikka:get:8:1"]), 1);
+    assert.equal(cleanups, 0);
+  });
+});
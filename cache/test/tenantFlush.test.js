@@ -0,0 +1,78 @@
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createCacheManager } = require("../src");
+
+const logger = { info() {}, warn() {}, error() {}, debug() {} };
+
+describe("tenant flush", () => {
+  let cacheManager;
+  let redis;
+  let scanned;
+
+  beforeEach(async () => {
+    cacheManager = createCacheManager({ backend: "memory", logger, versionedNamespaces: true });
+    redis = await cacheManager.getClient();
+
+    scanned = [];
+    const scanKeys = cacheManager.scanKeys.bind(cacheManager);
+    cacheManager.scanKeys = (pattern, ...rest) => {
+      scanned.push(pattern);
+      return scanKeys(pattern, ...rest);
+    };
+  });
+
+  afterEach(async () => {
+    await cacheManager.close();
+  });
+
+  it("drops namespaced keys with a new generation", async () => {
+    await cacheManager.cache("keikka:get:8:1", { keikkaId: 1 }, "keikka", { asiakasId: 8 });
+    await cacheManager.cache("keikka:get:9:1", { keikkaId: 1 }, "keikka", { asiakasId: 9 });
+
+    await cacheManager.flushTenant(8);
+
+    assert.equal(await cacheManager.get("keikka:get:8:1", "keikka", { asiakasId: 8 }), null);
+    assert.deepEqual(await cacheManager.get("keikka:get:9:1", "keikka", { asiakasId: 9 }), {
+      keikkaId: 1,
+    });
+  });
+
+  it("scans only un-namespaced keys for the targets of a flushed tenant", async () => {
+    await cacheManager.cache("keikka:get:8:1", { keikkaId: 1 }, "keikka");
+    await cacheManager.cache("keikka:get:8:2", { keikkaId: 2 }, "keikka", { asiakasId: 8 });
+
+    const report = await cacheManager.invalidateCrossEntityDetailed("PERSON_MERGE", {
+      asiakasId: 8,
+      personId: 4,
+    });
+
+    assert.ok(report.rules[0].flushedTenant);
+    assert.equal(await redis.exists("keikka:get:8:1"), 0);
+    assert.equal(await cacheManager.get("keikka:get:8:2", "keikka", { asiakasId: 8 }), null);
+
+    // Only the global stat and auth targets look at namespaced keys
+    const namespacedScans = scanned.filter((pattern) => pattern.startsWith("v*:"));
+    assert.deepEqual(
+      new Set(namespacedScans.map((pattern) => pattern.split(":")[1])),
+      new Set(["stat", "auth"])
+    );
+  });
+
+  it("still deletes namespaced keys of global targets", async () => {
+    await cacheManager.cache("stat:list:9", { total: 1 }, "stat", { asiakasId: 9 });
+
+    await cacheManager.invalidateCrossEntityDetailed("CLEANUP_ALL", { asiakasId: 8 });
+
+    assert.equal(await cacheManager.get("stat:list:9", "stat", { asiakasId: 9 }), null);
+  });
+
+  it("scans namespaced keys as before when no flush happened", async () => {
+    await cacheManager.cache("keikka:get:8:1", { keikkaId: 1 }, "keikka", { asiakasId: 8 });
+
+    await cacheManager.invalidateCrossEntity("KEIKKA_UPDATE", { asiakasId: 8, keikkaId: 1 });
+
+    assert.ok(scanned.some((pattern) => pattern.startsWith("v*:keikka")));
+    assert.equal(await cacheManager.get("keikka:get:8:1", "keikka", { asiakasId: 8 }), null);
+  });
+});
@@ -0,0 +1,104 @@
+const { describe, it, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createCacheManager } = require("../src");
+const InMemoryRedis = require("../src/InMemoryRedis");
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+const logger = { info() {}, warn() {}, error() {}, debug() {} };
+
+const TTL_CONFIG = {
+  multiplier: 1,
+  ttl: { keikka: 1800 },
+  tenants: {
+    8: { ttl: { keikka: 600 } },
+    42: { multiplier: 8 },
+  },
+};
+
+describe("per-tenant TTLs", () => {
+  const managers = [];
+  const create = (options) => {
+    const cacheManager = createCacheManager({ backend: "memory", logger, ...options });
+    managers.push(cacheManager);
+    return cacheManager;
+  };
+
+  afterEach(async () => {
+    await Promise.all(managers.splice(0).map((cacheManager) => cacheManager.close()));
+  });
+
+  it("resolves global and tenant overrides with the multiplier", () => {
+    const cacheManager = create({ ttlConfig: TTL_CONFIG });
+
+    assert.equal(cacheManager.getEffectiveTtl("keikka").ttl, 1800);
+    assert.equal(cacheManager.getEffectiveTtl("keikka", 8).ttl, 600);
+    assert.equal(cacheManager.getEffectiveTtl("keikka", "8").ttl, 600);
+    assert.equal(cacheManager.getEffectiveTtl("keikka", 42).ttl, 14400);
+    // Unknown tenants use the global tables
+    assert.equal(cacheManager.getEffectiveTtl("keikka", 9).ttl, 1800);
+  });
+
+  it("writes with the tenant TTL when the write names the tenant", async () => {
+    const cacheManager = create({ ttlConfig: TTL_CONFIG });
+    const redis = await cacheManager.getClient();
+
+    await cacheManager.cache("keikka:get:8:1", { keikkaId: 1 }, "keikka", { asiakasId: 8 });
+    await cacheManager.mset([
+      { key: "keikka:get:8:2", data: { keikkaId: 2 }, entityType: "keikka", asiakasId: 8 },
+    ]);
+    await cacheManager.cache("keikka:get:9:1", { keikkaId: 1 }, "keikka", { asiakasId: 9 });
+
+    assert.ok((await redis.ttl("keikka:get:8:1")) <= 630);
+    assert.ok((await redis.ttl("keikka:get:8:2")) <= 630);
+    assert.ok((await redis.ttl("keikka:get:9:1")) > 1700);
+  });
+
+  it("rejects an invalid config and keeps the active one", () => {
+    const cacheManager = create({ ttlConfig: TTL_CONFIG });
+
+    assert.throws(() => cacheManager.setTtlConfig({ ttl: { keikka: -1 } }));
+    assert.equal(cacheManager.getEffectiveTtl("keikka", 8).ttl, 600);
+
+    cacheManager.setTtlConfig(null);
+    const globalTtl = cacheManager.getEffectiveTtl("keikka");
+    assert.deepEqual(cacheManager.getEffectiveTtl("keikka", 8), globalTtl);
+  });
+
+  it("reloads from the provider and keeps the config when it fails", async () => {
+    let config = TTL_CONFIG;
+    const cacheManager = create({
+      ttlConfigProvider: async () => {
+        if (!config) throw new Error("settings unavailable");
+        return config;
+      },
+      ttlConfigReloadMs: 0,
+    });
+
+    assert.equal(await cacheManager.reloadTtlConfig(), true);
+    assert.equal(cacheManager.getEffectiveTtl("keikka", 8).ttl, 600);
+
+    config = null;
+    assert.equal(await cacheManager.reloadTtlConfig(), false);
+    assert.equal(cacheManager.getEffectiveTtl("keikka", 8).ttl, 600);
+  });
+
+  it("tells other instances to reload with broadcast", async () => {
+    const redis = new InMemoryRedis();
+    let stored = null;
+    const provider = async () => stored;
+    const first = create({ backend: redis, ttlConfigProvider: provider });
+    const second = create({ backend: redis.duplicate(), ttlConfigProvider: provider });
+    await sleep(10); // initial loads and subscriptions
+
+    stored = TTL_CONFIG;
+    await first.reloadTtlConfig({ broadcast: true });
+    await sleep(10);
+    assert.equal(second.getEffectiveTtl("keikka", 8).ttl, 600);
+  });
+
+  it("requires a provider for reloadTtlConfig()", async () => {
+    const cacheManager = create({});
+    await assert.rejects(cacheManager.reloadTtlConfig(), /ttlConfigProvider/);
+  });
+});